@@ -0,0 +1,128 @@
+/**
+ * Blokkskjema
+ * Places a student's chosen subjects in the blocks of data/blokkskjema.json
+ * and finds the subjects that cannot be combined.
+ *
+ * Works in the browser (window.Blokkskjema) and in Node (require).
+ *
+ * Subjects in the same block are taught at the same time, so every chosen
+ * subject needs a block of its own. A subject offered in several blocks is
+ * moved to whichever block leaves room for the others (a bipartite matching),
+ * so a clash is only reported when no placement works.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Blokkskjema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Look up the schedule for a trinn
+     * @param {Object} data - Parsed data/blokkskjema.json
+     * @param {string} id - 'vg2' or 'vg3'
+     * @returns {Object|undefined} The schedule with its blocks
+     */
+    function getTrinn(data, id) {
+        return data.trinn.find(trinn => trinn.id === id);
+    }
+
+    /**
+     * List the blocks a subject runs in
+     * @param {Object} skjema - Schedule for one trinn
+     * @param {string} fagId - Subject ID
+     * @returns {string[]} Block IDs
+     */
+    function findBlokker(skjema, fagId) {
+        return skjema.blokker
+            .filter(blokk => blokk.fag.some(entry => entry.fag === fagId))
+            .map(blokk => blokk.id);
+    }
+
+    /**
+     * Total places for a subject in a block
+     * @param {Object} data - Parsed data/blokkskjema.json
+     * @param {Object} entry - Subject entry in a block
+     * @returns {number} Number of places
+     */
+    function getPlasser(data, entry) {
+        return (entry.grupper || 1) * (entry.plasser || data.standardPlasser);
+    }
+
+    /**
+     * Place the chosen subjects in separate blocks
+     * @param {Object} skjema - Schedule for one trinn
+     * @param {string[]} selected - Chosen subject IDs, in the order they were chosen
+     * @returns {Object} Result:
+     *   - plassering: [{ fag, blokk, alternativer }] placed subjects and the other blocks they run in
+     *   - konflikter: [{ fag, blokker, opptattAv }] subjects with no free block, and what fills their blocks
+     *   - ledigeBlokker: block IDs with no chosen subject
+     *   - forslag: [{ blokk, fag }] when there is a clash: free blocks and the other subjects offered there
+     */
+    function place(skjema, selected) {
+        const options = {};
+        selected.forEach(fagId => {
+            options[fagId] = findBlokker(skjema, fagId);
+        });
+
+        // Block ID -> subject ID
+        const taken = {};
+
+        /**
+         * Try to give a subject a block, moving earlier subjects if needed
+         * @param {string} fagId - Subject to place
+         * @param {Set} visited - Blocks already tried in this search
+         * @returns {boolean} True if the subject got a block
+         */
+        function tryPlace(fagId, visited) {
+            return options[fagId].some(blokkId => {
+                if (visited.has(blokkId)) return false;
+                visited.add(blokkId);
+                if (!taken[blokkId] || tryPlace(taken[blokkId], visited)) {
+                    taken[blokkId] = fagId;
+                    return true;
+                }
+                return false;
+            });
+        }
+
+        const unplaced = selected.filter(fagId => !tryPlace(fagId, new Set()));
+        const blokkFor = {};
+        Object.keys(taken).forEach(blokkId => {
+            blokkFor[taken[blokkId]] = blokkId;
+        });
+
+        const plassering = selected.filter(fagId => blokkFor[fagId]).map(fagId => ({
+            fag: fagId,
+            blokk: blokkFor[fagId],
+            alternativer: options[fagId].filter(blokkId => blokkId !== blokkFor[fagId])
+        }));
+
+        const konflikter = unplaced.map(fagId => ({
+            fag: fagId,
+            blokker: options[fagId],
+            opptattAv: options[fagId].map(blokkId => taken[blokkId]).filter(Boolean)
+        }));
+
+        const ledigeBlokker = skjema.blokker.map(blokk => blokk.id).filter(blokkId => !taken[blokkId]);
+
+        const forslag = unplaced.length === 0 ? [] : ledigeBlokker.map(blokkId => {
+            const blokk = skjema.blokker.find(b => b.id === blokkId);
+            return {
+                blokk: blokkId,
+                fag: blokk.fag.map(entry => entry.fag).filter(fagId => !selected.includes(fagId))
+            };
+        });
+
+        return { plassering, konflikter, ledigeBlokker, forslag };
+    }
+
+    return {
+        getTrinn,
+        findBlokker,
+        getPlasser,
+        place
+    };
+});
@@ -0,0 +1,172 @@
+/**
+ * Counseling Booking
+ * Free slots and bookings for individual counseling, from the availability
+ * in data/radgivning.json.
+ *
+ * Works in the browser (window.Booking) and in Node (require). The local
+ * server (server/booking.js) uses the same functions, so a slot the phone
+ * shows as free is the one the server accepts.
+ *
+ * Each counselor (`id` matches data-counselor on the .counselor-card in
+ * index.html) lists time ranges { dato, fra, til }; every range is cut into
+ * slots of `minutter` minutes. Slot times are local "YYYY-MM-DDTHH:MM"
+ * strings, never Date objects, so the server's time zone does not matter.
+ *
+ * Bookings are { radgiver, start, slutt, navn, klasse }.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Booking = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_MINUTES = 20;
+    const MAX_NAME_LENGTH = 60;
+    // Class names like 1STA, VG1B or 1MK
+    const CLASS_PATTERN = /^[0-9a-zæøå]{2,6}$/i;
+
+    /**
+     * Turn "HH:MM" into minutes after midnight
+     * @param {string} time - "HH:MM"
+     * @returns {number} Minutes
+     */
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Turn minutes after midnight into "HH:MM"
+     * @param {number} minutes - Minutes
+     * @returns {string} "HH:MM"
+     */
+    function fromMinutes(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Look up a counselor by ID
+     * @param {Object} data - Parsed data/radgivning.json
+     * @param {string} id - Counselor ID
+     * @returns {Object|undefined} The counselor
+     */
+    function getRadgiver(data, id) {
+        return data.radgivere.find(radgiver => radgiver.id === id);
+    }
+
+    /**
+     * Cut a counselor's time ranges into slots
+     * @param {Object} data - Parsed data/radgivning.json
+     * @param {string} radgiverId - Counselor ID
+     * @returns {Object[]} Slots { start, slutt } in time order
+     */
+    function getSlots(data, radgiverId) {
+        const radgiver = getRadgiver(data, radgiverId);
+        const length = data.minutter || DEFAULT_MINUTES;
+        if (!radgiver) return [];
+
+        const slots = [];
+        radgiver.tider.forEach(tid => {
+            for (let start = toMinutes(tid.fra); start + length <= toMinutes(tid.til); start += length) {
+                slots.push({
+                    start: `${tid.dato}T${fromMinutes(start)}`,
+                    slutt: `${tid.dato}T${fromMinutes(start + length)}`
+                });
+            }
+        });
+
+        return slots.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Check whether a slot is taken
+     * @param {Object[]} bookings - Existing bookings
+     * @param {string} radgiverId - Counselor ID
+     * @param {string} start - Slot start
+     * @returns {boolean} True if someone has booked it
+     */
+    function isBooked(bookings, radgiverId, start) {
+        return bookings.some(booking => booking.radgiver === radgiverId && booking.start === start);
+    }
+
+    /**
+     * List every slot with whether it is free
+     * @param {Object} data - Parsed data/radgivning.json
+     * @param {Object[]} bookings - Existing bookings
+     * @param {string} [now] - Local time "YYYY-MM-DDTHH:MM"; earlier slots are left out
+     * @returns {Object[]} Counselors { id, navn, slots: [{ start, slutt, ledig }] }
+     */
+    function listSlots(data, bookings, now) {
+        return data.radgivere.map(radgiver => ({
+            id: radgiver.id,
+            navn: radgiver.navn,
+            slots: getSlots(data, radgiver.id)
+                .filter(slot => !now || slot.start > now)
+                .map(slot => Object.assign(slot, { ledig: !isBooked(bookings, radgiver.id, slot.start) }))
+        }));
+    }
+
+    /**
+     * Check a booking request
+     * @param {Object} data - Parsed data/radgivning.json
+     * @param {Object[]} bookings - Existing bookings
+     * @param {Object} request - { radgiver, start, navn, klasse }
+     * @param {string} [now] - Local time "YYYY-MM-DDTHH:MM"; slots that have started are refused
+     * @returns {{booking: Object|null, error: string|null}} The booking, or why it was refused:
+     *   'navn', 'klasse', 'slot' (no such slot, or it has started) or 'opptatt' (already booked)
+     */
+    function validate(data, bookings, request, now) {
+        const navn = String(request.navn || '').trim().replace(/\s+/g, ' ');
+        const klasse = String(request.klasse || '').trim().toUpperCase();
+
+        if (navn.length < 2 || navn.length > MAX_NAME_LENGTH) return { booking: null, error: 'navn' };
+        if (!CLASS_PATTERN.test(klasse)) return { booking: null, error: 'klasse' };
+
+        const slot = getSlots(data, request.radgiver).find(s => s.start === request.start);
+        if (!slot || (now && slot.start <= now)) return { booking: null, error: 'slot' };
+        if (isBooked(bookings, request.radgiver, slot.start)) return { booking: null, error: 'opptatt' };
+
+        return {
+            booking: { radgiver: request.radgiver, start: slot.start, slutt: slot.slutt, navn, klasse },
+            error: null
+        };
+    }
+
+    /**
+     * Write the bookings as a schedule, one line per booking (CSV for Excel)
+     * @param {Object} data - Parsed data/radgivning.json
+     * @param {Object[]} bookings - Bookings
+     * @returns {string} Semicolon-separated values with a header line
+     */
+    function buildSchedule(data, bookings) {
+        const quote = value => {
+            // A leading =, +, - or @ would make Excel run the cell as a formula
+            const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+            return `"${text.replace(/"/g, '""')}"`;
+        };
+        const rows = bookings
+            .slice()
+            .sort((a, b) => a.radgiver.localeCompare(b.radgiver) || a.start.localeCompare(b.start))
+            .map(booking => {
+                const radgiver = getRadgiver(data, booking.radgiver);
+                const [dato, fra] = booking.start.split('T');
+                return [radgiver ? radgiver.navn : booking.radgiver, dato, fra, booking.slutt.split('T')[1], booking.navn, booking.klasse]
+                    .map(quote)
+                    .join(';');
+            });
+
+        return ['Rådgiver;Dato;Fra;Til;Elev;Klasse'].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    return {
+        getRadgiver,
+        getSlots,
+        isBooked,
+        listSlots,
+        validate,
+        buildSchedule
+    };
+});
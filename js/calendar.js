@@ -0,0 +1,165 @@
+/**
+ * Calendar Files
+ * Builds iCalendar (.ics) files that phones and Outlook can import.
+ *
+ * Works in the browser (window.Calendar) and in Node (require).
+ *
+ * Times are local Norwegian wall-clock times written as "YYYY-MM-DDTHH:MM"
+ * (or a plain "YYYY-MM-DD" for all-day events) and are tagged with the
+ * Europe/Oslo time zone, so the event lands at the right hour whatever time
+ * zone the phone is set to.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Calendar = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TIME_ZONE = 'Europe/Oslo';
+
+    /**
+     * Get the Norwegian wall-clock time at a moment
+     * @param {number} [time] - Milliseconds since the epoch (default now)
+     * @returns {string} "YYYY-MM-DDTHH:MM"
+     */
+    function toLocalTime(time = Date.now()) {
+        // Swedish formatting happens to be ISO-like: "2027-01-11 09:00:00"
+        return new Date(time).toLocaleString('sv-SE', { timeZone: TIME_ZONE, hourCycle: 'h23' })
+            .replace(' ', 'T')
+            .slice(0, 16);
+    }
+
+    // Central European time with the EU daylight saving rules
+    const VTIMEZONE = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${TIME_ZONE}`,
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'TZNAME:CEST',
+        'DTSTART:19700329T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'TZNAME:CET',
+        'DTSTART:19701025T030000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    /**
+     * Escape text for an iCalendar property value
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 bytes, as the format requires
+     * @param {string} line - Unfolded line
+     * @returns {string} Folded line
+     */
+    function foldLine(line) {
+        const parts = [];
+        let part = '';
+        let bytes = 0;
+
+        Array.from(line).forEach(char => {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            if (bytes + size > 75) {
+                parts.push(part);
+                // Continuation lines start with a space, which counts too
+                part = ' ';
+                bytes = 1;
+            }
+            part += char;
+            bytes += size;
+        });
+        parts.push(part);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Turn a local time into an iCalendar date property
+     * @param {string} name - Property name (DTSTART or DTEND)
+     * @param {string} value - "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD"
+     * @returns {string} The property line
+     */
+    function formatDate(name, value) {
+        const [date, time] = value.split('T');
+        const day = date.replace(/-/g, '');
+        if (!time) return `${name};VALUE=DATE:${day}`;
+        return `${name};TZID=${TIME_ZONE}:${day}T${time.replace(':', '').padEnd(6, '0')}`;
+    }
+
+    /**
+     * Get the day after a date, for the end of an all-day event
+     * @param {string} date - "YYYY-MM-DD"
+     * @returns {string} The next day
+     */
+    function nextDay(date) {
+        const d = new Date(`${date}T12:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + 1);
+        return d.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Build a calendar file
+     * @param {Object[]} events - { uid, start, end?, title, description?, location? };
+     *   an all-day event without end lasts one day
+     * @param {Object} [options]
+     * @param {string} [options.name] - Calendar name shown when importing
+     * @param {Date} [options.now] - Time stamp for the events (default now)
+     * @returns {string} The .ics content
+     */
+    function build(events, options = {}) {
+        const stamp = (options.now || new Date()).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Bergen Private Gymnas//Fagvalg//NO',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+        if (events.some(event => event.start.includes('T'))) lines.push(...VTIMEZONE);
+
+        events.forEach(event => {
+            const allDay = !event.start.includes('T');
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                formatDate('DTSTART', event.start),
+                formatDate('DTEND', event.end || (allDay ? nextDay(event.start) : event.start)),
+                `SUMMARY:${escapeText(event.title)}`
+            );
+            if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+            if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    return {
+        TIME_ZONE,
+        toLocalTime,
+        escapeText,
+        build
+    };
+});
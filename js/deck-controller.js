@@ -0,0 +1,222 @@
+/**
+ * Deck Controller
+ * Slide and click-reveal state for the presentation: which slide is showing,
+ * how many reveal steps each slide has and how far it has got.
+ *
+ * Works in the browser (window.DeckController), in Node (require) and as an
+ * ES module through js/deck-controller.mjs. It never reaches for the global
+ * document: the document (a real one or e.g. jsdom's) is passed to create(),
+ * so the navigation rules can be run headless (see test/). Announcements,
+ * URLs and animations stay in js/presentation.js.
+ *
+ * Slides are `.slide[data-slide]` elements (numbered from 1 by the deck
+ * builder); click-reveal slides have data-click-reveal="true". Each distinct
+ * data-delay value on a click-reveal slide is one step (a fragment group),
+ * shown in ascending order; elements sharing a value change together. Gaps
+ * in the numbering (0, 1, 3) do not create empty steps.
+ *
+ * data-fragment sets what a step does to an element:
+ * - (none):    appears, with the component's own animation (.visible)
+ * - fade:      appears by fading in only
+ * - highlight: is visible from the start and gets highlighted
+ * - strike:    is visible from the start and gets struck through
+ * - shrink:    is visible from the start and shrinks into the background
+ * The last three get .fragment-active at their step.
+ *
+ * A slide entered from an earlier slide starts at step 0; one entered from
+ * a later slide (going back) is shown fully revealed.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DeckController = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Effects that change an element that is already showing
+    const EMPHASIS_EFFECTS = ['highlight', 'strike', 'shrink'];
+
+    /**
+     * Group the [data-delay] elements of a slide into reveal steps
+     * @param {Element} slide - The slide (or a copy of it)
+     * @returns {Element[][]} One array of elements per step, in reveal order
+     */
+    function getRevealGroups(slide) {
+        const groups = new Map();
+
+        slide.querySelectorAll('[data-delay]').forEach(el => {
+            const delay = parseInt(el.dataset.delay, 10) || 0;
+            if (!groups.has(delay)) groups.set(delay, []);
+            groups.get(delay).push(el);
+        });
+
+        return Array.from(groups.keys())
+            .sort((a, b) => a - b)
+            .map(delay => groups.get(delay));
+    }
+
+    /**
+     * Show a slide (or a copy of it) at a given step
+     * @param {Element} slide - The slide
+     * @param {number} step - Number of steps to show
+     */
+    function showStep(slide, step) {
+        getRevealGroups(slide).forEach((group, index) => {
+            group.forEach(el => {
+                if (EMPHASIS_EFFECTS.includes(el.dataset.fragment)) {
+                    el.classList.add('visible');
+                    el.classList.toggle('fragment-active', index < step);
+                } else {
+                    el.classList.toggle('visible', index < step);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create a controller for the slides in a container
+     * @param {Document} doc - The document holding the slides
+     * @param {Object} [options]
+     * @param {Element|string} [options.container] - Slides container or selector (default .slides-container)
+     * @returns {Object} The controller
+     */
+    function create(doc, options = {}) {
+        const container = typeof options.container === 'object' && options.container
+            ? options.container
+            : doc.querySelector(options.container || '.slides-container');
+
+        const total = container.querySelectorAll('.slide[data-slide]').length;
+        const stepState = {};
+        let current = 1;
+
+        /**
+         * Get the slide element for a slide number
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {Element|null} The slide element
+         */
+        function getSlide(slideNum) {
+            return container.querySelector(`.slide[data-slide="${slideNum}"]`);
+        }
+
+        /**
+         * Check whether a slide reveals its content one step at a time
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {boolean} True for click-reveal slides
+         */
+        function isClickReveal(slideNum) {
+            const slide = getSlide(slideNum);
+            return Boolean(slide) && slide.dataset.clickReveal === 'true';
+        }
+
+        /**
+         * Count the reveal steps of a slide
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {number} Steps, 0 for slides without click-reveal
+         */
+        function getStepCount(slideNum) {
+            return isClickReveal(slideNum) ? getRevealGroups(getSlide(slideNum)).length : 0;
+        }
+
+        /**
+         * Get how many steps of a slide are showing
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {number} Revealed steps
+         */
+        function getStep(slideNum) {
+            return stepState[slideNum] || 0;
+        }
+
+        /**
+         * Show exactly the first `step` steps of a click-reveal slide
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @param {number} step - Steps to show (clamped to the slide's steps)
+         * @returns {number} The step the slide is now at
+         */
+        function setStep(slideNum, step) {
+            if (!isClickReveal(slideNum)) return 0;
+
+            const target = Math.max(0, Math.min(step, getStepCount(slideNum)));
+
+            showStep(getSlide(slideNum), target);
+            stepState[slideNum] = target;
+            return target;
+        }
+
+        /**
+         * Check whether every step of a slide is showing
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {boolean} True when nothing is left to reveal
+         */
+        function isFullyRevealed(slideNum) {
+            return getStep(slideNum) >= getStepCount(slideNum);
+        }
+
+        /**
+         * Make a slide the active one
+         * Coming from an earlier slide it starts at step 0, from a later one fully revealed
+         * @param {number} slideNum - The slide number (1-indexed)
+         * @returns {boolean} False if there is no such slide
+         */
+        function goTo(slideNum) {
+            if (!Number.isInteger(slideNum) || slideNum < 1 || slideNum > total) return false;
+
+            container.querySelectorAll('.slide').forEach(slide => slide.classList.remove('active'));
+            getSlide(slideNum).classList.add('active');
+
+            if (slideNum !== current) {
+                setStep(slideNum, slideNum < current ? getStepCount(slideNum) : 0);
+            }
+            current = slideNum;
+            return true;
+        }
+
+        /**
+         * Show the next step of the current slide
+         * @returns {Element[]|null} The elements shown, or null if there was nothing left
+         */
+        function reveal() {
+            if (!isClickReveal(current) || isFullyRevealed(current)) return null;
+
+            const step = getStep(current);
+            setStep(current, step + 1);
+            return getRevealGroups(getSlide(current))[step];
+        }
+
+        /**
+         * Hide the last shown step of the current slide
+         * @returns {Element[]|null} The elements hidden, or null if nothing was showing
+         */
+        function unreveal() {
+            const step = getStep(current);
+            if (!isClickReveal(current) || step <= 0) return null;
+
+            setStep(current, step - 1);
+            return getRevealGroups(getSlide(current))[step - 1];
+        }
+
+        return {
+            total,
+            get current() {
+                return current;
+            },
+            getSlide,
+            isClickReveal,
+            getStepCount,
+            getStep,
+            setStep,
+            isFullyRevealed,
+            goTo,
+            reveal,
+            unreveal
+        };
+    }
+
+    return {
+        EMPHASIS_EFFECTS,
+        create,
+        getRevealGroups,
+        showStep
+    };
+});
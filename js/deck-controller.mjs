@@ -0,0 +1,18 @@
+/**
+ * Deck Controller (ES module entry)
+ * The same controller as js/deck-controller.js, for code that imports:
+ *
+ *   import { create } from './js/deck-controller.mjs';
+ *   const controller = create(document);
+ *
+ * js/deck-controller.js stays the one implementation, so the classic
+ * scripts in index.html and require() keep working. In the browser it
+ * sets self.DeckController when imported; in Node it is a CommonJS module
+ * and arrives as the default export.
+ */
+import * as loaded from './deck-controller.js';
+
+const DeckController = loaded.default || globalThis.DeckController;
+
+export const { EMPHASIS_EFFECTS, create, getRevealGroups, showStep } = DeckController;
+export default DeckController;
@@ -0,0 +1,104 @@
+/**
+ * Fordypning Calculator
+ * Works out which fordypninger a set of subjects gives, per programområde,
+ * using the pairs and triples in data/fordypning.json.
+ *
+ * Works in the browser (window.Fordypning) and in Node (require).
+ *
+ * A fordypning group gives one fordypning when at least two of its subjects
+ * are chosen (pairs like Fysikk 1 + 2, or two of the Sosiologi / Sosialkunnskap /
+ * Politikk triple). Groups listed under several programområder (S- and
+ * R-matematikk) count toward each of them, but only once in the total.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Fordypning = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Subjects needed from a group to get one fordypning
+    const SUBJECTS_PER_FORDYPNING = 2;
+
+    /**
+     * Look up a subject by ID
+     * @param {Object} data - Parsed data/fordypning.json
+     * @param {string} fagId - Subject ID
+     * @returns {Object|undefined} The subject
+     */
+    function getFag(data, fagId) {
+        return data.fag.find(fag => fag.id === fagId);
+    }
+
+    /**
+     * Calculate fordypninger for a set of chosen subjects
+     * @param {Object} data - Parsed data/fordypning.json
+     * @param {string[]} selected - IDs of the chosen subjects
+     * @returns {Object} Result:
+     *   - fordypninger: completed groups
+     *   - total: number of distinct fordypninger
+     *   - perProgramomrade: [{ id, navn, count, fordypninger }]
+     *   - studiespesialisering: { met, required, programomrade } for the "2 from same programområde" rule
+     *   - suggestions: [{ fag, fordypning, programomrader, meetsRequirement }] single subjects that complete a group
+     */
+    function calculate(data, selected) {
+        const chosen = new Set(selected);
+        const completed = [];
+        const partial = [];
+
+        data.fordypninger.forEach(group => {
+            const picked = group.fag.filter(fagId => chosen.has(fagId));
+            if (picked.length >= SUBJECTS_PER_FORDYPNING) {
+                completed.push(group);
+            } else if (picked.length === SUBJECTS_PER_FORDYPNING - 1) {
+                partial.push({ group, missing: group.fag.filter(fagId => !chosen.has(fagId)) });
+            }
+        });
+
+        const perProgramomrade = data.programomrader.map(omrade => {
+            const fordypninger = completed.filter(group => group.programomrader.includes(omrade.id));
+            return { id: omrade.id, navn: omrade.navn, count: fordypninger.length, fordypninger };
+        });
+
+        const rule = (data.krav && data.krav.studiespesialisering) || { minimumFordypninger: 2 };
+        const required = rule.minimumFordypninger;
+        const best = perProgramomrade.reduce((a, b) => (b.count > a.count ? b : a), perProgramomrade[0]);
+        const met = rule.sammeProgramomrade === false
+            ? completed.length >= required
+            : perProgramomrade.some(omrade => omrade.count >= required);
+
+        const suggestions = [];
+        partial.forEach(({ group, missing }) => {
+            missing.forEach(fagId => {
+                const meetsRequirement = !met && group.programomrader.some(omradeId => {
+                    const omrade = perProgramomrade.find(o => o.id === omradeId);
+                    return omrade && omrade.count + 1 >= required;
+                });
+                suggestions.push({
+                    fag: getFag(data, fagId) || { id: fagId, navn: fagId },
+                    fordypning: group,
+                    programomrader: group.programomrader,
+                    meetsRequirement
+                });
+            });
+        });
+
+        // Subjects that would satisfy the requirement come first
+        suggestions.sort((a, b) => Number(b.meetsRequirement) - Number(a.meetsRequirement));
+
+        return {
+            fordypninger: completed,
+            total: completed.length,
+            perProgramomrade,
+            studiespesialisering: { met, required, programomrade: best && best.count > 0 ? best : null },
+            suggestions
+        };
+    }
+
+    return {
+        calculate,
+        getFag
+    };
+});
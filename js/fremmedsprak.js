@@ -0,0 +1,84 @@
+/**
+ * Fremmedspråk Wizard
+ * Walks the questions in data/fremmedsprak.json and works out which
+ * outcome applies: finished after VG2, or Spansk I+II in VG3.
+ *
+ * Works in the browser (window.Fremmedsprak) and in Node (require).
+ *
+ * Answers are kept as { sporsmalId: svarId }, so they can be stored and
+ * replayed. The outcome ID ("fortsetter", "byttet" or "ingen") is the same
+ * value the vitnemål rules use for `fremmedsprak`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Fremmedsprak = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Look up a question by ID
+     * @param {Object} data - Parsed data/fremmedsprak.json
+     * @param {string} id - Question ID
+     * @returns {Object|undefined} The question
+     */
+    function getSporsmal(data, id) {
+        return data.sporsmal.find(sporsmal => sporsmal.id === id);
+    }
+
+    /**
+     * Look up an outcome by ID
+     * @param {Object} data - Parsed data/fremmedsprak.json
+     * @param {string} id - Outcome ID
+     * @returns {Object|undefined} The outcome
+     */
+    function getUtfall(data, id) {
+        return data.utfall.find(utfall => utfall.id === id);
+    }
+
+    /**
+     * Follow the answers from the first question
+     * Stops at the first unanswered question, or at an outcome
+     * @param {Object} data - Parsed data/fremmedsprak.json
+     * @param {Object} answers - { sporsmalId: svarId }
+     * @returns {Object} { steps: [{ sporsmal, svar }], current: question or null, utfall: outcome or null }
+     */
+    function walk(data, answers) {
+        const steps = [];
+        let sporsmal = getSporsmal(data, data.start);
+
+        while (sporsmal) {
+            const svar = sporsmal.svar.find(s => s.id === answers[sporsmal.id]);
+            if (!svar) {
+                return { steps, current: sporsmal, utfall: null };
+            }
+
+            steps.push({ sporsmal, svar });
+            if (svar.utfall) {
+                return { steps, current: null, utfall: getUtfall(data, svar.utfall) };
+            }
+            sporsmal = getSporsmal(data, svar.neste);
+        }
+
+        return { steps, current: null, utfall: null };
+    }
+
+    /**
+     * Count the VG3 programfag left to choose freely
+     * @param {Object} utfall - The outcome
+     * @param {number} antallVg3 - VG3 programfag for the programområde
+     * @returns {number} Free slots
+     */
+    function freeVg3Slots(utfall, antallVg3) {
+        return Math.max(0, antallVg3 - (utfall.programfagVg3 || 0));
+    }
+
+    return {
+        getSporsmal,
+        getUtfall,
+        walk,
+        freeVg3Slots
+    };
+});
@@ -0,0 +1,210 @@
+/**
+ * Gestures
+ * Swipes and long-presses from Pointer Events, so touch, pen and mouse drags
+ * all move the presentation the same way.
+ *
+ * Works in the browser (window.Gestures) and in Node (require). classify()
+ * is plain arithmetic; attach() only needs the element it listens on, so
+ * synthetic pointer events in jsdom drive it the same as a real screen.
+ *
+ * A swipe has to be long enough, fast enough and close enough to one axis:
+ *   minDistance  pixels along the axis (default 50)
+ *   minVelocity  pixels per millisecond (default 0.3)
+ *   maxAngle     degrees away from the axis (default 30)
+ * A long-press is a touch or pen held for `longPress` milliseconds (default
+ * 600) without moving more than `slop` pixels. Mouse buttons held still are
+ * left alone, so text can still be selected.
+ *
+ * Gestures that start in an opt-out zone are ignored: embeds, iframes,
+ * speech-bubble cells, form fields and anything marked data-gesture="off".
+ * Inside a scrollable area only the axis it cannot scroll is used, so a
+ * table that scrolls sideways still lets an up/down swipe through.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Gestures = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULTS = {
+        minDistance: 50,
+        minVelocity: 0.3,
+        maxAngle: 30,
+        longPress: 600,
+        slop: 10
+    };
+
+    const OPT_OUT_SELECTOR = 'iframe, [data-embed], .has-info, [data-gesture="off"], input, select, textarea';
+
+    /**
+     * Work out which way a pointer movement swipes
+     * @param {number} dx - Horizontal movement in pixels (positive to the right)
+     * @param {number} dy - Vertical movement in pixels (positive downwards)
+     * @param {number} duration - Milliseconds from pointerdown to pointerup
+     * @param {Object} [options] - Thresholds, see DEFAULTS
+     * @returns {'left'|'right'|'up'|'down'|null} The direction the finger moved, or null
+     */
+    function classify(dx, dy, duration, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const horizontal = Math.abs(dx) >= Math.abs(dy);
+        const along = horizontal ? Math.abs(dx) : Math.abs(dy);
+        const across = horizontal ? Math.abs(dy) : Math.abs(dx);
+
+        if (along < opts.minDistance) return null;
+        if (along / Math.max(duration, 1) < opts.minVelocity) return null;
+        if (Math.atan2(across, along) * 180 / Math.PI > opts.maxAngle) return null;
+
+        if (horizontal) return dx < 0 ? 'left' : 'right';
+        return dy < 0 ? 'up' : 'down';
+    }
+
+    /**
+     * Find the axes that scroll natively between an element and the root
+     * @param {Element} target - Where the pointer went down
+     * @param {Element} rootEl - The element gestures are attached to
+     * @returns {{x: boolean, y: boolean}} True for an axis something can scroll along
+     */
+    function getScrollAxes(target, rootEl) {
+        const view = rootEl.ownerDocument.defaultView;
+        const axes = { x: false, y: false };
+
+        for (let el = target; el && el !== rootEl.parentNode; el = el.parentElement) {
+            const style = view.getComputedStyle(el);
+            if (/auto|scroll/.test(style.overflowX) && el.scrollWidth > el.clientWidth) axes.x = true;
+            if (/auto|scroll/.test(style.overflowY) && el.scrollHeight > el.clientHeight) axes.y = true;
+        }
+        return axes;
+    }
+
+    /**
+     * Check whether a gesture starting on an element should be left to the page
+     * @param {Element} target - Where the pointer went down
+     * @returns {boolean} True inside an opt-out zone
+     */
+    function isOptOut(target) {
+        return Boolean(target.closest && target.closest(OPT_OUT_SELECTOR));
+    }
+
+    /**
+     * Listen for swipes and long-presses on an element
+     * The click that ends a recognised gesture is swallowed, so a mouse drag
+     * does not also count as a click.
+     * @param {Element} element - Element to listen on
+     * @param {Object} handlers
+     * @param {Function} [handlers.swipe] - Called with the direction
+     * @param {Function} [handlers.longPress] - Called when a touch is held still
+     * @param {Function} [handlers.isBlocked] - Return true to ignore a gesture as it starts
+     * @param {Object} [options] - Thresholds, see DEFAULTS
+     * @returns {{detach: Function}} Removes the listeners again
+     */
+    function attach(element, handlers, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        let start = null;
+        let pressTimer = null;
+        let swallowClick = false;
+
+        function clearPress() {
+            clearTimeout(pressTimer);
+            pressTimer = null;
+        }
+
+        function onPointerDown(e) {
+            swallowClick = false;
+            if (!e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            if (isOptOut(e.target) || (handlers.isBlocked && handlers.isBlocked(e))) return;
+
+            start = {
+                id: e.pointerId,
+                x: e.clientX,
+                y: e.clientY,
+                time: e.timeStamp,
+                scroll: getScrollAxes(e.target, element),
+                touch: e.pointerType !== 'mouse',
+                pressed: false
+            };
+
+            if (start.touch && handlers.longPress) {
+                const pressed = start;
+                pressTimer = setTimeout(() => {
+                    pressTimer = null;
+                    pressed.pressed = true;
+                    handlers.longPress();
+                }, opts.longPress);
+            }
+        }
+
+        function onPointerMove(e) {
+            if (!start || e.pointerId !== start.id || !pressTimer) return;
+            if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > opts.slop) clearPress();
+        }
+
+        function onPointerUp(e) {
+            if (!start || e.pointerId !== start.id) return;
+            const gesture = start;
+            start = null;
+            clearPress();
+
+            if (gesture.pressed) {
+                swallowClick = true;
+                return;
+            }
+
+            const direction = classify(e.clientX - gesture.x, e.clientY - gesture.y, e.timeStamp - gesture.time, opts);
+            if (!direction) return;
+            const vertical = direction === 'up' || direction === 'down';
+            if (vertical ? gesture.scroll.y : gesture.scroll.x) return;
+
+            swallowClick = true;
+            if (handlers.swipe) handlers.swipe(direction);
+        }
+
+        function onPointerCancel(e) {
+            if (!start || e.pointerId !== start.id) return;
+            start = null;
+            clearPress();
+        }
+
+        function onClick(e) {
+            if (!swallowClick) return;
+            swallowClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        function onContextMenu(e) {
+            // Holding a finger still opens the browser menu before (or instead of) the long-press
+            if (start && start.touch && handlers.longPress) e.preventDefault();
+        }
+
+        const listeners = {
+            pointerdown: onPointerDown,
+            pointermove: onPointerMove,
+            pointerup: onPointerUp,
+            pointercancel: onPointerCancel,
+            contextmenu: onContextMenu
+        };
+
+        Object.keys(listeners).forEach(type => element.addEventListener(type, listeners[type]));
+        element.addEventListener('click', onClick, true);
+
+        return {
+            detach() {
+                clearPress();
+                Object.keys(listeners).forEach(type => element.removeEventListener(type, listeners[type]));
+                element.removeEventListener('click', onClick, true);
+            }
+        };
+    }
+
+    return {
+        DEFAULTS,
+        OPT_OUT_SELECTOR,
+        classify,
+        isOptOut,
+        getScrollAxes,
+        attach
+    };
+});
@@ -0,0 +1,112 @@
+/**
+ * Language Support (i18n)
+ * Looks up UI messages and translated slide text in the language catalogs
+ * in js/lang/ (bokmål, nynorsk, English).
+ *
+ * Works in the browser (window.I18n) and in Node (require).
+ *
+ * A catalog looks like:
+ *   {
+ *     name: 'English',
+ *     locale: 'en-GB',
+ *     messages: { 'counter.of': 'of', 'presenter.step': 'Step {step} of {total}' },
+ *     slides: { tidslinje: { title: 'Timeline', notes: '...', heading: 'Timeline' } }
+ *   }
+ *
+ * Bokmål is the source language: its catalog has every message, and the slide
+ * text in index.html and js/slides.js is bokmål. Anything missing from another
+ * catalog falls back to bokmål.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.I18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LANG = 'nb';
+
+    /**
+     * Check for an own property, so names like 'constructor' or '__proto__'
+     * from the URL never match something inherited from Object
+     * @param {Object} obj - Object to look in
+     * @param {string} key - Property name
+     * @returns {boolean} True if the object has the property itself
+     */
+    function has(obj, key) {
+        return Object.prototype.hasOwnProperty.call(obj, key);
+    }
+
+    /**
+     * Pick a language that has a catalog
+     * @param {Object} catalogs - Catalogs by language code
+     * @param {string|null} requested - Language code from the URL, e.g. 'nn'
+     * @returns {string} The requested language, or bokmål if there is no catalog for it
+     */
+    function resolveLang(catalogs, requested) {
+        const lang = (requested || '').toLowerCase();
+        return has(catalogs, lang) ? lang : DEFAULT_LANG;
+    }
+
+    /**
+     * Fill in {placeholders} in a message
+     * @param {string} template - Message with {name} placeholders
+     * @param {Object} values - Values by placeholder name
+     * @returns {string} The message
+     */
+    function format(template, values) {
+        if (!values) return template;
+        return template.replace(/\{(\w+)\}/g, (match, key) => (has(values, key) ? values[key] : match));
+    }
+
+    /**
+     * Look up a UI message
+     * @param {Object} catalogs - Catalogs by language code
+     * @param {string} lang - Language code
+     * @param {string} key - Message key, e.g. 'reveal.more'
+     * @param {Object} [values] - Values for {placeholders}
+     * @returns {string} The message, the bokmål message if it is not translated, or the key
+     */
+    function translate(catalogs, lang, key, values) {
+        const messages = (has(catalogs, lang) && catalogs[lang].messages) || {};
+        const fallback = (has(catalogs, DEFAULT_LANG) && catalogs[DEFAULT_LANG].messages) || {};
+        if (has(messages, key)) return format(messages[key], values);
+        return has(fallback, key) ? format(fallback[key], values) : key;
+    }
+
+    /**
+     * Look up translated text for a slide
+     * @param {Object} catalogs - Catalogs by language code
+     * @param {string} lang - Language code
+     * @param {string} slideId - Slide ID from the manifest
+     * @param {string} key - Text key, e.g. 'heading', 'title' or 'notes'
+     * @returns {string|null} The translation, or null to keep the bokmål text
+     */
+    function getSlideText(catalogs, lang, slideId, key) {
+        const slides = (has(catalogs, lang) && catalogs[lang].slides) || {};
+        const texts = has(slides, slideId) ? slides[slideId] : {};
+        return has(texts, key) ? texts[key] : null;
+    }
+
+    /**
+     * List the languages that have a catalog
+     * @param {Object} catalogs - Catalogs by language code
+     * @returns {Object[]} Languages [{ id, name }], bokmål first
+     */
+    function getLanguages(catalogs) {
+        return Object.keys(catalogs)
+            .sort((a, b) => Number(b === DEFAULT_LANG) - Number(a === DEFAULT_LANG))
+            .map(id => ({ id, name: catalogs[id].name || id }));
+    }
+
+    return {
+        DEFAULT_LANG,
+        resolveLang,
+        format,
+        translate,
+        getSlideText,
+        getLanguages
+    };
+});
@@ -0,0 +1,134 @@
+/**
+ * Keymap
+ * Keyboard shortcuts for the presentation: default bindings, user overrides
+ * and lookup from a key to an action.
+ *
+ * Works in the browser (window.Keymap) and in Node (require).
+ *
+ * Bindings map an action to its keys, using KeyboardEvent.key values with
+ * letters in lower case:
+ *   { next: ['ArrowRight', ' '], blackout: ['b', '.'] }
+ *
+ * Overrides have the same shape and replace the keys for their actions. A key
+ * given to an action in the overrides is removed from every other action, so
+ * a clicker key can be moved without clashing with a default.
+ *
+ * Digits, Enter and Escape are reserved for jumping to a slide and closing
+ * overlays, and cannot be bound.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Keymap = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // In the order they are listed in the help overlay
+    const DEFAULT_BINDINGS = {
+        next: ['ArrowRight', 'ArrowDown', ' ', 'PageDown'],
+        prev: ['ArrowLeft', 'ArrowUp', 'PageUp'],
+        stepBack: ['Backspace'],
+        first: ['Home'],
+        last: ['End'],
+        goTo: ['g'],
+        overview: ['o'],
+        blackout: ['b', '.'],
+        fullscreen: ['f'],
+        presenter: ['p'],
+        handout: ['h'],
+        help: ['?']
+    };
+
+    const RESERVED = /^([0-9]|Enter|Escape)$/;
+
+    /**
+     * Turn a keyboard event into a binding key
+     * @param {KeyboardEvent} e - The event
+     * @returns {string|null} The key, or null for shortcuts with Ctrl, Alt or Meta
+     */
+    function normalizeKey(e) {
+        // Autofill and some input methods send keydown without a key
+        if (typeof e.key !== 'string' || e.ctrlKey || e.altKey || e.metaKey) return null;
+        if (e.key === 'Spacebar') return ' ';
+        return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    }
+
+    /**
+     * Check whether a key can be bound to an action
+     * @param {string} key - Binding key
+     * @returns {boolean} False for digits, Enter and Escape
+     */
+    function isBindable(key) {
+        return Boolean(key) && !RESERVED.test(key);
+    }
+
+    /**
+     * Combine the defaults with user overrides
+     * @param {Object} defaults - Bindings { action: keys[] }
+     * @param {Object} overrides - User bindings for some actions
+     * @returns {Object} Bindings for every default action
+     */
+    function build(defaults, overrides) {
+        const bindings = {};
+        const taken = new Set();
+
+        Object.keys(overrides || {}).forEach(action => {
+            if (!defaults[action] || !Array.isArray(overrides[action])) return;
+            bindings[action] = overrides[action].filter(isBindable);
+            bindings[action].forEach(key => taken.add(key));
+        });
+
+        Object.keys(defaults).forEach(action => {
+            if (!bindings[action]) {
+                bindings[action] = defaults[action].filter(key => !taken.has(key));
+            }
+        });
+
+        return bindings;
+    }
+
+    /**
+     * Find the action bound to a key
+     * @param {Object} bindings - Bindings { action: keys[] }
+     * @param {string|null} key - Binding key
+     * @returns {string|null} The action
+     */
+    function resolve(bindings, key) {
+        if (!key) return null;
+        return Object.keys(bindings).find(action => bindings[action].includes(key)) || null;
+    }
+
+    /**
+     * Add a key to an action in the overrides
+     * @param {Object} bindings - Current bindings
+     * @param {Object} overrides - Current overrides
+     * @param {string} action - The action
+     * @param {string} key - The new key
+     * @returns {Object} New overrides (the inputs are not changed)
+     */
+    function addKey(bindings, overrides, action, key) {
+        const next = Object.assign({}, overrides);
+        const keys = bindings[action] || [];
+        next[action] = keys.includes(key) ? keys.slice() : keys.concat(key);
+
+        // Take the key away from actions that were overridden earlier
+        Object.keys(next).forEach(other => {
+            if (other === action) return;
+            // Overrides come from localStorage and may be anything
+            next[other] = Array.isArray(next[other]) ? next[other].filter(k => k !== key) : [];
+        });
+
+        return next;
+    }
+
+    return {
+        DEFAULT_BINDINGS,
+        normalizeKey,
+        isBindable,
+        build,
+        resolve,
+        addKey
+    };
+});
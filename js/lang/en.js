@@ -0,0 +1,393 @@
+/**
+ * English
+ * Messages and slide text. Keys that are missing here fall back to bokmål.
+ * Slide text is keyed by slide ID and the data-i18n attributes in index.html.
+ * Subject names are kept in Norwegian, as they appear in InSchool.
+ */
+window.I18N_CATALOGS = window.I18N_CATALOGS || {};
+window.I18N_CATALOGS.en = {
+    name: 'English',
+    locale: 'en-GB',
+    messages: {
+        'document.title': 'Subject choices 2026-2027 | Bergen Private Gymnas',
+        'counter.slide': 'Slide',
+        'counter.of': 'of',
+        'menu.label': 'Slide navigation menu',
+        'lang.label': 'Language',
+        'hint.keyboard': 'Use the <kbd>&#8592;</kbd> <kbd>&#8594;</kbd> arrow keys to navigate, <kbd>?</kbd> for all shortcuts',
+        'reveal.more': 'Click for more',
+        'nav.label': 'Slide navigation',
+        'nav.prev': 'Previous slide',
+        'nav.next': 'Next slide',
+        'nav.fullscreen': 'Full screen (F)',
+        'announce.slide': '{title}. Slide {current} of {total}',
+
+        'embed.retry': 'Try again',
+        'embed.studieplanlegger.loading': 'Loading the study planner …',
+        'embed.studieplanlegger.error': 'The study planner could not be loaded. Check the network, or open the presentation once online before presenting so it is saved for offline use.',
+        'embed.studieplanlegger.print': 'Try different subject combinations in the study planner: <strong>{url}</strong>',
+        'embed.blokkskjema.loading': 'Loading the block schedule …',
+        'embed.blokkskjema.fallback': 'The block schedule could not be loaded from the web. Here is a saved example.',
+        'embed.blokkskjema.image': 'Example block schedule',
+
+        'list.and': 'and',
+        'list.or': 'or',
+
+        'fordypning.error': 'Could not load the subject overview.',
+        'fordypning.count.one': '{count} fordypning',
+        'fordypning.count.other': '{count} fordypninger',
+        'fordypning.countIn.one': 'fordypning in {omrade}',
+        'fordypning.countIn.other': 'fordypninger in {omrade}',
+        'fordypning.ruleMet': 'The requirement for Studiespesialisering is met: {count} in {omrade}.',
+        'fordypning.ruleUnmet': 'Studiespesialisering requires at least {count} from the same programme area.',
+        'fordypning.ruleUnmetHave': 'Studiespesialisering requires at least {count} from the same programme area – you have {have} in {omrade}.',
+        'fordypning.suggestion': 'gives a fordypning in {fordypning} ({omrader})',
+        'fordypning.meetsRequirement': 'meets the requirement',
+        'fordypning.suggestionsTitle': 'One more subject that completes a fordypning:',
+        'fordypning.summary': 'Two subjects from the same group give one fordypning. Studiespesialisering requires at least {count} from the same programme area.',
+
+        'vitnemal.error': 'Could not load the diploma rules.',
+        'vitnemal.fremmedsprak.fortsetter': 'Continued with the language',
+        'vitnemal.fremmedsprak.byttet': 'Changed language',
+        'vitnemal.fremmedsprak.ingen': 'Had no foreign language',
+        'vitnemal.selected': '({count} chosen)',
+        'vitnemal.valid': 'The subjects give a valid diploma for {omrade}.',
+        'vitnemal.broken.one': '{count} rule is not met',
+        'vitnemal.broken.other': '{count} rules are not met',
+        'vitnemal.allOmrader': 'Applies to all',
+
+        'sprak.error': 'Could not load the guide.',
+        'sprak.change': 'Change answer',
+        'sprak.slots': '{free} of {total} programme subjects in VG3 can be chosen freely',
+        'sprak.restart': 'Start again',
+
+        'blokk.error': 'Could not load the block schedule.',
+        'blokk.schoolTab': 'The school\'s block schedule',
+        'blokk.places': '{count} places',
+        'blokk.full': 'full',
+        'blokk.hint': 'Click the subjects you want to choose to see if they can be combined.',
+        'blokk.clashSame': '{fag} and {andre} are both in {blokk} – you cannot take both.',
+        'blokk.clashOther': '{fag} is in {blokker}, but you have already chosen {andre} there.',
+        'blokk.alsoIn': '(also in {blokker})',
+        'blokk.free': 'Free {blokk}:',
+        'blokk.clashes.one': 'One subject does not fit in the block schedule',
+        'blokk.clashes.other': '{count} subjects do not fit in the block schedule',
+        'blokk.ok': 'The subjects can be combined',
+        'blokk.suggestionsTitle': 'Choose a subject from a free block instead:',
+        'blokk.summary': 'Subjects in the same block are taught at the same time and cannot be combined.',
+
+        'math.error': 'Could not load the maths paths.',
+        'math.waiting': 'Choose in {trinn} first',
+        'math.closed': 'Closed',
+        'math.hint': 'Choose maths for VG1 and VG2 to see what the path gives.',
+        'math.fordypning': 'Gives a fordypning in {fordypning}',
+        'math.forslag': 'No fordypning on its own – with {kurs} in VG3 it gives a fordypning in {fordypning}',
+        'math.noFordypning': 'The path gives no fordypning',
+        'math.opptakskrav': 'Admission requirements',
+        'math.draft': '(not adopted)',
+        'math.path': 'Path',
+        'math.fordypningColumn': 'Fordypning',
+        'math.meets': 'Meets',
+
+        'follow.connecting': 'Connecting to the presentation …',
+        'follow.reconnecting': 'Connection lost – retrying …',
+        'follow.publishing': 'Sharing live · {count} following',
+        'follow.waiting': 'Waiting for the presenter …',
+        'follow.detached': 'You are browsing on your own',
+        'follow.follow': 'Follow the presentation',
+        'follow.following': 'Following the presentation',
+        'follow.browse': 'Browse myself',
+
+        'poll.pick': 'Pick a question to start the poll',
+        'poll.waiting': 'Waiting for the poll to start …',
+        'poll.close': 'Close poll',
+        'poll.placeholder': 'Write a short answer',
+        'poll.send': 'Send',
+        'poll.thanks': 'Thanks! You can change your answer.',
+        'poll.empty': 'No answers yet',
+        'poll.answers': '{count} answers',
+
+        'questions.ask': 'Ask a question',
+        'questions.anonymous': 'Your question is anonymous. The counsellors read it before it is shown on screen.',
+        'questions.submit': 'Send',
+        'questions.close': 'Close',
+        'questions.sent': 'Thanks! Your question will be shown once the counsellors have approved it.',
+        'questions.tooShort': 'Write a little more before sending.',
+        'questions.title': 'Questions from the audience',
+        'questions.answered': 'Answered',
+        'questions.upvote': 'I am wondering the same',
+        'questions.moderation': 'Questions',
+        'questions.pending': '{count} waiting',
+        'questions.export': 'Export as FAQ',
+        'questions.status.pending': 'Waiting',
+        'questions.status.approved': 'Shown',
+        'questions.status.answered': 'Answered',
+        'questions.status.hidden': 'Hidden',
+        'questions.mergedCount': '{count} merged',
+        'questions.approve': 'Approve',
+        'questions.answerPlaceholder': 'Short answer for the FAQ (optional)',
+        'questions.markAnswered': 'Answered',
+        'questions.reopen': 'Show again',
+        'questions.hide': 'Hide',
+        'questions.merge': 'Merge with …',
+        'questions.faqTitle': 'Questions and answers about subject choices',
+        'questions.faqExported': 'Questions from the information meeting, exported {date}.',
+        'questions.votes': '{count} votes',
+        'questions.alsoAsked': 'Also asked as: {questions}',
+        'questions.noAnswer': '_Not answered yet._',
+        'questions.error.for-mange': 'Too many of your questions are waiting for approval. Wait a little before sending more.',
+        'questions.error.nokkel': 'Invalid presenter key',
+
+        'booking.free': '{count} free slots',
+        'booking.yours': 'You have a booking here',
+        'booking.book': 'Book a meeting',
+        'booking.show': 'See your booking',
+        'booking.title': 'Book a meeting with {name}',
+        'booking.info': 'Pick a free slot for a one-to-one talk about your subject choices.',
+        'booking.pick': 'Free slots',
+        'booking.none': 'All slots are taken. Send the counsellor a message instead.',
+        'booking.name': 'Full name',
+        'booking.class': 'Class (e.g. 1STA)',
+        'booking.submit': 'Book',
+        'booking.slot': '{day}, {from}–{to}',
+        'booking.confirmedTitle': 'Your meeting is booked',
+        'booking.confirmed': 'You are meeting {name} on {time}. Place: {place}.',
+        'booking.calendar': 'Add to calendar',
+        'booking.cancel': 'Cancel booking',
+        'booking.cancelConfirm': 'Do you want to cancel your booking?',
+        'booking.cancelFor': 'Cancel the booking for {student}?',
+        'booking.eventTitle': 'Subject choice counselling with {name}',
+        'booking.eventText': 'One-to-one talk for {student} ({klasse}).',
+        'booking.presenterTitle': 'Counselling bookings',
+        'booking.count': '{count} booked',
+        'booking.export': 'Download schedule',
+        'booking.error.navn': 'Enter your name.',
+        'booking.error.klasse': 'Enter your class, e.g. 1STA.',
+        'booking.error.slot': 'Pick a free slot.',
+        'booking.error.opptatt': 'Someone just took that slot. Pick another one.',
+        'booking.error.har-time': 'You already have a booking. Cancel it first if you want to change.',
+        'booking.error.nokkel': 'Invalid presenter key',
+
+        'timeline.deadline': 'Deadline: {date}',
+        'timeline.datePending': 'Deadline: date to be announced',
+        'timeline.done': 'Done',
+        'timeline.countdown': 'Countdown: {title}',
+        'timeline.countdownPending': '{title}: date to be announced',
+        'timeline.allDone': 'All deadlines for choosing subjects have passed.',
+        'timeline.days': 'days',
+        'timeline.hours': 'hours',
+        'timeline.minutes': 'min',
+        'timeline.seconds': 'sec',
+        'timeline.export': 'Add the deadlines to your calendar',
+        'timeline.calendarName': 'Subject choices - deadlines',
+        'timeline.error': 'Could not load the timeline.',
+
+        'presenter.title': 'Presenter view',
+        'presenter.resetTimer': 'Click to reset',
+        'presenter.now': 'Now',
+        'presenter.next': 'Next',
+        'presenter.notes': 'Notes',
+        'presenter.slideInfo': 'Slide {current} of {total} · {title}',
+        'presenter.step': ' · Step {step} of {total}',
+        'presenter.nextStep': 'Next step',
+        'presenter.nextSlide': 'Next slide',
+        'presenter.end': 'End of presentation',
+        'presenter.embed': 'Embedded content',
+        'presenter.noNotes': 'No notes for this slide.',
+
+        'print.button': 'Print / save as PDF',
+        'print.notes': 'Include notes',
+        'print.back': 'Back to the presentation',
+
+        'kiosk.hint': 'Touch the screen to browse yourself',
+
+        'overview.title': 'Overview',
+        'overview.hint': 'Pick a slide with the arrow keys and Enter, or click. Esc closes.',
+        'overview.close': 'Close',
+        'overview.stepsLeft': 'Steps left: {count}',
+
+        'keys.title': 'Keyboard shortcuts',
+        'keys.action.next': 'Next (step or slide)',
+        'keys.action.prev': 'Back (step or slide)',
+        'keys.action.stepBack': 'One step back',
+        'keys.action.first': 'First slide',
+        'keys.action.last': 'Last slide',
+        'keys.action.goTo': 'Go to slide',
+        'keys.action.overview': 'Overview (or hold Esc)',
+        'keys.action.blackout': 'Black screen',
+        'keys.action.fullscreen': 'Full screen',
+        'keys.action.presenter': 'Presenter view',
+        'keys.action.handout': 'Handout',
+        'keys.action.help': 'Show shortcuts',
+        'keys.number': 'Slide number + Enter',
+        'keys.note': 'Keys you add are saved in this browser. Digits, Enter and Esc cannot be changed.',
+        'keys.none': 'None',
+        'keys.add': 'Add key',
+        'keys.press': 'Press a key …',
+        'keys.reset': 'Reset',
+        'keys.close': 'Close',
+        'keys.goTo': 'Go to slide',
+        'keys.typeNumber': 'Type a slide number and press Enter',
+        'keys.noSlide': 'No such slide',
+        'key.space': 'Space',
+        'key.Backspace': 'Backspace'
+    },
+    slides: {
+        tittel: {
+            title: 'Subject choices 2026-2027',
+            heading: 'Subject choices 2026-2027',
+            subtitle: 'For BPG students choosing their programme subjects',
+            badge: 'School year 2026-2027'
+        },
+        tidslinje: {
+            title: 'Timeline',
+            notes: 'The trial choice is the basis for the block schedule. Deadline Thursday at 15:00 - answers can be edited until then.\nIndividual counselling in January. Final deadline in InSchool in February - the countdown shows the date as soon as it is set in data/tidslinje.json.\nStudents can add the deadlines to their phone calendars with the button under the timeline.',
+            heading: 'Timeline',
+            subtitle: 'Key dates for choosing subjects',
+            'desember.title': 'Joint information + Trial subject choice',
+            'desember.text': 'This presentation and a chance to try out different subject combinations',
+            'desember.calendar': 'Deadline for the trial subject choice',
+            'januar.title': 'Information for each class + Parents\' meeting',
+            'januar.text': 'Personal guidance from a counsellor about your choices',
+            'februar.title': 'Final subject choice',
+            'februar.text': 'Deadline for submitting your final subject choice in InSchool',
+            'februar.calendar': 'Deadline for the final subject choice in InSchool'
+        },
+        grunnlag: {
+            title: 'What should your choice be based on?',
+            notes: 'Start with the student: interests and strengths.\nSome programmes have special admission requirements - check utdanning.no.\nThe subjects must always give a valid diploma.\nWith the server running, students can answer on their phones - switch questions with the buttons above the results.',
+            'poll.interesser': 'What are you most interested in?',
+            'poll.interesser.realfag': 'Sciences',
+            'poll.interesser.samfunnsfag': 'Social sciences',
+            'poll.interesser.sprak': 'Languages',
+            'poll.interesser.okonomi': 'Economics',
+            'poll.interesser.medier': 'Media and art',
+            'poll.interesser.musikk': 'Music',
+            'poll.studere': 'What do you want to study?',
+            heading: 'What should your choice be based on?',
+            subtitle: 'Three important factors for your choice',
+            'personlig.title': 'Personal qualities',
+            'personlig.list': '<li>Who are you?</li><li>What do you enjoy?</li><li>What are you good at?</li>',
+            'studier.title': 'Studies and career',
+            'studier.list': '<li>What do you want to study?</li><li>Special admission requirements?</li><li>Future opportunities</li>',
+            'vitnemal.title': 'Diploma requirements',
+            'vitnemal.list': '<li>The subjects must give a valid diploma</li><li>In-depth study requirements</li><li>Compulsory subjects</li>'
+        },
+        programomrader: {
+            title: 'Programme areas',
+            notes: 'The programme area decides how many programme subjects the student chooses.\nWe are waiting for new rules for Studiespesialisering and which programme areas the subjects must belong to.',
+            heading: 'Programme areas and number of subjects',
+            subtitle: 'Overview of the different programmes',
+            'mk.name': 'Media and communication',
+            'musikk.name': 'Music',
+            'studspes.name': 'Studiespesialisering (general studies)',
+            'mk.vg2': '1 programme subject + Mathematics',
+            'mk.vg3': '2 programme subjects',
+            'musikk.vg2': '1 programme subject + Mathematics',
+            'musikk.vg3': '1 programme subject',
+            'studspes.vg2': '3 programme subjects + Mathematics',
+            'studspes.vg3': '3 programme subjects'
+        },
+        'fellesfag-programfag': {
+            title: 'Common core vs programme subjects',
+            heading: 'Common core or programme subjects?',
+            subtitle: 'Understanding the difference',
+            'fellesfag.title': 'Common core subjects',
+            'fellesfag.text': 'Set by your programme area - they cannot be dropped. Everyone takes these subjects.',
+            'programfag.title': 'Programme subjects',
+            'programfag.text': 'Subjects you choose yourself, giving in-depth study in areas you are interested in.',
+            'fag.norsk': 'Norwegian',
+            'fag.engelsk': 'English',
+            'fag.kroppsoving': 'Physical education',
+            'fag.fysikk': 'Physics',
+            'fag.biologi': 'Biology',
+            'fag.kjemi': 'Chemistry',
+            'fag.sosialkunnskap': 'Social studies'
+        },
+        matematikk: {
+            title: 'Mathematics',
+            notes: 'Click 1P and try R1 to show why it is closed. 1T + R1 + R2 meets the requirements for engineering programmes.\nThe "Hvis nye fag innføres" button shows Statistikk and Matematikk for økonomifag - these have not been adopted.',
+            heading: 'Mathematics',
+            subtitle: 'Click through your maths path from VG1 to VG3',
+            note: '<strong>Note:</strong> The decision to introduce new maths subjects has been postponed to 2027. Matematikk S1 will be offered as before.'
+        },
+        fordypning: {
+            title: 'In-depth study (fordypning)',
+            notes: 'Example: Rettslære 1 + 2 and Sosiologi + Politikk together give 2 fordypninger.\nMK and Music have fordypning built into their compulsory programme subjects.',
+            heading: 'In-depth study (fordypning)',
+            subtitle: 'How do you get a fordypning?',
+            definition: 'Fordypning = completing two subjects in the same subject area',
+            'example1.title': 'Example 1: Science',
+            'example2.title': 'Example 2: Languages, social sciences and economics',
+            'example.result': '1 fordypning',
+            info: 'Mathematics and science subjects give extra points when applying to higher education!',
+            requirement: '<strong><span class="obs-label">NB!</span> Studiespesialisering requires at least 2 fordypninger in the same programme area</strong>',
+            note: 'MK and Music get fordypning automatically through their compulsory programme subjects.'
+        },
+        'fordypning-fag': {
+            title: 'Which subjects give fordypning?',
+            heading: 'Which subjects give fordypning?',
+            subtitle: 'Overview of subject pairs that give fordypning',
+            'realfag.title': 'Science',
+            'ssa.title': 'Languages, social sciences and economics',
+            'ingen.title': 'Examples of subjects that do NOT give fordypning:',
+            note: 'The subjects on offer vary from year to year. This overview shows examples of how fordypning works.'
+        },
+        'fordypning-kalkulator': {
+            title: 'Fordypning calculator',
+            notes: 'Let the students try it on their phones. Show an example: Fysikk 1 + 2 and Matematikk R1 + R2 give 2 fordypninger in Science.\nMatematikk S and R count in both programme areas.',
+            heading: 'Work out your fordypning',
+            subtitle: 'Pick the subjects you are considering and see which fordypninger they give'
+        },
+        fremmedsprak: {
+            title: 'Foreign languages',
+            notes: 'Only applies to students who did NOT take a foreign language in lower secondary school: they must choose Spansk I+II in VG3.\nThe answer in the wizard is remembered and used in the diploma check.',
+            heading: 'Foreign languages',
+            subtitle: 'Answer the questions and see what applies to you'
+        },
+        premisser: {
+            title: 'Conditions for subject choice',
+            notes: 'Stress that students apply for a place - the combination is not guaranteed.',
+            heading: 'Conditions for subject choice',
+            subtitle: 'Important to know before you choose',
+            premiss1: 'You <strong>apply for a place</strong> in a subject, but you are not guaranteed the combination of subjects you choose.',
+            premiss2: 'Your choice must give <strong>fordypning</strong> in a programme area and a <strong>valid diploma</strong>.',
+            premiss3: 'If <strong>too few students</strong> apply for a subject, it will not be offered, and those who applied must choose another subject.',
+            premiss4: 'If groups are full, the school decides who gets a place in which subjects based on programme area, subject combinations and other considerations.'
+        },
+        'vitnemal-sjekk': {
+            title: 'Check your diploma',
+            notes: 'Choose a programme area and subjects for VG2 and VG3 - every rule that is not met is shown with an explanation.\nRemember maths in VG2, and that follow-on subjects (Fysikk 2 etc.) only run in VG3.',
+            heading: 'Do your subjects give a valid diploma?',
+            subtitle: 'Enter your subjects for VG2 and VG3 and see which rules are not met'
+        },
+        blokkskjema: {
+            title: 'Block schedule',
+            notes: 'The subjects are spread over 4 blocks taught at the same time - you cannot take two subjects from the same block.\nFollow-on subjects (Fysikk 2, Kjemi 2 etc.) only run in VG3.\nDemo of condition 1: choose Fysikk 1 and Psykologi 1 - both are in Block 2. R1 runs in two blocks and is moved automatically.',
+            heading: 'Block schedule',
+            subtitle: 'Choose subjects and see if they can be combined'
+        },
+        studieplanlegger: {
+            title: 'Study planner',
+            notes: 'The study planner is loaded from the web. Open the presentation once online before presenting, so a copy is ready for offline use.',
+            heading: 'Choosing in practice',
+            subtitle: 'Try out different subject combinations'
+        },
+        kontakt: {
+            title: 'Contact us',
+            heading: 'Questions? Contact us!',
+            subtitle: 'We are here to help you with your subject choices',
+            'counselor.title': 'Counsellor',
+            info: 'Drop by, send a message, or book a time for a talk',
+            'fagkatalog.title': 'Subject catalogue',
+            'fagkatalog.text': 'Read more about all the subjects',
+            'blokkskjema.title': 'Block schedule',
+            'blokkskjema.text': 'See how subjects are distributed',
+            'studieplanlegger.title': 'Study planner',
+            'studieplanlegger.text': 'Plan your subject choices',
+            'utdanning.text': 'Education and careers',
+            'vilbli.text': 'Upper secondary education',
+            'samordna.text': 'Admission to higher education'
+        }
+    }
+};
@@ -0,0 +1,241 @@
+/**
+ * Bokmål
+ * Messages for the presentation controller. Bokmål is the source language:
+ * every key the controller uses is listed here, and the other catalogs fall
+ * back to these. Slide text in bokmål lives in index.html and js/slides.js.
+ */
+window.I18N_CATALOGS = window.I18N_CATALOGS || {};
+window.I18N_CATALOGS.nb = {
+    name: 'Bokmål',
+    locale: 'nb-NO',
+    messages: {
+        'document.title': 'Fagvalg 2026-2027 | Bergen Private Gymnas',
+        'counter.slide': 'Slide',
+        'counter.of': 'av',
+        'menu.label': 'Slide navigasjon meny',
+        'lang.label': 'Språk',
+        'hint.keyboard': 'Bruk <kbd>&#8592;</kbd> <kbd>&#8594;</kbd> piltaster for navigering, <kbd>?</kbd> for alle hurtigtaster',
+        'reveal.more': 'Klikk for mer',
+        'nav.label': 'Slide navigasjon',
+        'nav.prev': 'Forrige slide',
+        'nav.next': 'Neste slide',
+        'nav.fullscreen': 'Fullskjerm (F)',
+        'announce.slide': '{title}. Slide {current} av {total}',
+
+        'embed.retry': 'Prøv igjen',
+        'embed.studieplanlegger.loading': 'Laster studieplanleggeren …',
+        'embed.studieplanlegger.error': 'Studieplanleggeren kunne ikke lastes. Sjekk nettverket, eller åpne presentasjonen én gang med nett før visning så den lagres for bruk uten nett.',
+        'embed.studieplanlegger.print': 'Prøv ulike fagkombinasjoner i studieplanleggeren: <strong>{url}</strong>',
+        'embed.blokkskjema.loading': 'Laster blokkskjemaet …',
+        'embed.blokkskjema.fallback': 'Blokkskjemaet kunne ikke lastes fra nettet. Her er et lagret eksempel.',
+        'embed.blokkskjema.image': 'Eksempel på blokkskjema',
+
+        'list.and': 'og',
+        'list.or': 'eller',
+
+        'fordypning.error': 'Kunne ikke laste fagoversikten.',
+        'fordypning.count.one': '{count} fordypning',
+        'fordypning.count.other': '{count} fordypninger',
+        'fordypning.countIn.one': 'fordypning i {omrade}',
+        'fordypning.countIn.other': 'fordypninger i {omrade}',
+        'fordypning.ruleMet': 'Kravet for studiespesialisering er oppfylt: {count} i {omrade}.',
+        'fordypning.ruleUnmet': 'Studiespesialisering krever minimum {count} fra samme programområde.',
+        'fordypning.ruleUnmetHave': 'Studiespesialisering krever minimum {count} fra samme programområde – du har {have} i {omrade}.',
+        'fordypning.suggestion': 'gir fordypning i {fordypning} ({omrader})',
+        'fordypning.meetsRequirement': 'oppfyller kravet',
+        'fordypning.suggestionsTitle': 'Ett fag til som fullfører en fordypning:',
+        'fordypning.summary': 'To fag fra samme gruppe gir én fordypning. Studiespesialisering krever minimum {count} fra samme programområde.',
+
+        'vitnemal.error': 'Kunne ikke laste reglene for vitnemål.',
+        'vitnemal.fremmedsprak.fortsetter': 'Fortsatte med språket',
+        'vitnemal.fremmedsprak.byttet': 'Byttet språk',
+        'vitnemal.fremmedsprak.ingen': 'Hadde ikke fremmedspråk',
+        'vitnemal.selected': '({count} valgt)',
+        'vitnemal.valid': 'Fagene gir gyldig vitnemål for {omrade}.',
+        'vitnemal.broken.one': '{count} regel er ikke oppfylt',
+        'vitnemal.broken.other': '{count} regler er ikke oppfylt',
+        'vitnemal.allOmrader': 'Gjelder alle',
+
+        'sprak.error': 'Kunne ikke laste veiviseren.',
+        'sprak.change': 'Endre svar',
+        'sprak.slots': '{free} av {total} programfag i VG3 kan velges fritt',
+        'sprak.restart': 'Start på nytt',
+
+        'blokk.error': 'Kunne ikke laste blokkskjemaet.',
+        'blokk.schoolTab': 'Skolens blokkskjema',
+        'blokk.places': '{count} plasser',
+        'blokk.full': 'fullt',
+        'blokk.hint': 'Klikk på fagene du vil velge for å se om de kan kombineres.',
+        'blokk.clashSame': '{fag} og {andre} går begge i {blokk} – du kan ikke ta begge.',
+        'blokk.clashOther': '{fag} går i {blokker}, men der har du allerede valgt {andre}.',
+        'blokk.alsoIn': '(går også i {blokker})',
+        'blokk.free': 'Ledig {blokk}:',
+        'blokk.clashes.one': 'Ett fag får ikke plass i blokkskjemaet',
+        'blokk.clashes.other': '{count} fag får ikke plass i blokkskjemaet',
+        'blokk.ok': 'Fagene kan kombineres',
+        'blokk.suggestionsTitle': 'Velg heller et fag fra en ledig blokk:',
+        'blokk.summary': 'Fag i samme blokk har undervisning samtidig og kan ikke kombineres.',
+
+        'math.error': 'Kunne ikke laste matematikkløpene.',
+        'math.waiting': 'Velg i {trinn} først',
+        'math.closed': 'Stengt',
+        'math.hint': 'Velg matematikk for VG1 og VG2 for å se hva løpet gir.',
+        'math.fordypning': 'Gir fordypning i {fordypning}',
+        'math.forslag': 'Gir ikke fordypning alene – med {kurs} i VG3 blir det fordypning i {fordypning}',
+        'math.noFordypning': 'Løpet gir ikke fordypning',
+        'math.opptakskrav': 'Opptakskrav',
+        'math.draft': '(ikke vedtatt)',
+        'math.path': 'Løp',
+        'math.fordypningColumn': 'Fordypning',
+        'math.meets': 'Oppfyller',
+
+        'follow.connecting': 'Kobler til presentasjonen …',
+        'follow.reconnecting': 'Mistet forbindelsen – prøver igjen …',
+        'follow.publishing': 'Deler live · {count} følger',
+        'follow.waiting': 'Venter på presentatøren …',
+        'follow.detached': 'Du blar på egen hånd',
+        'follow.follow': 'Følg presentasjonen',
+        'follow.following': 'Følger presentasjonen',
+        'follow.browse': 'Bla selv',
+
+        'poll.pick': 'Velg et spørsmål for å starte avstemningen',
+        'poll.waiting': 'Venter på at avstemningen starter …',
+        'poll.close': 'Avslutt',
+        'poll.placeholder': 'Skriv et kort svar',
+        'poll.send': 'Send',
+        'poll.thanks': 'Takk! Du kan endre svaret ditt.',
+        'poll.empty': 'Ingen svar ennå',
+        'poll.answers': '{count} svar',
+
+        'questions.ask': 'Still et spørsmål',
+        'questions.anonymous': 'Spørsmålet er anonymt. Rådgiverne går gjennom det før det vises på skjermen.',
+        'questions.submit': 'Send',
+        'questions.close': 'Lukk',
+        'questions.sent': 'Takk! Spørsmålet vises når rådgiverne har godkjent det.',
+        'questions.tooShort': 'Skriv litt mer før du sender.',
+        'questions.title': 'Spørsmål fra salen',
+        'questions.answered': 'Besvart',
+        'questions.upvote': 'Jeg lurer på det samme',
+        'questions.moderation': 'Spørsmål',
+        'questions.pending': '{count} venter',
+        'questions.export': 'Eksporter som FAQ',
+        'questions.status.pending': 'Venter',
+        'questions.status.approved': 'Vises',
+        'questions.status.answered': 'Besvart',
+        'questions.status.hidden': 'Skjult',
+        'questions.mergedCount': '{count} slått sammen',
+        'questions.approve': 'Godkjenn',
+        'questions.answerPlaceholder': 'Kort svar til FAQ (valgfritt)',
+        'questions.markAnswered': 'Besvart',
+        'questions.reopen': 'Vis igjen',
+        'questions.hide': 'Skjul',
+        'questions.merge': 'Slå sammen med …',
+        'questions.faqTitle': 'Spørsmål og svar om fagvalg',
+        'questions.faqExported': 'Spørsmål fra informasjonsmøtet, eksportert {date}.',
+        'questions.votes': '{count} stemmer',
+        'questions.alsoAsked': 'Også spurt som: {questions}',
+        'questions.noAnswer': '_Ikke besvart ennå._',
+        'questions.error.for-mange': 'For mange av spørsmålene dine venter på godkjenning. Vent litt før du sender flere.',
+        'questions.error.nokkel': 'Ugyldig presentatørnøkkel',
+
+        'booking.free': '{count} ledige timer',
+        'booking.yours': 'Du har time her',
+        'booking.book': 'Bestill time',
+        'booking.show': 'Se timen din',
+        'booking.title': 'Bestill time hos {name}',
+        'booking.info': 'Velg en ledig time til individuell rådgivning om fagvalget.',
+        'booking.pick': 'Ledige timer',
+        'booking.none': 'Alle timene er tatt. Send rådgiveren en melding i stedet.',
+        'booking.name': 'Fullt navn',
+        'booking.class': 'Klasse (f.eks. 1STA)',
+        'booking.submit': 'Bestill',
+        'booking.slot': '{day} kl. {from}–{to}',
+        'booking.confirmedTitle': 'Timen er bestilt',
+        'booking.confirmed': 'Du har time hos {name} {time}. Sted: {place}.',
+        'booking.calendar': 'Legg i kalenderen',
+        'booking.cancel': 'Avbestill',
+        'booking.cancelConfirm': 'Vil du avbestille timen?',
+        'booking.cancelFor': 'Vil du avbestille timen til {student}?',
+        'booking.eventTitle': 'Rådgivning om fagvalg med {name}',
+        'booking.eventText': 'Individuell samtale for {student} ({klasse}).',
+        'booking.presenterTitle': 'Rådgivningstimer',
+        'booking.count': '{count} bestilt',
+        'booking.export': 'Last ned timeplan',
+        'booking.error.navn': 'Skriv inn navnet ditt.',
+        'booking.error.klasse': 'Skriv inn klassen din, f.eks. 1STA.',
+        'booking.error.slot': 'Velg en ledig time.',
+        'booking.error.opptatt': 'Noen rakk å ta den timen. Velg en annen.',
+        'booking.error.har-time': 'Du har allerede en time. Avbestill den først hvis du vil bytte.',
+        'booking.error.nokkel': 'Ugyldig presentatørnøkkel',
+
+        'timeline.deadline': 'Frist: {date}',
+        'timeline.datePending': 'Frist: dato kommer',
+        'timeline.done': 'Ferdig',
+        'timeline.countdown': 'Nedtelling: {title}',
+        'timeline.countdownPending': '{title}: dato kommer',
+        'timeline.allDone': 'Alle fristene for fagvalget er passert.',
+        'timeline.days': 'dager',
+        'timeline.hours': 'timer',
+        'timeline.minutes': 'min',
+        'timeline.seconds': 'sek',
+        'timeline.export': 'Legg fristene i kalenderen',
+        'timeline.calendarName': 'Fagvalg - frister',
+        'timeline.error': 'Kunne ikke laste tidslinjen.',
+
+        'presenter.title': 'Presentatørvisning',
+        'presenter.resetTimer': 'Klikk for å nullstille',
+        'presenter.now': 'Nå',
+        'presenter.next': 'Neste',
+        'presenter.notes': 'Notater',
+        'presenter.slideInfo': 'Slide {current} av {total} · {title}',
+        'presenter.step': ' · Steg {step} av {total}',
+        'presenter.nextStep': 'Neste steg',
+        'presenter.nextSlide': 'Neste slide',
+        'presenter.end': 'Slutt på presentasjonen',
+        'presenter.embed': 'Innebygd innhold',
+        'presenter.noNotes': 'Ingen notater for denne sliden.',
+
+        'print.button': 'Skriv ut / lagre som PDF',
+        'print.notes': 'Ta med notater',
+        'print.back': 'Tilbake til presentasjonen',
+
+        'kiosk.hint': 'Trykk på skjermen for å bla selv',
+
+        'overview.title': 'Oversikt',
+        'overview.hint': 'Velg slide med piltastene og Enter, eller klikk. Esc lukker.',
+        'overview.close': 'Lukk',
+        'overview.stepsLeft': '{count} steg igjen',
+
+        'keys.title': 'Hurtigtaster',
+        'keys.action.next': 'Neste (steg eller slide)',
+        'keys.action.prev': 'Tilbake (steg eller slide)',
+        'keys.action.stepBack': 'Ett steg tilbake',
+        'keys.action.first': 'Første slide',
+        'keys.action.last': 'Siste slide',
+        'keys.action.goTo': 'Gå til slide',
+        'keys.action.overview': 'Oversikt (eller hold Esc)',
+        'keys.action.blackout': 'Svart skjerm',
+        'keys.action.fullscreen': 'Fullskjerm',
+        'keys.action.presenter': 'Presentatørvisning',
+        'keys.action.handout': 'Utskrift',
+        'keys.action.help': 'Vis hurtigtaster',
+        'keys.number': 'Slidenummer + Enter',
+        'keys.note': 'Tastene du legger til, lagres i denne nettleseren. Tall, Enter og Esc kan ikke endres.',
+        'keys.none': 'Ingen',
+        'keys.add': 'Legg til tast',
+        'keys.press': 'Trykk en tast …',
+        'keys.reset': 'Tilbakestill',
+        'keys.close': 'Lukk',
+        'keys.goTo': 'Gå til slide',
+        'keys.typeNumber': 'Skriv slidenummer og trykk Enter',
+        'keys.noSlide': 'Finnes ikke',
+        'key.space': 'Mellomrom',
+        'key.Enter': 'Enter',
+        'key.PageUp': 'Page Up',
+        'key.PageDown': 'Page Down',
+        'key.Home': 'Home',
+        'key.End': 'End',
+        'key.Backspace': 'Tilbake'
+    },
+    slides: {}
+};
@@ -0,0 +1,360 @@
+/**
+ * Nynorsk
+ * Messages and slide text. Keys that are missing here fall back to bokmål.
+ * Slide text is keyed by slide ID and the data-i18n attributes in index.html.
+ */
+window.I18N_CATALOGS = window.I18N_CATALOGS || {};
+window.I18N_CATALOGS.nn = {
+    name: 'Nynorsk',
+    locale: 'nn-NO',
+    messages: {
+        'document.title': 'Fagval 2026-2027 | Bergen Private Gymnas',
+        'counter.of': 'av',
+        'menu.label': 'Meny for slidenavigasjon',
+        'lang.label': 'Språk',
+        'hint.keyboard': 'Bruk <kbd>&#8592;</kbd> <kbd>&#8594;</kbd> piltastane for å navigere, <kbd>?</kbd> for alle snøggtastar',
+        'reveal.more': 'Klikk for meir',
+        'nav.label': 'Slidenavigasjon',
+        'nav.prev': 'Førre slide',
+        'nav.next': 'Neste slide',
+        'nav.fullscreen': 'Fullskjerm (F)',
+        'announce.slide': '{title}. Slide {current} av {total}',
+
+        'embed.retry': 'Prøv igjen',
+        'embed.studieplanlegger.loading': 'Lastar studieplanleggjaren …',
+        'embed.studieplanlegger.error': 'Studieplanleggjaren kunne ikkje lastast. Sjekk nettverket, eller opne presentasjonen éin gong med nett før visning, så blir han lagra for bruk utan nett.',
+        'embed.studieplanlegger.print': 'Prøv ulike fagkombinasjonar i studieplanleggjaren: <strong>{url}</strong>',
+        'embed.blokkskjema.loading': 'Lastar blokkskjemaet …',
+        'embed.blokkskjema.fallback': 'Blokkskjemaet kunne ikkje lastast frå nettet. Her er eit lagra døme.',
+        'embed.blokkskjema.image': 'Døme på blokkskjema',
+
+        'list.and': 'og',
+        'list.or': 'eller',
+
+        'fordypning.error': 'Kunne ikkje laste fagoversikta.',
+        'fordypning.count.one': '{count} fordjuping',
+        'fordypning.count.other': '{count} fordjupingar',
+        'fordypning.countIn.one': 'fordjuping i {omrade}',
+        'fordypning.countIn.other': 'fordjupingar i {omrade}',
+        'fordypning.ruleMet': 'Kravet for studiespesialisering er oppfylt: {count} i {omrade}.',
+        'fordypning.ruleUnmet': 'Studiespesialisering krev minst {count} frå same programområde.',
+        'fordypning.ruleUnmetHave': 'Studiespesialisering krev minst {count} frå same programområde – du har {have} i {omrade}.',
+        'fordypning.suggestion': 'gjev fordjuping i {fordypning} ({omrader})',
+        'fordypning.meetsRequirement': 'oppfyller kravet',
+        'fordypning.suggestionsTitle': 'Eitt fag til som fullfører ei fordjuping:',
+        'fordypning.summary': 'To fag frå same gruppe gjev éi fordjuping. Studiespesialisering krev minst {count} frå same programområde.',
+
+        'vitnemal.error': 'Kunne ikkje laste reglane for vitnemål.',
+        'vitnemal.fremmedsprak.fortsetter': 'Heldt fram med språket',
+        'vitnemal.fremmedsprak.byttet': 'Bytte språk',
+        'vitnemal.fremmedsprak.ingen': 'Hadde ikkje framandspråk',
+        'vitnemal.selected': '({count} valt)',
+        'vitnemal.valid': 'Faga gjev gyldig vitnemål for {omrade}.',
+        'vitnemal.broken.one': '{count} regel er ikkje oppfylt',
+        'vitnemal.broken.other': '{count} reglar er ikkje oppfylte',
+        'vitnemal.allOmrader': 'Gjeld alle',
+
+        'sprak.error': 'Kunne ikkje laste vegvisaren.',
+        'sprak.change': 'Endre svar',
+        'sprak.slots': '{free} av {total} programfag i VG3 kan veljast fritt',
+        'sprak.restart': 'Start på nytt',
+
+        'blokk.error': 'Kunne ikkje laste blokkskjemaet.',
+        'blokk.schoolTab': 'Blokkskjemaet til skulen',
+        'blokk.places': '{count} plassar',
+        'blokk.full': 'fullt',
+        'blokk.hint': 'Klikk på faga du vil velje for å sjå om dei kan kombinerast.',
+        'blokk.clashSame': '{fag} og {andre} går begge i {blokk} – du kan ikkje ta begge.',
+        'blokk.clashOther': '{fag} går i {blokker}, men der har du alt valt {andre}.',
+        'blokk.alsoIn': '(går òg i {blokker})',
+        'blokk.free': 'Ledig {blokk}:',
+        'blokk.clashes.one': 'Eitt fag får ikkje plass i blokkskjemaet',
+        'blokk.clashes.other': '{count} fag får ikkje plass i blokkskjemaet',
+        'blokk.ok': 'Faga kan kombinerast',
+        'blokk.suggestionsTitle': 'Vel heller eit fag frå ei ledig blokk:',
+        'blokk.summary': 'Fag i same blokk har undervisning samtidig og kan ikkje kombinerast.',
+
+        'math.error': 'Kunne ikkje laste matematikkløpa.',
+        'math.waiting': 'Vel i {trinn} først',
+        'math.closed': 'Stengt',
+        'math.hint': 'Vel matematikk for VG1 og VG2 for å sjå kva løpet gjev.',
+        'math.fordypning': 'Gjev fordjuping i {fordypning}',
+        'math.forslag': 'Gjev ikkje fordjuping åleine – med {kurs} i VG3 blir det fordjuping i {fordypning}',
+        'math.noFordypning': 'Løpet gjev ikkje fordjuping',
+        'math.opptakskrav': 'Opptakskrav',
+        'math.draft': '(ikkje vedteke)',
+        'math.path': 'Løp',
+        'math.fordypningColumn': 'Fordjuping',
+        'math.meets': 'Oppfyller',
+
+        'follow.connecting': 'Koplar til presentasjonen …',
+        'follow.reconnecting': 'Mista sambandet – prøver igjen …',
+        'follow.publishing': 'Deler live · {count} følgjer',
+        'follow.waiting': 'Ventar på presentatøren …',
+        'follow.detached': 'Du blar på eiga hand',
+        'follow.follow': 'Følg presentasjonen',
+        'follow.following': 'Følgjer presentasjonen',
+        'follow.browse': 'Bla sjølv',
+
+        'poll.pick': 'Vel eit spørsmål for å starte avrøystinga',
+        'poll.waiting': 'Ventar på at avrøystinga startar …',
+        'poll.close': 'Avslutt',
+        'poll.placeholder': 'Skriv eit kort svar',
+        'poll.send': 'Send',
+        'poll.thanks': 'Takk! Du kan endre svaret ditt.',
+        'poll.empty': 'Ingen svar enno',
+        'poll.answers': '{count} svar',
+
+        'questions.ask': 'Still eit spørsmål',
+        'questions.anonymous': 'Spørsmålet er anonymt. Rådgjevarane går gjennom det før det blir vist på skjermen.',
+        'questions.submit': 'Send',
+        'questions.close': 'Lukk',
+        'questions.sent': 'Takk! Spørsmålet blir vist når rådgjevarane har godkjent det.',
+        'questions.tooShort': 'Skriv litt meir før du sender.',
+        'questions.title': 'Spørsmål frå salen',
+        'questions.answered': 'Svart på',
+        'questions.upvote': 'Eg lurer på det same',
+        'questions.moderation': 'Spørsmål',
+        'questions.pending': '{count} ventar',
+        'questions.export': 'Eksporter som FAQ',
+        'questions.status.pending': 'Ventar',
+        'questions.status.approved': 'Blir vist',
+        'questions.status.answered': 'Svart på',
+        'questions.status.hidden': 'Skjult',
+        'questions.mergedCount': '{count} slått saman',
+        'questions.approve': 'Godkjenn',
+        'questions.answerPlaceholder': 'Kort svar til FAQ (valfritt)',
+        'questions.markAnswered': 'Svart på',
+        'questions.reopen': 'Vis igjen',
+        'questions.hide': 'Skjul',
+        'questions.merge': 'Slå saman med …',
+        'questions.faqTitle': 'Spørsmål og svar om fagval',
+        'questions.faqExported': 'Spørsmål frå informasjonsmøtet, eksportert {date}.',
+        'questions.votes': '{count} røyster',
+        'questions.alsoAsked': 'Også spurt som: {questions}',
+        'questions.noAnswer': '_Ikkje svart på enno._',
+        'questions.error.for-mange': 'For mange av spørsmåla dine ventar på godkjenning. Vent litt før du sender fleire.',
+        'questions.error.nokkel': 'Ugyldig presentatørnøkkel',
+
+        'booking.free': '{count} ledige timar',
+        'booking.yours': 'Du har time her',
+        'booking.book': 'Bestill time',
+        'booking.show': 'Sjå timen din',
+        'booking.title': 'Bestill time hos {name}',
+        'booking.info': 'Vel ein ledig time til individuell rådgiving om fagvalet.',
+        'booking.pick': 'Ledige timar',
+        'booking.none': 'Alle timane er tekne. Send rådgjevaren ei melding i staden.',
+        'booking.name': 'Fullt namn',
+        'booking.class': 'Klasse (t.d. 1STA)',
+        'booking.submit': 'Bestill',
+        'booking.slot': '{day} kl. {from}–{to}',
+        'booking.confirmedTitle': 'Timen er bestilt',
+        'booking.confirmed': 'Du har time hos {name} {time}. Stad: {place}.',
+        'booking.calendar': 'Legg i kalenderen',
+        'booking.cancel': 'Avbestill',
+        'booking.cancelConfirm': 'Vil du avbestille timen?',
+        'booking.cancelFor': 'Vil du avbestille timen til {student}?',
+        'booking.eventTitle': 'Rådgiving om fagval med {name}',
+        'booking.eventText': 'Individuell samtale for {student} ({klasse}).',
+        'booking.presenterTitle': 'Rådgivingstimar',
+        'booking.count': '{count} bestilt',
+        'booking.export': 'Last ned timeplan',
+        'booking.error.navn': 'Skriv inn namnet ditt.',
+        'booking.error.klasse': 'Skriv inn klassen din, t.d. 1STA.',
+        'booking.error.slot': 'Vel ein ledig time.',
+        'booking.error.opptatt': 'Nokon rakk å ta den timen. Vel ein annan.',
+        'booking.error.har-time': 'Du har allereie ein time. Avbestill han først om du vil byte.',
+        'booking.error.nokkel': 'Ugyldig presentatørnøkkel',
+
+        'timeline.deadline': 'Frist: {date}',
+        'timeline.datePending': 'Frist: dato kjem',
+        'timeline.done': 'Ferdig',
+        'timeline.countdown': 'Nedteljing: {title}',
+        'timeline.countdownPending': '{title}: dato kjem',
+        'timeline.allDone': 'Alle fristane for fagvalet er passerte.',
+        'timeline.days': 'dagar',
+        'timeline.hours': 'timar',
+        'timeline.minutes': 'min',
+        'timeline.seconds': 'sek',
+        'timeline.export': 'Legg fristane i kalenderen',
+        'timeline.calendarName': 'Fagval - fristar',
+        'timeline.error': 'Kunne ikkje laste tidslinja.',
+
+        'presenter.title': 'Presentatørvising',
+        'presenter.resetTimer': 'Klikk for å nullstille',
+        'presenter.now': 'No',
+        'presenter.next': 'Neste',
+        'presenter.notes': 'Notat',
+        'presenter.slideInfo': 'Slide {current} av {total} · {title}',
+        'presenter.step': ' · Steg {step} av {total}',
+        'presenter.nextStep': 'Neste steg',
+        'presenter.nextSlide': 'Neste slide',
+        'presenter.end': 'Slutt på presentasjonen',
+        'presenter.embed': 'Innebygd innhald',
+        'presenter.noNotes': 'Ingen notat for denne sliden.',
+
+        'print.button': 'Skriv ut / lagre som PDF',
+        'print.notes': 'Ta med notat',
+        'print.back': 'Tilbake til presentasjonen',
+
+        'kiosk.hint': 'Trykk på skjermen for å bla sjølv',
+
+        'overview.title': 'Oversikt',
+        'overview.hint': 'Vel slide med piltastane og Enter, eller klikk. Esc lukkar.',
+        'overview.close': 'Lukk',
+        'overview.stepsLeft': '{count} steg att',
+
+        'keys.title': 'Snøggtastar',
+        'keys.action.next': 'Neste (steg eller slide)',
+        'keys.action.prev': 'Tilbake (steg eller slide)',
+        'keys.action.stepBack': 'Eitt steg tilbake',
+        'keys.action.first': 'Første slide',
+        'keys.action.last': 'Siste slide',
+        'keys.action.goTo': 'Gå til slide',
+        'keys.action.overview': 'Oversikt (eller hald Esc)',
+        'keys.action.blackout': 'Svart skjerm',
+        'keys.action.fullscreen': 'Fullskjerm',
+        'keys.action.presenter': 'Presentatørvising',
+        'keys.action.handout': 'Utskrift',
+        'keys.action.help': 'Vis snøggtastar',
+        'keys.number': 'Slidenummer + Enter',
+        'keys.note': 'Tastane du legg til, blir lagra i denne nettlesaren. Tal, Enter og Esc kan ikkje endrast.',
+        'keys.none': 'Ingen',
+        'keys.add': 'Legg til tast',
+        'keys.press': 'Trykk ein tast …',
+        'keys.reset': 'Tilbakestill',
+        'keys.close': 'Lukk',
+        'keys.goTo': 'Gå til slide',
+        'keys.typeNumber': 'Skriv slidenummer og trykk Enter',
+        'keys.noSlide': 'Finst ikkje',
+        'key.space': 'Mellomrom',
+        'key.Backspace': 'Tilbake'
+    },
+    slides: {
+        tittel: {
+            title: 'Fagval 2026-2027',
+            heading: 'Fagval 2026-2027',
+            subtitle: 'For elevar på BPG som skal velje programfag'
+        },
+        tidslinje: {
+            title: 'Tidslinje',
+            notes: 'Prøvefagvalet dannar grunnlaget for blokkskjemaet. Siste frist torsdag kl. 15.00 - svara kan endrast fram til då.\nIndividuell rådgiving i januar. Endeleg frist i InSchool i februar - nedteljinga viser datoen så snart han er sett i data/tidslinje.json.\nElevane kan leggje fristane i kalenderen på mobilen med knappen under tidslinja.',
+            subtitle: 'Viktige datoar for fagvalet',
+            'desember.title': 'Felles informasjon + Prøvefagval',
+            'desember.text': 'Denne presentasjonen og høve til å prøve ut ulike fagkombinasjonar',
+            'desember.calendar': 'Frist for prøvefagval',
+            'januar.title': 'Informasjon til elevar klassevis + Foreldremøte',
+            'januar.text': 'Høve til personleg rettleiing med rådgjevar om vala dine',
+            'februar.title': 'Endeleg fagval',
+            'februar.text': 'Frist for å levere det endelege fagvalet ditt i InSchool',
+            'februar.calendar': 'Frist for endeleg fagval i InSchool'
+        },
+        grunnlag: {
+            title: 'Kva skal liggje til grunn?',
+            notes: 'Start med eleven sjølv: interesser og kva dei er gode til.\nNokre studium har særskilde opptakskrav - sjekk utdanning.no.\nFaga må alltid gje gyldig vitnemål.\nMed serveren i gang kan elevane svare på mobilen - byt spørsmål med knappane over resultata.',
+            'poll.interesser': 'Kva er du mest interessert i?',
+            'poll.interesser.realfag': 'Realfag',
+            'poll.interesser.samfunnsfag': 'Samfunnsfag',
+            'poll.interesser.sprak': 'Språk',
+            'poll.interesser.okonomi': 'Økonomi',
+            'poll.interesser.medier': 'Medium og kunst',
+            'poll.interesser.musikk': 'Musikk',
+            'poll.studere': 'Kva vil du studere?',
+            heading: 'Kva skal liggje til grunn for valet ditt?',
+            subtitle: 'Tre viktige faktorar for valet ditt',
+            'personlig.title': 'Personlege eigenskapar',
+            'personlig.list': '<li>Kven er du?</li><li>Kva likar du?</li><li>Kva er du god til?</li>',
+            'studier.title': 'Studium og karriere',
+            'studier.list': '<li>Kva vil du studere?</li><li>Særskilde opptakskrav?</li><li>Moglegheiter i framtida</li>',
+            'vitnemal.title': 'Krav til vitnemål',
+            'vitnemal.list': '<li>Faga må gje gyldig vitnemål</li><li>Fordjupingskrav</li><li>Obligatoriske fag</li>'
+        },
+        programomrader: {
+            title: 'Programområde',
+            notes: 'Programområdet avgjer kor mange programfag eleven skal velje.\nVi ventar på nye reglar for studiespesialisering og kva for programområde faga må høyre til.',
+            heading: 'Programområde og tal på fag',
+            subtitle: 'Oversikt over dei ulike studieretningane'
+        },
+        'fellesfag-programfag': {
+            subtitle: 'Forstå skilnaden',
+            'fellesfag.text': 'Bestemt av programområdet ditt - kan ikkje veljast bort. Alle må ha desse faga.',
+            'programfag.text': 'Fag du vel sjølv som gjev fordjuping innanfor område du er interessert i.'
+        },
+        matematikk: {
+            notes: 'Klikk 1P og prøv R1 for å vise kvifor det er stengt. 1T + R1 + R2 oppfyller krava til teknologistudium.\nKnappen "Hvis nye fag innføres" viser Statistikk og Matematikk for økonomifag - dette er ikkje vedteke.',
+            subtitle: 'Klikk deg gjennom matematikkløpet ditt frå VG1 til VG3',
+            note: '<strong>Merk:</strong> Avgjerda om å opprette nye fag i matematikk er utsett til 2027. Matematikk S1 vil bli tilbode som før.'
+        },
+        fordypning: {
+            title: 'Fordjuping i fag',
+            notes: 'Døme: Rettslære 1 + 2 og Sosiologi + Politikk gjev til saman 2 fordjupingar.\nMK og Musikk har fordjuping bakt inn i dei obligatoriske programfaga.',
+            heading: 'Fordjuping i fag',
+            subtitle: 'Korleis oppnår du fordjuping?',
+            definition: 'Fordjuping = fullføre to fag frå same fagområde',
+            'example1.title': 'Døme 1: Realfag',
+            'example2.title': 'Døme 2: Språk, samfunnsfag og økonomi',
+            'example.result': '1 fordjuping',
+            info: 'Matematikk- og realfag gjev tilleggspoeng ved søknad til høgare utdanning!',
+            requirement: '<strong><span class="obs-label">OBS!</span> Studiespesialisering krev minimum 2 fordjupingar frå same programområde</strong>',
+            note: 'MK og Musikk får automatisk fordjuping gjennom dei obligatoriske programfaga sine.'
+        },
+        'fordypning-fag': {
+            title: 'Kva fag gjev fordjuping?',
+            heading: 'Kva fag gjev fordjuping?',
+            subtitle: 'Oversikt over fagpar som gjev fordjuping',
+            'ingen.title': 'Døme på fag som IKKJE gjev fordjuping:',
+            note: 'Fagtilbodet på skulen varierer frå år til år. Denne oversikta viser døme på korleis fordjuping fungerer.'
+        },
+        'fordypning-kalkulator': {
+            title: 'Fordjupingskalkulator',
+            notes: 'La elevane prøve sjølve på mobilen. Vis gjerne eit døme: Fysikk 1 + 2 og Matematikk R1 + R2 gjev 2 fordjupingar i Realfag.\nMatematikk S og R tel i begge programområda.',
+            heading: 'Rekn ut fordjupinga di',
+            subtitle: 'Vel faga du vurderer, og sjå kva fordjupingar dei gjev'
+        },
+        fremmedsprak: {
+            title: 'Framandspråk',
+            notes: 'Gjeld berre dei som IKKJE hadde framandspråk på ungdomsskulen: dei må velje Spansk I+II i VG3.\nSvaret i vegvisaren blir hugsa og brukt i vitnemålssjekken.',
+            heading: 'Framandspråk',
+            subtitle: 'Svar på spørsmåla og sjå kva som gjeld for deg'
+        },
+        premisser: {
+            title: 'Premiss for fagval',
+            notes: 'Understrek at ein søkjer plass - kombinasjonen er ikkje garantert.',
+            heading: 'Premiss for fagval',
+            subtitle: 'Viktig å vite for fagvalet ditt',
+            premiss1: 'Du <strong>søkjer plass</strong> i fag, men er ikkje garantert å få den kombinasjonen av fag du vel.',
+            premiss2: 'Valet ditt må kunne gje <strong>fordjuping</strong> i eit programområde og eit <strong>gyldig vitnemål</strong>.',
+            premiss3: 'Dersom <strong>for få elevar</strong> søkjer seg til eit fag, blir ikkje faget tilbode, og dei som har søkt faget, må velje eit anna fag.',
+            premiss4: 'Dersom grupper blir fulle, avgjer skulen kven som får plass i kva fag ut frå programområde, fagkombinasjonar og andre omsyn.'
+        },
+        'vitnemal-sjekk': {
+            title: 'Sjekk vitnemålet',
+            notes: 'Vel programområde og fag for VG2 og VG3 - alle reglar som ikkje er oppfylte, blir viste med forklaring.\nHugs matematikk på VG2, og at fag som byggjer på (Fysikk 2 osb.), berre går i VG3.',
+            heading: 'Gjev faga gyldig vitnemål?',
+            subtitle: 'Legg inn faga for VG2 og VG3 og sjå kva reglar som ikkje er oppfylte'
+        },
+        blokkskjema: {
+            notes: 'Faga blir fordelte på 4 blokker med parallell undervisning - ein kan ikkje ta to fag frå same blokk.\nFag som byggjer på (Fysikk 2, Kjemi 2 osb.), går berre i VG3.\nDemo av premiss 1: vel Fysikk 1 og Psykologi 1 - begge går i Blokk 2. R1 går i to blokker og blir flytta automatisk.',
+            subtitle: 'Vel fag og sjå om dei kan kombinerast'
+        },
+        studieplanlegger: {
+            title: 'Studieplanleggjar',
+            notes: 'Studieplanleggjaren blir henta frå nettet. Opne presentasjonen éin gong med nett før visning, så ligg ein kopi klar for bruk utan nett.',
+            heading: 'Korleis velje i praksis',
+            subtitle: 'Prøv ut ulike fagkombinasjonar'
+        },
+        kontakt: {
+            title: 'Kontakt oss',
+            heading: 'Spørsmål? Kontakt oss!',
+            subtitle: 'Vi er her for å hjelpe deg med fagvalet',
+            'counselor.title': 'Rådgjevar',
+            info: 'Kom innom, send melding, eller avtal tid for samtale',
+            'fagkatalog.text': 'Les meir om alle faga',
+            'studieplanlegger.title': 'Studieplanleggjar',
+            'studieplanlegger.text': 'Planlegg fagvalet',
+            'utdanning.text': 'Utdanning og yrke',
+            'vilbli.text': 'Vidaregåande opplæring',
+            'samordna.text': 'Opptak til høgare utdanning'
+        }
+    }
+};
@@ -0,0 +1,483 @@
+/**
+ * Markdown Slide Compiler
+ * Turns a Markdown document (like "Informasjon om fagvalg.md") into slide
+ * manifest entries that the presentation controller can render.
+ *
+ * Works in the browser (window.MarkdownSlides) and in Node (require).
+ *
+ * Syntax:
+ * - `# Tittel` gives a title slide, `## Overskrift` starts a new slide
+ * - `### Underoverskrift` becomes a section inside the slide
+ * - Top-level bullet items become click-reveal steps (data-delay 0, 1, 2 ...)
+ * - Single line breaks inside a paragraph are kept (as in Obsidian)
+ * - A line starting with `Poll:` adds a live poll; a list right below it
+ *   gives the answers. `Poll: Hva vil du studere? {#studere words}` asks
+ *   for free-text answers (a word cloud) instead
+ * - A line starting with `Note:` starts the speaker notes for the slide;
+ *   everything after it, up to the next slide, is notes
+ * - Slide options go in braces after the heading:
+ *   `## Fremmedspråk {#fremmedsprak menu="Språk" subtitle="Hva gjelder for deg?"}`
+ *
+ * Options:
+ * - #id          Stable slide ID (default: generated from the heading)
+ * - .class       Extra CSS class on the slide
+ * - menu="..."   Title in the slide menu (default: the heading)
+ * - subtitle=".." Text under the heading
+ * - reveal=auto  Animate all items on entry instead of one click at a time
+ * - reveal=click Click-reveal for a `keep` slide (compiled slides get it from their lists)
+ * - kiosk=20     Seconds the slide stays up in kiosk mode; kiosk=15,6 also sets
+ *                6 seconds per click-reveal step, kiosk=off leaves it out
+ * - split        Every ### below this heading becomes its own slide
+ * - keep         Use the hand-made slide with this ID from index.html
+ * - skip         Leave the heading and its content out of the deck
+ *
+ * Links only keep http(s), mailto and tel URLs and relative paths; any other
+ * scheme (javascript: and the like) is dropped and only the text is shown.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MarkdownSlides = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const HEADING = /^(#{1,6})\s+(.*?)\s*(?:\{([^}]*)\})?\s*$/;
+    const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const TABLE_ROW = /^\s*\|.*\|\s*$/;
+    const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+    const NOTE = /^\s*Notes?:\s*(.*)$/i;
+    const POLL = /^\s*Poll:\s*(.*?)\s*(?:\{([^}]*)\})?\s*$/i;
+    const OPTIONS = /^(.*?)\s*(?:\{([^}]*)\})?\s*$/;
+    const URL_SCHEME = /^([a-z][a-z0-9+.-]*):/i;
+    const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Create a URL-friendly slide ID from a heading
+     * @param {string} text - Heading text
+     * @returns {string} Slug, e.g. "Krav til fremmedspråk" -> "krav-til-fremmedsprak"
+     */
+    function slugify(text) {
+        return stripInline(text)
+            .toLowerCase()
+            .replace(/æ/g, 'ae')
+            .replace(/ø/g, 'o')
+            .replace(/å/g, 'a')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'slide';
+    }
+
+    /**
+     * Remove inline Markdown formatting
+     * @param {string} text - Markdown text
+     * @returns {string} Plain text
+     */
+    function stripInline(text) {
+        return text
+            .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(\*|_)(.+?)\1/g, '$2')
+            .replace(/`([^`]+)`/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Check that a link URL cannot run script
+     * @param {string} url - URL from the Markdown
+     * @returns {boolean} True for http(s), mailto and tel URLs and relative paths
+     */
+    function isSafeUrl(url) {
+        const scheme = url.match(URL_SCHEME);
+        return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Render inline Markdown (bold, italic, code, links) to HTML
+     * @param {string} text - Markdown text
+     * @returns {string} HTML
+     */
+    function renderInline(text) {
+        // Code and links are set aside so emphasis markers inside them are left alone
+        const stash = [];
+        const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+        return escapeHtml(text.replace(/<br\s*\/?>/gi, '\n'))
+            .replace(/`([^`]+)`/g, (match, content) => hold(`<code>${content}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+                hold(isSafeUrl(url) ? `<a href="${url}" target="_blank" rel="noopener">${label}</a>` : label))
+            .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (match, before, url) =>
+                before + hold(`<a href="${url}" target="_blank" rel="noopener">${url}</a>`))
+            .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+            .replace(/(\*|_)(?=\S)(.+?)\1/g, '<em>$2</em>')
+            .replace(/\n/g, '<br>')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+    }
+
+    /**
+     * Parse the option block after a heading, e.g. `#id .class key="value" flag`
+     * @param {string} source - Text between the braces
+     * @returns {Object} Parsed options
+     */
+    function parseOptions(source) {
+        const options = { classes: [] };
+        if (!source) return options;
+
+        const tokens = source.match(/[#.]?[\w-]+(?:=(?:"[^"]*"|'[^']*'|[^\s]+))?/g) || [];
+        tokens.forEach(token => {
+            if (token[0] === '#') {
+                options.id = token.slice(1);
+            } else if (token[0] === '.') {
+                options.classes.push(token.slice(1));
+            } else if (token.includes('=')) {
+                const [key, ...rest] = token.split('=');
+                options[key] = rest.join('=').replace(/^["']|["']$/g, '');
+            } else {
+                options[token] = true;
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Read the kiosk option
+     * @param {string} value - "20", "15,6" or "off"
+     * @returns {Object|boolean|null} { duration, step? }, false, or null if it cannot be read
+     */
+    function parseKiosk(value) {
+        if (value === 'off') return false;
+
+        const [duration, step] = String(value).split(',').map(Number);
+        if (!(duration > 0)) return null;
+        return step > 0 ? { duration, step } : { duration };
+    }
+
+    // ============================================
+    // Block Parsing
+    // ============================================
+
+    /**
+     * Measure list indentation (tabs count as four spaces)
+     * @param {string} indent - Leading whitespace
+     * @returns {number} Indentation width
+     */
+    function indentWidth(indent) {
+        return indent.replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Parse the body lines of a slide into blocks
+     * @param {string[]} lines - Markdown lines
+     * @returns {Object[]} Blocks: heading, paragraph, list or table
+     */
+    function parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const heading = line.match(HEADING);
+            if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+                i++;
+                continue;
+            }
+
+            if (TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+                const splitRow = row => row.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+                const table = { type: 'table', header: splitRow(line), rows: [] };
+                i += 2;
+                while (i < lines.length && TABLE_ROW.test(lines[i])) {
+                    table.rows.push(splitRow(lines[i]));
+                    i++;
+                }
+                blocks.push(table);
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const list = { type: 'list', ordered: /\d/.test(line.match(LIST_ITEM)[2]), items: [] };
+                const baseIndent = indentWidth(line.match(LIST_ITEM)[1]);
+
+                while (i < lines.length) {
+                    const item = lines[i].match(LIST_ITEM);
+                    if (!item) break;
+
+                    const depth = indentWidth(item[1]) > baseIndent ? 1 : 0;
+                    if (depth === 0 || list.items.length === 0) {
+                        list.items.push({ text: item[3].trim(), children: [] });
+                    } else {
+                        list.items[list.items.length - 1].children.push(item[3].trim());
+                    }
+                    i++;
+                }
+
+                blocks.push(list);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or another block starts
+            const paragraph = { type: 'paragraph', lines: [] };
+            while (i < lines.length && lines[i].trim() && !HEADING.test(lines[i]) && !LIST_ITEM.test(lines[i]) && !TABLE_ROW.test(lines[i])) {
+                paragraph.lines.push(lines[i].trim());
+                i++;
+            }
+            blocks.push(paragraph);
+        }
+
+        return blocks;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render body blocks to HTML
+     * Top-level list items get sequential data-delay attributes
+     * @param {Object[]} blocks - Parsed blocks
+     * @returns {{html: string, steps: number}} HTML and the number of reveal steps
+     */
+    function renderBlocks(blocks) {
+        let steps = 0;
+        let html = '';
+        let inSection = false;
+
+        blocks.forEach(block => {
+            switch (block.type) {
+                case 'heading':
+                    if (inSection) html += '</div>';
+                    html += `<div class="md-section"><h3>${renderInline(block.text)}</h3>`;
+                    inSection = true;
+                    break;
+                case 'paragraph':
+                    html += `<p>${renderInline(block.lines.join('\n'))}</p>`;
+                    break;
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    const items = block.items.map(item => {
+                        const children = item.children.length
+                            ? `<ul>${item.children.map(child => `<li>${renderInline(child)}</li>`).join('')}</ul>`
+                            : '';
+                        return `<li data-delay="${steps++}">${renderInline(item.text)}${children}</li>`;
+                    }).join('');
+                    html += `<${tag} class="md-list">${items}</${tag}>`;
+                    break;
+                }
+                case 'table': {
+                    const head = block.header.map(cell => `<th>${renderInline(cell)}</th>`).join('');
+                    const rows = block.rows.map(row =>
+                        `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`
+                    ).join('');
+                    html += `<table class="md-table"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+                    break;
+                }
+            }
+        });
+
+        if (inSection) html += '</div>';
+
+        if (blocks.some(block => block.type === 'heading')) {
+            html = html.replace(/^([\s\S]*?)(<div class="md-section">[\s\S]*)$/, '$1<div class="md-sections">$2</div>');
+        }
+
+        return { html, steps };
+    }
+
+    /**
+     * Render a complete slide entry
+     * @param {Object} slide - Slide collected by the compiler
+     * @returns {Object} Slide manifest entry
+     */
+    function renderSlide(slide) {
+        const { options } = slide;
+        const entry = {
+            id: slide.id,
+            title: options.menu || stripInline(slide.title)
+        };
+
+        if (options.kiosk !== undefined) {
+            const kiosk = parseKiosk(options.kiosk);
+            if (kiosk !== null) entry.kiosk = kiosk;
+        }
+
+        if (slide.notes.length) {
+            entry.notes = slide.notes.join('\n').trim();
+        }
+
+        if (slide.polls.length) {
+            entry.polls = slide.polls;
+        }
+
+        // Hand-made slide from index.html: only title, options, notes and polls come from Markdown
+        if (options.keep) {
+            if (options.reveal === 'click') entry.clickReveal = true;
+            return entry;
+        }
+
+        const body = renderBlocks(parseBlocks(slide.lines));
+        const subtitle = options.subtitle || slide.section;
+
+        if (slide.level === 1) {
+            entry.className = ['title-slide', 'markdown-slide'].concat(options.classes).join(' ');
+            entry.html = `<h1>${renderInline(slide.title)}</h1>` +
+                (subtitle ? `<p class="subtitle">${renderInline(subtitle)}</p>` : '') +
+                body.html.replace(/<p>/g, '<p class="subtitle">');
+        } else {
+            entry.className = ['markdown-slide'].concat(options.classes).join(' ');
+            entry.html = '<div class="slide-header">' +
+                `<h1>${renderInline(slide.title)}</h1>` +
+                (subtitle ? `<p>${renderInline(subtitle)}</p>` : '') +
+                '</div>' +
+                `<div class="slide-content">${body.html}</div>`;
+        }
+
+        if (body.steps > 0 && options.reveal !== 'auto') {
+            entry.clickReveal = true;
+        }
+
+        return entry;
+    }
+
+    // ============================================
+    // Compiler
+    // ============================================
+
+    /**
+     * Compile a Markdown document into slide manifest entries
+     * @param {string} markdown - The Markdown source
+     * @returns {Object[]} Entries with id, title, clickReveal, notes, className and html
+     */
+    function compile(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const slides = [];
+        const usedIds = {};
+        let slide = null;
+        let section = null;     // Title of the current `split` heading
+        let skipLevel = 0;      // Skip content until a heading at this level or higher
+
+        function startSlide(level, title, options) {
+            let id = options.id || slugify(title);
+            if (usedIds[id]) {
+                id = `${id}-${++usedIds[id]}`;
+            } else {
+                usedIds[id] = 1;
+            }
+
+            slide = { id, level, title, options, section, lines: [], notes: [], inNotes: false, polls: [], poll: null };
+            slides.push(slide);
+        }
+
+        lines.forEach(line => {
+            const heading = line.match(HEADING);
+
+            if (heading) {
+                const level = heading[1].length;
+                const title = heading[2];
+                const options = parseOptions(heading[3]);
+
+                if (skipLevel && level > skipLevel) return;
+                skipLevel = 0;
+
+                if (options.skip) {
+                    skipLevel = level;
+                    if (level <= 2) slide = null;
+                    return;
+                }
+
+                if (level <= 2) {
+                    section = null;
+                    if (options.split) {
+                        // Only becomes a slide if it has content before the first ###
+                        startSlide(level, title, options);
+                        section = stripInline(title);
+                        slide.isSplit = true;
+                        return;
+                    }
+                    startSlide(level, title, options);
+                    return;
+                }
+
+                if (level === 3 && section) {
+                    startSlide(level, title, options);
+                    return;
+                }
+            } else if (skipLevel) {
+                return;
+            }
+
+            // Content before the first heading is document front matter
+            if (!slide) return;
+
+            // Answers for the poll above, one list item each
+            if (slide.poll) {
+                const item = line.match(LIST_ITEM);
+                if (item) {
+                    const [, label, source] = item[3].match(OPTIONS);
+                    const options = parseOptions(source);
+                    slide.poll.options.push({ id: options.id || slugify(label), label: stripInline(label) });
+                    return;
+                }
+                slide.poll = null;
+            }
+
+            const poll = !slide.inNotes && line.match(POLL);
+            if (poll) {
+                const options = parseOptions(poll[2]);
+                const question = stripInline(poll[1]);
+                const entry = options.words
+                    ? { id: options.id || slugify(question), type: 'words', question }
+                    : { id: options.id || slugify(question), type: 'choice', question, options: [] };
+                slide.polls.push(entry);
+                if (!options.words) slide.poll = entry;
+                return;
+            }
+
+            const note = !slide.inNotes && line.match(NOTE);
+            if (note) {
+                slide.inNotes = true;
+                if (note[1]) slide.notes.push(note[1]);
+            } else if (slide.inNotes) {
+                slide.notes.push(line);
+            } else {
+                slide.lines.push(line);
+            }
+        });
+
+        return slides
+            .filter(s => !s.isSplit || s.lines.some(line => line.trim()) || s.options.keep)
+            .map(renderSlide);
+    }
+
+    return {
+        compile,
+        slugify,
+        renderInline
+    };
+});
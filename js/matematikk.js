@@ -0,0 +1,140 @@
+/**
+ * Matematikkløp
+ * Works out which maths courses are open after a choice in the year before,
+ * why the others are blocked, and what a full VG1 → VG3 path gives in
+ * fordypning and admission requirements, using data/matematikk.json.
+ *
+ * Works in the browser (window.Matematikk) and in Node (require). Needs
+ * js/fordypning.js for the fordypning check.
+ *
+ * The data holds one or more "ordninger" (course offerings), so a change to
+ * the maths subjects can be added next to today's offering without touching
+ * this file. A VG3 course with a `fag` field is the same subject as a VG2
+ * course taken a year later (used when the new subjects can be taken in
+ * either year).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fordypning.js'));
+    } else {
+        root.Matematikk = factory(root.Fordypning);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Fordypning) {
+    'use strict';
+
+    const TRINN = ['vg1', 'vg2', 'vg3'];
+
+    /**
+     * Look up an ordning by ID
+     * @param {Object} data - Parsed data/matematikk.json
+     * @param {string} [id] - Ordning ID (defaults to the first one)
+     * @returns {Object|undefined} The ordning
+     */
+    function getOrdning(data, id) {
+        return id ? data.ordninger.find(ordning => ordning.id === id) : data.ordninger[0];
+    }
+
+    /**
+     * Look up a course by ID
+     * @param {Object} ordning - The ordning
+     * @param {string} kursId - Course ID
+     * @returns {Object|undefined} The course
+     */
+    function getKurs(ordning, kursId) {
+        return ordning.kurs.find(kurs => kurs.id === kursId);
+    }
+
+    /**
+     * List the courses for a trinn, and whether each can follow the previous choice
+     * @param {Object} ordning - The ordning
+     * @param {string} trinn - 'vg1', 'vg2' or 'vg3'
+     * @param {string|null} fraId - Course chosen the year before (null for VG1)
+     * @returns {Object[]} Options [{ kurs, apen, grunn, merknad }]
+     */
+    function getOptions(ordning, trinn, fraId) {
+        const fra = fraId ? getKurs(ordning, fraId) : null;
+
+        return ordning.kurs.filter(kurs => kurs.trinn === trinn).map(kurs => {
+            if (!fra) {
+                return { kurs, apen: true, grunn: null, merknad: null };
+            }
+
+            const overgang = ordning.overganger.find(o => o.fra === fra.id && o.til === kurs.id);
+            if (overgang && !overgang.sperret) {
+                return { kurs, apen: true, grunn: null, merknad: overgang.merknad || null };
+            }
+
+            const grunn = overgang ? overgang.sperret : `${kurs.navn} bygger ikke videre på ${fra.navn}.`;
+            return { kurs, apen: false, grunn, merknad: null };
+        });
+    }
+
+    /**
+     * Check whether a path is made of allowed transitions
+     * @param {Object} ordning - The ordning
+     * @param {string[]} path - Course IDs from VG1 onwards
+     * @returns {boolean} True if every step follows from the one before
+     */
+    function isValidPath(ordning, path) {
+        return path.every((kursId, index) => {
+            const option = getOptions(ordning, TRINN[index], index === 0 ? null : path[index - 1])
+                .find(o => o.kurs.id === kursId);
+            return Boolean(option && option.apen);
+        });
+    }
+
+    /**
+     * Work out what a path gives
+     * @param {Object} ordning - The ordning
+     * @param {string[]} path - Course IDs from VG1 onwards (VG3 may be left out)
+     * @param {Object} fagData - Parsed data/fordypning.json
+     * @returns {Object} Result:
+     *   - fag: subject IDs in the path
+     *   - fordypning: the completed fordypning group, or null
+     *   - forslag: VG3 course that would give a fordypning, or null
+     *   - opptakskrav: [{ krav, oppfylt }]
+     */
+    function evaluate(ordning, path, fagData) {
+        const fag = path.map(kursId => {
+            const kurs = getKurs(ordning, kursId);
+            return kurs && kurs.fag ? kurs.fag : kursId;
+        });
+
+        const result = Fordypning.calculate({
+            programomrader: fagData.programomrader,
+            fag: fagData.fag,
+            fordypninger: ordning.fordypninger || fagData.fordypninger
+        }, fag);
+
+        let forslag = null;
+        if (result.total === 0 && path.length === 2) {
+            const open = getOptions(ordning, 'vg3', path[1]).filter(option => option.apen);
+            result.suggestions.some(suggestion => {
+                const match = open.find(option => (option.kurs.fag || option.kurs.id) === suggestion.fag.id);
+                if (match) forslag = { kurs: match.kurs, fordypning: suggestion.fordypning };
+                return Boolean(match);
+            });
+        }
+
+        const opptakskrav = ordning.opptakskrav.map(krav => ({
+            krav,
+            oppfylt: krav.alternativer.some(alternativ => alternativ.every(id => fag.includes(id)))
+        }));
+
+        return {
+            fag,
+            fordypning: result.fordypninger[0] || null,
+            forslag,
+            opptakskrav
+        };
+    }
+
+    return {
+        TRINN,
+        getOrdning,
+        getKurs,
+        getOptions,
+        isValidPath,
+        evaluate
+    };
+});
@@ -0,0 +1,68 @@
+/**
+ * Image modal plugin
+ * Shows an image enlarged in #imageModal. Any image with data-modal-image
+ * opens it on click, including ones added after the page has loaded (such
+ * as the local blokkskjema picture). Other scripts can open it with
+ * Presentation.getPlugin('image-modal').open(src, alt).
+ */
+window.PRESENTATION_PLUGINS = window.PRESENTATION_PLUGINS || [];
+window.PRESENTATION_PLUGINS.push({
+    name: 'image-modal',
+
+    init() {
+        const imageModal = document.getElementById('imageModal');
+        const modalImage = document.getElementById('modalImage');
+        const imageModalClose = document.getElementById('imageModalClose');
+
+        if (!imageModal || !modalImage) return;
+
+        /**
+         * Open image modal with specified image
+         * @param {string} src - Image source URL
+         * @param {string} alt - Image alt text
+         */
+        function openImageModal(src, alt) {
+            modalImage.src = src;
+            modalImage.alt = alt;
+            imageModal.classList.add('visible');
+            document.body.style.overflow = 'hidden';
+        }
+
+        /**
+         * Close image modal
+         */
+        function closeImageModal() {
+            imageModal.classList.remove('visible');
+            document.body.style.overflow = '';
+        }
+
+        // Click on any modal image to open modal
+        document.addEventListener('click', (e) => {
+            const img = e.target.closest('[data-modal-image]');
+            if (img) {
+                openImageModal(img.src, img.alt);
+            }
+        });
+
+        // Close modal on X button click
+        if (imageModalClose) {
+            imageModalClose.addEventListener('click', closeImageModal);
+        }
+
+        // Close modal on backdrop click
+        imageModal.addEventListener('click', (e) => {
+            if (e.target === imageModal) {
+                closeImageModal();
+            }
+        });
+
+        // Close modal on Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && imageModal.classList.contains('visible')) {
+                closeImageModal();
+            }
+        });
+
+        return { open: openImageModal, close: closeImageModal };
+    }
+});
@@ -0,0 +1,117 @@
+/**
+ * Parallax plugin
+ * Moves the decorations on the title slide against the mouse for a sense of
+ * depth. Elements opt in with data-parallax="slow|medium|fast".
+ *
+ * Left out of the handout (?print) and off while the system asks for
+ * reduced motion.
+ */
+window.PRESENTATION_PLUGINS = window.PRESENTATION_PLUGINS || [];
+window.PRESENTATION_PLUGINS.push({
+    name: 'parallax',
+
+    init(presentation) {
+        if (presentation.mode === 'print') return;
+
+        /**
+         * Parallax configuration
+         * Defines movement multipliers for different parallax speeds
+         * Movement is in opposite direction of mouse (creates depth illusion)
+         */
+        const parallaxConfig = {
+            slow: 0.3,    // Subtle movement - elements appear far away
+            medium: 0.5,  // Standard movement
+            fast: 0.8     // More movement - elements appear closer
+        };
+
+        /**
+         * Maximum parallax movement in pixels
+         * Keeps the effect subtle and prevents excessive displacement
+         */
+        const maxParallaxMovement = 25;
+
+        const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        /**
+         * Handle mouse movement for parallax effect
+         * Moves elements with data-parallax attribute in opposite direction of mouse
+         * @param {MouseEvent} e - The mouse event
+         */
+        function handleParallaxMouseMove(e) {
+            const parallaxElements = document.querySelectorAll('[data-parallax]');
+
+            if (parallaxElements.length === 0) return;
+
+            // Calculate mouse position relative to center of viewport
+            const centerX = window.innerWidth / 2;
+            const centerY = window.innerHeight / 2;
+
+            // Calculate offset from center (-1 to 1 range)
+            const offsetX = (centerX - e.clientX) / centerX;
+            const offsetY = (centerY - e.clientY) / centerY;
+
+            parallaxElements.forEach(element => {
+                const speed = element.dataset.parallax || 'medium';
+                const multiplier = parallaxConfig[speed] || parallaxConfig.medium;
+
+                // Calculate movement (clamped to max movement)
+                const moveX = Math.max(-maxParallaxMovement, Math.min(maxParallaxMovement, offsetX * maxParallaxMovement * multiplier));
+                const moveY = Math.max(-maxParallaxMovement, Math.min(maxParallaxMovement, offsetY * maxParallaxMovement * multiplier));
+
+                // Apply transform - combines with existing animations
+                element.style.transform = `translate(${moveX}px, ${moveY}px)`;
+            });
+        }
+
+        /**
+         * Reset parallax elements to original position
+         * Called when mouse leaves the viewport
+         */
+        function resetParallax() {
+            const parallaxElements = document.querySelectorAll('[data-parallax]');
+            parallaxElements.forEach(element => {
+                element.style.transform = 'translate(0, 0)';
+            });
+        }
+
+        // Add parallax to title decorations with varying speeds for depth effect
+        const decoration1 = document.querySelector('.title-decoration-1');
+        const decoration2 = document.querySelector('.title-decoration-2');
+        const decoration3 = document.querySelector('.title-decoration-3');
+
+        if (decoration1) decoration1.dataset.parallax = 'slow';
+        if (decoration2) decoration2.dataset.parallax = 'medium';
+        if (decoration3) decoration3.dataset.parallax = 'fast';
+
+        // Add parallax to particles if they exist
+        const particles = document.querySelectorAll('.particle');
+        particles.forEach((particle, index) => {
+            // Alternate between slow and medium for subtle depth
+            particle.dataset.parallax = index % 2 === 0 ? 'slow' : 'medium';
+        });
+
+        // Parallax mouse movement listener (using requestAnimationFrame for performance)
+        let parallaxTicking = false;
+        document.addEventListener('mousemove', (e) => {
+            if (!parallaxTicking && !(reducedMotionQuery && reducedMotionQuery.matches)) {
+                requestAnimationFrame(() => {
+                    handleParallaxMouseMove(e);
+                    parallaxTicking = false;
+                });
+                parallaxTicking = true;
+            }
+        });
+
+        // Reset parallax when mouse leaves viewport
+        document.addEventListener('mouseleave', resetParallax);
+
+        // Stop parallax at once if reduced motion is switched on while presenting
+        if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', () => {
+                if (reducedMotionQuery.matches) resetParallax();
+            });
+        }
+
+        return { reset: resetParallax };
+    }
+});
@@ -0,0 +1,127 @@
+/**
+ * Speech bubbles plugin
+ * Info bubbles on subject cells (.fag-cell.has-info): the info icon, or a
+ * click on the cell, toggles the .speech-bubble inside it. Only one bubble
+ * is open at a time; clicking outside or Escape closes it.
+ */
+window.PRESENTATION_PLUGINS = window.PRESENTATION_PLUGINS || [];
+window.PRESENTATION_PLUGINS.push({
+    name: 'speech-bubbles',
+
+    init(presentation) {
+        /**
+         * Find the info icon that controls a speech bubble
+         * @param {HTMLElement} bubble - The speech bubble element
+         * @returns {HTMLElement|null} The icon
+         */
+        function getSpeechBubbleIcon(bubble) {
+            return document.querySelector(`[aria-controls="${bubble.id}"]`);
+        }
+
+        /**
+         * Toggle a speech bubble's visibility
+         * @param {HTMLElement} bubble - The speech bubble element
+         */
+        function toggleSpeechBubble(bubble) {
+            if (bubble.classList.contains('visible')) {
+                closeSpeechBubble(bubble);
+            } else {
+                // Close any other open bubbles first
+                closeAllSpeechBubbles();
+                bubble.classList.add('visible');
+                const icon = getSpeechBubbleIcon(bubble);
+                if (icon) icon.setAttribute('aria-expanded', 'true');
+            }
+        }
+
+        /**
+         * Close a specific speech bubble
+         * @param {HTMLElement} bubble - The speech bubble element
+         */
+        function closeSpeechBubble(bubble) {
+            bubble.classList.remove('visible');
+            const icon = getSpeechBubbleIcon(bubble);
+            if (icon) icon.setAttribute('aria-expanded', 'false');
+        }
+
+        /**
+         * Close all open speech bubbles
+         */
+        function closeAllSpeechBubbles() {
+            document.querySelectorAll('.speech-bubble.visible').forEach(closeSpeechBubble);
+        }
+
+        const infoCells = document.querySelectorAll('.fag-cell.has-info');
+
+        infoCells.forEach((cell, index) => {
+            const infoIcon = cell.querySelector('.info-icon');
+            const speechBubble = cell.querySelector('.speech-bubble');
+            const closeBtn = cell.querySelector('.speech-bubble-close');
+
+            if (!infoIcon || !speechBubble) return;
+
+            // Make the icon a keyboard-operable toggle for its bubble
+            speechBubble.id = speechBubble.id || `speech-bubble-${index + 1}`;
+            if (infoIcon.tagName !== 'BUTTON') {
+                infoIcon.setAttribute('role', 'button');
+                infoIcon.setAttribute('tabindex', '0');
+            }
+            infoIcon.setAttribute('aria-controls', speechBubble.id);
+            infoIcon.setAttribute('aria-expanded', 'false');
+
+            infoIcon.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                e.stopPropagation();
+                toggleSpeechBubble(speechBubble);
+            });
+
+            // Toggle bubble on info icon click
+            infoIcon.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleSpeechBubble(speechBubble);
+            });
+
+            // Toggle bubble on cell click
+            cell.addEventListener('click', (e) => {
+                // Only toggle if clicking the cell itself, not other interactive elements
+                if (e.target === cell || e.target.nodeType === 3) {
+                    e.stopPropagation();
+                    toggleSpeechBubble(speechBubble);
+                }
+            });
+
+            // Close button
+            if (closeBtn) {
+                closeBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    closeSpeechBubble(speechBubble);
+                });
+            }
+        });
+
+        // Close all speech bubbles when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.fag-cell.has-info')) {
+                closeAllSpeechBubbles();
+            }
+        });
+
+        // Close on Escape key, returning focus to the icon that opened the bubble
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+
+            const open = document.querySelector('.speech-bubble.visible');
+            if (open && open.contains(document.activeElement)) {
+                const icon = getSpeechBubbleIcon(open);
+                if (icon) icon.focus();
+            }
+            closeAllSpeechBubbles();
+        });
+
+        // A bubble left open would still be showing when the slide comes back
+        presentation.on('slidechange', closeAllSpeechBubbles);
+
+        return { closeAll: closeAllSpeechBubbles };
+    }
+});
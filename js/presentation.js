@@ -1,21 +1,25 @@
 /**
  * Presentation Controller
  * Handles slide navigation, animations, fullscreen, and user interactions
+ *
+ * Other scripts reach it through window.Presentation (see "Public API" below).
+ * Optional features are plugins in js/plugins/.
  */
 document.addEventListener('DOMContentLoaded', () => {
     // ============================================
-    // Presentation State
+    // Presentation Modes
     // ============================================
-    let currentSlide = 1;
-    const totalSlides = 13;
 
-    // Click-reveal state: tracks which element index to show next per slide
-    const clickRevealState = {};
+    // Handout mode: ?print shows every slide for printing, ?print=notater adds speaker notes
+    const printParam = new URLSearchParams(window.location.search).get('print');
+    const isPrintMode = printParam !== null;
+
+    // Kiosk mode: ?kiosk runs the deck on its own, e.g. on the hallway screen
+    const isKioskMode = new URLSearchParams(window.location.search).has('kiosk');
 
     // ============================================
     // DOM Element References
     // ============================================
-    const slides = document.querySelectorAll('.slide');
     const slidesContainer = document.querySelector('.slides-container');
     const progressBar = document.getElementById('progressBar');
     const currentSlideEl = document.getElementById('currentSlide');
@@ -27,6 +31,324 @@ document.addEventListener('DOMContentLoaded', () => {
     const fullscreenIcon = document.getElementById('fullscreenIcon');
     const exitFullscreenIcon = document.getElementById('exitFullscreenIcon');
 
+    // ============================================
+    // Deck Construction (from js/slides.js)
+    // ============================================
+
+    /**
+     * Build the slide deck from the slide manifest
+     * Orders the .slide[data-slide-id] blocks to match the manifest, assigns
+     * their slide numbers and applies per-slide options. Entries with compiled
+     * `html` (see js/markdown-slides.js) are rendered as new slides. Slides
+     * that are not listed in the manifest are removed from the deck.
+     * @returns {Object[]} The manifest entries that have a matching slide element
+     */
+    function buildDeck() {
+        const manifest = window.SLIDE_MANIFEST || [];
+        const deck = [];
+
+        manifest.forEach(entry => {
+            let slide = slidesContainer.querySelector(`.slide[data-slide-id="${entry.id}"]`);
+
+            if (entry.html !== undefined) {
+                if (slide) slide.remove();
+                slide = createSlide(entry);
+            }
+
+            if (!slide) {
+                console.warn(`Slide manifest: fant ingen slide med id "${entry.id}"`);
+                return;
+            }
+
+            deck.push(entry);
+            slide.dataset.slide = deck.length;
+            if (entry.clickReveal) {
+                slide.dataset.clickReveal = 'true';
+            } else {
+                delete slide.dataset.clickReveal;
+            }
+            slide.classList.toggle('active', deck.length === 1);
+
+            // Re-append in manifest order
+            slidesContainer.appendChild(slide);
+        });
+
+        slidesContainer.querySelectorAll('.slide:not([data-slide])').forEach(slide => slide.remove());
+
+        return deck;
+    }
+
+    /**
+     * Create a slide element from a compiled manifest entry
+     * @param {Object} entry - Manifest entry with html and optional className
+     * @returns {HTMLElement} The new slide element
+     */
+    function createSlide(entry) {
+        const slide = document.createElement('div');
+        slide.className = ['slide', entry.className].filter(Boolean).join(' ');
+        slide.dataset.slideId = entry.id;
+        slide.innerHTML = entry.html;
+        return slide;
+    }
+
+    const deck = buildDeck();
+    const totalSlides = deck.length;
+
+    // Current slide and click-reveal steps (js/deck-controller.js)
+    const controller = DeckController.create(document, { container: slidesContainer });
+
+    /**
+     * Get the slide element for a slide number
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @returns {HTMLElement|null} The slide element
+     */
+    function getSlideElement(slideNum) {
+        return slidesContainer.querySelector(`.slide[data-slide="${slideNum}"]`);
+    }
+
+    /**
+     * Get the slide number for a stable slide ID
+     * @param {string} id - The slide ID from the manifest
+     * @returns {number} The slide number (1-indexed), or 0 if not in the deck
+     */
+    function getSlideNumber(id) {
+        return deck.findIndex(entry => entry.id === id) + 1;
+    }
+
+    /**
+     * Get the slide element for a stable slide ID
+     * @param {string} id - The slide ID from the manifest
+     * @returns {HTMLElement|null} The slide element, or null if not in the deck
+     */
+    function getSlideById(id) {
+        const slideNum = getSlideNumber(id);
+        return slideNum ? getSlideElement(slideNum) : null;
+    }
+
+    // ============================================
+    // Language (js/i18n.js and js/lang/)
+    // ============================================
+    const i18nCatalogs = window.I18N_CATALOGS || {};
+    let currentLang = I18n.resolveLang(i18nCatalogs, new URLSearchParams(window.location.search).get('lang'));
+
+    // Bokmål markup of translated elements, restored when switching back
+    const i18nOriginals = new Map();
+
+    /**
+     * Look up a UI message in the current language
+     * @param {string} key - Message key from js/lang/nb.js
+     * @param {Object} [values] - Values for {placeholders}
+     * @returns {string} The message (bokmål if it is not translated)
+     */
+    function t(key, values) {
+        return I18n.translate(i18nCatalogs, currentLang, key, values);
+    }
+
+    /**
+     * Look up a message with a singular and a plural form
+     * @param {string} key - Message key without the '.one' or '.other' ending
+     * @param {number} count - The number, also available as {count}
+     * @param {Object} [values] - Values for other {placeholders}
+     * @returns {string} The message
+     */
+    function tCount(key, count, values) {
+        return t(`${key}.${count === 1 ? 'one' : 'other'}`, Object.assign({ count }, values));
+    }
+
+    /**
+     * Get the menu title of a slide in the current language
+     * @param {Object} entry - Manifest entry
+     * @returns {string} The title
+     */
+    function getSlideTitle(entry) {
+        return I18n.getSlideText(i18nCatalogs, currentLang, entry.id, 'title') || entry.title;
+    }
+
+    /**
+     * Get the speaker notes of a slide in the current language
+     * @param {Object} entry - Manifest entry
+     * @returns {string} The notes, or an empty string
+     */
+    function getSlideNotes(entry) {
+        return I18n.getSlideText(i18nCatalogs, currentLang, entry.id, 'notes') || entry.notes || '';
+    }
+
+    /**
+     * Add the current language to a query string for a new window
+     * @param {string} query - Query string, e.g. "?print", or an empty string
+     * @returns {string} The query with lang=... added unless the language is bokmål
+     */
+    function withLang(query) {
+        if (currentLang === I18n.DEFAULT_LANG) return query;
+        return `${query}${query ? '&' : '?'}lang=${currentLang}`;
+    }
+
+    /**
+     * Put the current language into the page
+     * Elements with data-i18n get their text from the slide catalog (inside a
+     * slide) or the messages (outside), data-i18n-label sets aria-label and title
+     */
+    function applyLanguage() {
+        document.documentElement.lang = currentLang;
+        document.title = t('document.title');
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            if (!i18nOriginals.has(el)) {
+                i18nOriginals.set(el, el.innerHTML);
+            }
+
+            const slide = el.closest('[data-slide-id]');
+            const text = slide
+                ? I18n.getSlideText(i18nCatalogs, currentLang, slide.dataset.slideId, el.dataset.i18n)
+                : t(el.dataset.i18n);
+            el.innerHTML = text !== null ? text : i18nOriginals.get(el);
+        });
+
+        document.querySelectorAll('[data-i18n-label]').forEach(el => {
+            const label = t(el.dataset.i18nLabel);
+            el.setAttribute('aria-label', label);
+            if (el.hasAttribute('title')) el.title = label;
+        });
+
+        renderLangSwitcher();
+    }
+
+    /**
+     * Render one button per language in the slide menu
+     */
+    function renderLangSwitcher() {
+        const switcher = document.querySelector('.lang-switcher');
+        if (!switcher) return;
+
+        switcher.innerHTML = I18n.getLanguages(i18nCatalogs).map(lang => `
+            <button type="button" class="lang-option${lang.id === currentLang ? ' active' : ''}" data-lang="${lang.id}" lang="${lang.id}" aria-pressed="${lang.id === currentLang}">${lang.name}</button>
+        `).join('');
+    }
+
+    /**
+     * Switch language without reloading
+     * Updates the page, the slide menu and the ?lang= parameter in the URL
+     * @param {string} lang - Language code
+     */
+    function setLanguage(lang) {
+        currentLang = I18n.resolveLang(i18nCatalogs, lang);
+        applyLanguage();
+        initSlideMenu();
+        updateClickRevealIndicator();
+        if (isPresenterMode) {
+            updatePresenterView();
+        }
+        if (relay.bar) {
+            updateFollowBar(relay.bar.dataset.state);
+        }
+        if (pollState.channel) {
+            renderPollPanels();
+        }
+        if (questionState.channel) {
+            renderQuestionBoard();
+            renderModeration();
+        }
+        if (questionState.dialog) {
+            // Built again in the new language the next time it opens
+            questionState.dialog.remove();
+            questionState.dialog = null;
+        }
+        renderPlanningTools();
+        if (timeline.data) {
+            renderTimeline();
+        }
+        if (bookingState.channel) {
+            renderCounselorBooking();
+            renderBookingDialog();
+            renderBookingExport();
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (currentLang === I18n.DEFAULT_LANG) {
+            params.delete('lang');
+        } else {
+            params.set('lang', currentLang);
+        }
+        const search = params.toString();
+        writeHistory(`${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`, false);
+    }
+
+    document.addEventListener('click', (e) => {
+        const option = e.target.closest('.lang-option');
+        if (!option) return;
+        e.stopPropagation();
+        setLanguage(option.dataset.lang);
+    });
+
+    // ============================================
+    // Accessibility (Reduced Motion, Focus, Announcements)
+    // ============================================
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const announcer = document.getElementById('srAnnouncer');
+    let announceTimer = null;
+
+    /**
+     * Check whether the user has asked the system for less motion
+     * @returns {boolean} True if prefers-reduced-motion is set
+     */
+    function prefersReducedMotion() {
+        return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+
+    /**
+     * Read a message to screen reader users through the live region
+     * The region is cleared first so a repeated message is read again
+     * @param {string} message - Text to announce
+     */
+    function announce(message) {
+        if (!announcer || !message) return;
+
+        clearTimeout(announceTimer);
+        announcer.textContent = '';
+        announceTimer = setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * Announce the title and position of a slide
+     * @param {number} slideNum - The slide number (1-indexed)
+     */
+    function announceSlide(slideNum) {
+        announce(t('announce.slide', { title: getSlideTitle(deck[slideNum - 1]), current: slideNum, total: totalSlides }));
+    }
+
+    /**
+     * Move keyboard focus to the heading of a slide
+     * Keeps focus from staying behind on the slide that was just hidden
+     * @param {HTMLElement} slide - The slide element
+     */
+    function focusSlideHeading(slide) {
+        const heading = slide.querySelector('h1, h2, h3');
+        if (!heading) return;
+
+        if (!heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    /**
+     * Put focus back on a tool's button after the tool re-rendered its markup
+     * Finds the new button with the same data attributes, or the first button
+     * @param {HTMLElement} root - The tool's root element
+     * @param {HTMLElement} button - The button that had focus before rendering
+     */
+    function restoreFocus(root, button) {
+        if (root.contains(button)) return;
+
+        const selector = Object.keys(button.dataset)
+            .map(key => `[data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}="${button.dataset[key]}"]`)
+            .join('');
+        const target = (selector && root.querySelector(selector)) || root.querySelector('button');
+        if (target) target.focus();
+    }
+
     // ============================================
     // Initialization
     // ============================================
@@ -37,12 +359,35 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function init() {
         totalSlidesEl.textContent = totalSlides;
-        updateProgress();
-        updateNavButtons();
+        applyLanguage();
 
         // Preload animations - reset all animatable elements
         preloadAnimations();
 
+        // Start on the slide and reveal step from the URL, if any
+        applyInitialRoute();
+
+        if (isPrintMode) {
+            initPrintMode();
+        }
+
+        if (isPresenterMode) {
+            initPresenterView();
+        }
+
+        if (isKioskMode) {
+            initKioskMode();
+        }
+
+        if (!isPrintMode) {
+            initGestures();
+        }
+
+        updateProgress();
+        updateNavButtons();
+        updateSlideMenuActive();
+        updateClickRevealIndicator();
+
         // Initial animation for first slide
         setTimeout(() => {
             const firstSlide = document.querySelector('.slide.active');
@@ -61,17 +406,17 @@ document.addEventListener('DOMContentLoaded', () => {
     function goToSlide(slideNum) {
         if (slideNum < 1 || slideNum > totalSlides) return;
 
-        const previousSlide = currentSlide;
+        const previousSlide = controller.current;
         const direction = slideNum > previousSlide ? 'next' : 'prev';
 
         // Set direction attribute on container for CSS transitions
         slidesContainer.setAttribute('data-direction', direction);
 
         // Get the current active slide for exit animation
-        const exitingSlide = document.querySelector(`[data-slide="${previousSlide}"]`);
+        const exitingSlide = getSlideElement(previousSlide);
 
         // Add exiting class for smooth transition
-        if (exitingSlide && previousSlide !== slideNum) {
+        if (exitingSlide && previousSlide !== slideNum && !prefersReducedMotion()) {
             const exitClass = direction === 'next' ? 'exiting-left' : 'exiting-right';
             exitingSlide.classList.add(exitClass);
 
@@ -81,16 +426,21 @@ document.addEventListener('DOMContentLoaded', () => {
             }, 500);
         }
 
-        // Remove active class from current slide
-        slides.forEach(slide => slide.classList.remove('active'));
-
-        // Add active class to new slide
-        currentSlide = slideNum;
-        const activeSlide = document.querySelector(`[data-slide="${currentSlide}"]`);
-        activeSlide.classList.add('active');
+        // Move the active class to the new slide
+        controller.goTo(slideNum);
+        const activeSlide = getSlideElement(slideNum);
 
         // Trigger animations for new slide
-        setTimeout(() => animateSlide(activeSlide), 100);
+        if (prefersReducedMotion()) {
+            animateSlide(activeSlide);
+        } else {
+            setTimeout(() => animateSlide(activeSlide), 100);
+        }
+
+        if (previousSlide !== slideNum) {
+            focusSlideHeading(activeSlide);
+            announceSlide(controller.current);
+        }
 
         updateProgress();
         updateNavButtons();
@@ -100,31 +450,31 @@ document.addEventListener('DOMContentLoaded', () => {
      * Navigate to the next slide
      */
     function nextSlide() {
-        goToSlide(currentSlide + 1);
+        goToSlide(controller.current + 1);
     }
 
     /**
      * Navigate to the previous slide
      */
     function prevSlide() {
-        goToSlide(currentSlide - 1);
+        goToSlide(controller.current - 1);
     }
 
     /**
      * Update the progress bar based on current slide position
      */
     function updateProgress() {
-        const progress = ((currentSlide - 1) / (totalSlides - 1)) * 100;
+        const progress = ((controller.current - 1) / (totalSlides - 1)) * 100;
         progressBar.style.width = `${progress}%`;
-        currentSlideEl.textContent = currentSlide;
+        currentSlideEl.textContent = controller.current;
     }
 
     /**
      * Update navigation button states (enable/disable)
      */
     function updateNavButtons() {
-        prevBtn.disabled = currentSlide === 1;
-        nextBtn.disabled = currentSlide === totalSlides;
+        prevBtn.disabled = controller.current === 1;
+        nextBtn.disabled = controller.current === totalSlides;
     }
 
     // ============================================
@@ -144,13 +494,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // Find all animatable elements
         const animatables = slide.querySelectorAll('[data-delay]');
 
-        if (isClickReveal) {
-            // For click-reveal slides, do NOT auto-animate
-            // Just ensure the state is initialized
-            const slideNum = parseInt(slide.dataset.slide);
-            if (clickRevealState[slideNum] === undefined) {
-                clickRevealState[slideNum] = 0;
-            }
+        // For click-reveal slides, do NOT auto-animate
+        if (isClickReveal) return;
+
+        // Show everything at once when the user prefers less motion
+        if (prefersReducedMotion()) {
+            animatables.forEach(el => el.classList.add('visible'));
             return;
         }
 
@@ -182,6 +531,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 el.classList.remove('visible');
             });
         });
+
+        // Emphasis fragments (highlight, strike, shrink) show from the start
+        for (let slideNum = 1; slideNum <= totalSlides; slideNum++) {
+            controller.setStep(slideNum, 0);
+        }
     }
 
     // ============================================
@@ -215,252 +569,818 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // ============================================
-    // Keyboard Navigation
+    // Keyboard Shortcuts (js/keymap.js)
     // ============================================
 
-    /**
-     * Handle keyboard events for slide navigation
-     * Supported keys:
-     * - ArrowRight, ArrowDown, Space, PageDown: Next slide (or reveal next element)
-     * - ArrowLeft, ArrowUp, PageUp: Previous slide
-     * - Home: First slide
-     * - End: Last slide
-     * - F: Toggle fullscreen
-     * @param {KeyboardEvent} e - The keyboard event
-     */
-    function handleKeydown(e) {
-        switch(e.key) {
-            case 'ArrowRight':
-            case 'ArrowDown':
-            case ' ':
-            case 'PageDown':
-                e.preventDefault();
-                // For click-reveal slides, reveal next element first
-                if (isCurrentSlideClickReveal() && !allElementsRevealed()) {
-                    revealNextElement();
-                } else {
-                    nextSlide();
-                }
-                break;
-            case 'ArrowLeft':
-            case 'ArrowUp':
-            case 'PageUp':
-                e.preventDefault();
-                prevSlide();
-                break;
-            case 'Home':
-                e.preventDefault();
-                goToSlide(1);
-                break;
-            case 'End':
-                e.preventDefault();
-                goToSlide(totalSlides);
-                break;
-            case 'f':
-            case 'F':
-                e.preventDefault();
-                toggleFullscreen();
-                break;
-            case 'Escape':
-                // For click-reveal slides, hide last element (step backwards)
-                if (isCurrentSlideClickReveal() && hideLastRevealedElement()) {
-                    e.preventDefault();
-                    updateClickRevealIndicator();
-                }
-                // Otherwise, Escape is handled by browser for fullscreen exit
-                break;
-        }
-    }
+    const KEYMAP_KEY = 'fagvalg-hurtigtaster';
 
-    // ============================================
-    // Click-Reveal Functions
-    // ============================================
+    // Typed slide numbers are jumped to after Enter, or dropped after this long
+    const JUMP_TIMEOUT = 3000;
+
+    let keyOverrides = loadKeyOverrides();
+    let keymap = Keymap.build(Keymap.DEFAULT_BINDINGS, keyOverrides);
+
+    const keyboard = {
+        jumpDigits: '',
+        jumpTimer: null,
+        jumpBox: null,
+        blackout: null,
+        help: null,
+        // Action waiting for a new key in the help overlay
+        captureAction: null,
+        // Element to give focus back to when the help overlay closes
+        returnFocus: null
+    };
 
     /**
-     * Check if the current slide is a click-reveal slide
-     * @returns {boolean} True if current slide has click-reveal enabled
+     * What each action does
      */
-    function isCurrentSlideClickReveal() {
-        const activeSlide = document.querySelector(`[data-slide="${currentSlide}"]`);
-        return activeSlide && activeSlide.dataset.clickReveal === 'true';
-    }
+    const KEY_ACTIONS = {
+        next: goForward,
+        prev: goBack,
+        stepBack: prevFragment,
+        first: () => goToSlide(1),
+        last: () => goToSlide(totalSlides),
+        goTo: () => showJumpBox(),
+        overview: openOverview,
+        blackout: () => setBlackout(true),
+        fullscreen: toggleFullscreen,
+        presenter() {
+            if (!isPresenterMode) openPresenterView();
+        },
+        handout: openHandout,
+        help: toggleKeyHelp
+    };
 
     /**
-     * Get animatable elements for a click-reveal slide
-     * @param {HTMLElement} slide - The slide element
-     * @returns {NodeList} List of elements with data-delay attribute
+     * Load the user's own key bindings from localStorage
+     * @returns {Object} Overrides { action: keys[] }
      */
-    function getClickRevealElements(slide) {
-        return slide.querySelectorAll('[data-delay]');
+    function loadKeyOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(KEYMAP_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
     }
 
     /**
-     * Check if all elements on a click-reveal slide have been revealed
-     * @returns {boolean} True if all elements are visible
+     * Save new overrides and rebuild the keymap
+     * @param {Object} overrides - Overrides { action: keys[] }, empty for the defaults
      */
-    function allElementsRevealed() {
-        const activeSlide = document.querySelector(`[data-slide="${currentSlide}"]`);
-        if (!activeSlide) return true;
+    function saveKeyOverrides(overrides) {
+        keyOverrides = overrides;
+        keymap = Keymap.build(Keymap.DEFAULT_BINDINGS, keyOverrides);
 
-        const elements = getClickRevealElements(activeSlide);
-        const revealedCount = clickRevealState[currentSlide] || 0;
-
-        return revealedCount >= elements.length;
+        try {
+            if (Object.keys(overrides).length > 0) {
+                localStorage.setItem(KEYMAP_KEY, JSON.stringify(overrides));
+            } else {
+                localStorage.removeItem(KEYMAP_KEY);
+            }
+        } catch (err) {
+            // Private mode or storage full: the keys still work for this visit
+        }
     }
 
     /**
-     * Reveal the next element on a click-reveal slide
-     * @returns {boolean} True if an element was revealed, false if all are already visible
+     * Handle keyboard events for slide navigation
+     * Keys are looked up in the keymap (see Keymap.DEFAULT_BINDINGS and the
+     * help overlay, ?). Digits followed by Enter jump to a slide. Escape only
+     * closes the overlays, so it still leaves fullscreen; held down, it opens
+     * the slide overview.
+     * @param {KeyboardEvent} e - The keyboard event
      */
-    function revealNextElement() {
-        const activeSlide = document.querySelector(`[data-slide="${currentSlide}"]`);
-        if (!activeSlide) return false;
+    function handleKeydown(e) {
+        // The handout is a normal scrolling page
+        if (isPrintMode) return;
+
+        if (keyboard.captureAction) {
+            e.preventDefault();
+            captureKey(e);
+            return;
+        }
 
-        const elements = getClickRevealElements(activeSlide);
-        const currentIndex = clickRevealState[currentSlide] || 0;
+        // Any key brings the screen back, without doing anything else
+        if (keyboard.blackout && !keyboard.blackout.hidden) {
+            e.preventDefault();
+            setBlackout(false);
+            return;
+        }
 
-        if (currentIndex >= elements.length) {
-            return false; // All elements already revealed
+        if (isOverviewOpen()) {
+            handleOverviewKey(e);
+            return;
         }
 
-        // Find the element with data-delay matching currentIndex
-        let elementToReveal = null;
-        elements.forEach(el => {
-            const delay = parseInt(el.dataset.delay);
-            if (delay === currentIndex) {
-                elementToReveal = el;
+        if (e.key === 'Escape') {
+            if (closeKeyOverlays()) {
+                e.preventDefault();
+            } else if (!e.repeat) {
+                startOverviewHold();
             }
-        });
-
-        if (elementToReveal) {
-            elementToReveal.classList.add('visible');
+            return;
         }
 
-        clickRevealState[currentSlide] = currentIndex + 1;
-        return true;
-    }
+        // Leave typing and button presses to the focused control
+        if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+        if ((e.key === ' ' || e.key === 'Enter') && e.target.closest && e.target.closest('button, a, [role="button"]')) return;
 
-    /**
-     * Hide the last revealed element on the current slide (reverse reveal)
-     * Used with Escape key to step backwards
-     * @returns {boolean} True if an element was hidden, false otherwise
-     */
-    function hideLastRevealedElement() {
-        const activeSlide = document.querySelector('.slide.active');
-        if (!activeSlide || activeSlide.dataset.clickReveal !== 'true') {
-            return false;
+        if (/^[0-9]$/.test(e.key) && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            e.preventDefault();
+            typeJumpDigit(e.key);
+            return;
         }
 
-        const elements = activeSlide.querySelectorAll('[data-delay]');
-        const currentIndex = clickRevealState[currentSlide] || 0;
+        if (e.key === 'Enter' && keyboard.jumpDigits) {
+            e.preventDefault();
+            submitJump();
+            return;
+        }
 
-        if (currentIndex <= 0) {
-            return false; // No elements to hide
+        if (e.key === 'Backspace' && isJumpBoxOpen()) {
+            e.preventDefault();
+            keyboard.jumpDigits = keyboard.jumpDigits.slice(0, -1);
+            updateJumpBox();
+            return;
         }
 
-        // Find the element with data-delay matching currentIndex - 1
-        let elementToHide = null;
-        elements.forEach(el => {
-            const delay = parseInt(el.dataset.delay);
-            if (delay === currentIndex - 1) {
-                elementToHide = el;
-            }
-        });
+        const action = Keymap.resolve(keymap, Keymap.normalizeKey(e));
+        if (!action) return;
 
-        if (elementToHide) {
-            elementToHide.classList.remove('visible');
-        }
+        // The help overlay only listens for its own key
+        if (isKeyHelpOpen() && action !== 'help') return;
 
-        clickRevealState[currentSlide] = currentIndex - 1;
-        return true;
+        e.preventDefault();
+        KEY_ACTIONS[action]();
     }
 
-    // ============================================
-    // Click-Reveal Indicator
-    // ============================================
-    const clickRevealIndicator = document.getElementById('clickRevealIndicator');
-
     /**
-     * Update click-reveal indicator visibility
-     * Shows indicator when on a click-reveal slide with unrevealed elements
+     * Close the help overlay or the go-to box
+     * @returns {boolean} True if something was closed
      */
-    function updateClickRevealIndicator() {
-        if (!clickRevealIndicator) return;
-
-        if (isCurrentSlideClickReveal() && !allElementsRevealed()) {
-            clickRevealIndicator.classList.add('visible');
-        } else {
-            clickRevealIndicator.classList.remove('visible');
+    function closeKeyOverlays() {
+        if (isKeyHelpOpen()) {
+            toggleKeyHelp();
+            return true;
         }
+        if (isJumpBoxOpen()) {
+            hideJumpBox();
+            return true;
+        }
+        return false;
     }
 
     /**
-     * Handle click on slides container for click-reveal slides
+     * Describe a key for the help overlay
+     * @param {string} key - Binding key
+     * @returns {string} Label, e.g. "→" or "Mellomrom"
      */
-    function handleSlideContainerClick(e) {
-        // Only handle clicks on click-reveal slides
-        if (!isCurrentSlideClickReveal()) return;
+    function describeKey(key) {
+        const symbols = { ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓' };
+        if (symbols[key]) return symbols[key];
+        if (key === ' ') return t('key.space');
+        if (key.length === 1) return key.toUpperCase();
+        const label = t(`key.${key}`);
+        return label === `key.${key}` ? key : label;
+    }
 
-        // Don't handle if clicking on interactive elements
-        if (e.target.closest('a, button, input, .fag-cell.clickable, .has-info')) return;
+    // --------------------------------------------
+    // Go to slide (digits + Enter, G)
+    // --------------------------------------------
 
-        // Reveal next element if available
-        if (!allElementsRevealed()) {
-            revealNextElement();
-            updateClickRevealIndicator();
-        }
+    /**
+     * Check whether the go-to box is showing
+     * @returns {boolean} True if it is open
+     */
+    function isJumpBoxOpen() {
+        return Boolean(keyboard.jumpBox && !keyboard.jumpBox.hidden);
     }
 
-    // ============================================
-    // Touch/Swipe Support
-    // ============================================
-
-    let touchStartX = 0;
-    let touchEndX = 0;
+    /**
+     * Show the go-to box, creating it the first time
+     */
+    function showJumpBox() {
+        if (!keyboard.jumpBox) {
+            keyboard.jumpBox = document.createElement('div');
+            keyboard.jumpBox.className = 'key-jump';
+            keyboard.jumpBox.setAttribute('aria-live', 'polite');
+            document.body.appendChild(keyboard.jumpBox);
+        }
+        keyboard.jumpBox.hidden = false;
+        updateJumpBox();
+    }
 
     /**
-     * Handle touch start event - record starting position
-     * @param {TouchEvent} e - The touch event
+     * Hide the go-to box and forget the typed number
      */
-    function handleTouchStart(e) {
-        touchStartX = e.changedTouches[0].screenX;
+    function hideJumpBox() {
+        clearTimeout(keyboard.jumpTimer);
+        keyboard.jumpDigits = '';
+        if (keyboard.jumpBox) keyboard.jumpBox.hidden = true;
     }
 
     /**
-     * Handle touch end event - record ending position and process swipe
-     * @param {TouchEvent} e - The touch event
+     * Show the typed number and whether it is a slide
      */
-    function handleTouchEnd(e) {
-        touchEndX = e.changedTouches[0].screenX;
-        handleSwipe();
+    function updateJumpBox() {
+        const num = parseInt(keyboard.jumpDigits, 10);
+        const entry = deck[num - 1];
+        const target = entry ? getSlideTitle(entry) : keyboard.jumpDigits ? t('keys.noSlide') : t('keys.typeNumber');
+
+        keyboard.jumpBox.innerHTML = `
+            <span class="key-jump-label">${t('keys.goTo')}</span>
+            <strong class="key-jump-number">${keyboard.jumpDigits || '–'}</strong>
+            <span class="key-jump-target${entry ? '' : ' invalid'}"></span>
+        `;
+        keyboard.jumpBox.querySelector('.key-jump-target').textContent = target;
     }
 
     /**
-     * Process swipe gesture and navigate accordingly
-     * Swipe left (negative diff) advances (or reveals next element), swipe right goes back
+     * Add a digit to the slide number being typed
+     * @param {string} digit - '0' to '9'
      */
-    function handleSwipe() {
-        const swipeThreshold = 50;
-        const diff = touchStartX - touchEndX;
+    function typeJumpDigit(digit) {
+        keyboard.jumpDigits = (keyboard.jumpDigits + digit).slice(-3);
+        showJumpBox();
 
-        if (Math.abs(diff) > swipeThreshold) {
-            if (diff > 0) {
-                // Swipe left - advance or reveal
-                if (isCurrentSlideClickReveal() && !allElementsRevealed()) {
-                    revealNextElement();
-                } else {
-                    nextSlide();
-                }
-            } else {
-                prevSlide();
-            }
-        }
+        clearTimeout(keyboard.jumpTimer);
+        keyboard.jumpTimer = setTimeout(hideJumpBox, JUMP_TIMEOUT);
     }
 
-    // ============================================
-    // Keyboard Hint Logic
-    // ============================================
-
+    /**
+     * Go to the typed slide number
+     */
+    function submitJump() {
+        const num = parseInt(keyboard.jumpDigits, 10);
+        hideJumpBox();
+        if (num >= 1 && num <= totalSlides) {
+            goToSlide(num);
+        }
+    }
+
+    // --------------------------------------------
+    // Blackout (B)
+    // --------------------------------------------
+
+    /**
+     * Black out the screen, or bring it back
+     * @param {boolean} on - True to black out
+     */
+    function setBlackout(on) {
+        if (!keyboard.blackout) {
+            keyboard.blackout = document.createElement('div');
+            keyboard.blackout.className = 'blackout';
+            keyboard.blackout.hidden = true;
+            keyboard.blackout.addEventListener('click', (e) => {
+                e.stopPropagation();
+                setBlackout(false);
+            });
+            document.body.appendChild(keyboard.blackout);
+        }
+        keyboard.blackout.hidden = !on;
+    }
+
+    // --------------------------------------------
+    // Help overlay (?)
+    // --------------------------------------------
+
+    /**
+     * Check whether the help overlay is showing
+     * @returns {boolean} True if it is open
+     */
+    function isKeyHelpOpen() {
+        return Boolean(keyboard.help && !keyboard.help.hidden);
+    }
+
+    /**
+     * Open or close the help overlay
+     */
+    function toggleKeyHelp() {
+        if (!keyboard.help) {
+            keyboard.help = document.createElement('div');
+            keyboard.help.className = 'key-help';
+            keyboard.help.hidden = true;
+            keyboard.help.setAttribute('role', 'dialog');
+            keyboard.help.setAttribute('aria-modal', 'true');
+            keyboard.help.setAttribute('aria-labelledby', 'keyHelpTitle');
+            keyboard.help.addEventListener('click', handleKeyHelpClick);
+            document.body.appendChild(keyboard.help);
+        }
+
+        if (isKeyHelpOpen()) {
+            keyboard.captureAction = null;
+            keyboard.help.hidden = true;
+            if (keyboard.returnFocus) keyboard.returnFocus.focus();
+            return;
+        }
+
+        keyboard.returnFocus = document.activeElement;
+        keyboard.help.hidden = false;
+        renderKeyHelp();
+        keyboard.help.querySelector('.key-help-close').focus();
+    }
+
+    /**
+     * Render the list of actions and their keys
+     */
+    function renderKeyHelp() {
+        const rows = Object.keys(keymap).map(action => {
+            const keys = keymap[action].map(key => `<kbd>${describeKey(key)}</kbd>`).join(' ');
+            const isCapturing = keyboard.captureAction === action;
+            return `
+                <tr>
+                    <th scope="row">${t(`keys.action.${action}`)}</th>
+                    <td>${keys || `<span class="key-help-none">${t('keys.none')}</span>`}</td>
+                    <td>
+                        <button type="button" class="key-help-add${isCapturing ? ' capturing' : ''}" data-key-action="${action}">
+                            ${isCapturing ? t('keys.press') : t('keys.add')}
+                        </button>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        keyboard.help.innerHTML = `
+            <div class="key-help-panel">
+                <h2 id="keyHelpTitle">${t('keys.title')}</h2>
+                <table class="key-help-table">
+                    <tbody>
+                        ${rows}
+                        <tr>
+                            <th scope="row">${t('keys.number')}</th>
+                            <td><kbd>1</kbd> … <kbd>9</kbd> <kbd>${t('key.Enter')}</kbd></td>
+                            <td></td>
+                        </tr>
+                    </tbody>
+                </table>
+                <p class="key-help-note">${t('keys.note')}</p>
+                <div class="key-help-buttons">
+                    <button type="button" class="key-help-reset"${Object.keys(keyOverrides).length ? '' : ' disabled'}>${t('keys.reset')}</button>
+                    <button type="button" class="key-help-close">${t('keys.close')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle the buttons in the help overlay
+     * @param {MouseEvent} e - Click event
+     */
+    function handleKeyHelpClick(e) {
+        e.stopPropagation();
+
+        if (e.target === keyboard.help || e.target.closest('.key-help-close')) {
+            toggleKeyHelp();
+            return;
+        }
+
+        const add = e.target.closest('[data-key-action]');
+        if (add) {
+            keyboard.captureAction = keyboard.captureAction === add.dataset.keyAction ? null : add.dataset.keyAction;
+        } else if (e.target.closest('.key-help-reset')) {
+            keyboard.captureAction = null;
+            saveKeyOverrides({});
+        } else {
+            return;
+        }
+
+        renderKeyHelp();
+        const focusTarget = add
+            ? keyboard.help.querySelector(`[data-key-action="${add.dataset.keyAction}"]`)
+            : keyboard.help.querySelector('.key-help-close');
+        focusTarget.focus();
+    }
+
+    /**
+     * Bind the pressed key to the action waiting in the help overlay
+     * Escape cancels; digits and Enter cannot be bound
+     * @param {KeyboardEvent} e - The keyboard event
+     */
+    function captureKey(e) {
+        const action = keyboard.captureAction;
+        const key = Keymap.normalizeKey(e);
+
+        if (e.key === 'Escape') {
+            keyboard.captureAction = null;
+        } else if (Keymap.isBindable(key)) {
+            keyboard.captureAction = null;
+            saveKeyOverrides(Keymap.addKey(keymap, keyOverrides, action, key));
+        } else {
+            return;
+        }
+
+        renderKeyHelp();
+        keyboard.help.querySelector(`[data-key-action="${action}"]`).focus();
+    }
+
+    // ============================================
+    // Slide Overview (O, or hold Escape)
+    // ============================================
+
+    // How long Escape has to be held to open the overview
+    const OVERVIEW_HOLD = 500;
+
+    // Length of the zoom from a thumbnail back to its slide (see .overview.closing)
+    const OVERVIEW_ZOOM = 350;
+
+    const overview = {
+        element: null,
+        grid: null,
+        selected: 1,
+        holdTimer: null,
+        closing: false,
+        returnFocus: null
+    };
+
+    /**
+     * Check whether the overview is showing
+     * @returns {boolean} True if it is open
+     */
+    function isOverviewOpen() {
+        return Boolean(overview.element && !overview.element.hidden);
+    }
+
+    /**
+     * Number of grid columns, so the thumbnails roughly fill a wide screen
+     * @returns {number} Columns
+     */
+    function getOverviewColumns() {
+        return Math.ceil(Math.sqrt(totalSlides * 1.5));
+    }
+
+    /**
+     * Count the click-reveal steps not yet shown on a slide
+     * @param {number} slideNum - Slide number
+     * @returns {number} Steps left, 0 for slides without click-reveal
+     */
+    function getStepsLeft(slideNum) {
+        return controller.getStepCount(slideNum) - controller.getStep(slideNum);
+    }
+
+    /**
+     * Open the overview with the current slide selected
+     */
+    function openOverview() {
+        if (isOverviewOpen()) return;
+
+        if (!overview.element) {
+            overview.element = document.createElement('div');
+            overview.element.className = 'overview';
+            overview.element.hidden = true;
+            overview.element.setAttribute('role', 'dialog');
+            overview.element.setAttribute('aria-modal', 'true');
+            overview.element.setAttribute('aria-labelledby', 'overviewTitle');
+            overview.element.innerHTML = `
+                <div class="overview-header">
+                    <h2 id="overviewTitle"></h2>
+                    <p class="overview-hint"></p>
+                    <button type="button" class="overview-close"></button>
+                </div>
+                <div class="overview-grid"></div>
+            `;
+            overview.grid = overview.element.querySelector('.overview-grid');
+            overview.element.addEventListener('click', handleOverviewClick);
+            overview.element.addEventListener('focusin', (e) => {
+                const thumb = e.target.closest('[data-overview-slide]');
+                if (thumb) selectOverviewThumb(parseInt(thumb.dataset.overviewSlide), false);
+            });
+            window.addEventListener('resize', () => {
+                if (isOverviewOpen()) fitOverviewThumbs();
+            });
+            document.body.appendChild(overview.element);
+        }
+
+        overview.returnFocus = document.activeElement;
+        overview.selected = controller.current;
+        renderOverview();
+
+        overview.element.hidden = false;
+        fitOverviewThumbs();
+        selectOverviewThumb(controller.current, true);
+    }
+
+    /**
+     * Render a thumbnail of every slide as it looks right now
+     */
+    function renderOverview() {
+        overview.element.querySelector('#overviewTitle').textContent = t('overview.title');
+        overview.element.querySelector('.overview-hint').textContent = t('overview.hint');
+        overview.element.querySelector('.overview-close').textContent = t('overview.close');
+        overview.grid.style.setProperty('--overview-columns', getOverviewColumns());
+        overview.grid.innerHTML = '';
+
+        deck.forEach((entry, index) => {
+            const slideNum = index + 1;
+            const stepsLeft = getStepsLeft(slideNum);
+            const title = getSlideTitle(entry);
+
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'overview-thumb';
+            thumb.classList.toggle('current', slideNum === controller.current);
+            thumb.dataset.overviewSlide = slideNum;
+            thumb.setAttribute('aria-label', stepsLeft > 0
+                ? `${slideNum}. ${title}, ${t('overview.stepsLeft', { count: stepsLeft })}`
+                : `${slideNum}. ${title}`);
+
+            // Unvisited click-reveal slides start from step 0 as well
+            const stage = document.createElement('span');
+            const preview = document.createElement('div');
+            stage.className = 'overview-stage';
+            stage.setAttribute('aria-hidden', 'true');
+            preview.className = 'slides-container overview-preview';
+            preview.appendChild(createSlidePreview(slideNum, controller.getStep(slideNum)));
+            stage.appendChild(preview);
+
+            const caption = document.createElement('span');
+            const num = document.createElement('span');
+            caption.className = 'overview-caption';
+            num.className = 'slide-menu-num';
+            num.textContent = slideNum;
+            caption.append(num, ` ${title}`);
+
+            thumb.append(stage, caption);
+
+            if (stepsLeft > 0) {
+                const steps = document.createElement('span');
+                steps.className = 'overview-steps';
+                steps.textContent = t('overview.stepsLeft', { count: stepsLeft });
+                thumb.appendChild(steps);
+            }
+
+            overview.grid.appendChild(thumb);
+        });
+    }
+
+    /**
+     * Scale the slide copies so a full-viewport slide fits inside each thumbnail
+     */
+    function fitOverviewThumbs() {
+        overview.grid.querySelectorAll('.overview-stage').forEach(stage => {
+            const scale = stage.clientWidth / window.innerWidth;
+            stage.firstElementChild.style.transform = `scale(${scale})`;
+            stage.style.height = `${window.innerHeight * scale}px`;
+        });
+    }
+
+    /**
+     * Mark a thumbnail as selected
+     * @param {number} slideNum - Slide number
+     * @param {boolean} focus - Move keyboard focus to it as well
+     */
+    function selectOverviewThumb(slideNum, focus) {
+        overview.selected = Math.max(1, Math.min(totalSlides, slideNum));
+        overview.grid.querySelectorAll('.overview-thumb').forEach(thumb => {
+            thumb.classList.toggle('selected', parseInt(thumb.dataset.overviewSlide) === overview.selected);
+        });
+
+        if (focus) {
+            overview.grid.querySelector(`[data-overview-slide="${overview.selected}"]`).focus();
+        }
+    }
+
+    /**
+     * Close the overview, zooming into the chosen slide
+     * @param {number} [slideNum] - Slide to go to, or the current slide if left out
+     */
+    function closeOverview(slideNum) {
+        if (!isOverviewOpen() || overview.closing) return;
+
+        const target = slideNum || controller.current;
+        const stage = overview.grid.querySelector(`[data-overview-slide="${target}"] .overview-stage`);
+        const rect = stage.getBoundingClientRect();
+
+        const finish = () => {
+            overview.closing = false;
+            overview.element.hidden = true;
+            overview.element.classList.remove('closing');
+            overview.element.style.transform = '';
+            overview.grid.innerHTML = '';
+
+            const previousSlide = controller.current;
+            goToSlide(target);
+            if (target === previousSlide) {
+                focusSlideHeading(getSlideElement(target));
+            }
+        };
+
+        if (prefersReducedMotion() || !rect.width) {
+            finish();
+            return;
+        }
+
+        // Grow the whole grid until the chosen thumbnail fills the screen
+        const scale = window.innerWidth / rect.width;
+        overview.closing = true;
+        overview.element.classList.add('closing');
+        overview.element.style.transform =
+            `translate(${-rect.left * scale}px, ${-rect.top * scale}px) scale(${scale})`;
+        setTimeout(finish, OVERVIEW_ZOOM);
+    }
+
+    /**
+     * Handle keys while the overview is open
+     * Arrows move in the grid, Enter or Space opens the slide, Escape closes
+     * @param {KeyboardEvent} e - The keyboard event
+     */
+    function handleOverviewKey(e) {
+        const columns = getOverviewColumns();
+        const moves = {
+            ArrowRight: 1,
+            ArrowLeft: -1,
+            ArrowDown: columns,
+            ArrowUp: -columns
+        };
+
+        if (overview.closing || e.key === 'Tab') return;
+
+        if (moves[e.key]) {
+            const next = overview.selected + moves[e.key];
+            if (next >= 1 && next <= totalSlides) selectOverviewThumb(next, true);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            selectOverviewThumb(e.key === 'Home' ? 1 : totalSlides, true);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            closeOverview(overview.selected);
+        } else if (e.key === 'Escape' || Keymap.resolve(keymap, Keymap.normalizeKey(e)) === 'overview') {
+            closeOverview();
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+    }
+
+    /**
+     * Open the slide that was clicked, or close on the background
+     * @param {MouseEvent} e - Click event
+     */
+    function handleOverviewClick(e) {
+        e.stopPropagation();
+
+        const thumb = e.target.closest('[data-overview-slide]');
+        if (thumb) {
+            closeOverview(parseInt(thumb.dataset.overviewSlide));
+        } else if (e.target === overview.element || e.target === overview.grid || e.target.closest('.overview-close')) {
+            closeOverview();
+        }
+    }
+
+    /**
+     * Open the overview if Escape is held down
+     */
+    function startOverviewHold() {
+        clearTimeout(overview.holdTimer);
+        overview.holdTimer = setTimeout(openOverview, OVERVIEW_HOLD);
+    }
+
+    /**
+     * Stop waiting for a held Escape
+     */
+    function cancelOverviewHold() {
+        clearTimeout(overview.holdTimer);
+    }
+
+    // ============================================
+    // Click-Reveal Functions
+    // ============================================
+
+    /**
+     * Check if the current slide is a click-reveal slide
+     * @returns {boolean} True if current slide has click-reveal enabled
+     */
+    function isCurrentSlideClickReveal() {
+        return controller.isClickReveal(controller.current);
+    }
+
+    /**
+     * Check if all steps on the current slide have been revealed
+     * @returns {boolean} True if all steps are visible
+     */
+    function allElementsRevealed() {
+        return controller.isFullyRevealed(controller.current);
+    }
+
+    /**
+     * Show the next fragment group on the current slide
+     * @returns {boolean} True if a group was shown, false if the slide is fully revealed
+     */
+    function nextFragment() {
+        const revealed = controller.reveal();
+        if (!revealed) return false;
+
+        announce(revealed.map(el => el.textContent.replace(/\s+/g, ' ').trim()).join(' '));
+        updateClickRevealIndicator();
+        handleStateChange(false);
+        return true;
+    }
+
+    /**
+     * Undo the last fragment group on the current slide
+     * @returns {boolean} True if a group was undone, false if none was showing
+     */
+    function prevFragment() {
+        if (!controller.unreveal()) return false;
+
+        updateClickRevealIndicator();
+        handleStateChange(false);
+        return true;
+    }
+
+    /**
+     * Move forward: the next fragment, or the next slide once all are shown
+     */
+    function goForward() {
+        if (!nextFragment()) nextSlide();
+    }
+
+    /**
+     * Move back: undo the last fragment, or go to the previous slide (fully revealed)
+     */
+    function goBack() {
+        if (!prevFragment()) prevSlide();
+    }
+
+    // ============================================
+    // Click-Reveal Indicator
+    // ============================================
+    const clickRevealIndicator = document.getElementById('clickRevealIndicator');
+
+    /**
+     * Update click-reveal indicator visibility
+     * Shows indicator when on a click-reveal slide with unrevealed elements
+     */
+    function updateClickRevealIndicator() {
+        if (!clickRevealIndicator) return;
+
+        if (isCurrentSlideClickReveal() && !allElementsRevealed()) {
+            clickRevealIndicator.classList.add('visible');
+        } else {
+            clickRevealIndicator.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Handle click on slides container for click-reveal slides
+     */
+    function handleSlideContainerClick(e) {
+        // Only handle clicks on click-reveal slides
+        if (!isCurrentSlideClickReveal()) return;
+
+        // Don't handle if clicking on interactive elements
+        if (e.target.closest('a, button, input, .fag-cell.clickable, .has-info, [data-modal-image], .poll-panel, .question-board')) return;
+
+        nextFragment();
+    }
+
+    // ============================================
+    // Gestures (Swipe and Long-Press, js/gestures.js)
+    // ============================================
+
+    /**
+     * Act on a swipe: sideways like the arrow keys, up and down through the reveal steps
+     * @param {string} direction - left, right, up or down (the way the finger moved)
+     */
+    function handleSwipe(direction) {
+        if (direction === 'left') {
+            goForward();
+        } else if (direction === 'right') {
+            goBack();
+        } else if (direction === 'up') {
+            nextFragment();
+        } else if (direction === 'down') {
+            prevFragment();
+        }
+    }
+
+    /**
+     * Mark the current slide when its content is taller than the screen
+     * Only then may a vertical drag scroll it (touch-action in layout.css)
+     */
+    function markOverflowingSlide() {
+        const slide = controller.getSlide(controller.current);
+        if (slide) slide.classList.toggle('overflowing', slide.scrollHeight > slide.clientHeight);
+    }
+
+    /**
+     * Listen for swipes and long-presses on the slides
+     * Overlays sit outside the slides container, so they never see these gestures
+     */
+    function initGestures() {
+        Gestures.attach(slidesContainer, {
+            swipe: handleSwipe,
+            longPress: openOverview,
+            // An open speech bubble is read, not swiped away
+            isBlocked: () => Boolean(document.querySelector('.speech-bubble.visible'))
+        });
+
+        markOverflowingSlide();
+        window.addEventListener('resize', markOverflowingSlide);
+    }
+
+    // ============================================
+    // Keyboard Hint Logic
+    // ============================================
+
     /**
      * Show keyboard hint briefly after page load
      * Displays for 4 seconds after a 1 second delay
@@ -488,23 +1408,43 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Keyboard navigation
     document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('keyup', (e) => {
+        if (e.key === 'Escape') cancelOverviewHold();
+    });
 
     // Klikk på slides for click-reveal (kun på slides med data-click-reveal="true")
     slidesContainer.addEventListener('click', handleSlideContainerClick);
 
-    // Touch/swipe support
-    document.addEventListener('touchstart', handleTouchStart, { passive: true });
-    document.addEventListener('touchend', handleTouchEnd, { passive: true });
-
     // ============================================
     // Slide Menu (Hover Navigation)
     // ============================================
 
     /**
      * Initialize the slide menu hover navigation
-     * Sets up click handlers for menu items and updates active state
+     * Builds one menu item per slide in the deck, sets up click handlers
+     * and updates active state
      */
     function initSlideMenu() {
+        const slideMenuList = document.querySelector('.slide-menu-list');
+
+        if (slideMenuList) {
+            slideMenuList.innerHTML = '';
+            deck.forEach((entry, index) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                const num = document.createElement('span');
+
+                button.className = 'slide-menu-item';
+                button.dataset.goto = index + 1;
+                num.className = 'slide-menu-num';
+                num.textContent = index + 1;
+                button.append(num, ` ${getSlideTitle(entry)}`);
+
+                item.appendChild(button);
+                slideMenuList.appendChild(item);
+            });
+        }
+
         const slideMenuItems = document.querySelectorAll('.slide-menu-item');
 
         slideMenuItems.forEach(item => {
@@ -529,7 +1469,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const slideMenuItems = document.querySelectorAll('.slide-menu-item');
         slideMenuItems.forEach(item => {
             const slideNum = parseInt(item.dataset.goto);
-            if (slideNum === currentSlide) {
+            if (slideNum === controller.current) {
                 item.classList.add('active');
             } else {
                 item.classList.remove('active');
@@ -541,732 +1481,3705 @@ document.addEventListener('DOMContentLoaded', () => {
     initSlideMenu();
 
     // ============================================
-    // Parallax Effect
+    // Data Files
     // ============================================
 
     /**
-     * Parallax configuration
-     * Defines movement multipliers for different parallax speeds
-     * Movement is in opposite direction of mouse (creates depth illusion)
+     * Load a JSON data file from the data/ folder
+     * @param {string} url - Path relative to index.html
+     * @returns {Promise<Object>} The parsed JSON
      */
-    const parallaxConfig = {
-        slow: 0.3,    // Subtle movement - elements appear far away
-        medium: 0.5,  // Standard movement
-        fast: 0.8     // More movement - elements appear closer
-    };
+    function loadJson(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`${url}: ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    // ============================================
+    // Elevens plan (shared by the planning tools)
+    // ============================================
+
+    const STUDENT_PLAN_KEY = 'fagvalg-elevplan';
+
+    // Answers the student has given in one tool that the others reuse,
+    // e.g. the fremmedspråk outcome: { fremmedsprak: { utfall, svar } }
+    const studentPlan = loadStudentPlan();
+    const studentPlanListeners = [];
+
+    /**
+     * Load the saved plan from localStorage
+     * @returns {Object} The saved plan, or an empty one
+     */
+    function loadStudentPlan() {
+        try {
+            return JSON.parse(localStorage.getItem(STUDENT_PLAN_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
 
     /**
-     * Maximum parallax movement in pixels
-     * Keeps the effect subtle and prevents excessive displacement
+     * Update the shared plan, save it and notify the other tools
+     * @param {Object} changes - Fields to set
      */
-    const maxParallaxMovement = 25;
+    function updateStudentPlan(changes) {
+        Object.assign(studentPlan, changes);
+
+        try {
+            localStorage.setItem(STUDENT_PLAN_KEY, JSON.stringify(studentPlan));
+        } catch (err) {
+            // Private mode or storage full: the plan still works for this visit
+        }
+
+        studentPlanListeners.forEach(listener => listener(studentPlan));
+    }
 
     /**
-     * Handle mouse movement for parallax effect
-     * Moves elements with data-parallax attribute in opposite direction of mouse
-     * @param {MouseEvent} e - The mouse event
+     * Run a callback whenever the shared plan changes
+     * @param {Function} listener - Called with the plan
      */
-    function handleParallaxMouseMove(e) {
-        const parallaxElements = document.querySelectorAll('[data-parallax]');
+    function onStudentPlanChange(listener) {
+        studentPlanListeners.push(listener);
+    }
 
-        if (parallaxElements.length === 0) return;
+    // ============================================
+    // Fordypningskalkulator (js/fordypning.js)
+    // ============================================
 
-        // Calculate mouse position relative to center of viewport
-        const centerX = window.innerWidth / 2;
-        const centerY = window.innerHeight / 2;
+    const fordypningCalculator = {
+        data: null,
+        selected: new Set(),
+        root: null
+    };
 
-        // Calculate offset from center (-1 to 1 range)
-        const offsetX = (centerX - e.clientX) / centerX;
-        const offsetY = (centerY - e.clientY) / centerY;
+    /**
+     * Format a count of fordypninger in the current language
+     * @param {number} count - Number of fordypninger
+     * @returns {string} E.g. "1 fordypning" or "2 fordypninger"
+     */
+    function formatFordypninger(count) {
+        return tCount('fordypning.count', count);
+    }
 
-        parallaxElements.forEach(element => {
-            const speed = element.dataset.parallax || 'medium';
-            const multiplier = parallaxConfig[speed] || parallaxConfig.medium;
+    /**
+     * Initialize the fordypning calculator
+     * Loads the subject data and renders one column per programområde
+     */
+    function initFordypningCalculator() {
+        const root = document.querySelector('[data-fordypning-calculator]');
+        if (!root || !window.Fordypning) return;
 
-            // Calculate movement (clamped to max movement)
-            const moveX = Math.max(-maxParallaxMovement, Math.min(maxParallaxMovement, offsetX * maxParallaxMovement * multiplier));
-            const moveY = Math.max(-maxParallaxMovement, Math.min(maxParallaxMovement, offsetY * maxParallaxMovement * multiplier));
+        fordypningCalculator.root = root;
 
-            // Apply transform - combines with existing animations
-            element.style.transform = `translate(${moveX}px, ${moveY}px)`;
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-fag]');
+            if (!button) return;
+            e.stopPropagation();
+            handleCalculatorFagClick(button);
         });
+
+        loadJson('data/fordypning.json')
+            .then(data => {
+                fordypningCalculator.data = data;
+                if (isPrintMode) {
+                    renderFordypningSummary();
+                    return;
+                }
+                renderFordypningCalculator();
+                updateFordypningCalculator();
+            })
+            .catch(err => {
+                console.log('Fordypning data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('fordypning.error')}</p>`;
+            });
+    }
+
+    /**
+     * Render the subject columns and the result panel
+     */
+    function renderFordypningCalculator() {
+        const { data, root } = fordypningCalculator;
+
+        const columns = data.programomrader.map(omrade => {
+            const groups = data.fordypninger
+                .filter(group => group.programomrader.includes(omrade.id))
+                .map(group => {
+                    const chips = group.fag.map(fagId => {
+                        const fag = Fordypning.getFag(data, fagId);
+                        return `<button type="button" class="calc-fag" data-fag="${fagId}" aria-pressed="false">${fag.navn}</button>`;
+                    }).join('<span class="calc-plus">+</span>');
+                    return `<div class="calc-group" data-group="${group.id}">${chips}<span class="calc-check" aria-hidden="true">&#10003;</span></div>`;
+                }).join('');
+
+            return `
+                <div class="calc-omrade ${omrade.id}">
+                    <h3><span class="legend-color ${omrade.id}"></span>${omrade.navn}</h3>
+                    <div class="calc-groups">${groups}</div>
+                </div>`;
+        }).join('');
+
+        root.innerHTML = `
+            <div class="calc-columns">${columns}</div>
+            <div class="calc-result" aria-live="polite"></div>
+        `;
+    }
+
+    /**
+     * Toggle a subject in the calculator
+     * Subjects that build on another (Fysikk 2 on Fysikk 1) need that subject first
+     * @param {HTMLElement} button - The clicked subject button
+     */
+    function handleCalculatorFagClick(button) {
+        const { data, selected } = fordypningCalculator;
+        const fagId = button.dataset.fag;
+        const fag = Fordypning.getFag(data, fagId);
+
+        if (selected.has(fagId)) {
+            selected.delete(fagId);
+            // Also deselect subjects that build on this one
+            data.fag.forEach(other => {
+                if (other.byggerPa === fagId) selected.delete(other.id);
+            });
+        } else if (fag.byggerPa && !selected.has(fag.byggerPa)) {
+            // Shake animation to indicate requirement
+            button.style.animation = 'shake 0.5s ease';
+            setTimeout(() => {
+                button.style.animation = '';
+            }, 500);
+            return;
+        } else {
+            selected.add(fagId);
+        }
+
+        updateFordypningCalculator();
+    }
+
+    /**
+     * Update selected subjects, completed groups and the result panel
+     */
+    function updateFordypningCalculator() {
+        const { data, selected, root } = fordypningCalculator;
+        const result = Fordypning.calculate(data, [...selected]);
+        const completedIds = result.fordypninger.map(group => group.id);
+
+        root.querySelectorAll('.calc-fag').forEach(button => {
+            const isSelected = selected.has(button.dataset.fag);
+            button.classList.toggle('selected', isSelected);
+            button.setAttribute('aria-pressed', isSelected);
+        });
+
+        root.querySelectorAll('.calc-group').forEach(group => {
+            group.classList.toggle('complete', completedIds.includes(group.dataset.group));
+        });
+
+        const counts = result.perProgramomrade.map(omrade => `
+            <div class="calc-count ${omrade.id}">
+                <span class="calc-count-num">${omrade.count}</span>
+                <span>${tCount('fordypning.countIn', omrade.count, { omrade: omrade.navn })}</span>
+            </div>`).join('');
+
+        const rule = result.studiespesialisering;
+        let ruleText;
+        if (rule.met) {
+            ruleText = t('fordypning.ruleMet', { count: formatFordypninger(rule.programomrade.count), omrade: rule.programomrade.navn });
+        } else if (rule.programomrade) {
+            ruleText = t('fordypning.ruleUnmetHave', {
+                count: formatFordypninger(rule.required),
+                have: formatFordypninger(rule.programomrade.count),
+                omrade: rule.programomrade.navn
+            });
+        } else {
+            ruleText = t('fordypning.ruleUnmet', { count: formatFordypninger(rule.required) });
+        }
+
+        const suggestions = result.suggestions.slice(0, 4).map(suggestion => {
+            const omrader = suggestion.programomrader
+                .map(id => data.programomrader.find(omrade => omrade.id === id).navn)
+                .join(` ${t('list.and')} `);
+            return `
+                <li>
+                    <button type="button" class="calc-suggestion" data-fag="${suggestion.fag.id}">+ ${suggestion.fag.navn}</button>
+                    ${t('fordypning.suggestion', { fordypning: suggestion.fordypning.navn, omrader })}
+                    ${suggestion.meetsRequirement ? `<span class="calc-badge">${t('fordypning.meetsRequirement')}</span>` : ''}
+                </li>`;
+        }).join('');
+
+        root.querySelector('.calc-result').innerHTML = `
+            <div class="calc-counts">${counts}</div>
+            <div class="calc-rule ${rule.met ? 'met' : 'unmet'}">
+                <span class="checkmark">${rule.met ? '&#10003;' : '!'}</span> ${ruleText}
+            </div>
+            ${suggestions ? `<h4>${t('fordypning.suggestionsTitle')}</h4><ul class="calc-suggestions">${suggestions}</ul>` : ''}
+        `;
+    }
+
+    // Add shake animation CSS dynamically
+    const shakeStyle = document.createElement('style');
+    shakeStyle.textContent = `
+        @keyframes shake {
+            0%, 100% { transform: translateX(0); }
+            20%, 60% { transform: translateX(-5px); }
+            40%, 80% { transform: translateX(5px); }
+        }
+    `;
+    document.head.appendChild(shakeStyle);
+
+    /**
+     * Render a static list of the fordypning groups for the handout
+     */
+    function renderFordypningSummary() {
+        const { data, root } = fordypningCalculator;
+        const rule = (data.krav && data.krav.studiespesialisering) || { minimumFordypninger: 2 };
+
+        const columns = data.programomrader.map(omrade => {
+            const groups = data.fordypninger
+                .filter(group => group.programomrader.includes(omrade.id))
+                .map(group => `<div class="calc-group">${group.fag.map(fagId => Fordypning.getFag(data, fagId).navn).join('<span class="calc-plus">+</span>')}</div>`)
+                .join('');
+
+            return `
+                <div class="calc-omrade ${omrade.id}">
+                    <h3><span class="legend-color ${omrade.id}"></span>${omrade.navn}</h3>
+                    <div class="calc-groups">${groups}</div>
+                </div>`;
+        }).join('');
+
+        root.classList.add('print-summary');
+        root.innerHTML = `
+            <div class="calc-columns">${columns}</div>
+            <p class="math-hint">${t('fordypning.summary', { count: formatFordypninger(rule.minimumFordypninger) })}</p>
+        `;
+    }
+
+    // Initialize fordypning calculator
+    initFordypningCalculator();
+
+    // ============================================
+    // Vitnemålssjekk (js/vitnemal.js)
+    // ============================================
+
+    const vitnemalChecker = {
+        regler: null,
+        fagData: null,
+        plan: {
+            programomrade: 'studspes',
+            fremmedsprak: studentPlan.fremmedsprak ? studentPlan.fremmedsprak.utfall : 'fortsetter',
+            vg2: [],
+            vg3: []
+        },
+        root: null
+    };
+
+    // Same IDs as the outcomes in data/fremmedsprak.json, labelled by vitnemal.fremmedsprak.<id>
+    const FREMMEDSPRAK_VALG = ['fortsetter', 'byttet', 'ingen'];
+
+    /**
+     * Initialize the vitnemål checker panel
+     * Loads the rules and the subject data, then renders the plan form
+     */
+    function initVitnemalChecker() {
+        const root = document.querySelector('[data-vitnemal-checker]');
+        if (!root || !window.Vitnemal) return;
+
+        vitnemalChecker.root = root;
+
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-field], [data-fag]');
+            if (!button) return;
+            e.stopPropagation();
+
+            const { plan } = vitnemalChecker;
+            if (button.dataset.field === 'fremmedsprak') {
+                // Shared with the fremmedspråk wizard, which updates this panel
+                updateStudentPlan({ fremmedsprak: { utfall: button.dataset.value, svar: null } });
+                return;
+            } else if (button.dataset.field) {
+                plan[button.dataset.field] = button.dataset.value;
+            } else {
+                const list = plan[button.dataset.trinn];
+                const index = list.indexOf(button.dataset.fag);
+                if (index === -1) {
+                    list.push(button.dataset.fag);
+                } else {
+                    list.splice(index, 1);
+                }
+            }
+
+            updateVitnemalChecker();
+        });
+
+        Promise.all([loadJson('data/vitnemal-regler.json'), loadJson('data/fordypning.json')])
+            .then(([regler, fagData]) => {
+                vitnemalChecker.regler = regler;
+                vitnemalChecker.fagData = fagData;
+                if (isPrintMode) {
+                    renderVitnemalSummary();
+                    return;
+                }
+                renderVitnemalChecker();
+                updateVitnemalChecker();
+            })
+            .catch(err => {
+                console.log('Vitnemål data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('vitnemal.error')}</p>`;
+            });
+    }
+
+    /**
+     * Render a row of toggle buttons
+     * @param {string} name - Field in the plan the buttons set
+     * @param {Object[]} options - [{ id, navn }]
+     * @returns {string} HTML
+     */
+    function renderVitnemalOptions(name, options) {
+        return options.map(option =>
+            `<button type="button" class="vitnemal-option" data-field="${name}" data-value="${option.id}" aria-pressed="false">${option.navn}</button>`
+        ).join('');
+    }
+
+    /**
+     * Render the subject chips for one trinn
+     * @param {string} trinn - 'vg2' or 'vg3'
+     * @param {Object[]} fagList - Subjects to offer
+     * @returns {string} HTML
+     */
+    function renderVitnemalTrinn(trinn, fagList) {
+        const chips = fagList.map(fag =>
+            `<button type="button" class="calc-fag" data-trinn="${trinn}" data-fag="${fag.id}" aria-pressed="false">${fag.navn}</button>`
+        ).join('');
+
+        return `
+            <div class="vitnemal-trinn">
+                <h3>${trinn.toUpperCase()} <span class="vitnemal-antall" data-antall="${trinn}"></span></h3>
+                <div class="vitnemal-fag">${chips}</div>
+            </div>`;
+    }
+
+    /**
+     * Render the plan form and the result panel
+     * VG2 offers Matematikk and subjects that do not build on another;
+     * VG3 offers every programfag. Mistakes beyond that are left to the rules.
+     */
+    function renderVitnemalChecker() {
+        const { regler, fagData, root } = vitnemalChecker;
+        const fagList = Vitnemal.getFagList(regler, fagData);
+        const matematikk = regler.grupper['matematikk-vg2'] || [];
+        const isMatematikk = fag => matematikk.includes(fag.id);
+
+        const vg2 = fagList.filter(isMatematikk)
+            .concat(fagList.filter(fag => !isMatematikk(fag) && !fag.byggerPa && fag.id !== 'spansk1-2'));
+        const vg3 = fagList.filter(fag => fag.id !== 'matematikk-2p');
+
+        root.innerHTML = `
+            <div class="vitnemal-plan">
+                <div class="vitnemal-options">${renderVitnemalOptions('programomrade', regler.programomrader)}</div>
+                <div class="vitnemal-options">${renderVitnemalOptions('fremmedsprak', FREMMEDSPRAK_VALG.map(id => ({ id, navn: t(`vitnemal.fremmedsprak.${id}`) })))}</div>
+                <div class="vitnemal-columns">
+                    ${renderVitnemalTrinn('vg2', vg2)}
+                    ${renderVitnemalTrinn('vg3', vg3)}
+                </div>
+            </div>
+            <div class="vitnemal-result" aria-live="polite"></div>
+        `;
+    }
+
+    /**
+     * Update the form state and list every broken rule
+     */
+    function updateVitnemalChecker() {
+        const { regler, fagData, plan, root } = vitnemalChecker;
+        const violations = Vitnemal.check(regler, plan, fagData);
+        const omrade = Vitnemal.getProgramomrade(regler, plan.programomrade);
+
+        root.className = `vitnemal-checker ${plan.programomrade}`;
+
+        root.querySelectorAll('[data-field]').forEach(button => {
+            const isSelected = plan[button.dataset.field] === button.dataset.value;
+            button.classList.toggle('selected', isSelected);
+            button.setAttribute('aria-pressed', isSelected);
+        });
+
+        root.querySelectorAll('[data-fag]').forEach(button => {
+            const isSelected = plan[button.dataset.trinn].includes(button.dataset.fag);
+            const isFlagged = violations.some(v => v.fag === button.dataset.fag && v.trinn === button.dataset.trinn);
+            button.classList.toggle('selected', isSelected);
+            button.classList.toggle('flagged', isSelected && isFlagged);
+            button.setAttribute('aria-pressed', isSelected);
+        });
+
+        root.querySelectorAll('[data-antall]').forEach(label => {
+            const count = plan[label.dataset.antall].length;
+            label.textContent = t('vitnemal.selected', { count });
+        });
+
+        const result = root.querySelector('.vitnemal-result');
+        if (violations.length === 0) {
+            result.innerHTML = `
+                <div class="calc-rule met">
+                    <span class="checkmark">&#10003;</span> ${t('vitnemal.valid', { omrade: omrade.navn })}
+                </div>`;
+            return;
+        }
+
+        const items = violations.map(violation => `
+            <li class="vitnemal-violation">
+                ${violation.trinn ? `<span class="vitnemal-tag">${violation.trinn.toUpperCase()}</span>` : ''}
+                ${violation.melding}
+            </li>`).join('');
+
+        result.innerHTML = `
+            <div class="calc-rule unmet">
+                <span class="checkmark">!</span> ${tCount('vitnemal.broken', violations.length)}
+            </div>
+            <ul class="vitnemal-violations">${items}</ul>
+        `;
+    }
+
+    /**
+     * Render the rules per programområde as static text for the handout
+     */
+    function renderVitnemalSummary() {
+        const { regler, root } = vitnemalChecker;
+        const listRules = rules => rules.map(rule => `<li>${rule.beskrivelse}</li>`).join('');
+
+        const omrader = regler.programomrader.map(omrade => `
+            <div class="vitnemal-trinn">
+                <h3>${omrade.navn}</h3>
+                <ul class="vitnemal-regler">${listRules(omrade.regler)}</ul>
+            </div>`).join('');
+
+        root.classList.add('print-summary');
+        root.innerHTML = `
+            <div class="vitnemal-columns">${omrader}</div>
+            <h4>${t('vitnemal.allOmrader')}</h4>
+            <ul class="vitnemal-regler">${listRules(regler.fellesRegler || [])}</ul>
+        `;
+    }
+
+    // Initialize vitnemål checker
+    initVitnemalChecker();
+
+    // Follow the fremmedspråk outcome from the wizard
+    onStudentPlanChange(plan => {
+        if (!plan.fremmedsprak) return;
+        vitnemalChecker.plan.fremmedsprak = plan.fremmedsprak.utfall;
+        if (vitnemalChecker.regler) updateVitnemalChecker();
+    });
+
+    // ============================================
+    // Fremmedspråk-veiviser (js/fremmedsprak.js)
+    // ============================================
+
+    const sprakWizard = {
+        data: null,
+        regler: null,
+        answers: (studentPlan.fremmedsprak && studentPlan.fremmedsprak.svar) || {},
+        // Outcome picked in another tool without going through the questions
+        preset: studentPlan.fremmedsprak && !studentPlan.fremmedsprak.svar ? studentPlan.fremmedsprak.utfall : null,
+        root: null
+    };
+
+    /**
+     * Initialize the fremmedspråk wizard
+     * Loads the questions and the programfag counts used for the VG3 slots
+     */
+    function initSprakWizard() {
+        const root = document.querySelector('[data-sprak-wizard]');
+        if (!root || !window.Fremmedsprak || !window.Vitnemal) return;
+
+        sprakWizard.root = root;
+
+        Promise.all([loadJson('data/fremmedsprak.json'), loadJson('data/vitnemal-regler.json')])
+            .then(([data, regler]) => {
+                sprakWizard.data = data;
+                sprakWizard.regler = regler;
+                if (isPrintMode) {
+                    renderSprakSummary();
+                    return;
+                }
+                renderSprakWizard();
+            })
+            .catch(err => {
+                console.log('Fremmedspråk data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('sprak.error')}</p>`;
+            });
+
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-svar], [data-endre], [data-restart]');
+            if (!button) return;
+            e.stopPropagation();
+            handleSprakWizardClick(button);
+            restoreFocus(root, button);
+        });
+
+        onStudentPlanChange(plan => {
+            const saved = plan.fremmedsprak;
+            if (saved && !saved.svar) {
+                sprakWizard.answers = {};
+                sprakWizard.preset = saved.utfall;
+            }
+            if (sprakWizard.data) renderSprakWizard();
+        });
+    }
+
+    /**
+     * Answer a question, go back to one, or start over
+     * A finished wizard stores its outcome in the shared plan
+     * @param {HTMLElement} button - The clicked button
+     */
+    function handleSprakWizardClick(button) {
+        const { data } = sprakWizard;
+
+        if (button.dataset.restart !== undefined) {
+            sprakWizard.answers = {};
+        } else if (button.dataset.endre) {
+            // Forget this answer and every answer after it
+            const { steps } = Fremmedsprak.walk(data, sprakWizard.answers);
+            const index = steps.findIndex(step => step.sporsmal.id === button.dataset.endre);
+            steps.slice(index).forEach(step => delete sprakWizard.answers[step.sporsmal.id]);
+        } else {
+            sprakWizard.answers[button.dataset.sporsmal] = button.dataset.svar;
+        }
+        sprakWizard.preset = null;
+
+        const { utfall } = Fremmedsprak.walk(data, sprakWizard.answers);
+        if (utfall) {
+            updateStudentPlan({ fremmedsprak: { utfall: utfall.id, svar: Object.assign({}, sprakWizard.answers) } });
+        } else if (studentPlan.fremmedsprak) {
+            updateStudentPlan({ fremmedsprak: null });
+        }
+
+        renderSprakWizard();
+    }
+
+    /**
+     * Render the answered steps, the current question or the outcome
+     */
+    function renderSprakWizard() {
+        const { data, regler, answers, preset, root } = sprakWizard;
+        const result = Fremmedsprak.walk(data, answers);
+        const utfall = result.utfall || (preset ? Fremmedsprak.getUtfall(data, preset) : null);
+
+        const steps = result.steps.map(({ sporsmal, svar }) => `
+            <li>
+                <span class="sprak-q">${sporsmal.tekst}</span>
+                <button type="button" class="sprak-answer" data-endre="${sporsmal.id}" title="${t('sprak.change')}">${svar.tekst} &#9998;</button>
+            </li>`).join('');
+
+        let body = '';
+        if (utfall) {
+            const slots = regler.programomrader.map(omrade => {
+                const antall = Vitnemal.getAntallProgramfag(regler, omrade.id, 'vg3');
+                const free = Fremmedsprak.freeVg3Slots(utfall, antall);
+                return `
+                    <li class="${free < antall ? 'reduced' : ''}">
+                        <strong>${omrade.navn}:</strong> ${t('sprak.slots', { free, total: antall })}
+                    </li>`;
+            }).join('');
+
+            body = `
+                <div class="sprak-outcome">
+                    <div class="sprak-result ${utfall.ferdig ? 'done' : 'required'}">
+                        <span class="checkmark">${utfall.ferdig ? '&#10003;' : '!'}</span> ${utfall.tittel}
+                    </div>
+                    <p>${utfall.beskrivelse}</p>
+                    <ul class="sprak-slots">${slots}</ul>
+                    <button type="button" class="vitnemal-option" data-restart>${t('sprak.restart')}</button>
+                </div>`;
+        } else if (result.current) {
+            const options = result.current.svar.map(svar =>
+                `<button type="button" class="vitnemal-option" data-sporsmal="${result.current.id}" data-svar="${svar.id}">${svar.tekst}</button>`
+            ).join('');
+
+            body = `
+                <div class="sprak-question">
+                    <h3>${result.current.tekst}</h3>
+                    <div class="vitnemal-options">${options}</div>
+                </div>`;
+        }
+
+        root.innerHTML = `
+            ${steps ? `<ol class="sprak-steps">${steps}</ol>` : ''}
+            <div aria-live="polite">${body}</div>
+        `;
+    }
+
+    /**
+     * Render every route through the questions as a static row for the handout
+     */
+    function renderSprakSummary() {
+        const { data, root } = sprakWizard;
+        const rows = [];
+
+        /**
+         * Follow every answer from a question down to its outcome
+         * @param {Object} sporsmal - The question
+         * @param {Object[]} trail - Answers so far [{ sporsmal, svar }]
+         */
+        function collect(sporsmal, trail) {
+            sporsmal.svar.forEach(svar => {
+                const steps = trail.concat({ sporsmal, svar });
+                if (svar.utfall) {
+                    rows.push({ steps, utfall: Fremmedsprak.getUtfall(data, svar.utfall) });
+                } else {
+                    collect(Fremmedsprak.getSporsmal(data, svar.neste), steps);
+                }
+            });
+        }
+        collect(Fremmedsprak.getSporsmal(data, data.start), []);
+
+        const scenarios = rows.map(({ steps, utfall }) => `
+            <div class="sprak-scenario visible">
+                <div class="sprak-condition">
+                    <span>${steps.map(step => `${step.sporsmal.tekst} <strong>${step.svar.tekst}</strong>`).join('<br>')}</span>
+                </div>
+                <div class="sprak-arrow">&#8594;</div>
+                <div class="sprak-result ${utfall.ferdig ? 'done' : 'required'}">
+                    <span class="checkmark">${utfall.ferdig ? '&#10003;' : '!'}</span> ${utfall.tittel}
+                </div>
+            </div>`).join('');
+
+        root.classList.add('print-summary');
+        root.innerHTML = `<div class="sprak-scenarios">${scenarios}</div>`;
+    }
+
+    // Initialize fremmedspråk wizard
+    initSprakWizard();
+
+    // ============================================
+    // Blokkskjema (js/blokkskjema.js)
+    // ============================================
+
+    const blokkskjemaView = {
+        data: null,
+        fagList: [],
+        trinn: 'vg2',
+        selected: { vg2: [], vg3: [] },
+        root: null
+    };
+
+    /**
+     * Initialize the native blokkskjema
+     * Loads the schedule and the subject names, then renders the VG2 blocks
+     */
+    function initBlokkskjema() {
+        const root = document.querySelector('[data-blokkskjema]');
+        if (!root || !window.Blokkskjema || !window.Vitnemal) return;
+
+        blokkskjemaView.root = root;
+
+        Promise.all([
+            loadJson('data/blokkskjema.json'),
+            loadJson('data/vitnemal-regler.json'),
+            loadJson('data/fordypning.json')
+        ])
+            .then(([data, regler, fagData]) => {
+                blokkskjemaView.data = data;
+                blokkskjemaView.fagList = Vitnemal.getFagList(regler, fagData);
+                if (isPrintMode) {
+                    renderBlokkskjemaSummary();
+                    return;
+                }
+                renderBlokkskjema();
+            })
+            .catch(err => {
+                console.log('Blokkskjema data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('blokk.error')}</p>`;
+            });
+
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-blokk-trinn], [data-fag]');
+            if (!button) return;
+            e.stopPropagation();
+
+            if (button.dataset.blokkTrinn) {
+                blokkskjemaView.trinn = button.dataset.blokkTrinn;
+            } else {
+                const list = blokkskjemaView.selected[blokkskjemaView.trinn];
+                const index = list.indexOf(button.dataset.fag);
+                if (index === -1) {
+                    list.push(button.dataset.fag);
+                } else {
+                    list.splice(index, 1);
+                }
+            }
+
+            renderBlokkskjema();
+            restoreFocus(root, button);
+        });
+    }
+
+    /**
+     * Look up a subject name
+     * @param {string} fagId - Subject ID
+     * @returns {string} The name, or the ID if unknown
+     */
+    function getBlokkFagNavn(fagId) {
+        const fag = blokkskjemaView.fagList.find(f => f.id === fagId);
+        return fag ? fag.navn : fagId;
+    }
+
+    /**
+     * Join names as a list in the current language ("A, B og C")
+     * @param {string[]} names - Names to join
+     * @param {string} [word] - Word before the last name (default "og")
+     * @returns {string} The list
+     */
+    function joinNames(names, word = t('list.and')) {
+        return names.length > 1
+            ? `${names.slice(0, -1).join(', ')} ${word} ${names[names.length - 1]}`
+            : names.join('');
+    }
+
+    /**
+     * Render the trinn tabs, the block columns and the placement result
+     * The school's own blokkskjema (iframe) is only loaded when its tab is opened
+     */
+    function renderBlokkskjema() {
+        const { data, trinn, root } = blokkskjemaView;
+        const embed = document.querySelector('[data-embed="blokkskjema"]');
+        const tabs = data.trinn.map(t => ({ id: t.id, navn: t.navn }))
+            .concat({ id: 'nett', navn: t('blokk.schoolTab') });
+
+        const tabButtons = tabs.map(tab => `
+            <button type="button" class="vitnemal-option ${tab.id === trinn ? 'selected' : ''}"
+                    data-blokk-trinn="${tab.id}" aria-pressed="${tab.id === trinn}">${tab.navn}</button>`).join('');
+
+        if (trinn === 'nett') {
+            root.innerHTML = `<div class="vitnemal-options">${tabButtons}</div>`;
+            if (embed) {
+                embed.hidden = false;
+                if (!embed.querySelector('iframe').src && !embed.querySelector('.embed-status')) {
+                    loadBlokkskjema();
+                }
+            }
+            return;
+        }
+        if (embed) embed.hidden = true;
+
+        const skjema = Blokkskjema.getTrinn(data, trinn);
+        const selected = blokkskjemaView.selected[trinn];
+        const result = Blokkskjema.place(skjema, selected);
+        const conflictFag = result.konflikter.reduce((list, k) => list.concat(k.fag, k.opptattAv), []);
+
+        const columns = skjema.blokker.map(blokk => {
+            const cells = blokk.fag.map(entry => {
+                const placed = result.plassering.find(p => p.fag === entry.fag);
+                const plasser = Blokkskjema.getPlasser(data, entry);
+                const classes = ['blokk-fag'];
+                if (placed && placed.blokk === blokk.id) classes.push('selected');
+                if (placed && placed.alternativer.includes(blokk.id)) classes.push('alternativ');
+                if (conflictFag.includes(entry.fag) && (!placed || placed.blokk === blokk.id)) classes.push('konflikt');
+                const isFull = entry.sokere !== undefined && entry.sokere >= plasser;
+
+                return `
+                    <button type="button" class="${classes.join(' ')}" data-fag="${entry.fag}" aria-pressed="${selected.includes(entry.fag)}">
+                        ${getBlokkFagNavn(entry.fag)}
+                        <span class="blokk-plasser">${entry.sokere !== undefined ? `${entry.sokere}/` : ''}${t('blokk.places', { count: plasser })}${isFull ? ` – ${t('blokk.full')}` : ''}</span>
+                    </button>`;
+            }).join('');
+
+            return `
+                <div class="blokk-column">
+                    <h3>${blokk.navn}</h3>
+                    ${cells}
+                </div>`;
+        }).join('');
+
+        root.innerHTML = `
+            <div class="vitnemal-options">${tabButtons}</div>
+            ${data.merknad ? `<p class="math-hint">${data.merknad}</p>` : ''}
+            <div class="blokk-grid">${columns}</div>
+            <div class="blokk-result" aria-live="polite">${renderBlokkResult(skjema, result)}</div>
+        `;
+    }
+
+    /**
+     * Describe the placement: clashes, alternatives and free blocks
+     * @param {Object} skjema - Schedule for the trinn
+     * @param {Object} result - Result from Blokkskjema.place
+     * @returns {string} HTML
+     */
+    function renderBlokkResult(skjema, result) {
+        const blokkNavn = id => skjema.blokker.find(b => b.id === id).navn;
+
+        if (result.plassering.length === 0 && result.konflikter.length === 0) {
+            return `<p class="math-hint">${t('blokk.hint')}</p>`;
+        }
+
+        const konflikter = result.konflikter.map(k => {
+            const andre = joinNames(k.opptattAv.map(getBlokkFagNavn));
+            const text = k.blokker.length === 1
+                ? t('blokk.clashSame', { fag: getBlokkFagNavn(k.fag), andre, blokk: blokkNavn(k.blokker[0]) })
+                : t('blokk.clashOther', { fag: getBlokkFagNavn(k.fag), blokker: joinNames(k.blokker.map(blokkNavn)), andre });
+            return `<li class="vitnemal-violation">${text}</li>`;
+        }).join('');
+
+        const plassering = result.plassering.map(p => `
+            <li>
+                <strong>${blokkNavn(p.blokk)}:</strong> ${getBlokkFagNavn(p.fag)}
+                ${p.alternativer.length ? `<span class="blokk-alt">${t('blokk.alsoIn', { blokker: joinNames(p.alternativer.map(blokkNavn)) })}</span>` : ''}
+            </li>`).join('');
+
+        const forslag = result.forslag.filter(f => f.fag.length).map(f => `
+            <li><strong>${t('blokk.free', { blokk: blokkNavn(f.blokk) })}</strong> ${joinNames(f.fag.map(getBlokkFagNavn), t('list.or'))}</li>`).join('');
+
+        const status = result.konflikter.length
+            ? `<div class="calc-rule unmet"><span class="checkmark">!</span> ${tCount('blokk.clashes', result.konflikter.length)}</div>`
+            : `<div class="calc-rule met"><span class="checkmark">&#10003;</span> ${t('blokk.ok')}</div>`;
+
+        return `
+            ${status}
+            ${konflikter ? `<ul class="vitnemal-violations">${konflikter}</ul>` : ''}
+            <ul class="blokk-plassering">${plassering}</ul>
+            ${forslag ? `<h4>${t('blokk.suggestionsTitle')}</h4><ul class="blokk-plassering">${forslag}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Render the blocks for every trinn without selection for the handout
+     */
+    function renderBlokkskjemaSummary() {
+        const { data, root } = blokkskjemaView;
+
+        const schedules = data.trinn.map(skjema => {
+            const columns = skjema.blokker.map(blokk => `
+                <div class="blokk-column">
+                    <h3>${blokk.navn}</h3>
+                    ${blokk.fag.map(entry => `<span class="blokk-fag">${getBlokkFagNavn(entry.fag)}</span>`).join('')}
+                </div>`).join('');
+
+            return `<h4>${skjema.navn}</h4><div class="blokk-grid">${columns}</div>`;
+        }).join('');
+
+        root.classList.add('print-summary');
+        root.innerHTML = `
+            ${data.merknad ? `<p class="math-hint">${data.merknad}</p>` : ''}
+            ${schedules}
+            <p class="math-hint">${t('blokk.summary')}</p>
+        `;
+    }
+
+    // Initialize native blokkskjema
+    initBlokkskjema();
+
+    // Update slide menu and shared state after every navigation
+    const originalGoToSlide = goToSlide;
+    goToSlide = function(slideNum) {
+        originalGoToSlide(slideNum);
+        // Update slide menu active state after navigation
+        updateSlideMenuActive();
+        // Update click-reveal indicator
+        updateClickRevealIndicator();
+        // Record the slide change in the URL, history and presenter view
+        handleStateChange(true);
+    };
+
+    // ============================================
+    // Matematikkløp (js/matematikk.js)
+    // ============================================
+
+    const mathExplorer = {
+        data: null,
+        fagData: null,
+        ordning: null,
+        path: [],
+        blocked: null,
+        root: null
+    };
+
+    const MATH_TRINN_LABELS = { vg1: 'VG1', vg2: 'VG2', vg3: 'VG3' };
+
+    /**
+     * Initialize the maths path explorer on the Matematikk slide
+     * Loads the course data and renders the VG1 column
+     */
+    function initMathExplorer() {
+        const root = document.querySelector('[data-math-explorer]');
+        if (!root || !window.Matematikk) return;
+
+        mathExplorer.root = root;
+
+        Promise.all([loadJson('data/matematikk.json'), loadJson('data/fordypning.json')])
+            .then(([data, fagData]) => {
+                mathExplorer.data = data;
+                mathExplorer.fagData = fagData;
+                mathExplorer.ordning = Matematikk.getOrdning(data);
+                if (isPrintMode) {
+                    renderMathSummary();
+                    return;
+                }
+                renderMathExplorer();
+            })
+            .catch(err => {
+                console.log('Matematikk data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('math.error')}</p>`;
+            });
+
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-kurs], [data-ordning]');
+            if (!button) return;
+            e.stopPropagation();
+
+            if (button.dataset.ordning) {
+                mathExplorer.ordning = Matematikk.getOrdning(mathExplorer.data, button.dataset.ordning);
+                mathExplorer.path = [];
+                mathExplorer.blocked = null;
+            } else {
+                handleMathKursClick(button);
+            }
+
+            renderMathExplorer();
+            restoreFocus(root, button);
+        });
+    }
+
+    /**
+     * Choose a course, or show why it is blocked
+     * Choosing in an earlier year clears the years after it
+     * @param {HTMLElement} button - The clicked course button
+     */
+    function handleMathKursClick(button) {
+        const index = Matematikk.TRINN.indexOf(button.dataset.trinn);
+        const kursId = button.dataset.kurs;
+
+        if (button.dataset.grunn) {
+            mathExplorer.blocked = { kursId, grunn: button.dataset.grunn };
+            return;
+        }
+
+        mathExplorer.blocked = null;
+        mathExplorer.path = mathExplorer.path[index] === kursId
+            ? mathExplorer.path.slice(0, index)
+            : mathExplorer.path.slice(0, index).concat(kursId);
+    }
+
+    /**
+     * Render one year column
+     * @param {string} trinn - 'vg1', 'vg2' or 'vg3'
+     * @param {number} index - Position of the year in the path
+     * @returns {string} HTML
+     */
+    function renderMathColumn(trinn, index) {
+        const { ordning, path, blocked, data } = mathExplorer;
+
+        if (index > path.length) {
+            return `
+                <div class="math-column ${trinn} waiting">
+                    <h3>${MATH_TRINN_LABELS[trinn]}</h3>
+                    <p class="math-waiting">${t('math.waiting', { trinn: MATH_TRINN_LABELS[Matematikk.TRINN[index - 1]] })}</p>
+                </div>`;
+        }
+
+        const options = Matematikk.getOptions(ordning, trinn, index === 0 ? null : path[index - 1]);
+        const boxes = options.map(({ kurs, apen, grunn, merknad }) => {
+            const classes = ['math-box', trinn];
+            if (path[index] === kurs.id) classes.push('chosen');
+            if (!apen) classes.push('blocked');
+            if (blocked && blocked.kursId === kurs.id) classes.push('shake');
+            return `
+                <button type="button" class="${classes.join(' ')}" data-trinn="${trinn}" data-kurs="${kurs.id}"
+                        ${grunn ? `data-grunn="${grunn}" aria-disabled="true"` : ''} aria-pressed="${path[index] === kurs.id}"
+                        ${merknad ? `title="${merknad}"` : ''}>
+                    ${kurs.navn}
+                    <span class="points">${apen ? kurs.beskrivelse || '' : t('math.closed')}</span>
+                </button>`;
+        });
+
+        // VG3 maths is optional, so "none" always ends the path
+        if (trinn === 'vg3') {
+            boxes.push(`<span class="math-end">${data.ingenVg3}</span>`);
+        }
+
+        return `
+            <div class="math-column ${trinn}">
+                <h3>${MATH_TRINN_LABELS[trinn]}</h3>
+                ${boxes.join('')}
+            </div>`;
+    }
+
+    /**
+     * Render the path result: blocked reason, fordypning and admission requirements
+     * @returns {string} HTML
+     */
+    function renderMathResult() {
+        const { ordning, path, blocked, fagData } = mathExplorer;
+
+        if (blocked) {
+            return `<div class="calc-rule unmet"><span class="checkmark">!</span> ${blocked.grunn}</div>`;
+        }
+
+        if (path.length < 2) {
+            return `<p class="math-hint">${t('math.hint')}</p>`;
+        }
+
+        const result = Matematikk.evaluate(ordning, path, fagData);
+        const transition = Matematikk.getOptions(ordning, 'vg2', path[0]).find(o => o.kurs.id === path[1]);
+
+        let fordypningText;
+        if (result.fordypning) {
+            fordypningText = `<div class="calc-rule met"><span class="checkmark">&#10003;</span> ${t('math.fordypning', { fordypning: result.fordypning.navn })}</div>`;
+        } else if (result.forslag) {
+            fordypningText = `<div class="calc-rule unmet"><span class="checkmark">!</span> ${t('math.forslag', { kurs: result.forslag.kurs.navn, fordypning: result.forslag.fordypning.navn })}</div>`;
+        } else {
+            fordypningText = `<div class="calc-rule unmet"><span class="checkmark">!</span> ${t('math.noFordypning')}</div>`;
+        }
+
+        const krav = result.opptakskrav.map(({ krav, oppfylt }) => `
+            <li class="${oppfylt ? 'met' : 'unmet'}">
+                <span class="checkmark">${oppfylt ? '&#10003;' : '&#10007;'}</span> ${krav.navn}
+            </li>`).join('');
+
+        return `
+            ${transition && transition.merknad ? `<p class="math-hint">${transition.merknad}</p>` : ''}
+            ${fordypningText}
+            <h4>${t('math.opptakskrav')}</h4>
+            <ul class="math-krav">${krav}</ul>
+        `;
+    }
+
+    /**
+     * Render the whole explorer from the current path
+     */
+    function renderMathExplorer() {
+        const { data, ordning, root } = mathExplorer;
+
+        const ordningButtons = data.ordninger.length > 1
+            ? `<div class="vitnemal-options">${data.ordninger.map(o => `
+                <button type="button" class="vitnemal-option ${o.id === ordning.id ? 'selected' : ''}" data-ordning="${o.id}"
+                        aria-pressed="${o.id === ordning.id}">${o.navn}${o.utkast ? ` ${t('math.draft')}` : ''}</button>`).join('')}
+               </div>`
+            : '';
+
+        const columns = Matematikk.TRINN.map((trinn, index) => renderMathColumn(trinn, index))
+            .join('<span class="math-arrow" aria-hidden="true">&#8594;</span>');
+
+        root.classList.toggle('utkast', Boolean(ordning.utkast));
+        root.innerHTML = `
+            ${ordningButtons}
+            ${ordning.merknad ? `<p class="math-hint">${ordning.merknad}</p>` : ''}
+            <div class="math-columns">${columns}</div>
+            <div class="math-result" aria-live="polite">${renderMathResult()}</div>
+        `;
+    }
+
+    /**
+     * Render every open path in today's offering as a table for the handout
+     * Proposed offerings are only mentioned by their note
+     */
+    function renderMathSummary() {
+        const { data, ordning, fagData, root } = mathExplorer;
+        const rows = [];
+
+        Matematikk.getOptions(ordning, 'vg1', null).forEach(vg1 => {
+            Matematikk.getOptions(ordning, 'vg2', vg1.kurs.id).filter(o => o.apen).forEach(vg2 => {
+                const endings = [null].concat(
+                    Matematikk.getOptions(ordning, 'vg3', vg2.kurs.id).filter(o => o.apen).map(o => o.kurs)
+                );
+                endings.forEach(vg3 => {
+                    const kurs = [vg1.kurs, vg2.kurs].concat(vg3 || []);
+                    const result = Matematikk.evaluate(ordning, kurs.map(k => k.id), fagData);
+                    const krav = result.opptakskrav.filter(k => k.oppfylt).map(k => k.krav.navn);
+                    rows.push(`
+                        <tr>
+                            <td>${kurs.map(k => k.navn).join(' &#8594; ')}</td>
+                            <td>${result.fordypning ? result.fordypning.navn : '–'}</td>
+                            <td>${krav.join(', ')}</td>
+                        </tr>`);
+                });
+            });
+        });
+
+        const notes = data.ordninger.filter(o => o !== ordning && o.merknad)
+            .map(o => `<p class="math-hint"><strong>${o.navn}:</strong> ${o.merknad}</p>`).join('');
+
+        root.classList.add('print-summary');
+        root.innerHTML = `
+            <table class="md-table">
+                <thead><tr><th>${t('math.path')}</th><th>${t('math.fordypningColumn')}</th><th>${t('math.meets')}</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            ${notes}
+        `;
+    }
+
+    // Initialize maths path explorer
+    initMathExplorer();
+
+    /**
+     * Render the planning tools again in the current language
+     * Only tools whose data has loaded are rendered; selections are kept
+     */
+    function renderPlanningTools() {
+        if (fordypningCalculator.data) {
+            if (isPrintMode) {
+                renderFordypningSummary();
+            } else {
+                renderFordypningCalculator();
+                updateFordypningCalculator();
+            }
+        }
+        if (vitnemalChecker.regler) {
+            if (isPrintMode) {
+                renderVitnemalSummary();
+            } else {
+                renderVitnemalChecker();
+                updateVitnemalChecker();
+            }
+        }
+        if (sprakWizard.data) {
+            if (isPrintMode) {
+                renderSprakSummary();
+            } else {
+                renderSprakWizard();
+            }
+        }
+        if (blokkskjemaView.data) {
+            if (isPrintMode) {
+                renderBlokkskjemaSummary();
+            } else {
+                renderBlokkskjema();
+            }
+        }
+        if (mathExplorer.data) {
+            if (isPrintMode) {
+                renderMathSummary();
+            } else {
+                renderMathExplorer();
+            }
+        }
+    }
+
+    // ============================================
+    // Tidslinje (js/tidslinje.js)
+    // ============================================
+
+    const timeline = {
+        data: null,
+        root: null,
+        // Reveal step from a deep link, kept until the milestones are rendered
+        routeStep: 0
+    };
+
+    /**
+     * Initialize the timeline on the Tidslinje slide
+     * Loads the milestones and keeps the countdown running
+     */
+    function initTimeline() {
+        const root = document.querySelector('[data-timeline]');
+        if (!root || !window.Tidslinje) return;
+
+        timeline.root = root;
+        const slideNum = parseInt(root.closest('.slide').dataset.slide, 10);
+        const route = parseRoute(window.location.hash);
+        if (route && route.slideNum === slideNum) {
+            timeline.routeStep = route.step;
+        }
+
+        loadTimeline()
+            .then(() => {
+                if (isPrintMode) return;
+                setInterval(updateTimelineStatus, 1000);
+                // A tab left open picks up new dates (like the February deadline) when it is shown again
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') loadTimeline();
+                });
+            })
+            .catch(err => {
+                console.log('Tidslinje data error:', err);
+                root.innerHTML = `<p class="calc-error">${t('timeline.error')}</p>`;
+            });
+    }
+
+    /**
+     * Load data/tidslinje.json and render the timeline if it has changed
+     * @returns {Promise} Resolves once the timeline is up to date
+     */
+    function loadTimeline() {
+        return loadJson('data/tidslinje.json').then(data => {
+            if (timeline.data && JSON.stringify(data) === JSON.stringify(timeline.data)) return;
+            timeline.data = data;
+            renderTimeline();
+        });
+    }
+
+    /**
+     * Get a milestone's text in the current language
+     * @param {Object} hendelse - Milestone from data/tidslinje.json
+     * @param {string} key - 'title', 'text' or 'calendar'
+     * @returns {string} Translated text, or the bokmål text from the data file
+     */
+    function getTimelineText(hendelse, key) {
+        const text = I18n.getSlideText(i18nCatalogs, currentLang, 'tidslinje', `${hendelse.id}.${key}`);
+        if (text !== null) return text;
+        if (key === 'calendar') return hendelse.kalender || hendelse.tittel;
+        return key === 'title' ? hendelse.tittel : hendelse.tekst;
+    }
+
+    /**
+     * Describe a milestone's deadline
+     * @param {Object} hendelse - Milestone
+     * @returns {string} E.g. "Frist: torsdag 17. desember kl. 15:00", or '' without a deadline
+     */
+    function formatTimelineDeadline(hendelse) {
+        if (Tidslinje.isDatePending(hendelse)) return t('timeline.datePending');
+        if (!hendelse.frist) return '';
+
+        const locale = i18nCatalogs[currentLang].locale;
+        const options = { weekday: 'long', day: 'numeric', month: 'long' };
+        const date = hendelse.frist.includes('T')
+            ? new Date(Tidslinje.getDeadline(hendelse)).toLocaleString(locale, Object.assign(options, {
+                timeZone: Calendar.TIME_ZONE,
+                hour: '2-digit',
+                minute: '2-digit'
+            }))
+            : new Date(`${hendelse.frist}T12:00`).toLocaleDateString(locale, options);
+        return t('timeline.deadline', { date });
+    }
+
+    /**
+     * Render the milestones, the countdown and the calendar button
+     * The milestones are the slide's click-reveal steps, so the current step
+     * is shown again on the new elements
+     */
+    function renderTimeline() {
+        const { data, root } = timeline;
+        const locale = i18nCatalogs[currentLang].locale;
+
+        const items = Tidslinje.getHendelser(data).map((hendelse, index) => {
+            const month = new Date(`${hendelse.maned}-15T12:00`).toLocaleDateString(locale, { month: 'long' });
+            const deadline = formatTimelineDeadline(hendelse);
+            return `
+                <div class="timeline-item" data-delay="${index}" data-hendelse="${hendelse.id}">
+                    <div class="timeline-month">${month}</div>
+                    <div class="timeline-content">
+                        <h3>${getTimelineText(hendelse, 'title')}</h3>
+                        <p>${getTimelineText(hendelse, 'text')}</p>
+                        ${deadline ? `<span class="deadline">${deadline}</span>` : ''}
+                        <span class="timeline-status">${t('timeline.done')}</span>
+                    </div>
+                </div>`;
+        }).join('');
+
+        root.innerHTML = isPrintMode ? `<div class="timeline">${items}</div>` : `
+            <div class="timeline-countdown"></div>
+            <div class="timeline">${items}</div>
+            <button type="button" class="timeline-export">${t('timeline.export')}</button>
+        `;
+
+        const exportButton = root.querySelector('.timeline-export');
+        if (exportButton) {
+            exportButton.hidden = !Tidslinje.getDeadlines(data).length;
+            exportButton.addEventListener('click', exportTimeline);
+        }
+
+        updateTimelineStatus();
+
+        const slide = root.closest('.slide');
+        const slideNum = parseInt(slide.dataset.slide, 10);
+        if (isPrintMode) {
+            DeckController.showStep(slide, Infinity);
+            return;
+        }
+
+        const step = controller.getStep(slideNum);
+        const shown = controller.setStep(slideNum, Math.max(step, timeline.routeStep));
+        timeline.routeStep = 0;
+        if (controller.current !== slideNum) return;
+
+        updateClickRevealIndicator();
+        // Only a deep-linked step counts as a change; a new language or date is not browsing
+        if (shown !== step) handleStateChange(false);
+    }
+
+    /**
+     * Mark past milestones as done and update the countdown to the next deadline
+     */
+    function updateTimelineStatus() {
+        const { data, root } = timeline;
+        const now = Date.now();
+        const next = Tidslinje.getNextDeadline(data, now);
+
+        Tidslinje.getHendelser(data).forEach(hendelse => {
+            const item = root.querySelector(`.timeline-item[data-hendelse="${hendelse.id}"]`);
+            if (!item) return;
+            item.classList.toggle('done', Tidslinje.isDone(hendelse, now));
+            item.classList.toggle('next', Boolean(next) && next.hendelse === hendelse);
+        });
+
+        const countdown = root.querySelector('.timeline-countdown');
+        if (!countdown) return;
+
+        if (!next) {
+            countdown.innerHTML = `<span class="timeline-countdown-label">${t('timeline.allDone')}</span>`;
+            return;
+        }
+
+        const title = getTimelineText(next.hendelse, 'calendar');
+        if (next.deadline === null) {
+            countdown.innerHTML = `<span class="timeline-countdown-label">${t('timeline.countdownPending', { title })}</span>`;
+            return;
+        }
+
+        const left = Tidslinje.getCountdown(next.deadline - now);
+        const parts = ['days', 'hours', 'minutes', 'seconds'].map(unit => `
+            <span class="timeline-countdown-part">
+                <strong>${unit === 'days' ? left[unit] : String(left[unit]).padStart(2, '0')}</strong>
+                ${t(`timeline.${unit}`)}
+            </span>`).join('');
+        countdown.innerHTML = `
+            <span class="timeline-countdown-label">${t('timeline.countdown', { title })}</span>
+            <span class="timeline-countdown-time">${parts}</span>
+        `;
+    }
+
+    /**
+     * Download every dated deadline as a calendar file
+     */
+    function exportTimeline() {
+        const events = Tidslinje.getDeadlines(timeline.data).map(hendelse => ({
+            uid: `frist-${hendelse.maned}-${hendelse.id}@fagvalg`,
+            start: hendelse.frist,
+            title: getTimelineText(hendelse, 'calendar'),
+            description: getTimelineText(hendelse, 'text')
+        }));
+        const ics = Calendar.build(events, { name: t('timeline.calendarName') });
+        downloadFile('fagvalg-frister.ics', ics, 'text/calendar;charset=utf-8');
+    }
+
+    // Initialize timeline
+    initTimeline();
+
+    // ============================================
+    // QR Code Modal
+    // ============================================
+    const qrModal = document.getElementById('qrModal');
+    const qrModalClose = document.getElementById('qrModalClose');
+    const qrCodeTrigger = document.getElementById('qrCodeTrigger');
+    const qrModalBackdrop = qrModal ? qrModal.querySelector('.qr-modal-backdrop') : null;
+
+    /**
+     * Open QR modal
+     */
+    function openQrModal() {
+        if (!qrModal) return;
+        qrModal.classList.add('visible');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close QR modal
+     */
+    function closeQrModal() {
+        if (!qrModal) return;
+        qrModal.classList.remove('visible');
+        document.body.style.overflow = '';
+    }
+
+    // Click on QR code image to open modal
+    if (qrCodeTrigger) {
+        qrCodeTrigger.style.cursor = 'pointer';
+        qrCodeTrigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            openQrModal();
+        });
+    }
+
+    // Close modal on X button click
+    if (qrModalClose) {
+        qrModalClose.addEventListener('click', closeQrModal);
+    }
+
+    // Close modal on backdrop click
+    if (qrModalBackdrop) {
+        qrModalBackdrop.addEventListener('click', closeQrModal);
+    }
+
+    // Close QR modal on Escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && qrModal && qrModal.classList.contains('visible')) {
+            closeQrModal();
+        }
+    });
+
+    // ============================================
+    // Embeds (Studieplanlegger og Blokkskjema)
+    // ============================================
+
+    // Give up on a remote embed after this long and show the fallback
+    const EMBED_TIMEOUT = 8000;
+
+    const STUDIEPLANLEGGER = {
+        base: 'https://fredeids-metis.github.io/studieplanlegger',
+        styles: ['styles/base', 'styles/brand', 'styles/components/modal', 'styles/studieplanlegger', 'styles/print'],
+        options: {
+            schoolId: 'bergen-private-gymnas',
+            apiBaseUrl: 'https://fredeids-metis.github.io/school-data/api/v2',
+            apiVersion: 'v2'
+        }
+    };
+
+    // Local picture of the blokkskjema, shown when the iframe cannot load
+    const BLOKKSKJEMA_FALLBACK = 'blokkskjema_eksempel.png';
+
+    /**
+     * Reject a promise that takes longer than the given time
+     * @param {Promise} promise - The promise to wait for
+     * @param {number} ms - Time limit in milliseconds
+     * @returns {Promise} Settles like the promise, or rejects on timeout
+     */
+    function withTimeout(promise, ms) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Tidsavbrudd')), ms);
+            promise.then(
+                value => { clearTimeout(timer); resolve(value); },
+                err => { clearTimeout(timer); reject(err); }
+            );
+        });
+    }
+
+    /**
+     * Show a loading or error message in an embed container
+     * @param {HTMLElement} container - The embed container
+     * @param {string} state - 'loading' or 'error'
+     * @param {string} message - Text to show
+     * @param {Function} [retry] - Called by the "Prøv igjen" button
+     */
+    function showEmbedStatus(container, state, message, retry) {
+        const status = document.createElement('div');
+        status.className = `embed-status ${state}`;
+        status.setAttribute('role', state === 'error' ? 'alert' : 'status');
+        status.innerHTML = state === 'loading'
+            ? `<span class="embed-spinner" aria-hidden="true"></span><p>${message}</p>`
+            : `<span class="checkmark">!</span><p>${message}</p>`;
+
+        if (retry) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'vitnemal-option';
+            button.textContent = t('embed.retry');
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                retry();
+            });
+            status.appendChild(button);
+        }
+
+        clearEmbedStatus(container);
+        container.prepend(status);
+    }
+
+    /**
+     * Remove the loading or error message from an embed container
+     * @param {HTMLElement} container - The embed container
+     */
+    function clearEmbedStatus(container) {
+        const status = container.querySelector('.embed-status');
+        if (status) status.remove();
+    }
+
+    /**
+     * Load the studieplanlegger module and its styles
+     * Offline, the module and the school data come from the service worker
+     * cache if the deck has been opened online before.
+     */
+    function loadStudieplanlegger() {
+        const container = document.querySelector('[data-embed="studieplanlegger"]');
+        if (!container) return;
+
+        const { base, styles, options } = STUDIEPLANLEGGER;
+
+        if (isPrintMode) {
+            container.innerHTML = `<p class="print-summary">${t('embed.studieplanlegger.print', { url: `${base}/` })}</p>`;
+            return;
+        }
+
+        styles.forEach(path => {
+            const href = `${base}/${path}.css`;
+            if (document.querySelector(`link[href="${href}"]`)) return;
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = href;
+            document.head.appendChild(link);
+        });
+
+        showEmbedStatus(container, 'loading', t('embed.studieplanlegger.loading'));
+
+        withTimeout(import(`${base}/src/studieplanlegger.js`), EMBED_TIMEOUT)
+            .then(module => {
+                clearEmbedStatus(container);
+                new module.Studieplanlegger(container, options);
+            })
+            .catch(err => {
+                console.log('Studieplanlegger error:', err);
+                showEmbedStatus(container, 'error',
+                    t('embed.studieplanlegger.error'),
+                    // A failed import() is remembered by the browser, so retrying needs a reload
+                    () => location.reload());
+            });
+    }
+
+    /**
+     * Load the blokkskjema iframe, or show the local picture if it is unreachable
+     * Called when the "Skolens blokkskjema" tab is opened. The page is on
+     * another origin, so a no-cors request is used to check that it can be
+     * reached before the iframe is pointed at it.
+     */
+    function loadBlokkskjema() {
+        const container = document.querySelector('[data-embed="blokkskjema"]');
+        const iframe = container && container.querySelector('iframe[data-src]');
+        if (!iframe) return;
+
+        const url = iframe.dataset.src;
+        showEmbedStatus(container, 'loading', t('embed.blokkskjema.loading'));
+
+        withTimeout(fetch(url, { mode: 'no-cors', cache: 'no-store' }), EMBED_TIMEOUT)
+            .then(() => withTimeout(new Promise(resolve => {
+                iframe.addEventListener('load', resolve, { once: true });
+                iframe.src = url;
+            }), EMBED_TIMEOUT))
+            .then(() => {
+                clearEmbedStatus(container);
+                iframe.hidden = false;
+                const fallback = container.querySelector('.embed-fallback');
+                if (fallback) fallback.remove();
+            })
+            .catch(err => {
+                console.log('Blokkskjema error:', err);
+                iframe.removeAttribute('src');
+                iframe.hidden = true;
+                showBlokkskjemaFallback(container);
+            });
+    }
+
+    /**
+     * Show the local blokkskjema picture with an error message
+     * @param {HTMLElement} container - The blokkskjema container
+     */
+    function showBlokkskjemaFallback(container) {
+        showEmbedStatus(container, 'error',
+            t('embed.blokkskjema.fallback'),
+            loadBlokkskjema);
+
+        if (container.querySelector('.embed-fallback')) return;
+
+        const image = document.createElement('img');
+        image.className = 'embed-fallback';
+        image.src = BLOKKSKJEMA_FALLBACK;
+        image.alt = t('embed.blokkskjema.image');
+        // Opens enlarged through the image-modal plugin
+        image.dataset.modalImage = '';
+        container.appendChild(image);
+    }
+
+    // ============================================
+    // Offline Cache (sw.js)
+    // ============================================
+
+    /**
+     * Register the service worker that keeps an offline copy of the deck
+     * Files loaded before the worker took control are handed to it so the
+     * first visit is cached as well.
+     */
+    function registerOfflineCache() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                const urls = [location.href.split('#')[0]].concat(
+                    performance.getEntriesByType('resource').map(entry => entry.name)
+                );
+                registration.active.postMessage({ type: 'cache-urls', urls });
+            })
+            .catch(err => {
+                console.log('Service worker error:', err);
+            });
+    }
+
+    loadStudieplanlegger();
+    registerOfflineCache();
+
+    // ============================================
+    // Live Relay (Follow Mode on Students' Phones)
+    // ============================================
+
+    /**
+     * The projector window opens ?publish and sends every slide change and
+     * reveal step to the local relay (server/server.js). Phones open ?follow
+     * and move along, until the student browses on their own.
+     * Both parameters accept an explicit relay URL: ?follow=ws://10.0.0.5:8080/relay
+     */
+    const urlParams = new URLSearchParams(window.location.search);
+    const relayRole = urlParams.has('publish') ? 'publish' : (urlParams.has('follow') ? 'follow' : null);
+
+    const relay = {
+        channel: null,
+        lastState: null,
+        isDetached: false,
+        clientCount: 0,
+        bar: null
+    };
+
+    // True while applying state from the relay, so it does not count as browsing
+    let isApplyingRelayState = false;
+
+    /**
+     * Get the WebSocket URL of the relay
+     * Defaults to the server that served the page
+     * @returns {string} WebSocket URL
+     */
+    function getRelayUrl() {
+        const custom = relayRole && urlParams.get(relayRole);
+        if (custom) return custom;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/relay`;
+    }
+
+    /**
+     * Get the WebSocket URL of another channel on the relay's server
+     * @param {string} channel - Channel name, e.g. 'polls'
+     * @returns {string} WebSocket URL
+     */
+    function getChannelUrl(channel) {
+        return `${getRelayUrl().replace(/\/relay$/, '')}/${channel}`;
+    }
+
+    /**
+     * Open a channel on the relay's server, reconnecting with backoff if the connection drops
+     * @param {string} name - 'relay', or another channel such as 'polls'
+     * @param {Object} handlers
+     * @param {Function} handlers.onOpen - Called each time the connection opens
+     * @param {Function} handlers.onMessage - Called with each message event
+     * @param {Function} [handlers.onClose] - Called when the connection drops or cannot be made
+     * @returns {{isOpen: Function, send: Function}} The channel; send() returns false while it is not open
+     */
+    function openChannel(name, { onOpen, onMessage, onClose }) {
+        let socket = null;
+        let retryDelay = 1000;
+
+        const isOpen = () => Boolean(socket) && socket.readyState === WebSocket.OPEN;
+
+        function connect() {
+            try {
+                socket = new WebSocket(name === 'relay' ? getRelayUrl() : getChannelUrl(name));
+            } catch (err) {
+                console.log(`Channel error (${name}):`, err);
+                if (onClose) onClose();
+                return;
+            }
+
+            socket.addEventListener('open', () => {
+                retryDelay = 1000;
+                onOpen();
+            });
+
+            socket.addEventListener('message', onMessage);
+
+            socket.addEventListener('close', () => {
+                socket = null;
+                if (onClose) onClose();
+                setTimeout(connect, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, 15000);
+            });
+        }
+
+        connect();
+
+        return {
+            isOpen,
+            send(message) {
+                if (!isOpen()) return false;
+                socket.send(JSON.stringify(message));
+                return true;
+            }
+        };
+    }
+
+    /**
+     * Connect to the relay
+     */
+    function connectRelay() {
+        updateFollowBar('connecting');
+        relay.channel = openChannel('relay', {
+            onOpen: () => {
+                updateFollowBar();
+                publishState();
+            },
+            onMessage: handleRelayMessage,
+            onClose: () => updateFollowBar('offline')
+        });
+    }
+
+    /**
+     * Send the current slide and reveal step to the relay (projector window only)
+     */
+    function publishState() {
+        if (relayRole !== 'publish' || !relay.channel) return;
+
+        relay.channel.send({
+            type: 'state',
+            slide: deck[controller.current - 1].id,
+            step: controller.getStep(controller.current),
+            key: urlParams.get('key') || undefined
+        });
+    }
+
+    /**
+     * Handle a message from the relay
+     * @param {MessageEvent} e - Message with type 'state', 'clients' or 'error'
+     */
+    function handleRelayMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'state':
+                if (relayRole !== 'follow') return;
+                relay.lastState = message;
+                if (!relay.isDetached) applyRelayState();
+                updateFollowBar();
+                break;
+            case 'clients':
+                relay.clientCount = message.count;
+                updateFollowBar();
+                break;
+            case 'error':
+                console.log('Relay:', message.message);
+                break;
+        }
+    }
+
+    /**
+     * Move to the presenter's latest slide and reveal step
+     */
+    function applyRelayState() {
+        const slideNum = relay.lastState ? getSlideNumber(relay.lastState.slide) : 0;
+        if (!slideNum) return;
+
+        isApplyingRelayState = true;
+        showState(slideNum, relay.lastState.step);
+        isApplyingRelayState = false;
+    }
+
+    /**
+     * Detach from or re-sync with the presenter
+     * @param {boolean} detached - True to browse on your own
+     */
+    function setFollowDetached(detached) {
+        if (relay.isDetached === detached) return;
+
+        relay.isDetached = detached;
+        if (!detached) applyRelayState();
+        updateFollowBar();
+    }
+
+    /**
+     * Create the follow/publish status bar
+     */
+    function initFollowBar() {
+        const bar = document.createElement('div');
+        bar.className = `follow-bar follow-bar-${relayRole}`;
+        bar.innerHTML = '<span class="follow-status"></span><button type="button" class="follow-toggle"></button>';
+        document.body.appendChild(bar);
+
+        bar.querySelector('.follow-toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            setFollowDetached(!relay.isDetached);
+        });
+
+        relay.bar = bar;
+    }
+
+    /**
+     * Update the status bar text
+     * @param {string} [connection] - 'connecting' or 'offline' while not connected
+     */
+    function updateFollowBar(connection) {
+        if (!relay.bar) return;
+
+        const status = relay.bar.querySelector('.follow-status');
+        const toggle = relay.bar.querySelector('.follow-toggle');
+        const isConnected = relay.channel && relay.channel.isOpen();
+        const state = connection || (isConnected ? 'online' : 'connecting');
+
+        relay.bar.dataset.state = state;
+        toggle.hidden = true;
+
+        if (state === 'connecting') {
+            status.textContent = t('follow.connecting');
+        } else if (state === 'offline') {
+            status.textContent = t('follow.reconnecting');
+        } else if (relayRole === 'publish') {
+            status.textContent = t('follow.publishing', { count: Math.max(0, relay.clientCount - 1) });
+        } else if (!relay.lastState) {
+            status.textContent = t('follow.waiting');
+        } else if (relay.isDetached) {
+            status.textContent = t('follow.detached');
+            toggle.hidden = false;
+            toggle.textContent = t('follow.follow');
+        } else {
+            status.textContent = t('follow.following');
+            toggle.hidden = false;
+            toggle.textContent = t('follow.browse');
+        }
+
+        relay.bar.classList.toggle('detached', relay.isDetached);
+
+        const ask = relay.bar.querySelector('.follow-ask');
+        if (ask) ask.textContent = t('questions.ask');
+    }
+
+    if (relayRole && 'WebSocket' in window) {
+        initFollowBar();
+        connectRelay();
+    }
+
+    // ============================================
+    // Live Polls (Slide Polls on Students' Phones)
+    // ============================================
+
+    /**
+     * Slides with polls (js/slides.js) get a poll panel while the relay is in
+     * use. The projector window (?publish) opens a poll when it reaches the
+     * slide and shows the results as they come in; phones (?follow) answer.
+     * The server counts and saves the answers (server/polls.js). Without the
+     * server the slides stay as they are.
+     */
+    const VOTER_KEY = 'fagvalg-avstemning';
+
+    const pollState = {
+        channel: null,
+        // The open poll { slide, id, type, question, options } and its results
+        active: null,
+        results: null,
+        // This phone's answers by "slide/id"
+        answers: {}
+    };
+
+    /**
+     * Get the anonymous ID this browser answers and asks with
+     * The server keeps one answer or upvote per ID, so a changed answer replaces the old one
+     * @returns {string} Random ID, kept in localStorage
+     */
+    function getVoterId() {
+        let id = null;
+        try {
+            id = localStorage.getItem(VOTER_KEY);
+            if (!id) {
+                id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+                localStorage.setItem(VOTER_KEY, id);
+            }
+        } catch (err) {
+            // Private mode: a new ID for this visit
+            id = id || Math.random().toString(36).slice(2);
+        }
+        return id;
+    }
+
+    /**
+     * Get a poll text in the current language
+     * Translations are slide text keyed poll.<poll id> and poll.<poll id>.<option id>
+     * @param {string} slideId - Slide the poll belongs to
+     * @param {string} key - Poll or option key
+     * @param {string} fallback - The bokmål text from the manifest
+     * @returns {string} The text
+     */
+    function getPollText(slideId, key, fallback) {
+        return I18n.getSlideText(i18nCatalogs, currentLang, slideId, `poll.${key}`) || fallback;
+    }
+
+    /**
+     * Connect to the poll channel
+     */
+    function connectPolls() {
+        pollState.channel = openChannel('polls', {
+            onOpen: openSlidePoll,
+            onMessage: handlePollMessage
+        });
+    }
+
+    /**
+     * Send a message on the poll channel
+     * @param {Object} message - Serializable message
+     */
+    function sendPollMessage(message) {
+        if (pollState.channel) pollState.channel.send(message);
+    }
+
+    /**
+     * Handle a message from the poll channel
+     * @param {MessageEvent} e - Message with type 'poll', 'results', 'answered' or 'error'
+     */
+    function handlePollMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            return;
+        }
+
+        const active = pollState.active;
+        switch (message.type) {
+            case 'poll':
+                pollState.active = message.poll;
+                pollState.results = message.results;
+                renderPollPanels();
+                break;
+            case 'results':
+                if (!active || message.slide !== active.slide || message.poll !== active.id) return;
+                pollState.results = message.results;
+                renderPollPanels();
+                break;
+            case 'answered':
+                pollState.answers[`${message.slide}/${message.poll}`] = message.value;
+                renderPollPanels();
+                break;
+            case 'error':
+                console.log('Polls:', message.message);
+                break;
+        }
+    }
+
+    /**
+     * Open a poll for everyone (projector window only)
+     * @param {Object} entry - Manifest entry of the slide
+     * @param {Object} poll - Poll definition from the manifest
+     */
+    function openPoll(entry, poll) {
+        if (relayRole !== 'publish') return;
+        sendPollMessage({ type: 'open', slide: entry.id, poll, key: urlParams.get('key') || undefined });
+    }
+
+    /**
+     * Open the first poll of the current slide, unless one of its polls is open already
+     */
+    function openSlidePoll() {
+        const entry = deck[controller.current - 1];
+        if (relayRole !== 'publish' || !entry.polls || !entry.polls.length) return;
+        if (pollState.active && pollState.active.slide === entry.id) return;
+        openPoll(entry, entry.polls[0]);
+    }
+
+    /**
+     * Send this phone's answer to the open poll
+     * @param {string} value - Option ID or free-text answer
+     */
+    function answerPoll(value) {
+        const poll = pollState.active;
+        if (!poll || !value) return;
+        sendPollMessage({ type: 'answer', slide: poll.slide, poll: poll.id, voter: getVoterId(), value });
+    }
+
+    /**
+     * Build the results of the open poll: a bar chart or a word cloud
+     * @param {Object} poll - The open poll
+     * @param {Object} results - { answers, counts }
+     * @returns {Element} The results element
+     */
+    function createPollResults(poll, results) {
+        const counts = (results && results.counts) || {};
+        const container = document.createElement('div');
+
+        if (poll.type === 'choice') {
+            const max = Math.max(1, ...Object.values(counts));
+            container.className = 'poll-bars';
+            poll.options.forEach(option => {
+                const count = counts[option.id] || 0;
+                const row = document.createElement('div');
+                row.className = 'poll-bar';
+                row.innerHTML = '<span class="poll-bar-label"></span><span class="poll-bar-track"><span class="poll-bar-fill"></span></span><span class="poll-bar-count"></span>';
+                row.querySelector('.poll-bar-label').textContent = getPollText(poll.slide, `${poll.id}.${option.id}`, option.label);
+                row.querySelector('.poll-bar-fill').style.width = `${(count / max) * 100}%`;
+                row.querySelector('.poll-bar-count').textContent = count;
+                container.appendChild(row);
+            });
+            return container;
+        }
+
+        // Word cloud: bigger words for more answers, the most common in the middle
+        const words = Object.keys(counts);
+        const max = Math.max(1, ...Object.values(counts));
+        container.className = 'poll-cloud';
+        words.forEach((word, index) => {
+            const span = document.createElement('span');
+            span.className = 'poll-word';
+            span.textContent = word;
+            span.style.fontSize = `${1 + (counts[word] / max) * 1.6}em`;
+            span.style.order = index % 2 ? words.length + index : words.length - index;
+            container.appendChild(span);
+        });
+        if (!words.length) {
+            container.textContent = t('poll.empty');
+        }
+        return container;
+    }
+
+    /**
+     * Build the answer form for a phone
+     * @param {Object} poll - The open poll
+     * @returns {Element} Option buttons or a text field
+     */
+    function createPollForm(poll) {
+        const answer = pollState.answers[`${poll.slide}/${poll.id}`];
+        const form = document.createElement('form');
+        form.className = `poll-form poll-form-${poll.type}`;
+
+        if (poll.type === 'choice') {
+            poll.options.forEach(option => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `poll-option${answer === option.id ? ' selected' : ''}`;
+                button.textContent = getPollText(poll.slide, `${poll.id}.${option.id}`, option.label);
+                button.setAttribute('aria-pressed', answer === option.id);
+                button.addEventListener('click', () => answerPoll(option.id));
+                form.appendChild(button);
+            });
+        } else {
+            form.innerHTML = `
+                <input type="text" class="poll-input" maxlength="40" autocomplete="off" aria-label="${t('poll.placeholder')}" placeholder="${t('poll.placeholder')}">
+                <button type="submit" class="poll-send">${t('poll.send')}</button>
+            `;
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = form.querySelector('.poll-input');
+                answerPoll(input.value.trim());
+                input.value = '';
+            });
+        }
+
+        if (answer !== undefined) {
+            const thanks = document.createElement('p');
+            thanks.className = 'poll-thanks';
+            thanks.textContent = t('poll.thanks');
+            form.appendChild(thanks);
+        }
+        return form;
+    }
+
+    /**
+     * Render the poll panel of one slide
+     * @param {Object} entry - Manifest entry with polls
+     * @param {Element} panel - The panel
+     */
+    function renderPollPanel(entry, panel) {
+        const active = pollState.active && pollState.active.slide === entry.id ? pollState.active : null;
+        const results = active ? pollState.results : null;
+        panel.innerHTML = '';
+
+        if (relayRole === 'publish') {
+            const tabs = document.createElement('div');
+            tabs.className = 'poll-tabs';
+            entry.polls.forEach(poll => {
+                const tab = document.createElement('button');
+                tab.type = 'button';
+                tab.className = `poll-tab${active && active.id === poll.id ? ' active' : ''}`;
+                tab.textContent = getPollText(entry.id, poll.id, poll.question);
+                tab.addEventListener('click', () => openPoll(entry, poll));
+                tabs.appendChild(tab);
+            });
+            if (active) {
+                const stop = document.createElement('button');
+                stop.type = 'button';
+                stop.className = 'poll-tab poll-stop';
+                stop.textContent = t('poll.close');
+                stop.addEventListener('click', () => sendPollMessage({ type: 'close', key: urlParams.get('key') || undefined }));
+                tabs.appendChild(stop);
+            }
+            panel.appendChild(tabs);
+        }
+
+        if (!active) {
+            const waiting = document.createElement('p');
+            waiting.className = 'poll-waiting';
+            waiting.textContent = t(relayRole === 'publish' ? 'poll.pick' : 'poll.waiting');
+            panel.appendChild(waiting);
+            return;
+        }
+
+        const question = document.createElement('h3');
+        question.className = 'poll-question';
+        question.textContent = getPollText(entry.id, active.id, active.question);
+        panel.appendChild(question);
+
+        if (relayRole === 'follow') {
+            panel.appendChild(createPollForm(active));
+        }
+
+        panel.appendChild(createPollResults(active, results));
+
+        const count = document.createElement('p');
+        count.className = 'poll-count';
+        count.textContent = t('poll.answers', { count: results ? results.answers : 0 });
+        panel.appendChild(count);
+    }
+
+    /**
+     * Render the poll panels of all slides with polls
+     * A text field that has focus is left alone, so typing is not interrupted
+     */
+    function renderPollPanels() {
+        deck.forEach((entry, index) => {
+            if (!entry.polls || !entry.polls.length) return;
+
+            const slide = controller.getSlide(index + 1);
+            let panel = slide.querySelector('.poll-panel');
+            if (!panel) {
+                panel = document.createElement('div');
+                panel.className = 'poll-panel';
+                panel.setAttribute('aria-live', 'polite');
+                (slide.querySelector('.slide-content') || slide).appendChild(panel);
+            }
+
+            const input = panel.querySelector('.poll-input');
+            if (input && document.activeElement === input) {
+                const keep = input.value;
+                renderPollPanel(entry, panel);
+                const fresh = panel.querySelector('.poll-input');
+                if (fresh) {
+                    fresh.value = keep;
+                    fresh.focus();
+                }
+                return;
+            }
+            renderPollPanel(entry, panel);
+        });
+    }
+
+    if (relayRole && 'WebSocket' in window && deck.some(entry => entry.polls && entry.polls.length)) {
+        renderPollPanels();
+        connectPolls();
+    }
+
+    // ============================================
+    // Question Queue (Kontakt oss, server/questions.js)
+    // ============================================
+
+    /**
+     * Phones in follow mode get an "Ask" button in the follow bar and send
+     * anonymous questions. The presenter view moderates them, and approved
+     * questions are listed on the contact slide, where phones can upvote
+     * them. Needs the local server, like the relay.
+     */
+    const QUESTION_SLIDE = 'kontakt';
+
+    const questionRole = urlParams.has('presenter') ? 'moderator' : relayRole;
+
+    const questionState = {
+        channel: null,
+        questions: [],
+        // True once the server has sent the list
+        loaded: false,
+        // Upvotes from this phone, by question ID
+        votes: {},
+        dialog: null
+    };
+
+    /**
+     * Connect to the question channel
+     */
+    function connectQuestions() {
+        questionState.channel = openChannel('questions', {
+            onOpen: () => {
+                if (questionRole === 'moderator') {
+                    sendQuestionMessage({ type: 'hello', role: 'moderator', key: urlParams.get('key') || undefined });
+                }
+            },
+            onMessage: handleQuestionMessage
+        });
+    }
+
+    /**
+     * Send a message on the question channel
+     * @param {Object} message - Serializable message
+     * @returns {boolean} False if the channel is not connected
+     */
+    function sendQuestionMessage(message) {
+        return Boolean(questionState.channel) && questionState.channel.send(message);
+    }
+
+    /**
+     * Handle a message from the question channel
+     * @param {MessageEvent} e - Message with type 'questions', 'asked' or 'error'
+     */
+    function handleQuestionMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'questions':
+                questionState.questions = Array.isArray(message.questions) ? message.questions : [];
+                questionState.loaded = true;
+                renderQuestionBoard();
+                renderModeration();
+                break;
+            case 'asked':
+                setQuestionStatus(t('questions.sent'));
+                break;
+            case 'error':
+                setQuestionStatus(t(`questions.error.${message.code}`));
+                console.log('Question queue:', message.code);
+                break;
+        }
+    }
+
+    /**
+     * Get the questions shown on the contact slide
+     * @returns {Object[]} Approved questions by votes, then answered ones
+     */
+    function getBoardQuestions() {
+        const byVotes = (a, b) => b.votes - a.votes || a.id - b.id;
+        const approved = questionState.questions.filter(q => q.status === 'approved').sort(byVotes);
+        const answered = questionState.questions.filter(q => q.status === 'answered').sort(byVotes);
+        return approved.concat(answered);
+    }
+
+    /**
+     * Render the approved questions on the contact slide
+     */
+    function renderQuestionBoard() {
+        const slideNum = getSlideNumber(QUESTION_SLIDE);
+        const slide = slideNum ? controller.getSlide(slideNum) : null;
+        if (!slide) return;
+
+        let board = slide.querySelector('.question-board');
+        if (!board) {
+            board = document.createElement('div');
+            board.className = 'question-board';
+            board.setAttribute('aria-live', 'polite');
+            (slide.querySelector('.slide-content') || slide).appendChild(board);
+        }
+
+        const questions = getBoardQuestions();
+        board.hidden = questions.length === 0;
+        board.innerHTML = `<h3 class="question-board-title">${t('questions.title')}</h3><ol class="question-list"></ol>`;
+
+        const list = board.querySelector('.question-list');
+        questions.forEach(question => {
+            const item = document.createElement('li');
+            item.className = `question-item question-${question.status}`;
+            item.innerHTML = '<span class="question-text"></span>';
+            item.querySelector('.question-text').textContent = question.text;
+
+            if (question.status === 'answered') {
+                const badge = document.createElement('span');
+                badge.className = 'question-answered';
+                badge.textContent = t('questions.answered');
+                item.appendChild(badge);
+            }
+
+            const votes = document.createElement(relayRole === 'follow' && question.status === 'approved' ? 'button' : 'span');
+            votes.className = `question-votes${questionState.votes[question.id] ? ' voted' : ''}`;
+            votes.textContent = `▲ ${question.votes}`;
+            if (votes.tagName === 'BUTTON') {
+                votes.type = 'button';
+                votes.setAttribute('aria-label', t('questions.upvote'));
+                votes.setAttribute('aria-pressed', Boolean(questionState.votes[question.id]));
+                votes.addEventListener('click', () => {
+                    if (!sendQuestionMessage({ type: 'vote', id: question.id, voter: getVoterId() })) return;
+                    questionState.votes[question.id] = !questionState.votes[question.id];
+                });
+            }
+            item.appendChild(votes);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Open the dialog for asking a question (phones)
+     */
+    function openQuestionDialog() {
+        if (!questionState.dialog) {
+            const dialog = document.createElement('div');
+            dialog.className = 'question-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', 'questionDialogTitle');
+            dialog.innerHTML = `
+                <form class="question-dialog-box">
+                    <h2 id="questionDialogTitle">${t('questions.ask')}</h2>
+                    <p class="question-dialog-info">${t('questions.anonymous')}</p>
+                    <textarea class="question-input" rows="3" maxlength="300" aria-labelledby="questionDialogTitle"></textarea>
+                    <p class="question-status" role="status"></p>
+                    <div class="question-dialog-actions">
+                        <button type="button" class="question-cancel">${t('questions.close')}</button>
+                        <button type="submit" class="question-submit">${t('questions.submit')}</button>
+                    </div>
+                </form>
+            `;
+            document.body.appendChild(dialog);
+
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) closeQuestionDialog();
+            });
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    closeQuestionDialog();
+                }
+            });
+            dialog.querySelector('.question-cancel').addEventListener('click', closeQuestionDialog);
+            dialog.querySelector('form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = dialog.querySelector('.question-input');
+                const text = input.value.trim();
+                if (text.length < 3) {
+                    setQuestionStatus(t('questions.tooShort'));
+                    return;
+                }
+                if (sendQuestionMessage({ type: 'ask', text, voter: getVoterId() })) {
+                    input.value = '';
+                } else {
+                    setQuestionStatus(t('follow.reconnecting'));
+                }
+            });
+
+            questionState.dialog = dialog;
+        }
+
+        setQuestionStatus('');
+        questionState.dialog.classList.add('visible');
+        questionState.dialog.querySelector('.question-input').focus();
+    }
+
+    /**
+     * Close the question dialog
+     */
+    function closeQuestionDialog() {
+        if (questionState.dialog) questionState.dialog.classList.remove('visible');
+    }
+
+    /**
+     * Show a status line in the question dialog
+     * @param {string} text - Status text, or '' to clear it
+     */
+    function setQuestionStatus(text) {
+        if (!questionState.dialog) return;
+        questionState.dialog.querySelector('.question-status').textContent = text;
+    }
+
+    /**
+     * Add the "Ask" button to the follow bar (phones)
+     */
+    function initQuestionButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'follow-toggle follow-ask';
+        button.textContent = t('questions.ask');
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openQuestionDialog();
+        });
+        relay.bar.appendChild(button);
+    }
+
+    /**
+     * Render the moderation list in the presenter view
+     * Waiting questions first, then the ones on the slide, then answered and hidden
+     */
+    function renderModeration() {
+        const section = document.querySelector('.presenter-questions');
+        if (questionRole !== 'moderator' || !section || !questionState.loaded) return;
+
+        // Keep an answer that is being typed
+        const typing = document.activeElement && document.activeElement.closest('.moderation-item');
+        if (typing && section.contains(typing)) return;
+
+        section.hidden = false;
+        const list = section.querySelector('.moderation-list');
+        const order = ['pending', 'approved', 'answered', 'hidden'];
+        const questions = questionState.questions
+            .filter(q => order.includes(q.status))
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || b.votes - a.votes || a.id - b.id);
+        const targets = questionState.questions.filter(q => q.status === 'pending' || q.status === 'approved' || q.status === 'answered');
+
+        section.querySelector('.moderation-count').textContent = t('questions.pending', {
+            count: questions.filter(q => q.status === 'pending').length
+        });
+        list.innerHTML = '';
+
+        questions.forEach(question => {
+            const item = document.createElement('li');
+            item.className = `moderation-item question-${question.status}`;
+            item.dataset.id = question.id;
+            item.innerHTML = `
+                <div class="moderation-text"></div>
+                <div class="moderation-meta"></div>
+                <div class="moderation-actions"></div>
+            `;
+            item.querySelector('.moderation-text').textContent = question.text;
+            item.querySelector('.moderation-meta').textContent = [
+                t(`questions.status.${question.status}`),
+                `▲ ${question.votes}`,
+                question.merged.length ? t('questions.mergedCount', { count: question.merged.length }) : ''
+            ].filter(Boolean).join(' · ');
+
+            const actions = item.querySelector('.moderation-actions');
+            const addAction = (action, label, extra) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    sendQuestionMessage(Object.assign({ type: 'moderate', action, id: question.id }, extra && extra()));
+                });
+                actions.appendChild(button);
+            };
+
+            if (question.status === 'pending' || question.status === 'hidden') {
+                addAction('approve', t('questions.approve'));
+            }
+            if (question.status === 'approved') {
+                const answer = document.createElement('input');
+                answer.type = 'text';
+                answer.className = 'moderation-answer';
+                answer.placeholder = t('questions.answerPlaceholder');
+                answer.value = question.answer;
+                actions.appendChild(answer);
+                addAction('answer', t('questions.markAnswered'), () => ({ answer: answer.value }));
+            }
+            if (question.status === 'answered') {
+                addAction('reopen', t('questions.reopen'));
+            }
+            if (question.status !== 'hidden') {
+                addAction('hide', t('questions.hide'));
+            }
+
+            const others = targets.filter(q => q.id !== question.id);
+            if (question.status !== 'hidden' && others.length) {
+                const merge = document.createElement('select');
+                merge.className = 'moderation-merge';
+                merge.setAttribute('aria-label', t('questions.merge'));
+                merge.innerHTML = `<option value="">${t('questions.merge')}</option>`;
+                others.forEach(other => {
+                    const option = document.createElement('option');
+                    option.value = other.id;
+                    option.textContent = other.text.length > 60 ? `${other.text.slice(0, 57)}…` : other.text;
+                    merge.appendChild(option);
+                });
+                merge.addEventListener('change', () => {
+                    if (!merge.value) return;
+                    sendQuestionMessage({ type: 'moderate', action: 'merge', id: question.id, into: Number(merge.value) });
+                });
+                actions.appendChild(merge);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Write the approved and answered questions as an FAQ in Markdown
+     * Merged duplicates are listed under the question they were merged into
+     * @returns {string} Markdown
+     */
+    function buildFaq() {
+        const date = new Date().toLocaleDateString(i18nCatalogs[currentLang].locale);
+        const lines = [`# ${t('questions.faqTitle')}`, '', t('questions.faqExported', { date }), ''];
+
+        getBoardQuestions().forEach(question => {
+            lines.push(`## ${question.text}`, '');
+            const meta = [t('questions.votes', { count: question.votes })];
+            if (question.merged && question.merged.length) {
+                meta.push(t('questions.alsoAsked', { questions: question.merged.map(text => `«${text}»`).join(', ') }));
+            }
+            lines.push(`_${meta.join(' · ')}_`, '');
+            lines.push(question.answer || t('questions.noAnswer'), '');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Download the FAQ as a Markdown file
+     */
+    function exportFaq() {
+        downloadFile(`fagvalg-sporsmal-${new Date().toISOString().slice(0, 10)}.md`, buildFaq(), 'text/markdown;charset=utf-8');
+    }
+
+    if (questionRole && 'WebSocket' in window && /^https?:$/.test(window.location.protocol)) {
+        if (questionRole === 'follow' && relay.bar) {
+            initQuestionButton();
+        }
+        connectQuestions();
+    }
+
+    // ============================================
+    // Counseling Booking (Kontakt oss, server/booking.js)
+    // ============================================
+
+    /**
+     * The counselor cards on the contact slide show how many slots are free,
+     * and phones in follow mode can book one (js/booking.js). The student
+     * gets an .ics file; the presenter view exports the schedule. Needs the
+     * local server, like the question queue.
+     */
+    const bookingState = {
+        channel: null,
+        // From the server: location and counselors with their slots
+        sted: '',
+        radgivere: [],
+        // This phone's booking, and every booking (presenter view, null until sent)
+        own: null,
+        all: null,
+        dialog: null
+    };
+
+    /**
+     * Connect to the booking channel
+     */
+    function connectBooking() {
+        bookingState.channel = openChannel('booking', {
+            onOpen: () => {
+                sendBookingMessage(questionRole === 'moderator'
+                    ? { type: 'hello', role: 'moderator', key: urlParams.get('key') || undefined }
+                    : { type: 'hello', voter: getVoterId() });
+            },
+            onMessage: handleBookingMessage
+        });
+    }
+
+    /**
+     * Send a message on the booking channel
+     * @param {Object} message - Serializable message
+     * @returns {boolean} False if the channel is not connected
+     */
+    function sendBookingMessage(message) {
+        return Boolean(bookingState.channel) && bookingState.channel.send(message);
+    }
+
+    /**
+     * Handle a message from the booking channel
+     * @param {MessageEvent} e - Message with type 'slots', 'booked', 'bookings' or 'error'
+     */
+    function handleBookingMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'slots':
+                bookingState.sted = message.sted;
+                bookingState.radgivere = Array.isArray(message.radgivere) ? message.radgivere : [];
+                renderCounselorBooking();
+                renderBookingDialog();
+                break;
+            case 'booked':
+                // A confirmed booking replaces the form, even while a field has focus
+                if (bookingState.dialog && bookingState.dialog.contains(document.activeElement)) {
+                    document.activeElement.blur();
+                }
+                bookingState.own = message.booking;
+                renderCounselorBooking();
+                renderBookingDialog();
+                break;
+            case 'bookings':
+                bookingState.all = Array.isArray(message.bookinger) ? message.bookinger : [];
+                renderBookingExport();
+                break;
+            case 'error':
+                setBookingStatus(t(`booking.error.${message.code}`));
+                break;
+        }
+    }
+
+    /**
+     * Describe a slot for people, e.g. "mandag 11. januar kl. 09:00–09:20"
+     * @param {Object} slot - { start, slutt }
+     * @returns {string} Date and time in the current language
+     */
+    function formatSlot(slot) {
+        const [date, from] = slot.start.split('T');
+        const day = new Date(`${date}T12:00`).toLocaleDateString(i18nCatalogs[currentLang].locale, {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long'
+        });
+        return t('booking.slot', { day, from, to: slot.slutt.split('T')[1] });
+    }
+
+    /**
+     * Offer a file for download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    function downloadFile(filename, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Show free slots (and the booking button on phones) on each counselor card
+     */
+    function renderCounselorBooking() {
+        document.querySelectorAll('.counselor-card[data-counselor]').forEach(card => {
+            const radgiver = bookingState.radgivere.find(r => r.id === card.dataset.counselor);
+            let box = card.querySelector('.counselor-booking');
+            if (!radgiver) {
+                if (box) box.remove();
+                return;
+            }
+            if (!box) {
+                box = document.createElement('div');
+                box.className = 'counselor-booking';
+                card.appendChild(box);
+            }
+
+            const free = radgiver.slots.filter(slot => slot.ledig).length;
+            const own = bookingState.own && bookingState.own.radgiver === radgiver.id;
+            box.innerHTML = `<span class="booking-free">${own ? t('booking.yours') : t('booking.free', { count: free })}</span>`;
+
+            if (relayRole === 'follow' && (free > 0 || own)) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'booking-open';
+                button.textContent = own ? t('booking.show') : t('booking.book');
+                button.addEventListener('click', () => openBookingDialog(radgiver.id));
+                box.appendChild(button);
+            }
+        });
+    }
+
+    /**
+     * Open the booking dialog for a counselor (phones)
+     * @param {string} radgiverId - Counselor ID
+     */
+    function openBookingDialog(radgiverId) {
+        if (!bookingState.dialog) {
+            const dialog = document.createElement('div');
+            dialog.className = 'question-dialog booking-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', 'bookingDialogTitle');
+            dialog.innerHTML = '<form class="question-dialog-box booking-box"></form>';
+            document.body.appendChild(dialog);
+
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) closeBookingDialog();
+            });
+            dialog.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    closeBookingDialog();
+                }
+            });
+            dialog.querySelector('form').addEventListener('submit', submitBooking);
+
+            bookingState.dialog = dialog;
+        }
+
+        bookingState.dialog.dataset.counselor = radgiverId;
+        bookingState.dialog.classList.add('visible');
+        renderBookingDialog();
+    }
+
+    /**
+     * Close the booking dialog
+     */
+    function closeBookingDialog() {
+        if (bookingState.dialog) bookingState.dialog.classList.remove('visible');
+    }
+
+    /**
+     * Fill the booking dialog: the free slots and a form, or the student's booking
+     */
+    function renderBookingDialog() {
+        const dialog = bookingState.dialog;
+        if (!dialog || !dialog.classList.contains('visible')) return;
+
+        // Keep what the student is typing
+        const form = dialog.querySelector('form');
+        if (form.contains(document.activeElement) && document.activeElement.matches('input[type="text"]')) return;
+
+        const radgiver = bookingState.radgivere.find(r => r.id === dialog.dataset.counselor);
+        const own = bookingState.own;
+        if (!radgiver) {
+            closeBookingDialog();
+            return;
+        }
+
+        if (own) {
+            const ownRadgiver = bookingState.radgivere.find(r => r.id === own.radgiver);
+            form.innerHTML = `
+                <h2 id="bookingDialogTitle">${t('booking.confirmedTitle')}</h2>
+                <p class="booking-confirmed"></p>
+                <p class="question-status" role="status"></p>
+                <div class="question-dialog-actions">
+                    <button type="button" class="question-cancel booking-cancel">${t('booking.cancel')}</button>
+                    <button type="button" class="question-cancel booking-close">${t('questions.close')}</button>
+                    <button type="button" class="question-submit booking-ics">${t('booking.calendar')}</button>
+                </div>
+            `;
+            form.querySelector('.booking-confirmed').textContent = t('booking.confirmed', {
+                name: ownRadgiver ? ownRadgiver.navn : own.radgiver,
+                time: formatSlot(own),
+                place: bookingState.sted
+            });
+            form.querySelector('.booking-ics').addEventListener('click', downloadOwnBooking);
+            form.querySelector('.booking-close').addEventListener('click', closeBookingDialog);
+            form.querySelector('.booking-cancel').addEventListener('click', () => {
+                if (window.confirm(t('booking.cancelConfirm'))) sendBookingMessage({ type: 'cancel' });
+            });
+            return;
+        }
+
+        const free = radgiver.slots.filter(slot => slot.ledig);
+        const checked = form.querySelector('input[name="slot"]:checked');
+        const keep = {
+            slot: checked ? checked.value : '',
+            navn: form.querySelector('.booking-name') ? form.querySelector('.booking-name').value : '',
+            klasse: form.querySelector('.booking-class') ? form.querySelector('.booking-class').value : ''
+        };
+
+        form.innerHTML = `
+            <h2 id="bookingDialogTitle"></h2>
+            <p class="question-dialog-info">${t('booking.info')}</p>
+            <fieldset class="booking-slots">
+                <legend class="sr-only">${t('booking.pick')}</legend>
+            </fieldset>
+            <div class="booking-fields">
+                <input type="text" class="booking-name" autocomplete="name" maxlength="60" required placeholder="${t('booking.name')}" aria-label="${t('booking.name')}">
+                <input type="text" class="booking-class" maxlength="6" required placeholder="${t('booking.class')}" aria-label="${t('booking.class')}">
+            </div>
+            <p class="question-status" role="status"></p>
+            <div class="question-dialog-actions">
+                <button type="button" class="question-cancel booking-close">${t('questions.close')}</button>
+                <button type="submit" class="question-submit">${t('booking.submit')}</button>
+            </div>
+        `;
+        form.querySelector('#bookingDialogTitle').textContent = t('booking.title', { name: radgiver.navn });
+
+        const slots = form.querySelector('.booking-slots');
+        free.forEach(slot => {
+            const label = document.createElement('label');
+            label.className = 'booking-slot';
+            label.innerHTML = '<input type="radio" name="slot"><span></span>';
+            label.querySelector('input').value = slot.start;
+            label.querySelector('input').checked = slot.start === keep.slot;
+            label.querySelector('span').textContent = formatSlot(slot);
+            slots.appendChild(label);
+        });
+        if (!free.length) {
+            slots.insertAdjacentHTML('beforeend', `<p class="question-dialog-info">${t('booking.none')}</p>`);
+        }
+
+        form.querySelector('.booking-name').value = keep.navn;
+        form.querySelector('.booking-class').value = keep.klasse;
+        form.querySelector('.booking-close').addEventListener('click', closeBookingDialog);
+    }
+
+    /**
+     * Send the booking form
+     * @param {Event} e - Submit event
+     */
+    function submitBooking(e) {
+        e.preventDefault();
+        const form = e.target;
+        const slot = form.querySelector('input[name="slot"]:checked');
+        if (!slot) {
+            setBookingStatus(t('booking.error.slot'));
+            return;
+        }
+
+        const sent = sendBookingMessage({
+            type: 'book',
+            radgiver: bookingState.dialog.dataset.counselor,
+            start: slot.value,
+            navn: form.querySelector('.booking-name').value,
+            klasse: form.querySelector('.booking-class').value
+        });
+        if (!sent) setBookingStatus(t('follow.reconnecting'));
+    }
+
+    /**
+     * Show a status line in the booking dialog
+     * @param {string} text - Status text
+     */
+    function setBookingStatus(text) {
+        const status = bookingState.dialog && bookingState.dialog.querySelector('.question-status');
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Download the student's booking as a calendar file
+     */
+    function downloadOwnBooking() {
+        const own = bookingState.own;
+        const radgiver = bookingState.radgivere.find(r => r.id === own.radgiver);
+        const name = radgiver ? radgiver.navn : own.radgiver;
+
+        const ics = Calendar.build([{
+            uid: `radgivning-${own.radgiver}-${own.start}@fagvalg`,
+            start: own.start,
+            end: own.slutt,
+            title: t('booking.eventTitle', { name }),
+            description: t('booking.eventText', { student: own.navn, klasse: own.klasse }),
+            location: bookingState.sted
+        }]);
+        downloadFile('radgivning.ics', ics, 'text/calendar;charset=utf-8');
     }
 
     /**
-     * Reset parallax elements to original position
-     * Called when mouse leaves the viewport
+     * Show the bookings, with a cancel button each, and the export button in the presenter view
      */
-    function resetParallax() {
-        const parallaxElements = document.querySelectorAll('[data-parallax]');
-        parallaxElements.forEach(element => {
-            element.style.transform = 'translate(0, 0)';
-        });
+    function renderBookingExport() {
+        const section = document.querySelector('.presenter-booking');
+        if (!section || !bookingState.all) return;
+
+        section.hidden = false;
+        section.querySelector('.booking-count').textContent = t('booking.count', { count: bookingState.all.length });
+
+        const list = section.querySelector('.moderation-list');
+        list.innerHTML = '';
+        bookingState.all
+            .slice()
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .forEach(booking => {
+                const radgiver = bookingState.radgivere.find(r => r.id === booking.radgiver);
+                const item = document.createElement('li');
+                item.className = 'moderation-item';
+                item.innerHTML = `
+                    <div class="moderation-text"></div>
+                    <div class="moderation-meta"></div>
+                    <div class="moderation-actions"><button type="button">${t('booking.cancel')}</button></div>
+                `;
+                item.querySelector('.moderation-text').textContent = `${booking.navn} (${booking.klasse})`;
+                item.querySelector('.moderation-meta').textContent =
+                    `${radgiver ? radgiver.navn : booking.radgiver} · ${formatSlot(booking)}`;
+                item.querySelector('button').addEventListener('click', () => {
+                    if (window.confirm(t('booking.cancelFor', { student: booking.navn }))) {
+                        sendBookingMessage({ type: 'cancel', radgiver: booking.radgiver, start: booking.start });
+                    }
+                });
+                list.appendChild(item);
+            });
     }
 
     /**
-     * Initialize parallax effect
-     * Adds data-parallax attributes to decorative elements
+     * Download every booking as a schedule for the counselors (CSV for Excel)
      */
-    function initParallax() {
-        // Add parallax to title decorations with varying speeds for depth effect
-        const decoration1 = document.querySelector('.title-decoration-1');
-        const decoration2 = document.querySelector('.title-decoration-2');
-        const decoration3 = document.querySelector('.title-decoration-3');
-
-        if (decoration1) decoration1.dataset.parallax = 'slow';
-        if (decoration2) decoration2.dataset.parallax = 'medium';
-        if (decoration3) decoration3.dataset.parallax = 'fast';
-
-        // Add parallax to particles if they exist
-        const particles = document.querySelectorAll('.particle');
-        particles.forEach((particle, index) => {
-            // Alternate between slow and medium for subtle depth
-            particle.dataset.parallax = index % 2 === 0 ? 'slow' : 'medium';
-        });
+    function exportSchedule() {
+        loadJson('data/radgivning.json').then(data => {
+            // BOM, so Excel reads æ, ø and å correctly
+            const csv = '\uFEFF' + Booking.buildSchedule(data, bookingState.all);
+            downloadFile(`radgivning-timeplan-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv;charset=utf-8');
+        }).catch(err => console.log('Schedule export:', err));
     }
 
-    // Initialize parallax on load
-    initParallax();
-
-    // Parallax mouse movement listener (using requestAnimationFrame for performance)
-    let parallaxTicking = false;
-    document.addEventListener('mousemove', (e) => {
-        if (!parallaxTicking) {
-            requestAnimationFrame(() => {
-                handleParallaxMouseMove(e);
-                parallaxTicking = false;
-            });
-            parallaxTicking = true;
-        }
-    });
-
-    // Reset parallax when mouse leaves viewport
-    document.addEventListener('mouseleave', resetParallax);
+    if (questionRole && 'WebSocket' in window && /^https?:$/.test(window.location.protocol)) {
+        connectBooking();
+    }
 
     // ============================================
-    // Slide 10: Interaktiv Fordypning
+    // URL Routing (Deep Links)
     // ============================================
 
-    /**
-     * State for interactive slide 10
-     */
-    const interactiveState = {
-        fysikk1: false,
-        fysikk2: false,
-        r1: false,
-        r2: false
-    };
+    // True while navigating from the URL, so the URL is not written back
+    let isRestoringRoute = false;
 
     /**
-     * Initialize interactive slide 10
-     * Sets up click handlers for fag-cells
+     * Parse a location hash like "#/fremmedsprak/2"
+     * The first part is the slide ID (or slide number), the optional second
+     * part is the number of revealed click-reveal steps
+     * @param {string} hash - The location hash
+     * @returns {{slideNum: number, step: number}|null} The route, or null if it does not match a slide
      */
-    function initInteractiveSlide10() {
-        const slide10 = document.querySelector('[data-slide="10"]');
-        if (!slide10) return;
+    function parseRoute(hash) {
+        const match = hash.match(/^#\/([^/]+)(?:\/(\d+))?\/?$/);
+        if (!match) return null;
+
+        let key;
+        try {
+            key = decodeURIComponent(match[1]);
+        } catch (err) {
+            // A stray % (e.g. "#/100%") is not a valid escape
+            return null;
+        }
 
-        const clickableCells = slide10.querySelectorAll('.fag-cell.clickable');
+        let slideNum = getSlideNumber(key);
 
-        clickableCells.forEach(cell => {
-            cell.addEventListener('click', (e) => {
-                e.stopPropagation(); // Prevent slide navigation
-                handleFagClick(cell);
-            });
-        });
+        if (!slideNum && /^\d+$/.test(key)) {
+            const num = parseInt(key, 10);
+            slideNum = num >= 1 && num <= totalSlides ? num : 0;
+        }
+
+        if (!slideNum) return null;
+
+        return { slideNum, step: parseInt(match[2] || '0', 10) };
     }
 
     /**
-     * Handle click on a fag-cell
-     * @param {HTMLElement} cell - The clicked cell element
+     * Build the canonical hash for a slide and its current reveal step
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @returns {string} Hash like "#/fremmedsprak" or "#/tidslinje/2"
      */
-    function handleFagClick(cell) {
-        const fagId = cell.dataset.fag;
-        const fordypning = cell.dataset.fordypning;
-        const requires = cell.dataset.requires;
-
-        // Check if this fag requires another fag to be selected first
-        if (requires && !interactiveState[requires]) {
-            // Shake animation to indicate requirement
-            cell.style.animation = 'shake 0.5s ease';
-            setTimeout(() => {
-                cell.style.animation = '';
-            }, 500);
-            return;
-        }
-
-        // Toggle selection
-        if (interactiveState[fagId]) {
-            // Deselect this fag
-            interactiveState[fagId] = false;
-            cell.classList.remove('selected', 'just-selected');
+    function buildRoute(slideNum) {
+        const step = controller.getStep(slideNum);
+        return `#/${deck[slideNum - 1].id}${step > 0 ? `/${step}` : ''}`;
+    }
 
-            // Also deselect any fag that requires this one
-            Object.keys(interactiveState).forEach(key => {
-                const otherCell = document.querySelector(`[data-fag="${key}"]`);
-                if (otherCell && otherCell.dataset.requires === fagId) {
-                    interactiveState[key] = false;
-                    otherCell.classList.remove('selected', 'just-selected');
-                }
-            });
-        } else {
-            // Select this fag
-            interactiveState[fagId] = true;
-            cell.classList.add('selected', 'just-selected');
+    /**
+     * Write the current slide and reveal step to the URL
+     * @param {boolean} push - Add a history entry (slide change) instead of replacing (reveal step)
+     */
+    function updateUrl(push) {
+        if (isRestoringRoute) return;
 
-            // Remove just-selected class after animation
-            setTimeout(() => {
-                cell.classList.remove('just-selected');
-            }, 600);
-        }
+        const route = buildRoute(controller.current);
+        if (window.location.hash === route) return;
 
-        // Update arrows and results
-        updateFordypningVisuals();
+        // A kiosk loop would fill the history, so it only replaces the entry
+        writeHistory(route, push && !isKioskMode);
     }
 
     /**
-     * Update arrows and result boxes based on current state
+     * Push or replace a history entry
+     * Falls back to plain hash navigation where the History API is blocked
+     * (some browsers refuse pushState on file:// pages)
+     * @param {string} url - The new URL (usually just a hash)
+     * @param {boolean} push - Add a new entry instead of replacing the current one
      */
-    function updateFordypningVisuals() {
-        const slide10 = document.querySelector('[data-slide="10"]');
-        if (!slide10) return;
-
-        // Update Fysikk arrow and result
-        const fysikkArrow = slide10.querySelector('.fysikk-arrow');
-        const fysikkResult = slide10.querySelector('.fysikk-result');
-
-        if (interactiveState.fysikk1 && interactiveState.fysikk2) {
-            // Only update arrow position if not already visible (prevents position drift)
-            if (!fysikkArrow.classList.contains('visible')) {
-                updateArrowPosition('fysikk');
-                fysikkArrow.classList.add('visible');
+    function writeHistory(url, push) {
+        try {
+            if (push) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
             }
-            // Show result
-            fysikkResult.classList.add('visible');
-        } else {
-            fysikkArrow.classList.remove('visible');
-            fysikkResult.classList.remove('visible');
-        }
-
-        // Update Matte arrow and result
-        const matteArrow = slide10.querySelector('.matte-arrow');
-        const matteResult = slide10.querySelector('.matte-result');
-
-        if (interactiveState.r1 && interactiveState.r2) {
-            // Only update arrow position if not already visible (prevents position drift)
-            if (!matteArrow.classList.contains('visible')) {
-                updateArrowPosition('matte');
-                matteArrow.classList.add('visible');
+        } catch (err) {
+            if (push) {
+                window.location.hash = url;
+            } else {
+                window.location.replace(url.startsWith('#') ? url : `#`);
             }
-            // Show result
-            matteResult.classList.add('visible');
-        } else {
-            matteArrow.classList.remove('visible');
-            matteResult.classList.remove('visible');
         }
     }
 
     /**
-     * Update arrow position based on cell positions
-     * @param {string} type - 'fysikk' or 'matte'
+     * Show exactly the first `step` steps of a click-reveal slide
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @param {number} step - Number of revealed steps (clamped to the available steps)
      */
-    function updateArrowPosition(type) {
-        const slide10 = document.querySelector('[data-slide="10"]');
-        if (!slide10) return;
-
-        const container = slide10.querySelector('.fagvalg-interactive');
-        const svg = slide10.querySelector('.fordypning-arrows');
-        const arrow = slide10.querySelector(`.${type}-arrow`);
-
-        let cell1, cell2;
-        if (type === 'fysikk') {
-            cell1 = slide10.querySelector('[data-fag="fysikk1"]');
-            cell2 = slide10.querySelector('[data-fag="fysikk2"]');
-        } else {
-            cell1 = slide10.querySelector('[data-fag="r1"]');
-            cell2 = slide10.querySelector('[data-fag="r2"]');
-        }
+    function setRevealStep(slideNum, step) {
+        controller.setStep(slideNum, step);
+    }
 
-        if (!cell1 || !cell2 || !container || !svg || !arrow) return;
+    /**
+     * Apply the route from the URL on page load
+     * Invalid links fall back to the first slide and are removed from the URL
+     */
+    function applyInitialRoute() {
+        if (!window.location.hash) return;
 
-        const containerRect = container.getBoundingClientRect();
-        const cell1Rect = cell1.getBoundingClientRect();
-        const cell2Rect = cell2.getBoundingClientRect();
+        const route = parseRoute(window.location.hash);
 
-        // Calculate positions relative to container
-        // Use center X of cell1 for vertical arrow (x1 = x2)
-        const centerX = cell1Rect.left + cell1Rect.width / 2 - containerRect.left;
-        const y1 = cell1Rect.bottom - containerRect.top + 5;
-        const y2 = cell2Rect.top - containerRect.top - 5;
+        if (route) {
+            controller.goTo(route.slideNum);
+            setRevealStep(route.slideNum, route.step);
+        }
 
-        arrow.setAttribute('x1', centerX);
-        arrow.setAttribute('y1', y1);
-        arrow.setAttribute('x2', centerX);
-        arrow.setAttribute('y2', y2);
+        // Replace with the canonical form (or drop an invalid hash)
+        const canonical = route ? buildRoute(controller.current) : window.location.pathname + window.location.search;
+        writeHistory(canonical, false);
     }
 
     /**
-     * Reset interactive slide 10 state
-     * Called when leaving the slide
+     * Handle browser back/forward by navigating to the slide in the URL
      */
-    function resetInteractiveSlide10() {
-        interactiveState.fysikk1 = false;
-        interactiveState.fysikk2 = false;
-        interactiveState.r1 = false;
-        interactiveState.r2 = false;
+    function handlePopState() {
+        const route = parseRoute(window.location.hash) || { slideNum: 1, step: 0 };
 
-        const slide10 = document.querySelector('[data-slide="10"]');
-        if (!slide10) return;
+        // Already showing this state (e.g. after our own hash fallback)
+        if (route.slideNum === controller.current && route.step === controller.getStep(controller.current)) return;
 
-        // Remove all selected states
-        slide10.querySelectorAll('.fag-cell.clickable').forEach(cell => {
-            cell.classList.remove('selected', 'just-selected');
-        });
+        isRestoringRoute = true;
+        showState(route.slideNum, route.step);
+        isRestoringRoute = false;
+    }
 
-        // Hide arrows and results
-        slide10.querySelectorAll('.arrow-line').forEach(arrow => {
-            arrow.classList.remove('visible');
-        });
+    window.addEventListener('popstate', handlePopState);
 
-        slide10.querySelectorAll('.fordypning-result').forEach(result => {
-            result.classList.remove('visible');
-        });
-    }
+    // ============================================
+    // State Changes
+    // ============================================
 
-    // Add shake animation CSS dynamically
-    const shakeStyle = document.createElement('style');
-    shakeStyle.textContent = `
-        @keyframes shake {
-            0%, 100% { transform: translateX(0); }
-            20%, 60% { transform: translateX(-5px); }
-            40%, 80% { transform: translateX(5px); }
+    /**
+     * Show a given slide and reveal step
+     * Used when the state comes from outside (URL, presenter window)
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @param {number} step - Number of revealed click-reveal elements
+     */
+    function showState(slideNum, step) {
+        if (slideNum !== controller.current) {
+            goToSlide(slideNum);
         }
-    `;
-    document.head.appendChild(shakeStyle);
-
-    // Initialize interactive slides
-    initInteractiveSlide10();
-    initInteractiveSlide11();
+        setRevealStep(slideNum, step);
+        updateClickRevealIndicator();
+        handleStateChange(false);
+    }
 
-    // Reset interactive slides when leaving them and update slide menu
-    const originalGoToSlide = goToSlide;
-    goToSlide = function(slideNum) {
-        // If leaving slide 10, reset its state
-        if (currentSlide === 10 && slideNum !== 10) {
-            resetInteractiveSlide10();
+    /**
+     * Called after every slide change or reveal step
+     * Keeps the URL, the other presentation windows and the presenter view in sync
+     * @param {boolean} isSlideChange - True for slide changes, false for reveal steps
+     */
+    function handleStateChange(isSlideChange) {
+        markOverflowingSlide();
+        updateUrl(isSlideChange);
+        broadcastState();
+        publishState();
+        if (isSlideChange) {
+            openSlidePoll();
         }
-        // If leaving slide 11, reset its state
-        if (currentSlide === 11 && slideNum !== 11) {
-            resetInteractiveSlide11();
+        emitStateEvents();
+        if (isPresenterMode) {
+            updatePresenterView();
         }
-        originalGoToSlide(slideNum);
-        // Update slide menu active state after navigation
-        updateSlideMenuActive();
-        // Update click-reveal indicator
-        updateClickRevealIndicator();
-    };
+        // Browsing on your own while following detaches from the presenter
+        if (relayRole === 'follow' && !isApplyingRelayState && relay.lastState) {
+            setFollowDetached(true);
+        }
+    }
 
     // ============================================
-    // Interactive Slide 11 (SSA)
+    // Presenter View (Speaker Notes, Timer, Preview)
     // ============================================
 
-    // State for SSA slide
-    const interactiveState11 = {
-        okonomi1: false,
-        okonomi2: false,
-        samfunn1: false,
-        samfunn2: false
+    const isPresenterMode = new URLSearchParams(window.location.search).has('presenter');
+    const presenterChannel = 'BroadcastChannel' in window ? new BroadcastChannel('fagvalg-presentation') : null;
+
+    // True while applying state from another window, so it is not sent back
+    let isApplyingRemoteState = false;
+
+    const presenterView = {
+        startTime: Date.now(),
+        elements: null
     };
 
     /**
-     * Initialize interactive slide 11
+     * Open the presenter view in a separate window
+     * The new window starts on the current slide and reveal step
      */
-    function initInteractiveSlide11() {
-        const slide11 = document.querySelector('[data-slide="11"]');
-        if (!slide11) return;
+    function openPresenterView() {
+        const key = urlParams.get('key');
+        const query = withLang(`?presenter${key ? `&key=${encodeURIComponent(key)}` : ''}`);
+        const url = `${window.location.pathname}${query}${buildRoute(controller.current)}`;
+        const presenterWindow = window.open(url, 'fagvalg-presenter', 'width=1280,height=800');
+
+        if (!presenterWindow) {
+            console.log('Presenter view: popup blocked');
+        }
+    }
 
-        const clickableCells = slide11.querySelectorAll('.fag-cell.clickable');
+    /**
+     * Send the current slide and reveal step to the other windows
+     */
+    function broadcastState() {
+        if (!presenterChannel || isApplyingRemoteState) return;
 
-        clickableCells.forEach(cell => {
-            cell.addEventListener('click', (e) => {
-                e.stopPropagation();
-                handleFagClickSlide11(cell);
-            });
+        presenterChannel.postMessage({
+            type: 'state',
+            slide: deck[controller.current - 1].id,
+            step: controller.getStep(controller.current)
         });
     }
 
     /**
-     * Handle click on a fag-cell in slide 11
+     * Handle messages from the other presentation windows
+     * @param {MessageEvent} e - Message with type 'state' or 'request-state'
      */
-    function handleFagClickSlide11(cell) {
-        const fagId = cell.dataset.fag;
-        const fordypning = cell.dataset.fordypning;
-        const requires = cell.dataset.requires;
+    function handleChannelMessage(e) {
+        const message = e.data || {};
 
-        // Check if this fag requires another fag to be selected first
-        if (requires && !interactiveState11[requires]) {
-            cell.style.animation = 'shake 0.5s ease';
-            setTimeout(() => {
-                cell.style.animation = '';
-            }, 500);
+        if (message.type === 'request-state') {
+            broadcastState();
             return;
         }
 
-        // Toggle selection
-        if (interactiveState11[fagId]) {
-            // Deselect this fag
-            interactiveState11[fagId] = false;
-            cell.classList.remove('selected', 'just-selected');
-
-            // Also deselect any fag that requires this one
-            Object.keys(interactiveState11).forEach(key => {
-                const otherCell = document.querySelector(`[data-slide="11"] [data-fag="${key}"]`);
-                if (otherCell && otherCell.dataset.requires === fagId) {
-                    interactiveState11[key] = false;
-                    otherCell.classList.remove('selected', 'just-selected');
-                }
-            });
-        } else {
-            // Select this fag
-            interactiveState11[fagId] = true;
-            cell.classList.add('selected', 'just-selected');
+        if (message.type === 'state') {
+            const slideNum = getSlideNumber(message.slide);
+            if (!slideNum) return;
 
-            setTimeout(() => {
-                cell.classList.remove('just-selected');
-            }, 600);
+            isApplyingRemoteState = true;
+            showState(slideNum, message.step);
+            isApplyingRemoteState = false;
         }
-
-        // Update arrows and results
-        updateFordypningVisualsSlide11();
     }
 
     /**
-     * Update arrows and result boxes for slide 11
+     * Build the presenter layout around the slides container
      */
-    function updateFordypningVisualsSlide11() {
-        const slide11 = document.querySelector('[data-slide="11"]');
-        if (!slide11) return;
+    function initPresenterView() {
+        document.body.classList.add('presenter-mode');
+        document.title = `${t('presenter.title')} | ${document.title}`;
+
+        const view = document.createElement('div');
+        view.className = 'presenter-view';
+        view.innerHTML = `
+            <header class="presenter-bar">
+                <div class="presenter-slide-info"></div>
+                <button class="presenter-timer" type="button" title="${t('presenter.resetTimer')}">00:00</button>
+                <div class="presenter-clock"></div>
+            </header>
+            <section class="presenter-current">
+                <h2 class="presenter-label">${t('presenter.now')}</h2>
+                <div class="presenter-stage presenter-stage-current"></div>
+            </section>
+            <aside class="presenter-side">
+                <section class="presenter-next">
+                    <h2 class="presenter-label presenter-next-label">${t('presenter.next')}</h2>
+                    <div class="presenter-stage presenter-stage-next">
+                        <div class="presenter-preview slides-container"></div>
+                    </div>
+                </section>
+                <section class="presenter-notes">
+                    <h2 class="presenter-label">${t('presenter.notes')}</h2>
+                    <div class="presenter-notes-text"></div>
+                </section>
+                <section class="presenter-booking" hidden>
+                    <h2 class="presenter-label">${t('booking.presenterTitle')} <span class="booking-count"></span></h2>
+                    <button type="button" class="moderation-export booking-export">${t('booking.export')}</button>
+                    <ol class="moderation-list"></ol>
+                </section>
+                <section class="presenter-questions" hidden>
+                    <h2 class="presenter-label">${t('questions.moderation')} <span class="moderation-count"></span></h2>
+                    <button type="button" class="moderation-export">${t('questions.export')}</button>
+                    <ol class="moderation-list"></ol>
+                </section>
+            </aside>
+        `;
+        document.body.appendChild(view);
+
+        // The live slides become the "current slide" panel
+        view.querySelector('.presenter-stage-current').appendChild(slidesContainer);
+
+        presenterView.elements = {
+            slideInfo: view.querySelector('.presenter-slide-info'),
+            timer: view.querySelector('.presenter-timer'),
+            clock: view.querySelector('.presenter-clock'),
+            currentStage: view.querySelector('.presenter-stage-current'),
+            nextStage: view.querySelector('.presenter-stage-next'),
+            nextLabel: view.querySelector('.presenter-next-label'),
+            preview: view.querySelector('.presenter-preview'),
+            notes: view.querySelector('.presenter-notes-text')
+        };
+
+        view.querySelector('.presenter-questions .moderation-export').addEventListener('click', exportFaq);
+        view.querySelector('.booking-export').addEventListener('click', exportSchedule);
+
+        presenterView.elements.timer.addEventListener('click', () => {
+            presenterView.startTime = Date.now();
+            updatePresenterClock();
+        });
 
-        // Update Økonomi arrow and result
-        const okonomiarrow = slide11.querySelector('.okonomi-arrow');
-        const okonomiResult = slide11.querySelector('.okonomi-result');
+        window.addEventListener('resize', fitPresenterStages);
+        setInterval(updatePresenterClock, 1000);
 
-        if (interactiveState11.okonomi1 && interactiveState11.okonomi2) {
-            // Only update arrow position if not already visible (prevents position drift)
-            if (!okonomiarrow.classList.contains('visible')) {
-                updateArrowPositionSlide11('okonomi');
-                okonomiarrow.classList.add('visible');
-            }
-            okonomiResult.classList.add('visible');
-        } else {
-            okonomiarrow.classList.remove('visible');
-            okonomiResult.classList.remove('visible');
+        fitPresenterStages();
+        updatePresenterClock();
+        updatePresenterView();
+
+        // Pick up the audience window's state if it is already open
+        if (presenterChannel) {
+            presenterChannel.postMessage({ type: 'request-state' });
         }
+    }
 
-        // Update Samfunn arrow and result
-        const samfunnArrow = slide11.querySelector('.samfunn-arrow');
-        const samfunnResult = slide11.querySelector('.samfunn-result');
+    /**
+     * Scale the slide panels so a full-viewport slide fits inside each stage
+     */
+    function fitPresenterStages() {
+        const { currentStage, nextStage, preview } = presenterView.elements;
 
-        if (interactiveState11.samfunn1 && interactiveState11.samfunn2) {
-            // Only update arrow position if not already visible (prevents position drift)
-            if (!samfunnArrow.classList.contains('visible')) {
-                updateArrowPositionSlide11('samfunn');
-                samfunnArrow.classList.add('visible');
-            }
-            samfunnResult.classList.add('visible');
-        } else {
-            samfunnArrow.classList.remove('visible');
-            samfunnResult.classList.remove('visible');
-        }
+        [[currentStage, slidesContainer], [nextStage, preview]].forEach(([stage, inner]) => {
+            const scale = stage.clientWidth / window.innerWidth;
+            inner.style.transform = `scale(${scale})`;
+            stage.style.height = `${window.innerHeight * scale}px`;
+        });
     }
 
     /**
-     * Update arrow position for slide 11
+     * Update elapsed time and wall clock
      */
-    function updateArrowPositionSlide11(type) {
-        const slide11 = document.querySelector('[data-slide="11"]');
-        if (!slide11) return;
+    function updatePresenterClock() {
+        const { timer, clock } = presenterView.elements;
+        const elapsed = Math.floor((Date.now() - presenterView.startTime) / 1000);
+        const hours = Math.floor(elapsed / 3600);
+        const minutes = String(Math.floor(elapsed / 60) % 60).padStart(2, '0');
+        const seconds = String(elapsed % 60).padStart(2, '0');
+
+        timer.textContent = hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+        clock.textContent = new Date().toLocaleTimeString(i18nCatalogs[currentLang].locale, { hour: '2-digit', minute: '2-digit' });
+    }
 
-        const container = slide11.querySelector('.fagvalg-interactive');
-        const svg = slide11.querySelector('.fordypning-arrows');
-        const arrow = slide11.querySelector(`.${type}-arrow`);
+    /**
+     * Find what the next forward navigation will show
+     * @returns {{slideNum: number, step: number, label: string}|null} Null at the end of the deck
+     */
+    function getPreviewTarget() {
+        if (isCurrentSlideClickReveal() && !allElementsRevealed()) {
+            return { slideNum: controller.current, step: controller.getStep(controller.current) + 1, label: t('presenter.nextStep') };
+        }
+        if (controller.current < totalSlides) {
+            return { slideNum: controller.current + 1, step: controller.getStep(controller.current + 1), label: t('presenter.nextSlide') };
+        }
+        return null;
+    }
 
-        let cell1, cell2;
-        if (type === 'okonomi') {
-            cell1 = slide11.querySelector('[data-fag="okonomi1"]');
-            cell2 = slide11.querySelector('[data-fag="okonomi2"]');
+    /**
+     * Render a static copy of a slide at a given reveal step
+     * Embeds are replaced with placeholders so they are not loaded twice
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @param {number} step - Number of revealed click-reveal elements
+     * @returns {HTMLElement} The slide copy
+     */
+    function createSlidePreview(slideNum, step) {
+        const source = getSlideElement(slideNum);
+        const copy = source.cloneNode(true);
+        const isClickReveal = source.dataset.clickReveal === 'true';
+
+        copy.classList.add('active');
+        copy.classList.remove('exiting-left', 'exiting-right');
+        copy.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+        copy.querySelectorAll('script').forEach(el => el.remove());
+        copy.querySelectorAll('iframe').forEach(frame => {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'presenter-embed-placeholder';
+            placeholder.textContent = frame.title || t('presenter.embed');
+            frame.replaceWith(placeholder);
+        });
+        if (isClickReveal) {
+            DeckController.showStep(copy, step);
         } else {
-            cell1 = slide11.querySelector('[data-fag="samfunn1"]');
-            cell2 = slide11.querySelector('[data-fag="samfunn2"]');
+            copy.querySelectorAll('[data-delay]').forEach(el => el.classList.add('visible'));
         }
 
-        if (!cell1 || !cell2 || !container || !svg || !arrow) return;
-
-        const containerRect = container.getBoundingClientRect();
-        const cell1Rect = cell1.getBoundingClientRect();
-        const cell2Rect = cell2.getBoundingClientRect();
-
-        // Vertical arrow - same X for both points
-        const centerX = cell1Rect.left + cell1Rect.width / 2 - containerRect.left;
-        const y1 = cell1Rect.bottom - containerRect.top + 5;
-        const y2 = cell2Rect.top - containerRect.top - 5;
-
-        arrow.setAttribute('x1', centerX);
-        arrow.setAttribute('y1', y1);
-        arrow.setAttribute('x2', centerX);
-        arrow.setAttribute('y2', y2);
+        return copy;
     }
 
     /**
-     * Reset interactive slide 11 state
+     * Update slide info, next preview and speaker notes
      */
-    function resetInteractiveSlide11() {
-        interactiveState11.okonomi1 = false;
-        interactiveState11.okonomi2 = false;
-        interactiveState11.samfunn1 = false;
-        interactiveState11.samfunn2 = false;
+    function updatePresenterView() {
+        if (!presenterView.elements) return;
 
-        const slide11 = document.querySelector('[data-slide="11"]');
-        if (!slide11) return;
+        const { slideInfo, nextLabel, preview, notes } = presenterView.elements;
+        const entry = deck[controller.current - 1];
+        const steps = controller.getStepCount(controller.current);
+        const stepInfo = steps > 0 ? t('presenter.step', { step: controller.getStep(controller.current), total: steps }) : '';
 
-        slide11.querySelectorAll('.fag-cell.clickable').forEach(cell => {
-            cell.classList.remove('selected', 'just-selected');
-        });
+        slideInfo.textContent = t('presenter.slideInfo', { current: controller.current, total: totalSlides, title: getSlideTitle(entry) }) + stepInfo;
 
-        slide11.querySelectorAll('.arrow-line').forEach(arrow => {
-            arrow.classList.remove('visible');
-        });
+        const target = getPreviewTarget();
+        preview.innerHTML = '';
+        if (target) {
+            nextLabel.textContent = target.label;
+            preview.appendChild(createSlidePreview(target.slideNum, target.step));
+        } else {
+            nextLabel.textContent = t('presenter.end');
+        }
 
-        slide11.querySelectorAll('.fordypning-result').forEach(result => {
-            result.classList.remove('visible');
-        });
+        const entryNotes = getSlideNotes(entry);
+        notes.textContent = entryNotes || t('presenter.noNotes');
+        notes.classList.toggle('empty', !entryNotes);
+    }
+
+    if (presenterChannel) {
+        presenterChannel.addEventListener('message', handleChannelMessage);
     }
 
     // ============================================
-    // Speech Bubble / Info Modal (Slide 11 - Spansk I+II)
+    // Kiosk Mode (?kiosk)
     // ============================================
 
-    /**
-     * Initialize speech bubble functionality for info cells
-     */
-    function initSpeechBubbles() {
-        const infoCells = document.querySelectorAll('.fag-cell.has-info');
-
-        infoCells.forEach(cell => {
-            const infoIcon = cell.querySelector('.info-icon');
-            const speechBubble = cell.querySelector('.speech-bubble');
-            const closeBtn = cell.querySelector('.speech-bubble-close');
+    // Default timing in seconds; slides set their own with `kiosk` in js/slides.js
+    const KIOSK_DURATION = 12;
+    const KIOSK_STEP = 4;
 
-            if (!infoIcon || !speechBubble) return;
+    // Seconds without touch or keys before the loop starts again
+    const KIOSK_IDLE = 60;
 
-            // Toggle bubble on info icon click
-            infoIcon.addEventListener('click', (e) => {
-                e.stopPropagation();
-                toggleSpeechBubble(speechBubble);
-            });
+    const kiosk = {
+        running: false,
+        timer: null,
+        idleTimer: null
+    };
 
-            // Toggle bubble on cell click
-            cell.addEventListener('click', (e) => {
-                // Only toggle if clicking the cell itself, not other interactive elements
-                if (e.target === cell || e.target.nodeType === 3) {
-                    e.stopPropagation();
-                    toggleSpeechBubble(speechBubble);
-                }
-            });
+    /**
+     * Get the kiosk timing for a slide
+     * @param {number} slideNum - The slide number (1-indexed)
+     * @returns {{duration: number, step: number}|null} Seconds, or null if the slide is skipped
+     */
+    function getKioskTiming(slideNum) {
+        const option = deck[slideNum - 1].kiosk;
+        if (option === false) return null;
+        return Object.assign({ duration: KIOSK_DURATION, step: KIOSK_STEP }, option);
+    }
 
-            // Close button
-            if (closeBtn) {
-                closeBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    closeSpeechBubble(speechBubble);
-                });
-            }
-        });
+    /**
+     * Find the next slide the kiosk loop shows, wrapping around at the end
+     * @param {number} slideNum - The slide to start after
+     * @returns {number} The slide number, or 0 if every slide is skipped
+     */
+    function getNextKioskSlide(slideNum) {
+        for (let i = 1; i <= totalSlides; i++) {
+            const candidate = (slideNum + i - 1) % totalSlides + 1;
+            if (getKioskTiming(candidate)) return candidate;
+        }
+        return 0;
+    }
 
-        // Close all speech bubbles when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.fag-cell.has-info')) {
-                closeAllSpeechBubbles();
-            }
-        });
+    /**
+     * Start the loop from the first slide with every reveal step hidden
+     */
+    function startKioskLoop() {
+        const first = getNextKioskSlide(totalSlides);
+        if (!first) return;
+
+        closeKeyOverlays();
+        closeOverview();
+        for (let slideNum = 1; slideNum <= totalSlides; slideNum++) {
+            setRevealStep(slideNum, 0);
+        }
 
-        // Close on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                closeAllSpeechBubbles();
-            }
-        });
+        kiosk.running = true;
+        document.body.classList.add('kiosk-running');
+        showKioskSlide(first);
     }
 
     /**
-     * Toggle a speech bubble's visibility
-     * @param {HTMLElement} bubble - The speech bubble element
+     * Stop the loop and hand the screen to whoever touched it
      */
-    function toggleSpeechBubble(bubble) {
-        if (bubble.classList.contains('visible')) {
-            closeSpeechBubble(bubble);
-        } else {
-            // Close any other open bubbles first
-            closeAllSpeechBubbles();
-            bubble.classList.add('visible');
-        }
+    function stopKioskLoop() {
+        kiosk.running = false;
+        clearTimeout(kiosk.timer);
+        document.body.classList.remove('kiosk-running');
     }
 
     /**
-     * Close a specific speech bubble
-     * @param {HTMLElement} bubble - The speech bubble element
+     * Show a slide from its first reveal step and wait for the next tick
+     * @param {number} slideNum - The slide number (1-indexed)
      */
-    function closeSpeechBubble(bubble) {
-        bubble.classList.remove('visible');
+    function showKioskSlide(slideNum) {
+        goToSlide(slideNum);
+        setRevealStep(slideNum, 0);
+        updateClickRevealIndicator();
+        scheduleKioskTick();
     }
 
     /**
-     * Close all open speech bubbles
+     * Wait for the next reveal step, or for the slide's duration once all steps are shown
      */
-    function closeAllSpeechBubbles() {
-        document.querySelectorAll('.speech-bubble.visible').forEach(bubble => {
-            bubble.classList.remove('visible');
-        });
+    function scheduleKioskTick() {
+        const timing = getKioskTiming(controller.current) || { duration: KIOSK_DURATION, step: KIOSK_STEP };
+        const hasStepsLeft = isCurrentSlideClickReveal() && !allElementsRevealed();
+
+        clearTimeout(kiosk.timer);
+        kiosk.timer = setTimeout(advanceKiosk, (hasStepsLeft ? timing.step : timing.duration) * 1000);
     }
 
-    // Initialize speech bubbles
-    initSpeechBubbles();
+    /**
+     * Reveal the next step, or move on to the next slide in the loop
+     */
+    function advanceKiosk() {
+        if (!kiosk.running) return;
 
-    // ============================================
-    // Optional Math Toggle (Slide 6)
-    // ============================================
+        if (nextFragment()) {
+            scheduleKioskTick();
+        } else {
+            showKioskSlide(getNextKioskSlide(controller.current));
+        }
+    }
 
     /**
-     * Initialize optional math boxes on slide 6
-     * Allows toggling between colored and grayed-out state
+     * Stop the loop on touch, click or keys, and restart it once the screen is left alone
      */
-    function initOptionalMath() {
-        const optionalMathBoxes = document.querySelectorAll('.math-box.optional-math');
+    function handleKioskActivity() {
+        if (kiosk.running) {
+            stopKioskLoop();
+        }
 
-        optionalMathBoxes.forEach(box => {
-            box.addEventListener('click', (e) => {
-                e.stopPropagation();
-                box.classList.toggle('grayed-out');
-            });
-        });
+        clearTimeout(kiosk.idleTimer);
+        kiosk.idleTimer = setTimeout(startKioskLoop, KIOSK_IDLE * 1000);
     }
 
-    // Initialize optional math toggle
-    initOptionalMath();
+    /**
+     * Set up kiosk mode and start the loop
+     */
+    function initKioskMode() {
+        document.body.classList.add('kiosk-mode');
+
+        const hint = document.createElement('div');
+        hint.className = 'kiosk-hint';
+        hint.dataset.i18n = 'kiosk.hint';
+        hint.textContent = t('kiosk.hint');
+        document.body.appendChild(hint);
+
+        // Capture phase, so the loop stops before the touch does anything else
+        ['pointerdown', 'touchstart', 'keydown', 'wheel'].forEach(type => {
+            document.addEventListener(type, handleKioskActivity, { capture: true, passive: true });
+        });
+
+        startKioskLoop();
+    }
 
     // ============================================
-    // Image Modal (Blokkskjema)
+    // Handout (Print Mode)
     // ============================================
-    const imageModal = document.getElementById('imageModal');
-    const modalImage = document.getElementById('modalImage');
-    const imageModalClose = document.getElementById('imageModalClose');
-    const modalImages = document.querySelectorAll('[data-modal-image]');
 
     /**
-     * Open image modal with specified image
-     * @param {string} src - Image source URL
-     * @param {string} alt - Image alt text
+     * Open the handout view in a new tab
      */
-    function openImageModal(src, alt) {
-        if (!imageModal || !modalImage) return;
-        modalImage.src = src;
-        modalImage.alt = alt;
-        imageModal.classList.add('visible');
-        document.body.style.overflow = 'hidden';
+    function openHandout() {
+        const handoutWindow = window.open(`${window.location.pathname}${withLang('?print')}`, '_blank');
+
+        if (!handoutWindow) {
+            console.log('Handout: popup blocked');
+        }
     }
 
     /**
-     * Close image modal
+     * Lay out every slide for printing
+     * Shows all slides fully revealed, adds the speaker notes under each
+     * slide and a toolbar for printing. The widgets render their own static
+     * summaries when they see isPrintMode.
      */
-    function closeImageModal() {
-        if (!imageModal) return;
-        imageModal.classList.remove('visible');
-        document.body.style.overflow = '';
-    }
-
-    // Click on any modal image to open modal
-    modalImages.forEach(img => {
-        img.addEventListener('click', () => {
-            openImageModal(img.src, img.alt);
+    function initPrintMode() {
+        document.body.classList.add('print-mode');
+        document.body.classList.toggle('print-with-notes', printParam === 'notater');
+
+        document.querySelectorAll('.slide').forEach((slide, index) => {
+            slide.classList.add('active');
+            slide.classList.remove('exiting-left', 'exiting-right');
+            // Fully revealed, with emphasis fragments in their final state
+            DeckController.showStep(slide, Infinity);
+
+            const entryNotes = deck[index] ? getSlideNotes(deck[index]) : '';
+            if (entryNotes) {
+                const notes = document.createElement('aside');
+                notes.className = 'print-notes';
+                entryNotes.split('\n').filter(line => line.trim()).forEach(line => {
+                    const paragraph = document.createElement('p');
+                    paragraph.textContent = line;
+                    notes.appendChild(paragraph);
+                });
+                slide.appendChild(notes);
+            }
         });
-    });
 
-    // Close modal on X button click
-    if (imageModalClose) {
-        imageModalClose.addEventListener('click', closeImageModal);
-    }
-
-    // Close modal on backdrop click
-    if (imageModal) {
-        imageModal.addEventListener('click', (e) => {
-            if (e.target === imageModal) {
-                closeImageModal();
-            }
+        const toolbar = document.createElement('div');
+        toolbar.className = 'print-toolbar';
+        toolbar.innerHTML = `
+            <button type="button" class="print-button">${t('print.button')}</button>
+            <label class="print-notes-toggle">
+                <input type="checkbox"${printParam === 'notater' ? ' checked' : ''}> ${t('print.notes')}
+            </label>
+            <a href="${window.location.pathname}${withLang('')}">${t('print.back')}</a>
+        `;
+        document.body.prepend(toolbar);
+
+        toolbar.querySelector('.print-button').addEventListener('click', () => window.print());
+        toolbar.querySelector('input').addEventListener('change', (e) => {
+            document.body.classList.toggle('print-with-notes', e.target.checked);
         });
     }
 
-    // Close modal on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && imageModal && imageModal.classList.contains('visible')) {
-            closeImageModal();
-        }
-    });
-
     // ============================================
-    // QR Code Modal
+    // Public API (window.Presentation) and Plugins
     // ============================================
-    const qrModal = document.getElementById('qrModal');
-    const qrModalClose = document.getElementById('qrModalClose');
-    const qrCodeTrigger = document.getElementById('qrCodeTrigger');
-    const qrModalBackdrop = qrModal ? qrModal.querySelector('.qr-modal-backdrop') : null;
 
     /**
-     * Open QR modal
+     * Event listeners registered through Presentation.on
+     * slidechange and reveal get the state (see getPublicState), with the
+     * previous slide number on slidechange; fullscreenchange gets { fullscreen }
      */
-    function openQrModal() {
-        if (!qrModal) return;
-        qrModal.classList.add('visible');
-        document.body.style.overflow = 'hidden';
-    }
+    const apiListeners = {
+        slidechange: [],
+        reveal: [],
+        fullscreenchange: []
+    };
+
+    // Values returned from each plugin's init, by plugin name
+    const pluginExports = {};
+
+    // Last state sent to listeners, to tell slide changes from reveal steps
+    let lastPublicState = null;
 
     /**
-     * Close QR modal
+     * Describe where the presentation is
+     * @returns {{slide: number, id: string, title: string, step: number, steps: number, total: number, fullscreen: boolean}}
      */
-    function closeQrModal() {
-        if (!qrModal) return;
-        qrModal.classList.remove('visible');
-        document.body.style.overflow = '';
+    function getPublicState() {
+        const steps = controller.getStepCount(controller.current);
+
+        return {
+            slide: controller.current,
+            id: deck[controller.current - 1].id,
+            title: getSlideTitle(deck[controller.current - 1]),
+            step: steps > 0 ? controller.getStep(controller.current) : 0,
+            steps,
+            total: totalSlides,
+            fullscreen: Boolean(document.fullscreenElement)
+        };
     }
 
-    // Click on QR code image to open modal
-    if (qrCodeTrigger) {
-        qrCodeTrigger.style.cursor = 'pointer';
-        qrCodeTrigger.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            openQrModal();
+    /**
+     * Call the listeners for an event
+     * A failing listener is logged and does not stop the others
+     * @param {string} type - Event name
+     * @param {Object} detail - Passed to every listener
+     */
+    function emit(type, detail) {
+        apiListeners[type].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (err) {
+                console.warn(`Presentation: lytter for "${type}" feilet`, err);
+            }
         });
     }
 
-    // Close modal on X button click
-    if (qrModalClose) {
-        qrModalClose.addEventListener('click', closeQrModal);
+    /**
+     * Send slidechange or reveal if the state moved since last time
+     * Called from handleStateChange
+     */
+    function emitStateEvents() {
+        const state = getPublicState();
+        const previous = lastPublicState;
+        lastPublicState = state;
+
+        if (!previous || previous.slide !== state.slide) {
+            emit('slidechange', Object.assign({ previous: previous ? previous.slide : null }, state));
+        } else if (previous.step !== state.step) {
+            emit('reveal', state);
+        }
     }
 
-    // Close modal on backdrop click
-    if (qrModalBackdrop) {
-        qrModalBackdrop.addEventListener('click', closeQrModal);
-    }
+    /**
+     * Start a plugin and keep what its init returns
+     * @param {{name: string, init: Function}} plugin - The plugin
+     */
+    function registerPlugin(plugin) {
+        if (!plugin || typeof plugin.init !== 'function') {
+            console.warn('Presentation: plugin mangler init()', plugin);
+            return;
+        }
 
-    // Close QR modal on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && qrModal && qrModal.classList.contains('visible')) {
-            closeQrModal();
+        try {
+            pluginExports[plugin.name] = plugin.init(Presentation);
+        } catch (err) {
+            console.warn(`Presentation: pluginen "${plugin.name}" feilet`, err);
         }
+    }
+
+    const Presentation = {
+        // 'print', 'presenter', 'kiosk' or 'normal'
+        mode: isPrintMode ? 'print' : isPresenterMode ? 'presenter' : isKioskMode ? 'kiosk' : 'normal',
+
+        /**
+         * Go to a slide
+         * @param {number|string} slide - Slide number (1-indexed) or slide ID
+         */
+        goTo(slide) {
+            goToSlide(typeof slide === 'string' ? getSlideNumber(slide) : slide);
+        },
+
+        /**
+         * Show the next fragment, or go to the next slide (like the arrow keys)
+         */
+        next: goForward,
+
+        /**
+         * Undo the last fragment, or go to the previous slide (like the arrow keys)
+         */
+        prev: goBack,
+
+        /**
+         * Show the next fragment group on a click-reveal slide
+         * @returns {boolean} True if something was revealed
+         */
+        reveal: nextFragment,
+
+        /**
+         * Undo the last fragment group on a click-reveal slide
+         * @returns {boolean} True if something was undone
+         */
+        unreveal: prevFragment,
+
+        getState: getPublicState,
+
+        /**
+         * Listen for slidechange, reveal or fullscreenchange
+         * @param {string} type - Event name
+         * @param {Function} handler - Listener
+         */
+        on(type, handler) {
+            if (!apiListeners[type]) throw new Error(`Presentation: ukjent hendelse "${type}"`);
+            apiListeners[type].push(handler);
+        },
+
+        /**
+         * Stop listening
+         * @param {string} type - Event name
+         * @param {Function} handler - Listener given to on()
+         */
+        off(type, handler) {
+            if (!apiListeners[type]) return;
+            apiListeners[type] = apiListeners[type].filter(h => h !== handler);
+        },
+
+        registerPlugin,
+
+        /**
+         * Get what a plugin's init returned, e.g. getPlugin('image-modal').open(src, alt)
+         * @param {string} name - Plugin name
+         * @returns {*} The plugin's exports, or undefined
+         */
+        getPlugin(name) {
+            return pluginExports[name];
+        },
+
+        // Message lookup in the current language, for plugins with their own text
+        t
+    };
+
+    document.addEventListener('fullscreenchange', () => {
+        emit('fullscreenchange', { fullscreen: Boolean(document.fullscreenElement) });
     });
 
+    window.Presentation = Presentation;
+
     // ============================================
     // Start Presentation
     // ============================================
     init();
-    showKeyboardHint();
+
+    // Plugins (js/plugins/) queue themselves in PRESENTATION_PLUGINS before this runs
+    (window.PRESENTATION_PLUGINS || []).forEach(registerPlugin);
+    lastPublicState = getPublicState();
+
+    if (!isPrintMode && !isKioskMode) {
+        showKeyboardHint();
+    }
 });
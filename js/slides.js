@@ -0,0 +1,119 @@
+/**
+ * Slide Manifest
+ * Single source of truth for slide order, titles and per-slide options.
+ *
+ * Each entry is matched against a `.slide[data-slide-id]` block in index.html.
+ * Slide numbers, the counter, the progress bar and the slide menu are all
+ * derived from this list, so reordering or adding a slide only happens here.
+ *
+ * Options:
+ * - id:          Stable string ID (used in the DOM and for lookups)
+ * - title:       Title shown in the slide menu
+ * - clickReveal: Reveal [data-delay] elements one click at a time (fragment
+ *                groups and data-fragment effects: js/deck-controller.js)
+ * - notes:       Speaker notes (plain text)
+ * - html:        Compiled slide markup, used instead of a block in index.html
+ *                (generated from Markdown by tools/build-slides.js)
+ * - className:   Extra CSS classes for a compiled slide
+ * - kiosk:       Timing in kiosk mode (?kiosk), in seconds: { duration, step }
+ *                for how long the slide stays up once fully revealed and the
+ *                time per click-reveal step. false leaves the slide out of the
+ *                loop (embeds and widgets that need someone to use them).
+ * - polls:       Live polls for the slide, answered on phones while the local
+ *                server runs (?publish / ?follow, server/polls.js):
+ *                { id, type: 'choice', question, options: [{ id, label }] }
+ *                shows a bar chart, { id, type: 'words', question } a word
+ *                cloud of short free-text answers. The first poll opens when
+ *                the projector reaches the slide.
+ *
+ * Titles and notes here are bokmål. Nynorsk and English versions go in
+ * js/lang/, keyed by the slide ID.
+ */
+window.SLIDE_MANIFEST = [
+    { id: 'tittel', title: 'Fagvalg 2026-2027' },
+    {
+        id: 'tidslinje',
+        title: 'Tidslinje',
+        clickReveal: true,
+        notes: 'Prøvefagvalget danner grunnlaget for blokkskjemaet. Siste frist torsdag kl. 15.00 - svarene kan redigeres frem til da.\nIndividuell rådgivning i januar. Endelig frist i InSchool i februar - nedtellingen viser datoen så snart den er satt i data/tidslinje.json.\nElevene kan legge fristene i kalenderen på mobilen med knappen under tidslinjen.'
+    },
+    {
+        id: 'grunnlag',
+        title: 'Hva skal ligge til grunn?',
+        clickReveal: true,
+        notes: 'Start med eleven selv: interesser og hva de er gode til.\nNoen studier har spesielle opptakskrav - sjekk utdanning.no.\nFagene må alltid gi gyldig vitnemål.\nMed serveren i gang kan elevene svare på mobilen - bytt spørsmål med knappene over resultatene.',
+        polls: [
+            {
+                id: 'interesser',
+                type: 'choice',
+                question: 'Hva er du mest interessert i?',
+                options: [
+                    { id: 'realfag', label: 'Realfag' },
+                    { id: 'samfunnsfag', label: 'Samfunnsfag' },
+                    { id: 'sprak', label: 'Språk' },
+                    { id: 'okonomi', label: 'Økonomi' },
+                    { id: 'medier', label: 'Medier og kunst' },
+                    { id: 'musikk', label: 'Musikk' }
+                ]
+            },
+            { id: 'studere', type: 'words', question: 'Hva vil du studere?' }
+        ]
+    },
+    {
+        id: 'programomrader',
+        title: 'Programområder',
+        notes: 'Programområdet bestemmer hvor mange programfag eleven skal velge.\nVi venter på nye regler for studiespesialisering og hvilke programområder fagene må tilhøre.'
+    },
+    { id: 'fellesfag-programfag', title: 'Fellesfag vs Programfag' },
+    {
+        id: 'matematikk',
+        title: 'Matematikk',
+        kiosk: { duration: 20 },
+        notes: 'Klikk 1P og prøv R1 for å vise hvorfor det er stengt. 1T + R1 + R2 oppfyller kravene til teknologistudier.\nKnappen "Hvis nye fag innføres" viser Statistikk og Matematikk for økonomifag - dette er ikke vedtatt.'
+    },
+    {
+        id: 'fordypning',
+        title: 'Fordypning i fag',
+        clickReveal: true,
+        notes: 'Eksempel: Rettslære 1 + 2 og Sosiologi + Politikk gir til sammen 2 fordypninger.\nMK og Musikk har fordypning bakt inn i de obligatoriske programfagene.'
+    },
+    { id: 'fordypning-fag', title: 'Hvilke fag gir fordypning?' },
+    {
+        id: 'fordypning-kalkulator',
+        title: 'Fordypningskalkulator',
+        kiosk: false,
+        notes: 'La elevene prøve selv på mobilen. Vis gjerne et eksempel: Fysikk 1 + 2 og Matematikk R1 + R2 gir 2 fordypninger i Realfag.\nMatematikk S og R teller i begge programområdene.'
+    },
+    {
+        id: 'fremmedsprak',
+        title: 'Fremmedspråk',
+        kiosk: false,
+        notes: 'Gjelder bare dem som IKKE hadde fremmedspråk på ungdomsskolen: de må velge Spansk I+II i VG3.\nSvaret i veiviseren huskes og brukes i vitnemålssjekken.'
+    },
+    {
+        id: 'premisser',
+        title: 'Premisser for fagvalg',
+        clickReveal: true,
+        kiosk: { duration: 15, step: 6 },
+        notes: 'Understrek at man søker plass - kombinasjonen er ikke garantert.'
+    },
+    {
+        id: 'vitnemal-sjekk',
+        title: 'Sjekk vitnemålet',
+        kiosk: false,
+        notes: 'Velg programområde og fag for VG2 og VG3 - alle regler som ikke er oppfylt vises med forklaring.\nHusk matematikk på VG2, og at fag som bygger på (Fysikk 2 osv.) bare går i VG3.'
+    },
+    {
+        id: 'blokkskjema',
+        title: 'Blokkskjema',
+        kiosk: { duration: 25 },
+        notes: 'Fagene fordeles på 4 blokker med parallell undervisning - man kan ikke ta to fag fra samme blokk.\nFag som bygger på (Fysikk 2, Kjemi 2 osv.) går bare i VG3.\nDemo av premiss 1: velg Fysikk 1 og Psykologi 1 - begge går i Blokk 2. R1 går i to blokker og flyttes automatisk.'
+    },
+    {
+        id: 'studieplanlegger',
+        title: 'Studieplanlegger',
+        kiosk: false,
+        notes: 'Studieplanleggeren hentes fra nettet. Åpne presentasjonen én gang med nett før visning, så ligger en kopi klar for bruk uten nett.'
+    },
+    { id: 'kontakt', title: 'Kontakt oss', kiosk: { duration: 20 } }
+];
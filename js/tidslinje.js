@@ -0,0 +1,156 @@
+/**
+ * Tidslinje
+ * Milestones and deadlines for the subject choice, from data/tidslinje.json.
+ *
+ * Works in the browser (window.Tidslinje) and in Node (require). Needs
+ * js/calendar.js for the Norwegian time.
+ *
+ * Each milestone (hendelse) has an `id` (the translations in js/lang/ use
+ * it as the slide key prefix, e.g. 'februar.title'), the month it belongs
+ * to (`maned`, "YYYY-MM") and optionally a deadline (`frist`):
+ * - "YYYY-MM-DDTHH:MM": the deadline is at that time
+ * - "YYYY-MM-DD":       the deadline is the end of that day
+ * - null:               there is a deadline, but the date is not set yet
+ * - (missing):          no deadline
+ *
+ * Times are Norwegian wall-clock times, like in js/calendar.js. A milestone
+ * is done once its deadline has passed, or, without a date, once its month
+ * is over.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar.js'));
+    } else {
+        root.Tidslinje = factory(root.Calendar);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Calendar) {
+    'use strict';
+
+    /**
+     * Get how far Norwegian time is ahead of UTC at a moment
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {number} Offset in milliseconds (one or two hours)
+     */
+    function getOffset(time) {
+        const minute = Math.floor(time / 60000) * 60000;
+        return Date.parse(`${Calendar.toLocalTime(minute)}:00Z`) - minute;
+    }
+
+    /**
+     * Turn a Norwegian wall-clock time into a moment
+     * @param {string} local - "YYYY-MM-DDTHH:MM"
+     * @returns {number} Milliseconds since the epoch
+     */
+    function toTimestamp(local) {
+        const utc = Date.parse(`${local}:00Z`);
+        // The second pass gets the offset right on the days the clocks change
+        const guess = utc - getOffset(utc);
+        return utc - getOffset(guess);
+    }
+
+    /**
+     * Get the first moment after a month
+     * @param {string} month - "YYYY-MM"
+     * @returns {number} Milliseconds since the epoch
+     */
+    function getMonthEnd(month) {
+        const [year, number] = month.split('-').map(Number);
+        const next = number === 12 ? `${year + 1}-01` : `${year}-${String(number + 1).padStart(2, '0')}`;
+        return toTimestamp(`${next}-01T00:00`);
+    }
+
+    /**
+     * Check whether a milestone has a deadline whose date is not set yet
+     * @param {Object} hendelse - Milestone from data/tidslinje.json
+     * @returns {boolean} True for "frist": null
+     */
+    function isDatePending(hendelse) {
+        return hendelse.frist === null;
+    }
+
+    /**
+     * Get the moment a milestone's deadline runs out
+     * @param {Object} hendelse - Milestone
+     * @returns {number|null} Milliseconds since the epoch, or null without a date
+     */
+    function getDeadline(hendelse) {
+        if (!hendelse.frist) return null;
+        if (hendelse.frist.includes('T')) return toTimestamp(hendelse.frist);
+
+        // A date only: the deadline is midnight at the end of the day
+        const end = new Date(`${hendelse.frist}T12:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+        return toTimestamp(`${end.toISOString().slice(0, 10)}T00:00`);
+    }
+
+    /**
+     * Check whether a milestone is done
+     * @param {Object} hendelse - Milestone
+     * @param {number} now - Milliseconds since the epoch
+     * @returns {boolean} True once the deadline has passed, or the month is over
+     */
+    function isDone(hendelse, now) {
+        const deadline = getDeadline(hendelse);
+        return now >= (deadline !== null ? deadline : getMonthEnd(hendelse.maned));
+    }
+
+    /**
+     * Get the milestones in time order
+     * @param {Object} data - Parsed data/tidslinje.json
+     * @returns {Object[]} Milestones sorted by month, then deadline
+     */
+    function getHendelser(data) {
+        return data.hendelser.slice().sort((a, b) =>
+            a.maned.localeCompare(b.maned) || (getDeadline(a) || Infinity) - (getDeadline(b) || Infinity)
+        );
+    }
+
+    /**
+     * Find the next deadline that has not run out
+     * A milestone whose date is not set yet counts too, when no dated
+     * deadline comes before its month is over
+     * @param {Object} data - Parsed data/tidslinje.json
+     * @param {number} now - Milliseconds since the epoch
+     * @returns {{hendelse: Object, deadline: number|null}|null} The milestone and its deadline
+     *   (null while the date is pending), or null when every deadline has passed
+     */
+    function getNextDeadline(data, now) {
+        const hendelse = getHendelser(data).find(h => (getDeadline(h) !== null || isDatePending(h)) && !isDone(h, now));
+        return hendelse ? { hendelse, deadline: getDeadline(hendelse) } : null;
+    }
+
+    /**
+     * Split the time left into days, hours, minutes and seconds
+     * @param {number} ms - Milliseconds left
+     * @returns {{days: number, hours: number, minutes: number, seconds: number}} The parts
+     */
+    function getCountdown(ms) {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        return {
+            days: Math.floor(total / 86400),
+            hours: Math.floor(total / 3600) % 24,
+            minutes: Math.floor(total / 60) % 60,
+            seconds: total % 60
+        };
+    }
+
+    /**
+     * List the milestones that have a dated deadline, for the calendar file
+     * @param {Object} data - Parsed data/tidslinje.json
+     * @returns {Object[]} Milestones with frist set, in time order
+     */
+    function getDeadlines(data) {
+        return getHendelser(data).filter(hendelse => getDeadline(hendelse) !== null);
+    }
+
+    return {
+        toTimestamp,
+        isDatePending,
+        getDeadline,
+        isDone,
+        getHendelser,
+        getNextDeadline,
+        getCountdown,
+        getDeadlines
+    };
+});
@@ -0,0 +1,209 @@
+/**
+ * Vitnemål Rule Engine
+ * Checks a VG2/VG3 plan against the rules for a programområde in
+ * data/vitnemal-regler.json and returns every rule the plan breaks, each
+ * with a Norwegian explanation.
+ *
+ * Works in the browser (window.Vitnemal) and in Node (require). Needs
+ * js/fordypning.js for the fordypning rule.
+ *
+ * A plan looks like:
+ *   { programomrade: 'studspes', fremmedsprak: 'ingen', vg2: ['r1', 'fysikk1'], vg3: ['r2'] }
+ *
+ * Rules are plain data so they can be changed without touching this file.
+ * Every rule has an `id`, a `type` (one of the keys in RULE_TYPES) and a
+ * `melding` template with {placeholders}. A rule with `hvis` only applies
+ * when the plan matches it, e.g. { "fremmedsprak": "ingen" }. The
+ * `beskrivelse` sentence states the rule on its own and is shown in the handout.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fordypning.js'));
+    } else {
+        root.Vitnemal = factory(root.Fordypning);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Fordypning) {
+    'use strict';
+
+    const TRINN = ['vg2', 'vg3'];
+
+    /**
+     * Fill in {placeholders} in a message template
+     * @param {string} template - Message with {name} placeholders
+     * @param {Object} values - Values by placeholder name
+     * @returns {string} The message
+     */
+    function formatMelding(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    /**
+     * Build the subject catalogue from the fordypning data and the extra
+     * subjects in the rules file (Matematikk 2P, Spansk I+II)
+     * @param {Object} regler - Parsed data/vitnemal-regler.json
+     * @param {Object} fagData - Parsed data/fordypning.json
+     * @returns {Object[]} Subjects [{ id, navn, byggerPa? }]
+     */
+    function getFagList(regler, fagData) {
+        return fagData.fag.concat(regler.fag || []);
+    }
+
+    /**
+     * Look up a programområde by ID
+     * @param {Object} regler - Parsed data/vitnemal-regler.json
+     * @param {string} id - Programområde ID
+     * @returns {Object|undefined} The programområde with its rules
+     */
+    function getProgramomrade(regler, id) {
+        return regler.programomrader.find(omrade => omrade.id === id);
+    }
+
+    /**
+     * Read how many programfag a programområde has on a trinn
+     * Taken from its `antall-programfag` rule, so the number lives in one place
+     * @param {Object} regler - Parsed data/vitnemal-regler.json
+     * @param {string} id - Programområde ID
+     * @param {string} trinn - 'vg2' or 'vg3'
+     * @returns {number|null} Number of programfag, or null if there is no such rule
+     */
+    function getAntallProgramfag(regler, id, trinn) {
+        const omrade = getProgramomrade(regler, id);
+        const rule = omrade && omrade.regler.find(r => r.type === 'antall-programfag' && r.trinn === trinn);
+        return rule ? rule.max : null;
+    }
+
+    /**
+     * Check whether a rule's `hvis` condition matches the plan
+     * @param {Object} rule - The rule
+     * @param {Object} plan - The plan
+     * @returns {boolean} True if the rule applies
+     */
+    function appliesTo(rule, plan) {
+        if (!rule.hvis) return true;
+        return Object.keys(rule.hvis).every(key => {
+            const expected = rule.hvis[key];
+            return Array.isArray(expected) ? expected.includes(plan[key]) : plan[key] === expected;
+        });
+    }
+
+    /**
+     * Check a count against a rule's min/max
+     * @param {Object} rule - Rule with optional min and max
+     * @param {number} count - The count
+     * @returns {boolean} True if the count is within bounds
+     */
+    function inRange(rule, count) {
+        return (rule.min === undefined || count >= rule.min) &&
+               (rule.max === undefined || count <= rule.max);
+    }
+
+    /**
+     * Rule checks by type
+     * Each gets (rule, context) and returns a list of violations
+     */
+    const RULE_TYPES = {
+        'unike-fag'(rule, { plan, navn }) {
+            const seen = new Set();
+            const duplicates = new Set();
+            TRINN.forEach(trinn => plan[trinn].forEach(fagId => {
+                if (seen.has(fagId)) duplicates.add(fagId);
+                seen.add(fagId);
+            }));
+            return [...duplicates].map(fagId => ({
+                fag: fagId,
+                melding: formatMelding(rule.melding, { fag: navn(fagId) })
+            }));
+        },
+
+        'antall-fra-gruppe'(rule, { plan, regler }) {
+            const gruppe = regler.grupper[rule.gruppe] || [];
+            const antall = plan[rule.trinn].filter(fagId => gruppe.includes(fagId)).length;
+            if (inRange(rule, antall)) return [];
+            return [{ trinn: rule.trinn, melding: formatMelding(rule.melding, { antall, min: rule.min, max: rule.max }) }];
+        },
+
+        'antall-programfag'(rule, { plan, regler }) {
+            const unntatt = rule.unntatt ? regler.grupper[rule.unntatt] || [] : [];
+            const antall = plan[rule.trinn].filter(fagId => !unntatt.includes(fagId)).length;
+            if (inRange(rule, antall)) return [];
+            return [{ trinn: rule.trinn, melding: formatMelding(rule.melding, { antall, min: rule.min, max: rule.max }) }];
+        },
+
+        'bygger-pa'(rule, { plan, fagList, navn }) {
+            const violations = [];
+            fagList.filter(fag => fag.byggerPa).forEach(fag => {
+                const values = { fag: fag.navn, forkunnskap: navn(fag.byggerPa) };
+                if (plan.vg2.includes(fag.id)) {
+                    violations.push({ trinn: 'vg2', fag: fag.id, melding: formatMelding(rule.meldingFeilTrinn || rule.melding, values) });
+                } else if (plan.vg3.includes(fag.id) && !plan.vg2.includes(fag.byggerPa)) {
+                    violations.push({ trinn: 'vg3', fag: fag.id, melding: formatMelding(rule.melding, values) });
+                }
+            });
+            return violations;
+        },
+
+        'krever-fag'(rule, { plan, navn }) {
+            if (plan[rule.trinn].includes(rule.fag)) return [];
+            return [{ trinn: rule.trinn, fag: rule.fag, melding: formatMelding(rule.melding, { fag: navn(rule.fag) }) }];
+        },
+
+        'fordypning'(rule, { plan, fagData }) {
+            const result = Fordypning.calculate(fagData, plan.vg2.concat(plan.vg3));
+            const antall = rule.sammeProgramomrade
+                ? Math.max(0, ...result.perProgramomrade.map(omrade => omrade.count))
+                : result.total;
+            if (antall >= rule.min) return [];
+            return [{ melding: formatMelding(rule.melding, { antall, min: rule.min }) }];
+        }
+    };
+
+    /**
+     * Check a plan against the shared rules and the rules for its programområde
+     * @param {Object} regler - Parsed data/vitnemal-regler.json
+     * @param {Object} plan - { programomrade, fremmedsprak, vg2: string[], vg3: string[] }
+     * @param {Object} fagData - Parsed data/fordypning.json
+     * @returns {Object[]} Violations [{ regel, melding, trinn?, fag? }], empty for a valid vitnemål
+     */
+    function check(regler, plan, fagData) {
+        const omrade = getProgramomrade(regler, plan.programomrade);
+        if (!omrade) {
+            throw new Error(`Unknown programområde: ${plan.programomrade}`);
+        }
+
+        const fagList = getFagList(regler, fagData);
+        const context = {
+            plan: Object.assign({}, plan, { vg2: plan.vg2 || [], vg3: plan.vg3 || [] }),
+            regler,
+            fagData,
+            fagList,
+            navn: fagId => {
+                const fag = fagList.find(f => f.id === fagId);
+                return fag ? fag.navn : fagId;
+            }
+        };
+
+        const violations = [];
+        (regler.fellesRegler || []).concat(omrade.regler).forEach(rule => {
+            if (!appliesTo(rule, context.plan)) return;
+
+            const checkRule = RULE_TYPES[rule.type];
+            if (!checkRule) {
+                throw new Error(`Unknown rule type: ${rule.type}`);
+            }
+
+            checkRule(rule, context).forEach(violation => {
+                violations.push(Object.assign({ regel: rule.id }, violation));
+            });
+        });
+
+        return violations;
+    }
+
+    return {
+        check,
+        getFagList,
+        getProgramomrade,
+        getAntallProgramfag,
+        formatMelding
+    };
+});
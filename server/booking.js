@@ -0,0 +1,228 @@
+/**
+ * Counseling Booking
+ * Phones book a counseling slot from the contact slide; the server holds the
+ * bookings, so two students can never get the same slot. Free slots come
+ * from data/radgivning.json, which is read again for every update, so the
+ * counselors can add times without restarting the server.
+ *
+ * Students only ever see whether a slot is free, and their own booking (by
+ * the anonymous browser ID they send). Moderators (the presenter view, with
+ * the presenter key) get every booking for the schedule export, and can
+ * cancel any of them with { type: 'cancel', radgiver, start }.
+ *
+ * The browser ID is chosen by the phone (localStorage), so one booking per
+ * phone is advisory only: it keeps an ordinary phone from taking several
+ * slots, but a student who makes up new IDs can book again. The counselors
+ * see every booking with name and class, and cancel the ones that are not
+ * real.
+ */
+const fs = require('fs');
+const path = require('path');
+const Booking = require('../js/booking');
+const Calendar = require('../js/calendar');
+const { parseMessage } = require('./websocket');
+
+/**
+ * Create the booking channel
+ * @param {Object} options
+ * @param {string} options.availabilityFile - data/radgivning.json
+ * @param {string} [options.presenterKey] - Moderators must send this key; without one nobody can moderate
+ * @param {string} [options.resultsFile] - JSON file the bookings are saved to
+ * @returns {{handleConnection: Function}} Channel handler for the server
+ */
+function createBooking({ availabilityFile, presenterKey, resultsFile }) {
+    const clients = new Set();
+    const moderators = new Set();
+    // The browser ID each client said hello with
+    const voters = new Map();
+    const bookings = loadBookings();
+    let saveTimer = null;
+
+    /**
+     * Read the saved bookings, if the file exists
+     * @returns {Object[]} Bookings with the booking browser's ID
+     */
+    function loadBookings() {
+        if (!resultsFile) return [];
+        try {
+            return JSON.parse(fs.readFileSync(resultsFile, 'utf8')).bookinger || [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    /**
+     * Read the availability file
+     * @returns {Object} Parsed data/radgivning.json, or one without counselors if it cannot be read
+     */
+    function loadAvailability() {
+        try {
+            return JSON.parse(fs.readFileSync(availabilityFile, 'utf8'));
+        } catch (err) {
+            console.log('Kunne ikke lese ledige tider:', err.message);
+            return { radgivere: [] };
+        }
+    }
+
+    /**
+     * Write the bookings shortly after the last change
+     */
+    function scheduleSave() {
+        if (!resultsFile || saveTimer) return;
+
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const data = { saved: new Date().toISOString(), bookinger: bookings };
+            fs.mkdirSync(path.dirname(resultsFile), { recursive: true });
+            fs.writeFile(resultsFile, JSON.stringify(data, null, 2), err => {
+                if (err) console.log('Kunne ikke lagre bookingene:', err.message);
+            });
+        }, 500);
+    }
+
+    /**
+     * Strip the browser ID from a booking
+     * @param {Object} booking - Stored booking
+     * @returns {Object} { radgiver, start, slutt, navn, klasse }
+     */
+    function toPublic(booking) {
+        const { radgiver, start, slutt, navn, klasse } = booking;
+        return { radgiver, start, slutt, navn, klasse };
+    }
+
+    /**
+     * Send the free slots to every client, and all bookings to moderators
+     * @param {WebSocketConnection} [only] - Send to this client only
+     */
+    function sendSlots(only) {
+        const data = loadAvailability();
+        const message = {
+            type: 'slots',
+            sted: data.sted || '',
+            radgivere: Booking.listSlots(data, bookings, Calendar.toLocalTime())
+        };
+
+        (only ? [only] : clients).forEach(client => {
+            client.sendJson(message);
+            if (moderators.has(client)) {
+                client.sendJson({ type: 'bookings', bookinger: bookings.map(toPublic) });
+            }
+        });
+    }
+
+    /**
+     * Find the booking made from a browser
+     * @param {string} voter - Browser ID
+     * @returns {Object|undefined} The booking
+     */
+    function findOwnBooking(voter) {
+        return voter ? bookings.find(booking => booking.voter === voter) : undefined;
+    }
+
+    /**
+     * Book a slot for a student
+     * @param {WebSocketConnection} sender - The phone
+     * @param {Object} message - { type: 'book', radgiver, start, navn, klasse }
+     */
+    function handleBook(sender, message) {
+        const voter = voters.get(sender);
+        if (!voter) return;
+
+        if (findOwnBooking(voter)) {
+            sender.sendJson({ type: 'error', code: 'har-time' });
+            return;
+        }
+
+        const { booking, error } = Booking.validate(loadAvailability(), bookings, message, Calendar.toLocalTime());
+        if (error) {
+            sender.sendJson({ type: 'error', code: error });
+            return;
+        }
+
+        bookings.push(Object.assign(booking, { voter, booket: new Date().toISOString() }));
+        sender.sendJson({ type: 'booked', booking: toPublic(booking) });
+        sendSlots();
+        scheduleSave();
+    }
+
+    /**
+     * Cancel the booking made from a browser
+     * @param {WebSocketConnection} sender - The phone
+     */
+    function handleCancel(sender) {
+        const booking = findOwnBooking(voters.get(sender));
+        if (!booking) return;
+
+        bookings.splice(bookings.indexOf(booking), 1);
+        sender.sendJson({ type: 'booked', booking: null });
+        sendSlots();
+        scheduleSave();
+    }
+
+    /**
+     * Cancel any booking, for a moderator
+     * @param {Object} message - { type: 'cancel', radgiver, start }
+     */
+    function handleModeratorCancel(message) {
+        const booking = bookings.find(b => b.radgiver === message.radgiver && b.start === message.start);
+        if (!booking) return;
+
+        bookings.splice(bookings.indexOf(booking), 1);
+        // Tell the phone that booked it, if it is still connected
+        voters.forEach((voter, client) => {
+            if (voter === booking.voter) client.sendJson({ type: 'booked', booking: null });
+        });
+        sendSlots();
+        scheduleSave();
+    }
+
+    /**
+     * Handle a new WebSocket connection on /booking
+     * @param {WebSocketConnection} ws - The connection
+     */
+    function handleConnection(ws) {
+        clients.add(ws);
+        sendSlots(ws);
+
+        ws.on('message', text => {
+            const message = parseMessage(text);
+            if (!message) return;
+
+            switch (message.type) {
+                case 'hello': {
+                    if (message.role === 'moderator') {
+                        if (!presenterKey || message.key !== presenterKey) {
+                            ws.sendJson({ type: 'error', code: 'nokkel' });
+                            return;
+                        }
+                        moderators.add(ws);
+                        sendSlots(ws);
+                        return;
+                    }
+                    if (typeof message.voter !== 'string' || !message.voter) return;
+                    voters.set(ws, message.voter.slice(0, 64));
+                    const own = findOwnBooking(voters.get(ws));
+                    ws.sendJson({ type: 'booked', booking: own ? toPublic(own) : null });
+                    break;
+                }
+                case 'book':
+                    handleBook(ws, message);
+                    break;
+                case 'cancel':
+                    if (moderators.has(ws)) handleModeratorCancel(message);
+                    else handleCancel(ws);
+                    break;
+            }
+        });
+
+        ws.on('close', () => {
+            clients.delete(ws);
+            moderators.delete(ws);
+            voters.delete(ws);
+        });
+    }
+
+    return { handleConnection };
+}
+
+module.exports = { createBooking };
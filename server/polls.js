@@ -0,0 +1,242 @@
+/**
+ * Live Polls
+ * The projector window (?publish) opens a poll from the current slide (polls
+ * in js/slides.js), phones in follow mode (?follow) answer it, and every
+ * client gets the running results. Each phone has one answer per poll and
+ * can change it until the poll is closed.
+ *
+ * Phones identify themselves with the anonymous voter ID they choose
+ * (localStorage), so one answer per phone is advisory only: it keeps an
+ * ordinary phone from voting twice, but a student who makes up new IDs can
+ * answer again. The results show what the room thinks, not a ballot.
+ *
+ * All answers are saved to a JSON file, so the counselors can go through them
+ * after the meeting and a restarted server carries on where it stopped.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseMessage } = require('./websocket');
+
+const POLL_TYPES = ['choice', 'words'];
+const MAX_OPTIONS = 12;
+const MAX_ANSWER_LENGTH = 40;
+// Word clouds only send the most common answers
+const MAX_WORDS = 40;
+
+/**
+ * Clean up a free-text answer so the same word counts once
+ * @param {*} value - The answer
+ * @returns {string} Lower-case answer with single spaces, or '' if empty
+ */
+function normalizeAnswer(value) {
+    if (typeof value !== 'string') return '';
+    return value.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_ANSWER_LENGTH);
+}
+
+/**
+ * Check a poll definition sent by the projector
+ * @param {Object} poll - { id, type, question, options }
+ * @param {string} slide - Slide ID the poll belongs to
+ * @returns {Object|null} A clean copy, or null if it is not a valid poll
+ */
+function validatePoll(poll, slide) {
+    if (!poll || typeof slide !== 'string' || !slide) return null;
+    if (typeof poll.id !== 'string' || !poll.id || !POLL_TYPES.includes(poll.type)) return null;
+
+    const options = poll.type === 'choice' && Array.isArray(poll.options)
+        ? poll.options
+            .filter(option => option && typeof option.id === 'string' && option.id)
+            .slice(0, MAX_OPTIONS)
+            .map(option => ({ id: option.id, label: String(option.label || option.id) }))
+        : [];
+    if (poll.type === 'choice' && !options.length) return null;
+
+    return {
+        slide,
+        id: poll.id,
+        type: poll.type,
+        question: String(poll.question || ''),
+        options
+    };
+}
+
+/**
+ * Count the answers to a poll
+ * @param {Object} poll - Poll with votes { voter: answer }
+ * @returns {{answers: number, counts: Object}} Answers in total and per option or word
+ */
+function tally(poll) {
+    const answers = Object.values(poll.votes || {});
+    // No prototype: a free-text answer like "constructor" is just another word
+    const counts = Object.create(null);
+
+    if (poll.type === 'choice') {
+        poll.options.forEach(option => {
+            counts[option.id] = 0;
+        });
+    }
+    answers.forEach(answer => {
+        counts[answer] = (counts[answer] || 0) + 1;
+    });
+
+    if (poll.type === 'words') {
+        const top = Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+            .slice(0, MAX_WORDS);
+        return { answers: answers.length, counts: Object.fromEntries(top.map(word => [word, counts[word]])) };
+    }
+
+    return { answers: answers.length, counts };
+}
+
+/**
+ * Create the poll channel
+ * @param {Object} [options]
+ * @param {string} [options.presenterKey] - If set, opening and closing polls needs this key
+ * @param {string} [options.resultsFile] - JSON file the answers are saved to
+ * @returns {{handleConnection: Function}} Channel handler for the server
+ */
+function createPolls({ presenterKey, resultsFile } = {}) {
+    const clients = new Set();
+    // Every poll that has been opened, by "slide/id"
+    const polls = loadResults();
+    let activeKey = null;
+    let saveTimer = null;
+
+    /**
+     * Read earlier results, if the file exists
+     * @returns {Object} Polls by key
+     */
+    function loadResults() {
+        if (!resultsFile) return {};
+        try {
+            return JSON.parse(fs.readFileSync(resultsFile, 'utf8')).polls || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    /**
+     * Write the results file shortly after the last change
+     */
+    function scheduleSave() {
+        if (!resultsFile || saveTimer) return;
+
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const data = { saved: new Date().toISOString(), polls: {} };
+            Object.keys(polls).forEach(key => {
+                data.polls[key] = Object.assign({}, polls[key], { results: tally(polls[key]) });
+            });
+
+            fs.mkdirSync(path.dirname(resultsFile), { recursive: true });
+            fs.writeFile(resultsFile, JSON.stringify(data, null, 2), err => {
+                if (err) console.log('Kunne ikke lagre avstemningene:', err.message);
+            });
+        }, 500);
+    }
+
+    /**
+     * Describe the open poll for the clients
+     * @returns {Object} { type: 'poll', poll, results } with poll null when none is open
+     */
+    function getPollMessage() {
+        const poll = activeKey ? polls[activeKey] : null;
+        return {
+            type: 'poll',
+            poll: poll ? { slide: poll.slide, id: poll.id, type: poll.type, question: poll.question, options: poll.options } : null,
+            results: poll ? tally(poll) : null
+        };
+    }
+
+    /**
+     * Send a message to every client
+     * @param {Object} message - Serializable message
+     */
+    function broadcast(message) {
+        clients.forEach(client => client.sendJson(message));
+    }
+
+    /**
+     * Check the presenter key on a message from the projector
+     * @param {WebSocketConnection} sender - The client
+     * @param {Object} message - Message with key
+     * @returns {boolean} True if the sender may run polls
+     */
+    function isPresenter(sender, message) {
+        if (!presenterKey || message.key === presenterKey) return true;
+        sender.sendJson({ type: 'error', message: 'Ugyldig presentatørnøkkel' });
+        return false;
+    }
+
+    /**
+     * Open a poll (the projector arrived at its slide or picked it)
+     * @param {Object} message - { type: 'open', slide, poll, key }
+     */
+    function handleOpen(message) {
+        const poll = validatePoll(message.poll, message.slide);
+        if (!poll) return;
+
+        const key = `${poll.slide}/${poll.id}`;
+        const previous = polls[key];
+        polls[key] = Object.assign(poll, {
+            opened: previous ? previous.opened : new Date().toISOString(),
+            // Voter IDs come from the phones, so "__proto__" must be a plain key too
+            votes: Object.assign(Object.create(null), previous ? previous.votes : {})
+        });
+
+        activeKey = key;
+        broadcast(getPollMessage());
+        scheduleSave();
+    }
+
+    /**
+     * Record an answer to the open poll
+     * @param {WebSocketConnection} sender - The phone
+     * @param {Object} message - { type: 'answer', slide, poll, voter, value }
+     */
+    function handleAnswer(sender, message) {
+        const poll = activeKey ? polls[activeKey] : null;
+        if (!poll || message.slide !== poll.slide || message.poll !== poll.id) return;
+        if (typeof message.voter !== 'string' || !message.voter) return;
+
+        const value = poll.type === 'choice' ? message.value : normalizeAnswer(message.value);
+        if (poll.type === 'choice' ? !poll.options.some(option => option.id === value) : !value) return;
+
+        poll.votes[message.voter.slice(0, 64)] = value;
+        sender.sendJson({ type: 'answered', slide: poll.slide, poll: poll.id, value });
+        broadcast({ type: 'results', slide: poll.slide, poll: poll.id, results: tally(poll) });
+        scheduleSave();
+    }
+
+    /**
+     * Handle a new WebSocket connection on /polls
+     * @param {WebSocketConnection} ws - The connection
+     */
+    function handleConnection(ws) {
+        clients.add(ws);
+        ws.sendJson(getPollMessage());
+
+        ws.on('message', text => {
+            const message = parseMessage(text);
+            if (!message) return;
+
+            if (message.type === 'open' && isPresenter(ws, message)) {
+                handleOpen(message);
+            } else if (message.type === 'close' && isPresenter(ws, message)) {
+                activeKey = null;
+                broadcast(getPollMessage());
+            } else if (message.type === 'answer') {
+                handleAnswer(ws, message);
+            }
+        });
+
+        ws.on('close', () => {
+            clients.delete(ws);
+        });
+    }
+
+    return { handleConnection };
+}
+
+module.exports = { createPolls, normalizeAnswer, validatePoll, tally };
@@ -0,0 +1,266 @@
+/**
+ * Question Queue
+ * Students send anonymous questions from their phones (?follow). The
+ * counselors moderate them in the presenter view (?presenter): approve,
+ * hide, merge duplicates and mark as answered. Approved questions are shown
+ * on the contact slide, where phones can upvote them.
+ *
+ * Moderators connect with { type: 'hello', role: 'moderator', key } and get
+ * every question; everyone else only gets the approved and answered ones.
+ * The queue is saved to a JSON file, so it survives a restart and can be
+ * turned into an FAQ for next year.
+ *
+ * Phones identify themselves with the anonymous voter ID they choose
+ * (localStorage), so the pending limit and one upvote per phone are advisory
+ * only: they keep an ordinary phone from flooding the queue or voting twice,
+ * but a student who makes up new IDs gets past them. Moderation is what
+ * keeps the board clean, and vote counts are a hint, not a ballot.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseMessage } = require('./websocket');
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 1000;
+// Questions waiting for moderation per voter ID (advisory, see above)
+const MAX_PENDING_PER_VOTER = 5;
+
+const PUBLIC_STATUSES = ['approved', 'answered'];
+
+/**
+ * Describe a question for the audience, without who asked or voted
+ * @param {Object} question - Stored question
+ * @returns {Object} { id, text, status, votes, answer }
+ */
+function toPublic(question) {
+    return {
+        id: question.id,
+        text: question.text,
+        status: question.status,
+        votes: question.voters.length,
+        answer: question.answer || ''
+    };
+}
+
+/**
+ * Describe a question for the moderators
+ * @param {Object} question - Stored question
+ * @returns {Object} The public fields plus merged texts, time and merge target
+ */
+function toModerator(question) {
+    return Object.assign(toPublic(question), {
+        created: question.created,
+        merged: question.merged,
+        mergedInto: question.mergedInto || null
+    });
+}
+
+/**
+ * Create the question channel
+ * @param {Object} [options]
+ * @param {string} [options.presenterKey] - Moderators must send this key; without one nobody can moderate
+ * @param {string} [options.resultsFile] - JSON file the queue is saved to
+ * @returns {{handleConnection: Function}} Channel handler for the server
+ */
+function createQuestions({ presenterKey, resultsFile } = {}) {
+    const clients = new Set();
+    const moderators = new Set();
+    const questions = loadQuestions();
+    let nextId = questions.reduce((max, question) => Math.max(max, question.id), 0) + 1;
+    let saveTimer = null;
+
+    /**
+     * Read the saved queue, if the file exists
+     * @returns {Object[]} Stored questions
+     */
+    function loadQuestions() {
+        if (!resultsFile) return [];
+        try {
+            return JSON.parse(fs.readFileSync(resultsFile, 'utf8')).questions || [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    /**
+     * Write the queue shortly after the last change
+     */
+    function scheduleSave() {
+        if (!resultsFile || saveTimer) return;
+
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const data = { saved: new Date().toISOString(), questions };
+            fs.mkdirSync(path.dirname(resultsFile), { recursive: true });
+            fs.writeFile(resultsFile, JSON.stringify(data, null, 2), err => {
+                if (err) console.log('Kunne ikke lagre spørsmålene:', err.message);
+            });
+        }, 500);
+    }
+
+    /**
+     * Send each client the questions it may see
+     * @param {WebSocketConnection} [only] - Send to this client only
+     */
+    function sendQuestions(only) {
+        const visible = questions.filter(question => PUBLIC_STATUSES.includes(question.status));
+        const audience = { type: 'questions', questions: visible.map(toPublic) };
+        const moderation = { type: 'questions', questions: questions.map(toModerator) };
+
+        (only ? [only] : clients).forEach(client => {
+            client.sendJson(moderators.has(client) ? moderation : audience);
+        });
+    }
+
+    /**
+     * Find a question by ID
+     * @param {*} id - Question ID
+     * @returns {Object|undefined} The question
+     */
+    function findQuestion(id) {
+        return questions.find(question => question.id === id);
+    }
+
+    /**
+     * Add a question from a phone to the moderation queue
+     * @param {WebSocketConnection} sender - The phone
+     * @param {Object} message - { type: 'ask', text, voter }
+     */
+    function handleAsk(sender, message) {
+        const text = typeof message.text === 'string' ? message.text.trim().replace(/\s+/g, ' ') : '';
+        const voter = typeof message.voter === 'string' ? message.voter.slice(0, 64) : '';
+        if (text.length < MIN_LENGTH || !voter) return;
+
+        const pending = questions.filter(question => question.status === 'pending' && question.askedBy === voter);
+        if (pending.length >= MAX_PENDING_PER_VOTER) {
+            sender.sendJson({ type: 'error', code: 'for-mange' });
+            return;
+        }
+
+        questions.push({
+            id: nextId++,
+            text: text.slice(0, MAX_LENGTH),
+            status: 'pending',
+            created: new Date().toISOString(),
+            askedBy: voter,
+            voters: [],
+            merged: [],
+            answer: ''
+        });
+
+        sender.sendJson({ type: 'asked' });
+        sendQuestions();
+        scheduleSave();
+    }
+
+    /**
+     * Add or take back a phone's upvote
+     * One upvote per voter ID, which the phone chooses itself
+     * @param {Object} message - { type: 'vote', id, voter }
+     */
+    function handleVote(message) {
+        const question = findQuestion(message.id);
+        const voter = typeof message.voter === 'string' ? message.voter.slice(0, 64) : '';
+        if (!question || question.status !== 'approved' || !voter) return;
+
+        const index = question.voters.indexOf(voter);
+        if (index === -1) {
+            question.voters.push(voter);
+        } else {
+            question.voters.splice(index, 1);
+        }
+
+        sendQuestions();
+        scheduleSave();
+    }
+
+    /**
+     * Apply a moderator's decision
+     * @param {Object} message - { type: 'moderate', action, id, into, answer }
+     */
+    function handleModerate(message) {
+        const question = findQuestion(message.id);
+        if (!question) return;
+
+        switch (message.action) {
+            case 'approve':
+            case 'reopen':
+                question.status = 'approved';
+                break;
+            case 'hide':
+                question.status = 'hidden';
+                break;
+            case 'answer':
+                question.status = 'answered';
+                question.answer = typeof message.answer === 'string'
+                    ? message.answer.trim().slice(0, MAX_ANSWER_LENGTH)
+                    : question.answer;
+                break;
+            case 'merge': {
+                // The duplicate's text and votes move to the question it is merged into
+                const target = findQuestion(message.into);
+                if (!target || target === question || target.status === 'merged') return;
+
+                target.merged.push(question.text, ...question.merged);
+                question.voters.forEach(voter => {
+                    if (!target.voters.includes(voter)) target.voters.push(voter);
+                });
+                if (target.status === 'pending' || target.status === 'hidden') target.status = 'approved';
+                question.status = 'merged';
+                question.mergedInto = target.id;
+                question.merged = [];
+                break;
+            }
+            default:
+                return;
+        }
+
+        sendQuestions();
+        scheduleSave();
+    }
+
+    /**
+     * Handle a new WebSocket connection on /questions
+     * @param {WebSocketConnection} ws - The connection
+     */
+    function handleConnection(ws) {
+        clients.add(ws);
+        sendQuestions(ws);
+
+        ws.on('message', text => {
+            const message = parseMessage(text);
+            if (!message) return;
+
+            switch (message.type) {
+                case 'hello':
+                    if (message.role !== 'moderator') return;
+                    if (!presenterKey || message.key !== presenterKey) {
+                        ws.sendJson({ type: 'error', code: 'nokkel' });
+                        return;
+                    }
+                    moderators.add(ws);
+                    sendQuestions(ws);
+                    break;
+                case 'ask':
+                    handleAsk(ws, message);
+                    break;
+                case 'vote':
+                    handleVote(message);
+                    break;
+                case 'moderate':
+                    if (moderators.has(ws)) handleModerate(message);
+                    break;
+            }
+        });
+
+        ws.on('close', () => {
+            clients.delete(ws);
+            moderators.delete(ws);
+        });
+    }
+
+    return { handleConnection };
+}
+
+module.exports = { createQuestions };
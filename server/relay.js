@@ -0,0 +1,75 @@
+/**
+ * Follow-Along Relay
+ * The presenting window publishes its slide and reveal step (?publish), and
+ * every audience client in follow mode (?follow) receives each change.
+ * New clients get the latest state as soon as they connect.
+ */
+const { parseMessage } = require('./websocket');
+
+/**
+ * Create the relay channel
+ * @param {Object} [options]
+ * @param {string} [options.presenterKey] - If set, state updates must carry this key
+ * @returns {{handleConnection: Function}} Channel handler for the server
+ */
+function createRelay({ presenterKey } = {}) {
+    const clients = new Set();
+    let lastState = null;
+
+    /**
+     * Tell everyone how many clients are connected
+     */
+    function broadcastCount() {
+        const message = { type: 'clients', count: clients.size };
+        clients.forEach(client => client.sendJson(message));
+    }
+
+    /**
+     * Handle a state update from the presenter
+     * @param {WebSocketConnection} sender - The publishing client
+     * @param {Object} message - { type: 'state', slide, step, key }
+     */
+    function handleState(sender, message) {
+        if (presenterKey && message.key !== presenterKey) {
+            sender.sendJson({ type: 'error', message: 'Ugyldig presentatørnøkkel' });
+            return;
+        }
+        if (typeof message.slide !== 'string' || !message.slide) return;
+
+        lastState = {
+            type: 'state',
+            slide: message.slide,
+            step: Math.max(0, parseInt(message.step, 10) || 0)
+        };
+
+        clients.forEach(client => {
+            if (client !== sender) client.sendJson(lastState);
+        });
+    }
+
+    /**
+     * Handle a new WebSocket connection on /relay
+     * @param {WebSocketConnection} ws - The connection
+     */
+    function handleConnection(ws) {
+        clients.add(ws);
+        if (lastState) ws.sendJson(lastState);
+        broadcastCount();
+
+        ws.on('message', text => {
+            const message = parseMessage(text);
+            if (message && message.type === 'state') {
+                handleState(ws, message);
+            }
+        });
+
+        ws.on('close', () => {
+            clients.delete(ws);
+            broadcastCount();
+        });
+    }
+
+    return { handleConnection };
+}
+
+module.exports = { createRelay };
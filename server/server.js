@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Local Presentation Server
+ * Serves the presentation over HTTP and hosts the live WebSocket channels,
+ * so everything can run on one laptop in the auditorium without internet.
+ *
+ * Usage:
+ *   node server/server.js [--port 8080] [--key hemmelig]
+ *
+ * Then open:
+ *   http://localhost:8080/?publish&key=<key>   Projector window (publishes slide changes)
+ *   http://<lan-ip>:8080/?follow               Students' phones (follow along)
+ *
+ * Options (or environment variables PORT, PRESENTER_KEY and RESULTS_DIR):
+ *   --port     Port to listen on (default 8080)
+ *   --key      Presenter key; the projector must open ?publish&key=<key>
+ *              (default a random key for this run, printed at startup)
+ *   --results  Folder the live poll answers, the question queue and the
+ *              counseling bookings are saved to (default .resultater, which
+ *              is never served)
+ *
+ * Free counseling slots are read from data/radgivning.json.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { createRelay } = require('./relay');
+const { createPolls } = require('./polls');
+const { createQuestions } = require('./questions');
+const { createBooking } = require('./booking');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.ics': 'text/calendar; charset=utf-8'
+};
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Default value
+ * @returns {string} The option value
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(getOption('port', process.env.PORT || '8080'), 10);
+// Without a key anyone on the network could drive the projector or read the bookings
+const presenterKey = getOption('key', process.env.PRESENTER_KEY || '') || crypto.randomBytes(6).toString('hex');
+const resultsDir = path.resolve(getOption('results', process.env.RESULTS_DIR || path.join(ROOT, '.resultater')));
+
+// WebSocket channels by path
+const channels = {
+    '/relay': createRelay({ presenterKey }),
+    '/polls': createPolls({ presenterKey, resultsFile: path.join(resultsDir, 'avstemninger.json') }),
+    '/questions': createQuestions({ presenterKey, resultsFile: path.join(resultsDir, 'sporsmal.json') }),
+    '/booking': createBooking({
+        availabilityFile: path.join(ROOT, 'data', 'radgivning.json'),
+        presenterKey,
+        resultsFile: path.join(resultsDir, 'bookinger.json')
+    })
+};
+
+/**
+ * Serve a static file from the repository
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+function serveStatic(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        // Malformed escapes like "%E0%A4%A"
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Ugyldig adresse');
+        return;
+    }
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    const relativePath = path.relative(ROOT, filePath);
+
+    // Never serve anything outside the repository or from hidden folders
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Fant ikke filen');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+const server = http.createServer(serveStatic);
+
+server.on('upgrade', (req, socket) => {
+    let pathname;
+    try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (err) {
+        // Not a valid path, e.g. "//"
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const channel = channels[pathname];
+    if (!channel) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const ws = acceptWebSocket(req, socket);
+    if (ws) channel.handleConnection(ws);
+});
+
+server.listen(port, () => {
+    const addresses = Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+
+    console.log(`Presentasjonen kjører på http://localhost:${port}/`);
+    console.log(`  Projektor: http://localhost:${port}/?publish&key=${encodeURIComponent(presenterKey)}`);
+    addresses.forEach(address => {
+        console.log(`  Elever:    http://${address}:${port}/?follow`);
+    });
+    console.log(`Avstemninger, spørsmål og bookinger lagres i ${resultsDir}`);
+});
@@ -0,0 +1,235 @@
+/**
+ * Minimal WebSocket Server Connection
+ * Just enough of RFC 6455 for the local presentation server: text messages,
+ * ping/pong and close. Uses only Node built-ins, so the server runs without
+ * installing anything.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+/**
+ * One WebSocket connection
+ * Events: 'message' (string), 'close'
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('net').Socket} socket - The upgraded socket
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        // Bytes collected in this.fragments, so a fragmented message is capped like a single frame
+        this.fragmentsLength = 0;
+        this.isOpen = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - The message
+     */
+    send(text) {
+        if (!this.isOpen) return;
+        this.writeFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Send a JSON message
+     * @param {Object} message - Serializable message
+     */
+    sendJson(message) {
+        this.send(JSON.stringify(message));
+    }
+
+    /**
+     * Close the connection
+     * @param {number} [code=1000] - Close code
+     */
+    close(code = 1000) {
+        if (!this.isOpen) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Write a single unmasked frame (server frames are never masked)
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    writeFrame(opcode, payload) {
+        let header;
+
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     * @param {Buffer} chunk - Incoming data
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const isFinal = (first & 0x80) !== 0;
+            const opcode = first & 0x0F;
+            const isMasked = (second & 0x80) !== 0;
+            let length = second & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_PAYLOAD) {
+                this.close(1009);
+                return;
+            }
+
+            const maskOffset = offset;
+            if (isMasked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (isMasked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handleFrame(isFinal, opcode, payload);
+            if (!this.isOpen) return;
+        }
+    }
+
+    /**
+     * Handle one decoded frame
+     * @param {boolean} isFinal - FIN bit
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Unmasked payload
+     */
+    handleFrame(isFinal, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.close(1009);
+                    return;
+                }
+                this.fragments.push(payload);
+                if (isFinal) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+        }
+    }
+
+    handleClose() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP upgrade request
+ * @param {import('http').IncomingMessage} req - The upgrade request
+ * @param {import('net').Socket} socket - The raw socket
+ * @returns {WebSocketConnection|null} The connection, or null if the request is not a WebSocket upgrade
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+/**
+ * Parse a JSON message, ignoring anything that is not an object
+ * @param {string} text - Raw message
+ * @returns {Object|null} The message, or null if invalid
+ */
+function parseMessage(text) {
+    try {
+        const message = JSON.parse(text);
+        return message && typeof message === 'object' ? message : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    acceptWebSocket,
+    parseMessage,
+    WebSocketConnection
+};
@@ -0,0 +1,87 @@
+/**
+ * Offline Cache (service worker)
+ * Keeps a copy of the presentation and of the embedded studieplanlegger,
+ * so the deck can be presented without network access once it has been
+ * opened online.
+ *
+ * Every request is tried on the network first and falls back to the cached
+ * copy when the network fails or is too slow. The page sends the URLs it
+ * loaded before this worker took control ("cache-urls"), so the first visit
+ * is cached too.
+ */
+const CACHE_NAME = 'fagvalg-v1';
+const NETWORK_TIMEOUT = 4000;
+
+// Remote files that may be cached: the studieplanlegger module and the
+// school-data API it reads. The blokkskjema iframe is a page on another
+// origin and cannot be cached here; js/presentation.js shows a local image instead.
+const REMOTE_PREFIXES = [
+    'https://fredeids-metis.github.io/studieplanlegger/',
+    'https://fredeids-metis.github.io/school-data/'
+];
+
+/**
+ * Check whether a request should go through the cache
+ * @param {Request} request - The request
+ * @returns {boolean} True for same-origin files and the allowed remote files
+ */
+function isCacheable(request) {
+    if (request.method !== 'GET') return false;
+    return request.url.startsWith(self.location.origin + '/') ||
+           REMOTE_PREFIXES.some(prefix => request.url.startsWith(prefix));
+}
+
+/**
+ * Fetch from the network, storing a copy, and fall back to the cache
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} The response
+ */
+function networkFirst(request) {
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+
+    const timeout = new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('timeout')), NETWORK_TIMEOUT);
+    });
+
+    return Promise.race([network, timeout]).catch(err =>
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            // Nothing cached: wait for the slow network after all
+            return err.message === 'timeout' ? network : Promise.reject(err);
+        })
+    );
+}
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    if (!isCacheable(event.request)) return;
+    event.respondWith(networkFirst(event.request));
+});
+
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'cache-urls') return;
+
+    const urls = event.data.urls.filter(url => isCacheable(new Request(url)));
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all(urls.map(url =>
+            cache.match(url).then(cached => cached || cache.add(url).catch(() => {}))
+        )))
+    );
+});
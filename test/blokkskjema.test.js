@@ -0,0 +1,81 @@
+/**
+ * Blokkskjema tests
+ * Placing chosen subjects in blocks and finding clashes, on data/blokkskjema.json.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Blokkskjema = require('../js/blokkskjema.js');
+const data = require('../data/blokkskjema.json');
+
+const VG2 = Blokkskjema.getTrinn(data, 'vg2');
+
+/**
+ * Map each placed subject to its block
+ * @param {Object} result - From Blokkskjema.place
+ * @returns {Object} Block ID by subject ID
+ */
+function blokkFor(result) {
+    return Object.fromEntries(result.plassering.map(p => [p.fag, p.blokk]));
+}
+
+describe('Blokkskjema.findBlokker', () => {
+    it('lists every block a subject runs in', () => {
+        assert.deepEqual(Blokkskjema.findBlokker(VG2, 'r1'), ['blokk1', 'blokk3']);
+        assert.deepEqual(Blokkskjema.findBlokker(VG2, 'fysikk1'), ['blokk2']);
+        assert.deepEqual(Blokkskjema.findBlokker(VG2, 'ukjent'), []);
+    });
+});
+
+describe('Blokkskjema.getPlasser', () => {
+    it('multiplies the groups by the places per group', () => {
+        assert.equal(Blokkskjema.getPlasser(data, { fag: 'r1' }), 30);
+        assert.equal(Blokkskjema.getPlasser(data, { fag: 'psykologi1', grupper: 2 }), 60);
+        assert.equal(Blokkskjema.getPlasser(data, { fag: 'x', grupper: 2, plasser: 15 }), 30);
+    });
+});
+
+describe('Blokkskjema.place', () => {
+    it('places subjects without a clash in blocks of their own', () => {
+        const result = Blokkskjema.place(VG2, ['fysikk1', 'kjemi1', 'samfunnsokonomi1']);
+        assert.deepEqual(result.konflikter, []);
+        assert.deepEqual(blokkFor(result), { fysikk1: 'blokk2', kjemi1: 'blokk3', samfunnsokonomi1: 'blokk4' });
+        assert.deepEqual(result.ledigeBlokker, ['blokk1']);
+        assert.deepEqual(result.forslag, []);
+    });
+
+    it('moves a subject offered in several blocks to make room', () => {
+        // R1 runs in blokk1 and blokk3; Kjemi 1 only in blokk3, Rettslære 1 only in blokk1
+        const result = Blokkskjema.place(VG2, ['r1', 'kjemi1']);
+        assert.deepEqual(blokkFor(result), { r1: 'blokk1', kjemi1: 'blokk3' });
+        assert.deepEqual(result.plassering.find(p => p.fag === 'r1').alternativer, ['blokk3']);
+
+        const moved = Blokkskjema.place(VG2, ['r1', 'rettslare1']);
+        assert.deepEqual(blokkFor(moved), { r1: 'blokk3', rettslare1: 'blokk1' });
+        assert.deepEqual(moved.konflikter, []);
+    });
+
+    it('reports two subjects in the same block as a clash', () => {
+        const result = Blokkskjema.place(VG2, ['fysikk1', 'sosiologi']);
+        assert.deepEqual(result.konflikter, [{ fag: 'sosiologi', blokker: ['blokk2'], opptattAv: ['fysikk1'] }]);
+        assert.deepEqual(blokkFor(result), { fysikk1: 'blokk2' });
+    });
+
+    it('suggests the other subjects in the free blocks when there is a clash', () => {
+        const result = Blokkskjema.place(VG2, ['fysikk1', 'sosiologi']);
+        assert.deepEqual(result.forslag.map(f => f.blokk), ['blokk1', 'blokk3', 'blokk4']);
+        assert.deepEqual(result.forslag[0].fag, ['r1', 'biologi1', 'rettslare1', 'markedsforing1']);
+    });
+
+    it('reports a subject that is in no block without taking a block from the others', () => {
+        const result = Blokkskjema.place(VG2, ['ukjent', 'fysikk1']);
+        assert.deepEqual(result.konflikter, [{ fag: 'ukjent', blokker: [], opptattAv: [] }]);
+        assert.deepEqual(blokkFor(result), { fysikk1: 'blokk2' });
+    });
+
+    it('has nothing to report for no subjects', () => {
+        const result = Blokkskjema.place(VG2, []);
+        assert.deepEqual(result.plassering, []);
+        assert.deepEqual(result.konflikter, []);
+        assert.equal(result.ledigeBlokker.length, VG2.blokker.length);
+    });
+});
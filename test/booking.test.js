@@ -0,0 +1,118 @@
+/**
+ * Booking tests
+ * Slots, booking checks and the schedule export, on a small availability file.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../js/booking.js');
+
+const DATA = {
+    minutter: 20,
+    radgivere: [
+        { id: 'kari', navn: 'Kari Nordmann', tider: [{ dato: '2026-11-03', fra: '12:00', til: '13:00' }] },
+        { id: 'ola', navn: 'Ola Nordmann', tider: [{ dato: '2026-11-02', fra: '09:00', til: '09:50' }] }
+    ]
+};
+
+/**
+ * Build a valid booking request for Kari's first slot
+ * @param {Object} [changes] - Fields to replace
+ * @returns {Object} { radgiver, start, navn, klasse }
+ */
+function request(changes) {
+    return Object.assign({ radgiver: 'kari', start: '2026-11-03T12:00', navn: 'Nora Hansen', klasse: '1sta' }, changes);
+}
+
+describe('Booking.listSlots', () => {
+    it('cuts the time ranges into whole slots', () => {
+        const [kari, ola] = Booking.listSlots(DATA, []);
+        assert.deepEqual(kari.slots.map(slot => slot.start), ['2026-11-03T12:00', '2026-11-03T12:20', '2026-11-03T12:40']);
+        // 09:40 would end after 09:50
+        assert.deepEqual(ola.slots.map(slot => `${slot.start}–${slot.slutt}`), [
+            '2026-11-02T09:00–2026-11-02T09:20',
+            '2026-11-02T09:20–2026-11-02T09:40'
+        ]);
+    });
+
+    it('marks booked slots', () => {
+        const bookings = [{ radgiver: 'kari', start: '2026-11-03T12:20' }];
+        const [kari, ola] = Booking.listSlots(DATA, bookings);
+        assert.deepEqual(kari.slots.map(slot => slot.ledig), [true, false, true]);
+        assert.ok(ola.slots.every(slot => slot.ledig));
+    });
+
+    it('leaves out slots that have started', () => {
+        const [kari, ola] = Booking.listSlots(DATA, [], '2026-11-03T12:20');
+        assert.deepEqual(kari.slots.map(slot => slot.start), ['2026-11-03T12:40']);
+        assert.deepEqual(ola.slots, []);
+    });
+});
+
+describe('Booking.validate', () => {
+    it('accepts a free slot and tidies the name and class', () => {
+        const { booking, error } = Booking.validate(DATA, [], request({ navn: '  Nora   Hansen ' }));
+        assert.equal(error, null);
+        assert.deepEqual(booking, {
+            radgiver: 'kari',
+            start: '2026-11-03T12:00',
+            slutt: '2026-11-03T12:20',
+            navn: 'Nora Hansen',
+            klasse: '1STA'
+        });
+    });
+
+    it('refuses a missing name or class', () => {
+        assert.equal(Booking.validate(DATA, [], request({ navn: 'N' })).error, 'navn');
+        assert.equal(Booking.validate(DATA, [], request({ navn: 'N'.repeat(61) })).error, 'navn');
+        assert.equal(Booking.validate(DATA, [], request({ klasse: '' })).error, 'klasse');
+        assert.equal(Booking.validate(DATA, [], request({ klasse: '1 STA' })).error, 'klasse');
+    });
+
+    it('refuses slots that do not exist', () => {
+        assert.equal(Booking.validate(DATA, [], request({ start: '2026-11-03T12:10' })).error, 'slot');
+        assert.equal(Booking.validate(DATA, [], request({ radgiver: 'ukjent' })).error, 'slot');
+    });
+
+    it('refuses slots that have started', () => {
+        assert.equal(Booking.validate(DATA, [], request(), '2026-11-03T12:00').error, 'slot');
+        assert.equal(Booking.validate(DATA, [], request(), '2026-11-03T13:00').error, 'slot');
+        assert.equal(Booking.validate(DATA, [], request(), '2026-11-03T11:59').error, null);
+    });
+
+    it('refuses a slot someone has booked', () => {
+        const bookings = [{ radgiver: 'kari', start: '2026-11-03T12:00' }];
+        assert.equal(Booking.validate(DATA, bookings, request()).error, 'opptatt');
+        assert.equal(Booking.validate(DATA, bookings, request({ radgiver: 'ola', start: '2026-11-02T09:00' })).error, null);
+    });
+});
+
+describe('Booking.buildSchedule', () => {
+    it('writes one line per booking, by counselor and time', () => {
+        const bookings = [
+            { radgiver: 'ola', start: '2026-11-02T09:20', slutt: '2026-11-02T09:40', navn: 'Per', klasse: '1STB' },
+            { radgiver: 'kari', start: '2026-11-03T12:20', slutt: '2026-11-03T12:40', navn: 'Nora "N" Hansen', klasse: '1STA' },
+            { radgiver: 'kari', start: '2026-11-03T12:00', slutt: '2026-11-03T12:20', navn: 'Emil', klasse: '1STA' }
+        ];
+        assert.equal(Booking.buildSchedule(DATA, bookings), [
+            'Rådgiver;Dato;Fra;Til;Elev;Klasse',
+            '"Kari Nordmann";"2026-11-03";"12:00";"12:20";"Emil";"1STA"',
+            '"Kari Nordmann";"2026-11-03";"12:20";"12:40";"Nora ""N"" Hansen";"1STA"',
+            '"Ola Nordmann";"2026-11-02";"09:20";"09:40";"Per";"1STB"',
+            ''
+        ].join('\r\n'));
+    });
+
+    it('keeps names that look like formulas from running in Excel', () => {
+        const bookings = ['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)'].map((navn, i) => ({
+            radgiver: 'kari', start: `2026-11-03T12:0${i}`, slutt: '2026-11-03T12:20', navn, klasse: '1STA'
+        }));
+        const names = Booking.buildSchedule(DATA, bookings).trim().split('\r\n').slice(1)
+            .map(line => line.split(';')[4]);
+        assert.deepEqual(names, ['"\'=HYPERLINK(""x"")"', '"\'+1"', '"\'-2"', '"\'@SUM(A1)"']);
+    });
+
+    it('uses the ID for a counselor who is no longer in the file', () => {
+        const bookings = [{ radgiver: 'borte', start: '2026-11-03T12:00', slutt: '2026-11-03T12:20', navn: 'Emil', klasse: '1STA' }];
+        assert.match(Booking.buildSchedule(DATA, bookings), /^"borte";/m);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Calendar tests
+ * The .ics output: Oslo time, escaping and line folding.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Calendar = require('../js/calendar.js');
+
+const NOW = new Date('2026-11-01T10:00:00Z');
+
+/**
+ * Unfold a calendar file into its content lines
+ * @param {string} ics - The .ics content
+ * @returns {string[]} Lines
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+describe('Calendar.toLocalTime', () => {
+    it('gives Norwegian wall-clock time in winter and summer', () => {
+        assert.equal(Calendar.toLocalTime(Date.parse('2027-01-11T08:00:00Z')), '2027-01-11T09:00');
+        assert.equal(Calendar.toLocalTime(Date.parse('2027-06-30T22:30:00Z')), '2027-07-01T00:30');
+    });
+});
+
+describe('Calendar.escapeText', () => {
+    it('escapes backslashes, semicolons, commas and newlines', () => {
+        assert.equal(Calendar.escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+    });
+});
+
+describe('Calendar.build', () => {
+    it('tags timed events with Europe/Oslo and includes the time zone', () => {
+        const lines = unfold(Calendar.build([
+            { uid: 'a@fagvalg', start: '2026-12-17T15:00', end: '2026-12-17T15:20', title: 'Frist' }
+        ], { now: NOW }));
+        assert.ok(lines.includes('TZID:Europe/Oslo'));
+        assert.ok(lines.includes('DTSTART;TZID=Europe/Oslo:20261217T150000'));
+        assert.ok(lines.includes('DTEND;TZID=Europe/Oslo:20261217T152000'));
+        assert.ok(lines.includes('DTSTAMP:20261101T100000Z'));
+    });
+
+    it('writes all-day events as dates lasting one day, without a time zone', () => {
+        const lines = unfold(Calendar.build([{ uid: 'b@fagvalg', start: '2026-12-31', title: 'Frist' }], { now: NOW }));
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+        assert.ok(!lines.some(line => line.startsWith('BEGIN:VTIMEZONE')));
+    });
+
+    it('escapes the text properties', () => {
+        const lines = unfold(Calendar.build([{
+            uid: 'c@fagvalg',
+            start: '2026-12-17T15:00',
+            title: 'Frist; prøvefagvalg, VG2',
+            description: 'Linje 1\nLinje 2',
+            location: 'Rom 101, 1. etasje'
+        }], { now: NOW, name: 'Fagvalg, BPG' }));
+        assert.ok(lines.includes('X-WR-CALNAME:Fagvalg\\, BPG'));
+        assert.ok(lines.includes('SUMMARY:Frist\\; prøvefagvalg\\, VG2'));
+        assert.ok(lines.includes('DESCRIPTION:Linje 1\\nLinje 2'));
+        assert.ok(lines.includes('LOCATION:Rom 101\\, 1. etasje'));
+    });
+
+    it('folds lines at 75 octets without splitting characters', () => {
+        const title = 'Rådgivning om fagvalg – æøå '.repeat(6);
+        const ics = Calendar.build([{ uid: 'd@fagvalg', start: '2026-12-17T15:00', title }], { now: NOW });
+        const physical = ics.split('\r\n');
+
+        physical.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+        assert.ok(physical.filter(line => line.startsWith(' ')).length >= 2);
+        assert.ok(!ics.includes('�'));
+        assert.ok(unfold(ics).includes(`SUMMARY:${title}`));
+    });
+
+    it('ends every line with CRLF', () => {
+        const ics = Calendar.build([], { now: NOW });
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(!/[^\r]\n/.test(ics));
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Deck Controller tests
+ * Navigation bounds and click-reveal steps, on a small jsdom deck.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const DeckController = require('../js/deck-controller.js');
+
+const DECK = `
+    <div class="slides-container">
+        <section class="slide" data-slide="1"><h1>Tittel</h1></section>
+        <section class="slide" data-slide="2" data-click-reveal="true">
+            <p data-delay="0">Første</p>
+            <p data-delay="1">Andre</p>
+            <p data-delay="1">Andre, samme steg</p>
+            <p data-delay="3" data-fragment="highlight">Uthevet</p>
+        </section>
+        <section class="slide" data-slide="3" data-click-reveal="true">
+            <p data-delay="0">Eneste</p>
+        </section>
+        <section class="slide" data-slide="4" data-click-reveal="true"><p>Ingen steg</p></section>
+    </div>`;
+
+/**
+ * Build a controller on a fresh document
+ * @returns {{controller: Object, doc: Document}} The controller and its document
+ */
+function createDeck() {
+    const doc = new JSDOM(DECK).window.document;
+    return { controller: DeckController.create(doc), doc };
+}
+
+/**
+ * List the texts of the visible reveal elements on a slide
+ * @param {Document} doc - The document
+ * @param {number} slideNum - The slide number
+ * @returns {string[]} Texts
+ */
+function visibleTexts(doc, slideNum) {
+    return Array.from(doc.querySelectorAll(`.slide[data-slide="${slideNum}"] [data-delay].visible`))
+        .map(el => el.textContent);
+}
+
+describe('DeckController.create', () => {
+    it('counts the slides and starts on the first', () => {
+        const { controller } = createDeck();
+        assert.equal(controller.total, 4);
+        assert.equal(controller.current, 1);
+    });
+
+    it('finds the container from a selector or an element', () => {
+        const doc = new JSDOM(`<div class="other">${DECK}</div>`).window.document;
+        assert.equal(DeckController.create(doc, { container: '.other .slides-container' }).total, 4);
+        assert.equal(DeckController.create(doc, { container: doc.querySelector('.slides-container') }).total, 4);
+    });
+});
+
+describe('navigation bounds', () => {
+    it('refuses slides outside the deck', () => {
+        const { controller } = createDeck();
+        [0, -1, 5, 1.5, NaN, undefined].forEach(slideNum => {
+            assert.equal(controller.goTo(slideNum), false, `goTo(${slideNum})`);
+            assert.equal(controller.current, 1);
+        });
+    });
+
+    it('moves the active class to the new slide', () => {
+        const { controller, doc } = createDeck();
+        assert.equal(controller.goTo(4), true);
+        const active = doc.querySelectorAll('.slide.active');
+        assert.equal(active.length, 1);
+        assert.equal(active[0].dataset.slide, '4');
+    });
+});
+
+describe('reveal and unreveal', () => {
+    it('makes one step per distinct data-delay, without gaps', () => {
+        const { controller } = createDeck();
+        assert.equal(controller.getStepCount(1), 0);
+        assert.equal(controller.getStepCount(2), 3);
+        assert.equal(controller.getStepCount(4), 0);
+    });
+
+    it('shows the steps in order, a group at a time', () => {
+        const { controller, doc } = createDeck();
+        controller.goTo(2);
+        // Emphasis fragments are showing from the start
+        assert.deepEqual(visibleTexts(doc, 2), ['Uthevet']);
+
+        assert.deepEqual(controller.reveal().map(el => el.textContent), ['Første']);
+        assert.deepEqual(controller.reveal().map(el => el.textContent), ['Andre', 'Andre, samme steg']);
+        assert.deepEqual(visibleTexts(doc, 2), ['Første', 'Andre', 'Andre, samme steg', 'Uthevet']);
+        assert.equal(doc.querySelector('[data-fragment="highlight"]').classList.contains('fragment-active'), false);
+
+        controller.reveal();
+        assert.equal(doc.querySelector('[data-fragment="highlight"]').classList.contains('fragment-active'), true);
+        assert.equal(controller.isFullyRevealed(2), true);
+    });
+
+    it('does not count past the last step', () => {
+        const { controller } = createDeck();
+        controller.goTo(3);
+        assert.ok(controller.reveal());
+        assert.equal(controller.reveal(), null);
+        assert.equal(controller.getStep(3), 1);
+    });
+
+    it('has nothing to reveal on a slide without steps', () => {
+        const { controller } = createDeck();
+        assert.equal(controller.reveal(), null);
+        controller.goTo(4);
+        assert.equal(controller.reveal(), null);
+        assert.equal(controller.getStep(4), 0);
+    });
+
+    it('hides the last step and stops at zero', () => {
+        const { controller, doc } = createDeck();
+        controller.goTo(2);
+        controller.reveal();
+        controller.reveal();
+
+        assert.deepEqual(controller.unreveal().map(el => el.textContent), ['Andre', 'Andre, samme steg']);
+        assert.deepEqual(visibleTexts(doc, 2), ['Første', 'Uthevet']);
+        assert.ok(controller.unreveal());
+        assert.equal(controller.unreveal(), null);
+        assert.equal(controller.getStep(2), 0);
+    });
+
+    it('starts at step 0 going forward and fully revealed going back', () => {
+        const { controller, doc } = createDeck();
+        controller.goTo(2);
+        controller.reveal();
+
+        controller.goTo(3);
+        assert.equal(controller.getStep(3), 0);
+
+        controller.goTo(2);
+        assert.equal(controller.getStep(2), 3);
+        assert.equal(visibleTexts(doc, 2).length, 4);
+
+        controller.goTo(1);
+        controller.goTo(2);
+        assert.equal(controller.getStep(2), 0);
+    });
+
+    it('clamps setStep to the steps of the slide', () => {
+        const { controller } = createDeck();
+        assert.equal(controller.setStep(2, 10), 3);
+        assert.equal(controller.setStep(2, -2), 0);
+        assert.equal(controller.setStep(1, 2), 0);
+    });
+});
+
+describe('ES module entry', () => {
+    it('exports the same controller', async () => {
+        const module = await import('../js/deck-controller.mjs');
+        assert.equal(module.create, DeckController.create);
+        assert.equal(module.default, DeckController);
+    });
+});
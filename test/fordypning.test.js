@@ -0,0 +1,59 @@
+/**
+ * Fordypning tests
+ * The studiespesialisering rule and the suggestions, on data/fordypning.json.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Fordypning = require('../js/fordypning.js');
+const data = require('../data/fordypning.json');
+
+/**
+ * Get the count for one programområde
+ * @param {Object} result - From Fordypning.calculate
+ * @param {string} id - Programområde ID
+ * @returns {number} Fordypninger in it
+ */
+function countIn(result, id) {
+    return result.perProgramomrade.find(omrade => omrade.id === id).count;
+}
+
+describe('Fordypning.calculate', () => {
+    it('needs both subjects of a group', () => {
+        const result = Fordypning.calculate(data, ['fysikk1', 'biologi1']);
+        assert.equal(result.total, 0);
+        assert.equal(result.studiespesialisering.met, false);
+    });
+
+    it('counts a shared group in every programområde it belongs to', () => {
+        const result = Fordypning.calculate(data, ['r1', 'r2']);
+        assert.equal(result.total, 1);
+        assert.equal(countIn(result, 'realfag'), 1);
+        assert.equal(countIn(result, 'ssa'), 1);
+    });
+
+    it('meets the rule with two fordypninger in the same programområde', () => {
+        const result = Fordypning.calculate(data, ['fysikk1', 'fysikk2', 'kjemi1', 'kjemi2']);
+        assert.equal(result.studiespesialisering.met, true);
+        assert.equal(result.studiespesialisering.programomrade.id, 'realfag');
+    });
+
+    it('does not meet the rule with one fordypning in each programområde', () => {
+        const result = Fordypning.calculate(data, ['fysikk1', 'fysikk2', 'psykologi1', 'psykologi2']);
+        assert.equal(result.total, 2);
+        assert.equal(result.studiespesialisering.met, false);
+    });
+
+    it('suggests the missing subject and marks the ones that meet the rule', () => {
+        const result = Fordypning.calculate(data, ['fysikk1', 'fysikk2', 'kjemi1']);
+        const suggestion = result.suggestions.find(s => s.fag.id === 'kjemi2');
+        assert.ok(suggestion);
+        assert.equal(suggestion.fordypning.id, 'kjemi');
+        assert.equal(suggestion.meetsRequirement, true);
+    });
+
+    it('ignores unknown subjects', () => {
+        const result = Fordypning.calculate(data, ['latin1', 'latin2']);
+        assert.equal(result.total, 0);
+        assert.deepEqual(result.suggestions, []);
+    });
+});
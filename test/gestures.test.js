@@ -0,0 +1,251 @@
+/**
+ * Gestures tests
+ * Synthetic pointer events through Gestures.attach on a jsdom page.
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const Gestures = require('../js/gestures.js');
+
+const PAGE = `
+    <div class="slides">
+        <p class="text">Tekst</p>
+        <div data-embed="studieplanlegger"><button class="inside">Velg</button></div>
+        <div class="has-info"><span class="cell">Celle</span></div>
+        <iframe></iframe>
+        <div class="table-wrap" style="overflow-x: auto"><table><tr><td class="cell">Rad</td></tr></table></div>
+    </div>`;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let window;
+let root;
+let swipes;
+let presses;
+let gestures;
+
+/**
+ * Send a pointer event
+ * jsdom has no PointerEvent, so the pointer fields are added to a mouse event
+ * @param {Element} target - Where it happens
+ * @param {string} type - pointerdown, pointermove, pointerup or pointercancel
+ * @param {Object} fields - clientX, clientY, timeStamp and optional pointer fields
+ */
+function pointer(target, type, fields) {
+    const event = new window.MouseEvent(type, {
+        bubbles: true,
+        cancelable: true,
+        clientX: fields.clientX,
+        clientY: fields.clientY,
+        button: fields.button || 0
+    });
+    Object.defineProperties(event, {
+        pointerId: { value: fields.pointerId || 1 },
+        pointerType: { value: fields.pointerType || 'touch' },
+        isPrimary: { value: fields.isPrimary !== false },
+        timeStamp: { value: fields.timeStamp }
+    });
+    target.dispatchEvent(event);
+}
+
+/**
+ * Drag from (200, 200) by dx, dy in the given time
+ * @param {Element} target - Where the drag starts
+ * @param {number} dx - Horizontal movement in pixels
+ * @param {number} dy - Vertical movement in pixels
+ * @param {number} duration - Milliseconds
+ * @param {Object} [fields] - Pointer fields, e.g. { pointerType: 'mouse' }
+ */
+function drag(target, dx, dy, duration, fields) {
+    pointer(target, 'pointerdown', Object.assign({ clientX: 200, clientY: 200, timeStamp: 1000 }, fields));
+    pointer(target, 'pointermove', Object.assign({ clientX: 200 + dx / 2, clientY: 200 + dy / 2, timeStamp: 1000 + duration / 2 }, fields));
+    pointer(target, 'pointerup', Object.assign({ clientX: 200 + dx, clientY: 200 + dy, timeStamp: 1000 + duration }, fields));
+}
+
+/**
+ * Find an element on the page
+ * @param {string} selector - CSS selector
+ * @returns {Element} The element
+ */
+function $(selector) {
+    return window.document.querySelector(selector);
+}
+
+beforeEach(() => {
+    window = new JSDOM(PAGE).window;
+    root = $('.slides');
+    swipes = [];
+    presses = 0;
+    gestures = Gestures.attach(root, {
+        swipe: direction => swipes.push(direction),
+        longPress: () => presses++
+    }, { longPress: 40 });
+});
+
+afterEach(() => {
+    gestures.detach();
+    window.close();
+});
+
+describe('Gestures.classify', () => {
+    it('names the direction the finger moved', () => {
+        assert.equal(Gestures.classify(-100, 0, 100), 'left');
+        assert.equal(Gestures.classify(100, 0, 100), 'right');
+        assert.equal(Gestures.classify(0, -100, 100), 'up');
+        assert.equal(Gestures.classify(0, 100, 100), 'down');
+    });
+
+    it('applies the distance, velocity and angle thresholds', () => {
+        assert.equal(Gestures.classify(49, 0, 10), null);
+        assert.equal(Gestures.classify(50, 0, 10), 'right');
+        // 0.3 px/ms: 90 px may take at most 300 ms
+        assert.equal(Gestures.classify(90, 0, 300), 'right');
+        assert.equal(Gestures.classify(90, 0, 301), null);
+        // 30 degrees off the axis is the limit
+        assert.equal(Gestures.classify(100, 57, 100), 'right');
+        assert.equal(Gestures.classify(100, 58, 100), null);
+    });
+
+    it('takes other thresholds', () => {
+        assert.equal(Gestures.classify(30, 0, 100, { minDistance: 20 }), 'right');
+    });
+});
+
+describe('Gestures.attach swipes', () => {
+    it('reports a fast, straight drag', () => {
+        drag($('.text'), -120, 10, 150);
+        drag($('.text'), 5, 120, 150);
+        assert.deepEqual(swipes, ['left', 'down']);
+    });
+
+    it('ignores drags that are too short, too slow or too steep', () => {
+        drag($('.text'), -40, 0, 50);
+        drag($('.text'), -120, 0, 1000);
+        drag($('.text'), -100, 80, 100);
+        assert.deepEqual(swipes, []);
+    });
+
+    it('works for mouse drags too', () => {
+        drag($('.text'), 120, 0, 150, { pointerType: 'mouse' });
+        assert.deepEqual(swipes, ['right']);
+    });
+
+    it('ignores the right mouse button and secondary pointers', () => {
+        drag($('.text'), 120, 0, 150, { pointerType: 'mouse', button: 2 });
+        drag($('.text'), 120, 0, 150, { isPrimary: false });
+        assert.deepEqual(swipes, []);
+    });
+
+    it('stops listening after detach', () => {
+        gestures.detach();
+        drag($('.text'), 120, 0, 150);
+        assert.deepEqual(swipes, []);
+    });
+});
+
+describe('opt-out zones', () => {
+    ['[data-embed] .inside', '.has-info .cell', 'iframe'].forEach(selector => {
+        it(`leaves gestures starting in ${selector} to the page`, () => {
+            drag($(selector), -120, 0, 150);
+            assert.deepEqual(swipes, []);
+        });
+    });
+
+    it('skips gestures while isBlocked says so', () => {
+        gestures.detach();
+        let blocked = true;
+        gestures = Gestures.attach(root, { swipe: direction => swipes.push(direction), isBlocked: () => blocked });
+        drag($('.text'), -120, 0, 150);
+        blocked = false;
+        drag($('.text'), -120, 0, 150);
+        assert.deepEqual(swipes, ['left']);
+    });
+});
+
+describe('scrollable areas', () => {
+    it('lets the axis the area cannot scroll through', () => {
+        const wrap = $('.table-wrap');
+        Object.defineProperty(wrap, 'scrollWidth', { value: 800 });
+        Object.defineProperty(wrap, 'clientWidth', { value: 300 });
+        assert.deepEqual(Gestures.getScrollAxes($('.table-wrap .cell'), root), { x: true, y: false });
+
+        drag($('.table-wrap .cell'), -120, 0, 150);
+        assert.deepEqual(swipes, [], 'sideways scrolls the table');
+        drag($('.table-wrap .cell'), 0, -120, 150);
+        assert.deepEqual(swipes, ['up']);
+    });
+
+    it('swipes normally when the content fits', () => {
+        drag($('.table-wrap .cell'), -120, 0, 150);
+        assert.deepEqual(swipes, ['left']);
+    });
+});
+
+describe('long-press', () => {
+    it('fires when a touch is held still', async () => {
+        pointer($('.text'), 'pointerdown', { clientX: 200, clientY: 200, timeStamp: 1000 });
+        pointer($('.text'), 'pointermove', { clientX: 205, clientY: 204, timeStamp: 1010 });
+        await wait(60);
+        pointer($('.text'), 'pointerup', { clientX: 205, clientY: 204, timeStamp: 1700 });
+        assert.equal(presses, 1);
+        assert.deepEqual(swipes, []);
+    });
+
+    it('is cancelled by moving more than the slop', async () => {
+        pointer($('.text'), 'pointerdown', { clientX: 200, clientY: 200, timeStamp: 1000 });
+        pointer($('.text'), 'pointermove', { clientX: 212, clientY: 200, timeStamp: 1010 });
+        await wait(60);
+        pointer($('.text'), 'pointerup', { clientX: 212, clientY: 200, timeStamp: 1700 });
+        assert.equal(presses, 0);
+    });
+
+    it('is cancelled by lifting the finger early', async () => {
+        pointer($('.text'), 'pointerdown', { clientX: 200, clientY: 200, timeStamp: 1000 });
+        pointer($('.text'), 'pointerup', { clientX: 200, clientY: 200, timeStamp: 1010 });
+        await wait(60);
+        assert.equal(presses, 0);
+    });
+
+    it('leaves a mouse button held still alone', async () => {
+        pointer($('.text'), 'pointerdown', { clientX: 200, clientY: 200, timeStamp: 1000, pointerType: 'mouse' });
+        await wait(60);
+        pointer($('.text'), 'pointerup', { clientX: 200, clientY: 200, timeStamp: 1700, pointerType: 'mouse' });
+        assert.equal(presses, 0);
+    });
+});
+
+describe('clicks', () => {
+    /**
+     * Click an element and report whether the click got through
+     * @param {Element} target - The element
+     * @returns {boolean} True if a listener on the document saw it
+     */
+    function clickReaches(target) {
+        let reached = false;
+        const listener = () => {
+            reached = true;
+        };
+        window.document.addEventListener('click', listener);
+        target.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+        window.document.removeEventListener('click', listener);
+        return reached;
+    }
+
+    it('swallows the click that ends a drag, and only that one', () => {
+        drag($('.text'), -120, 0, 150, { pointerType: 'mouse' });
+        assert.equal(clickReaches($('.text')), false);
+        assert.equal(clickReaches($('.text')), true);
+    });
+
+    it('lets a plain click through', () => {
+        drag($('.text'), 2, 0, 80, { pointerType: 'mouse' });
+        assert.equal(clickReaches($('.text')), true);
+    });
+
+    it('swallows the click after a long-press', async () => {
+        pointer($('.text'), 'pointerdown', { clientX: 200, clientY: 200, timeStamp: 1000 });
+        await wait(60);
+        pointer($('.text'), 'pointerup', { clientX: 200, clientY: 200, timeStamp: 1700 });
+        assert.equal(clickReaches($('.text')), false);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * I18n tests
+ * Language lookup and message fallback, on small catalogs.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../js/i18n.js');
+
+const CATALOGS = {
+    nb: {
+        name: 'Bokmål',
+        messages: { 'counter.of': 'av', 'presenter.step': 'Steg {step} av {total}' },
+        slides: { tidslinje: { title: 'Tidslinje' } }
+    },
+    en: {
+        name: 'English',
+        messages: { 'counter.of': 'of' },
+        slides: { tidslinje: { title: 'Timeline' } }
+    }
+};
+
+describe('I18n.resolveLang', () => {
+    it('accepts languages that have a catalog, in any case', () => {
+        assert.equal(I18n.resolveLang(CATALOGS, 'en'), 'en');
+        assert.equal(I18n.resolveLang(CATALOGS, 'EN'), 'en');
+    });
+
+    it('falls back to bokmål for unknown or missing languages', () => {
+        assert.equal(I18n.resolveLang(CATALOGS, 'de'), 'nb');
+        assert.equal(I18n.resolveLang(CATALOGS, null), 'nb');
+    });
+
+    it('does not match properties inherited from Object', () => {
+        ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(lang => {
+            assert.equal(I18n.resolveLang(CATALOGS, lang), 'nb', lang);
+        });
+    });
+});
+
+describe('I18n.translate', () => {
+    it('fills in placeholders', () => {
+        assert.equal(I18n.translate(CATALOGS, 'nb', 'presenter.step', { step: 2, total: 5 }), 'Steg 2 av 5');
+    });
+
+    it('falls back to bokmål, then to the key', () => {
+        assert.equal(I18n.translate(CATALOGS, 'en', 'counter.of'), 'of');
+        assert.equal(I18n.translate(CATALOGS, 'en', 'presenter.step', { step: 1, total: 2 }), 'Steg 1 av 2');
+        assert.equal(I18n.translate(CATALOGS, 'en', 'missing.key'), 'missing.key');
+        assert.equal(I18n.translate(CATALOGS, 'en', 'constructor'), 'constructor');
+    });
+});
+
+describe('I18n.getSlideText', () => {
+    it('returns the translation or null', () => {
+        assert.equal(I18n.getSlideText(CATALOGS, 'en', 'tidslinje', 'title'), 'Timeline');
+        assert.equal(I18n.getSlideText(CATALOGS, 'en', 'tidslinje', 'notes'), null);
+        assert.equal(I18n.getSlideText(CATALOGS, 'en', 'constructor', 'name'), null);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Keymap tests
+ * Key normalisation, user overrides and lookup.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Keymap = require('../js/keymap.js');
+
+describe('Keymap.normalizeKey', () => {
+    it('lower-cases letters and keeps named keys', () => {
+        assert.equal(Keymap.normalizeKey({ key: 'B' }), 'b');
+        assert.equal(Keymap.normalizeKey({ key: 'ArrowRight' }), 'ArrowRight');
+    });
+
+    it('treats the old Spacebar name as a space', () => {
+        assert.equal(Keymap.normalizeKey({ key: 'Spacebar' }), ' ');
+    });
+
+    it('ignores events without a key', () => {
+        assert.equal(Keymap.normalizeKey({}), null);
+        assert.equal(Keymap.normalizeKey({ key: undefined }), null);
+    });
+
+    it('leaves shortcuts with Ctrl, Alt or Meta to the browser', () => {
+        assert.equal(Keymap.normalizeKey({ key: 'f', ctrlKey: true }), null);
+        assert.equal(Keymap.normalizeKey({ key: 'f', altKey: true }), null);
+        assert.equal(Keymap.normalizeKey({ key: 'f', metaKey: true }), null);
+    });
+});
+
+describe('Keymap.build', () => {
+    it('uses the defaults without overrides', () => {
+        assert.deepEqual(Keymap.build(Keymap.DEFAULT_BINDINGS, {}), Keymap.DEFAULT_BINDINGS);
+    });
+
+    it('moves a key from its default action to the overriding one', () => {
+        const bindings = Keymap.build(Keymap.DEFAULT_BINDINGS, { blackout: ['ArrowDown'] });
+        assert.deepEqual(bindings.blackout, ['ArrowDown']);
+        assert.equal(bindings.next.includes('ArrowDown'), false);
+        assert.equal(Keymap.resolve(bindings, 'ArrowDown'), 'blackout');
+    });
+
+    it('drops reserved keys and unknown actions', () => {
+        const bindings = Keymap.build(Keymap.DEFAULT_BINDINGS, { next: ['1', 'Enter', 'n'], fly: ['x'] });
+        assert.deepEqual(bindings.next, ['n']);
+        assert.equal(bindings.fly, undefined);
+    });
+});
+
+describe('Keymap.resolve', () => {
+    it('finds the action for a key', () => {
+        const bindings = Keymap.build(Keymap.DEFAULT_BINDINGS, {});
+        assert.equal(Keymap.resolve(bindings, ' '), 'next');
+        assert.equal(Keymap.resolve(bindings, 'Backspace'), 'stepBack');
+        assert.equal(Keymap.resolve(bindings, 'z'), null);
+        assert.equal(Keymap.resolve(bindings, null), null);
+    });
+});
+
+describe('Keymap.addKey', () => {
+    it('adds the key and takes it from earlier overrides', () => {
+        const bindings = Keymap.build(Keymap.DEFAULT_BINDINGS, { help: ['x'] });
+        const overrides = Keymap.addKey(bindings, { help: ['x'] }, 'overview', 'x');
+        assert.deepEqual(overrides.overview, ['o', 'x']);
+        assert.deepEqual(overrides.help, []);
+    });
+
+    it('copes with overrides that are not lists', () => {
+        const bindings = Keymap.build(Keymap.DEFAULT_BINDINGS, {});
+        const overrides = Keymap.addKey(bindings, { help: 'x', next: null }, 'overview', 'x');
+        assert.deepEqual(overrides.overview, ['o', 'x']);
+        assert.deepEqual(overrides.help, []);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Markdown Slides tests
+ * The slide syntax and options, and the compiled "Informasjon om fagvalg.md".
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MarkdownSlides = require('../js/markdown-slides.js');
+
+/**
+ * Compile Markdown and look up a slide
+ * @param {string} markdown - The Markdown source
+ * @param {string} id - Slide ID
+ * @returns {Object|undefined} The manifest entry
+ */
+function slideFrom(markdown, id) {
+    return MarkdownSlides.compile(markdown).find(slide => slide.id === id);
+}
+
+describe('MarkdownSlides.compile', () => {
+    it('makes a slide per ## heading, with list items as click-reveal steps', () => {
+        const slides = MarkdownSlides.compile('Forord\n\n## Første\n* En\n* To\n\n## Andre\nTekst');
+        assert.deepEqual(slides.map(slide => slide.id), ['forste', 'andre']);
+        assert.equal(slides[0].clickReveal, true);
+        assert.match(slides[0].html, /<li data-delay="0">En<\/li><li data-delay="1">To<\/li>/);
+        assert.equal(slides[1].clickReveal, undefined);
+    });
+
+    it('takes the ID and menu title from the options', () => {
+        const slide = slideFrom('## Krav til fremmedspråk {#fremmedsprak menu="Fremmedspråk"}\nTekst', 'fremmedsprak');
+        assert.equal(slide.title, 'Fremmedspråk');
+        assert.match(slide.html, /<h1>Krav til fremmedspråk<\/h1>/);
+    });
+
+    it('makes IDs unique', () => {
+        const slides = MarkdownSlides.compile('## Mer\nA\n## Mer\nB\n## Mer\nC');
+        assert.deepEqual(slides.map(slide => slide.id), ['mer', 'mer-2', 'mer-3']);
+    });
+
+    it('reads the speaker notes up to the next slide', () => {
+        const slides = MarkdownSlides.compile('## En\nTekst\nNote: Første linje\nAndre linje\n\n## To\nTekst');
+        assert.equal(slides[0].notes, 'Første linje\nAndre linje');
+        assert.doesNotMatch(slides[0].html, /linje/);
+        assert.equal(slides[1].notes, undefined);
+    });
+
+    it('makes every ### below a split heading its own slide', () => {
+        const slides = MarkdownSlides.compile('## Teknisk {split}\n\n### Fordypning {#fordypning}\nA\n### Blokker\nB');
+        assert.deepEqual(slides.map(slide => slide.id), ['fordypning', 'blokker']);
+        // The split heading becomes the subtitle
+        assert.match(slides[0].html, /<p>Teknisk<\/p>/);
+    });
+
+    it('keeps a split heading with content before the first ###', () => {
+        const slides = MarkdownSlides.compile('## Teknisk {split}\nIntro\n### Fordypning\nA');
+        assert.deepEqual(slides.map(slide => slide.id), ['teknisk', 'fordypning']);
+    });
+
+    it('leaves out skipped headings and everything below them', () => {
+        const slides = MarkdownSlides.compile('## En\nA\n### Pirk {skip}\nHemmelig\n#### Under\nOgså hemmelig\n## To {skip}\nB\n## Tre\nC');
+        assert.deepEqual(slides.map(slide => slide.id), ['en', 'tre']);
+        assert.doesNotMatch(slides[0].html, /Pirk|hemmelig/i);
+    });
+
+    it('uses the hand-made slide for keep, with only the title, options and notes', () => {
+        const slide = slideFrom('## Blokkskjema {#blokkskjema keep reveal=click kiosk=25}\n* Ignorert\nNote: Vis demoen', 'blokkskjema');
+        assert.deepEqual(slide, {
+            id: 'blokkskjema',
+            title: 'Blokkskjema',
+            kiosk: { duration: 25 },
+            notes: 'Vis demoen',
+            clickReveal: true
+        });
+    });
+
+    it('reads the kiosk timing', () => {
+        assert.deepEqual(slideFrom('## A {kiosk=15,6}\nTekst', 'a').kiosk, { duration: 15, step: 6 });
+        assert.equal(slideFrom('## A {kiosk=off}\nTekst', 'a').kiosk, false);
+        assert.equal('kiosk' in slideFrom('## A {kiosk=lenge}\nTekst', 'a'), false);
+    });
+
+    it('reads polls, with the list below as answers', () => {
+        const markdown = [
+            '## Grunnlag {#grunnlag keep}',
+            'Poll: Hva er du mest interessert i? {#interesser}',
+            '- Realfag',
+            '- Medier og kunst {#medier}',
+            'Poll: Hva vil du studere? {#studere words}',
+            '',
+            'Note: Notater'
+        ].join('\n');
+        assert.deepEqual(slideFrom(markdown, 'grunnlag').polls, [
+            {
+                id: 'interesser',
+                type: 'choice',
+                question: 'Hva er du mest interessert i?',
+                options: [{ id: 'realfag', label: 'Realfag' }, { id: 'medier', label: 'Medier og kunst' }]
+            },
+            { id: 'studere', type: 'words', question: 'Hva vil du studere?' }
+        ]);
+    });
+});
+
+describe('MarkdownSlides.renderInline', () => {
+    it('renders emphasis, code and links', () => {
+        assert.equal(MarkdownSlides.renderInline('**fet** og *kursiv* og `kode`'),
+            '<strong>fet</strong> og <em>kursiv</em> og <code>kode</code>');
+        assert.equal(MarkdownSlides.renderInline('[Vilbli](https://www.vilbli.no/)'),
+            '<a href="https://www.vilbli.no/" target="_blank" rel="noopener">Vilbli</a>');
+    });
+
+    it('escapes HTML', () => {
+        assert.equal(MarkdownSlides.renderInline('<script>"x"</script>'), '&lt;script&gt;&quot;x&quot;&lt;/script&gt;');
+    });
+
+    it('keeps safe link schemes and relative paths', () => {
+        ['https://utdanning.no', 'mailto:radgiver@bpg.no', 'tel:+4755000000', 'vedlegg/oversikt.pdf', '#/kontakt'].forEach(url => {
+            assert.match(MarkdownSlides.renderInline(`[Lenke](${url})`), /^<a href=/, url);
+        });
+    });
+
+    it('drops links with other schemes and keeps the text', () => {
+        ['javascript:alert(1)', 'JavaScript:void(0)', 'data:text/html,hei', 'vbscript:x'].forEach(url => {
+            const html = MarkdownSlides.renderInline(`[Lenke](${url})`);
+            assert.doesNotMatch(html, /<a /, url);
+            assert.match(html, /^Lenke/, url);
+        });
+    });
+});
+
+describe('Informasjon om fagvalg.md', () => {
+    it('compiles to every slide in js/slides.js, in order and with the same options', () => {
+        const markdown = fs.readFileSync(path.join(__dirname, '..', 'Informasjon om fagvalg.md'), 'utf8');
+        const compiled = MarkdownSlides.compile(markdown).filter(slide => slide.html === undefined);
+
+        global.window = {};
+        require('../js/slides.js');
+        const manifest = global.window.SLIDE_MANIFEST;
+        delete global.window;
+
+        assert.deepEqual(compiled, manifest);
+    });
+});
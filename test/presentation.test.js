@@ -0,0 +1,160 @@
+/**
+ * Presentation tests
+ * Loads index.html with its scripts in jsdom and drives the deck the way a
+ * presenter does: the keydown handler and swipes on the slides.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Loads the repository's own files only; fonts and embeds stay offline
+ */
+class LocalResources extends ResourceLoader {
+    fetch(url, options) {
+        return url.startsWith('file:') ? super.fetch(url, options) : null;
+    }
+}
+
+/**
+ * Open the presentation
+ * @param {string} [query] - Search and hash, e.g. '?lang=en'
+ * @returns {Promise<Window>} The window, once the scripts have run
+ */
+function openDeck(query = '') {
+    const indexFile = path.join(ROOT, 'index.html');
+    const dom = new JSDOM(fs.readFileSync(indexFile, 'utf8'), {
+        url: pathToFileURL(indexFile).href + query,
+        runScripts: 'dangerously',
+        resources: new LocalResources(),
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            window.fetch = url => fs.promises.readFile(new URL(url, window.location.href))
+                .then(data => new Response(data));
+        }
+    });
+
+    return new Promise(resolve => {
+        dom.window.addEventListener('load', () => resolve(dom.window));
+    });
+}
+
+/**
+ * Press a key on the page
+ * @param {Window} window - The presentation
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} [init] - More KeyboardEvent fields, e.g. { ctrlKey: true }
+ * @param {EventTarget} [target] - Where the key is pressed (default the document)
+ */
+function press(window, key, init, target) {
+    (target || window.document).dispatchEvent(new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, init)));
+}
+
+/**
+ * Drag a finger across the slides
+ * jsdom has no PointerEvent, so the pointer fields are added to mouse events
+ * @param {Window} window - The presentation
+ * @param {number} dx - Horizontal movement in pixels
+ * @param {number} dy - Vertical movement in pixels
+ * @param {number} duration - Milliseconds from pointerdown to pointerup
+ */
+function swipe(window, dx, dy, duration) {
+    const target = window.document.querySelector('.slide.active');
+    const send = (type, x, y, timeStamp) => {
+        const event = new window.MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+        Object.defineProperties(event, {
+            pointerId: { value: 1 },
+            pointerType: { value: 'touch' },
+            isPrimary: { value: true },
+            timeStamp: { value: timeStamp }
+        });
+        target.dispatchEvent(event);
+    };
+    send('pointerdown', 200, 200, 1000);
+    send('pointerup', 200 + dx, 200 + dy, 1000 + duration);
+}
+
+describe('presentation keyboard and swipes', () => {
+    let window;
+    let state;
+
+    before(async () => {
+        window = await openDeck();
+        state = () => window.Presentation.getState();
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('steps forward with the arrow keys, through reveal steps first', () => {
+        press(window, 'Home');
+        let guard = 0;
+        while (state().steps === 0 && guard++ < 50) press(window, 'ArrowRight');
+
+        const { slide, steps } = state();
+        assert.ok(steps > 0, 'the deck has a click-reveal slide');
+        for (let step = 1; step <= steps; step++) {
+            press(window, 'ArrowRight');
+            assert.deepEqual([state().slide, state().step], [slide, step]);
+        }
+        press(window, 'ArrowRight');
+        assert.equal(state().slide, slide + 1);
+
+        press(window, 'ArrowLeft');
+        assert.deepEqual([state().slide, state().step], [slide, steps]);
+        press(window, 'Backspace');
+        assert.deepEqual([state().slide, state().step], [slide, steps - 1]);
+    });
+
+    it('stops at the first and the last slide', () => {
+        press(window, 'Home');
+        press(window, 'ArrowLeft');
+        assert.equal(state().slide, 1);
+
+        press(window, 'End');
+        const { total } = state();
+        assert.equal(state().slide, total);
+        for (let i = 0; i < 10; i++) press(window, 'ArrowRight');
+        assert.equal(state().slide, total);
+    });
+
+    it('jumps to a slide with digits and Enter', () => {
+        press(window, 'Home');
+        press(window, '1');
+        press(window, '2');
+        press(window, 'Enter');
+        assert.equal(state().slide, 12);
+    });
+
+    it('leaves typing and browser shortcuts alone', () => {
+        press(window, 'Home');
+        const input = window.document.createElement('input');
+        window.document.querySelector('.slide.active').appendChild(input);
+        press(window, 'ArrowRight', {}, input);
+        input.remove();
+        press(window, 'ArrowRight', { ctrlKey: true });
+        assert.equal(state().slide, 1);
+    });
+
+    it('moves on a fast sideways swipe only', () => {
+        press(window, 'Home');
+        swipe(window, -40, 0, 50);
+        assert.equal(state().slide, 1, 'too short');
+        swipe(window, -120, 0, 1000);
+        assert.equal(state().slide, 1, 'too slow');
+        swipe(window, -120, 90, 200);
+        assert.equal(state().slide, 1, 'too steep');
+
+        swipe(window, -120, 10, 200);
+        assert.equal(state().slide, 2);
+        swipe(window, 120, -10, 200);
+        assert.equal(state().slide, 1);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tidslinje tests
+ * Deadlines in Norwegian time, on a small timeline.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Tidslinje = require('../js/tidslinje.js');
+
+const DATA = {
+    hendelser: [
+        { id: 'februar', maned: '2027-02', frist: null },
+        { id: 'januar', maned: '2027-01' },
+        { id: 'mars', maned: '2027-03', frist: '2027-03-12' },
+        { id: 'desember', maned: '2026-12', frist: '2026-12-17T15:00' }
+    ]
+};
+
+/**
+ * Find a milestone in the test data
+ * @param {string} id - Milestone ID
+ * @returns {Object} The milestone
+ */
+function hendelse(id) {
+    return DATA.hendelser.find(h => h.id === id);
+}
+
+describe('Tidslinje.toTimestamp', () => {
+    it('reads Norwegian winter and summer time', () => {
+        assert.equal(Tidslinje.toTimestamp('2026-12-17T15:00'), Date.parse('2026-12-17T14:00:00Z'));
+        assert.equal(Tidslinje.toTimestamp('2027-06-01T12:00'), Date.parse('2027-06-01T10:00:00Z'));
+    });
+
+    it('gets the days the clocks change right', () => {
+        // Summer time starts at 02:00 on 28 March 2027 and ends at 03:00 on 31 October
+        assert.equal(Tidslinje.toTimestamp('2027-03-28T01:00'), Date.parse('2027-03-28T00:00:00Z'));
+        assert.equal(Tidslinje.toTimestamp('2027-03-28T04:00'), Date.parse('2027-03-28T02:00:00Z'));
+        assert.equal(Tidslinje.toTimestamp('2027-10-31T04:00'), Date.parse('2027-10-31T03:00:00Z'));
+    });
+});
+
+describe('Tidslinje.getDeadline', () => {
+    it('uses the time of a deadline with a time', () => {
+        assert.equal(Tidslinje.getDeadline(hendelse('desember')), Date.parse('2026-12-17T14:00:00Z'));
+    });
+
+    it('runs a date-only deadline to the end of the day', () => {
+        assert.equal(Tidslinje.getDeadline(hendelse('mars')), Date.parse('2027-03-12T23:00:00Z'));
+        assert.equal(Tidslinje.getDeadline({ maned: '2026-12', frist: '2026-12-31' }), Date.parse('2026-12-31T23:00:00Z'));
+    });
+
+    it('has no deadline without a date', () => {
+        assert.equal(Tidslinje.getDeadline(hendelse('februar')), null);
+        assert.equal(Tidslinje.getDeadline(hendelse('januar')), null);
+        assert.equal(Tidslinje.isDatePending(hendelse('februar')), true);
+        assert.equal(Tidslinje.isDatePending(hendelse('januar')), false);
+    });
+});
+
+describe('Tidslinje.isDone', () => {
+    it('is done once the deadline has passed', () => {
+        const deadline = Date.parse('2026-12-17T14:00:00Z');
+        assert.equal(Tidslinje.isDone(hendelse('desember'), deadline - 1), false);
+        assert.equal(Tidslinje.isDone(hendelse('desember'), deadline), true);
+    });
+
+    it('keeps a date-only deadline open all day', () => {
+        assert.equal(Tidslinje.isDone(hendelse('mars'), Date.parse('2027-03-12T22:59:00Z')), false);
+        assert.equal(Tidslinje.isDone(hendelse('mars'), Date.parse('2027-03-12T23:00:00Z')), true);
+    });
+
+    it('is done without a date once the month is over', () => {
+        assert.equal(Tidslinje.isDone(hendelse('januar'), Date.parse('2027-01-31T22:59:00Z')), false);
+        assert.equal(Tidslinje.isDone(hendelse('januar'), Date.parse('2027-01-31T23:00:00Z')), true);
+    });
+});
+
+describe('Tidslinje.getNextDeadline', () => {
+    it('puts the milestones in time order', () => {
+        assert.deepEqual(Tidslinje.getHendelser(DATA).map(h => h.id), ['desember', 'januar', 'februar', 'mars']);
+    });
+
+    it('finds the first deadline that has not passed', () => {
+        const next = Tidslinje.getNextDeadline(DATA, Date.parse('2026-11-01T12:00:00Z'));
+        assert.equal(next.hendelse.id, 'desember');
+        assert.equal(next.deadline, Date.parse('2026-12-17T14:00:00Z'));
+    });
+
+    it('skips a deadline that has passed and counts a pending date', () => {
+        const next = Tidslinje.getNextDeadline(DATA, Date.parse('2026-12-20T12:00:00Z'));
+        assert.equal(next.hendelse.id, 'februar');
+        assert.equal(next.deadline, null);
+    });
+
+    it('returns null when every deadline has passed', () => {
+        assert.equal(Tidslinje.getNextDeadline(DATA, Date.parse('2027-04-01T12:00:00Z')), null);
+    });
+
+    it('lists only the dated deadlines for the calendar', () => {
+        assert.deepEqual(Tidslinje.getDeadlines(DATA).map(h => h.id), ['desember', 'mars']);
+    });
+});
+
+describe('Tidslinje.getCountdown', () => {
+    it('splits the time left and stops at zero', () => {
+        assert.deepEqual(Tidslinje.getCountdown(((2 * 24 + 3) * 3600 + 4 * 60 + 5) * 1000 + 999), { days: 2, hours: 3, minutes: 4, seconds: 5 });
+        assert.deepEqual(Tidslinje.getCountdown(-5000), { days: 0, hours: 0, minutes: 0, seconds: 0 });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Vitnemål tests
+ * Every rule in data/vitnemal-regler.json, on plans for each programområde.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Vitnemal = require('../js/vitnemal.js');
+const regler = require('../data/vitnemal-regler.json');
+const fagData = require('../data/fordypning.json');
+
+/**
+ * Check a plan and list the rules it breaks
+ * @param {Object} plan - { programomrade, fremmedsprak?, vg2, vg3 }
+ * @returns {string[]} Rule IDs
+ */
+function broken(plan) {
+    return Vitnemal.check(regler, Object.assign({ fremmedsprak: 'tysk' }, plan), fagData).map(v => v.regel);
+}
+
+// A valid studiespesialisering plan: R1 + three programfag, then three VG3 subjects
+const STUDSPES = {
+    programomrade: 'studspes',
+    vg2: ['r1', 'fysikk1', 'kjemi1', 'biologi1'],
+    vg3: ['r2', 'fysikk2', 'kjemi2']
+};
+
+describe('shared rules', () => {
+    it('accepts a valid plan', () => {
+        assert.deepEqual(Vitnemal.check(regler, STUDSPES, fagData), []);
+    });
+
+    it('refuses a subject chosen twice', () => {
+        const violations = Vitnemal.check(regler, Object.assign({}, STUDSPES, { vg3: ['r2', 'fysikk2', 'kjemi1'] }), fagData);
+        const duplicate = violations.find(v => v.regel === 'unike-fag');
+        assert.equal(duplicate.fag, 'kjemi1');
+        assert.equal(duplicate.melding, 'Kjemi 1 er valgt mer enn én gang.');
+    });
+
+    it('needs exactly one mathematics subject on VG2', () => {
+        assert.deepEqual(broken(Object.assign({}, STUDSPES, { vg2: ['fysikk1', 'kjemi1', 'biologi1'], vg3: ['fysikk2', 'kjemi2', 'biologi2'] })), ['matematikk-vg2']);
+        assert.ok(broken(Object.assign({}, STUDSPES, { vg2: ['r1', 's1', 'fysikk1', 'kjemi1', 'biologi1'] })).includes('matematikk-vg2'));
+        assert.ok(!broken(Object.assign({}, STUDSPES, { vg2: ['matematikk-2p', 'fysikk1', 'kjemi1', 'biologi1'], vg3: ['fysikk2', 'kjemi2', 'biologi2'] })).includes('matematikk-vg2'));
+    });
+
+    it('puts a subject that builds on another on VG3, after the first', () => {
+        const early = Vitnemal.check(regler, Object.assign({}, STUDSPES, { vg2: ['r1', 'fysikk1', 'fysikk2', 'kjemi1'] }), fagData)
+            .filter(v => v.regel === 'bygger-pa');
+        assert.deepEqual(early.map(v => [v.trinn, v.fag]), [['vg2', 'fysikk2']]);
+        assert.equal(early[0].melding, 'Fysikk 2 bygger på Fysikk 1 og kan bare tas på VG3.');
+
+        const missing = Vitnemal.check(regler, Object.assign({}, STUDSPES, { vg3: ['r2', 'fysikk2', 's2'] }), fagData)
+            .filter(v => v.regel === 'bygger-pa');
+        assert.deepEqual(missing.map(v => [v.trinn, v.fag]), [['vg3', 's2']]);
+        assert.equal(missing[0].melding, 'Matematikk S2 bygger på Matematikk S1, som må tas på VG2.');
+    });
+
+    it('needs Spansk I+II on VG3 without a foreign language from lower secondary', () => {
+        assert.deepEqual(broken(Object.assign({}, STUDSPES, { fremmedsprak: 'ingen' })), ['fremmedsprak']);
+        assert.deepEqual(broken(Object.assign({}, STUDSPES, { fremmedsprak: 'ingen', vg3: ['fysikk2', 'kjemi2', 'spansk1-2'] })), []);
+    });
+});
+
+describe('Medier og kommunikasjon', () => {
+    it('accepts one programfag + mathematics on VG2 and two on VG3', () => {
+        assert.deepEqual(broken({ programomrade: 'mk', vg2: ['s1', 'psykologi1'], vg3: ['s2', 'psykologi2'] }), []);
+    });
+
+    it('counts the programfag on each trinn', () => {
+        assert.deepEqual(broken({ programomrade: 'mk', vg2: ['s1', 'psykologi1', 'engelsk1'], vg3: ['s2'] }), ['mk-vg2', 'mk-vg3']);
+    });
+});
+
+describe('Musikk', () => {
+    it('accepts one programfag + mathematics on VG2 and one on VG3', () => {
+        assert.deepEqual(broken({ programomrade: 'musikk', vg2: ['matematikk-2p', 'engelsk1'], vg3: ['engelsk2'] }), []);
+    });
+
+    it('counts the programfag on each trinn', () => {
+        const violations = Vitnemal.check(regler, { programomrade: 'musikk', vg2: ['matematikk-2p'], vg3: ['engelsk1', 'psykologi1'] }, fagData);
+        assert.deepEqual(violations.map(v => v.regel), ['musikk-vg2', 'musikk-vg3']);
+        assert.equal(violations[1].melding, 'Musikk skal ha 1 programfag på VG3 – du har valgt 2.');
+    });
+});
+
+describe('Studiespesialisering', () => {
+    it('needs three programfag + mathematics on VG2 and three on VG3', () => {
+        assert.deepEqual(broken(Object.assign({}, STUDSPES, { vg2: ['r1', 'fysikk1', 'kjemi1'] })), ['studspes-vg2']);
+        assert.deepEqual(broken(Object.assign({}, STUDSPES, { vg3: ['r2', 'fysikk2', 'kjemi2', 'biologi2'] })), ['studspes-vg3']);
+    });
+
+    it('needs two fordypninger from the same programområde', () => {
+        const plan = { programomrade: 'studspes', vg2: ['s1', 'fysikk1', 'psykologi1', 'engelsk1'], vg3: ['fysikk2', 'psykologi2', 'sosiologi'] };
+        const violations = Vitnemal.check(regler, Object.assign({ fremmedsprak: 'tysk' }, plan), fagData);
+        assert.deepEqual(violations.map(v => v.regel), ['studspes-fordypning']);
+        assert.equal(violations[0].melding, 'Studiespesialisering krever minimum 2 fordypninger fra samme programområde – du har 1.');
+    });
+});
+
+describe('Vitnemal.check', () => {
+    it('refuses an unknown programområde', () => {
+        assert.throws(() => Vitnemal.check(regler, { programomrade: 'ukjent', vg2: [], vg3: [] }, fagData), /Unknown programområde/);
+    });
+
+    it('refuses an unknown rule type', () => {
+        const custom = Object.assign({}, regler, { fellesRegler: [{ id: 'x', type: 'ukjent', melding: '' }] });
+        assert.throws(() => Vitnemal.check(custom, STUDSPES, fagData), /Unknown rule type/);
+    });
+});
+
+describe('Vitnemal.getAntallProgramfag', () => {
+    it('reads the number from the antall-programfag rules', () => {
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'studspes', 'vg2'), 3);
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'studspes', 'vg3'), 3);
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'mk', 'vg3'), 2);
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'musikk', 'vg3'), 1);
+    });
+
+    it('returns null without a rule', () => {
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'ukjent', 'vg2'), null);
+        assert.equal(Vitnemal.getAntallProgramfag(regler, 'studspes', 'vg1'), null);
+    });
+});
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Build Slides from Markdown
+ * Compiles a Markdown document into a slide manifest for the presentation.
+ *
+ * Usage:
+ *   node tools/build-slides.js ["Informasjon om fagvalg.md"] [js/slides.generated.js]
+ *
+ * To present the compiled deck, load the generated file instead of
+ * js/slides.js in index.html. Slides marked with `keep` use the hand-made
+ * slide with the same ID from index.html; every slide in js/slides.js is
+ * marked that way in the Markdown, so the compiled deck has the same slides,
+ * options and notes, plus the slides written only in Markdown. See
+ * js/markdown-slides.js for the supported syntax.
+ */
+const fs = require('fs');
+const path = require('path');
+const MarkdownSlides = require('../js/markdown-slides.js');
+
+const root = path.resolve(__dirname, '..');
+const input = path.resolve(root, process.argv[2] || 'Informasjon om fagvalg.md');
+const output = path.resolve(root, process.argv[3] || 'js/slides.generated.js');
+
+const slides = MarkdownSlides.compile(fs.readFileSync(input, 'utf8'));
+
+const source = `/**
+ * Slide Manifest (generert)
+ * Generated from "${path.basename(input)}" by tools/build-slides.js - do not edit by hand.
+ */
+window.SLIDE_MANIFEST = ${JSON.stringify(slides, null, 4)};
+`;
+
+fs.writeFileSync(output, source);
+
+console.log(`${slides.length} slides -> ${path.relative(root, output)}`);
+slides.forEach((slide, index) => {
+    const flags = [slide.clickReveal && 'click-reveal', slide.notes && 'notes', slide.polls && 'polls', !slide.html && 'keep']
+        .filter(Boolean).join(', ');
+    console.log(`  ${String(index + 1).padStart(2)}. ${slide.id}${flags ? ` (${flags})` : ''}`);
+});